@@ -1,7 +1,22 @@
 require('dotenv').config();
+const path = require('path');
 
 module.exports = {
   MONGODB_URI: process.env.MONGODB_URI || 'mongodb://localhost:27017/pinterest-clone',
   JWT_SECRET: process.env.JWT_SECRET || 'your-secret-key',
+  ACCESS_TOKEN_TTL: process.env.ACCESS_TOKEN_TTL || '15m',
+  REFRESH_TOKEN_TTL_DAYS: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  PASSWORD_RESET_TTL_MINUTES: Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  EMAIL_VERIFICATION_TTL_HOURS: Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24,
+  TWO_FACTOR_CHALLENGE_TTL: process.env.TWO_FACTOR_CHALLENGE_TTL || '5m',
+  TWO_FACTOR_ISSUER: process.env.TWO_FACTOR_ISSUER || 'Pinterest Clone',
+  ACCOUNT_DELETION_GRACE_DAYS: Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14,
+  SERVER_URL: process.env.SERVER_URL || 'http://localhost:5001',
+  CLIENT_URL: process.env.CLIENT_URL || 'http://localhost:19006',
+  MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || 'console',
+  MAIL_FROM: process.env.MAIL_FROM || 'no-reply@pinterest-clone.local',
+  UPLOAD_DIR: process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'),
+  UPLOAD_MAX_BYTES: Number(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024,
+  MAIL_DIR: process.env.MAIL_DIR || path.join(__dirname, 'mail-outbox'),
   PORT: process.env.PORT || 5001
 }; 
\ No newline at end of file
@@ -0,0 +1,83 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Read the token from either the Authorization header or x-auth-token
+const getToken = (req) =>
+  req.header('Authorization')?.replace('Bearer ', '') || req.header('x-auth-token');
+
+// The payload of a valid access token, or null. A token naming a session
+// that has since been signed out is no longer valid, so revoking a device
+// takes effect at once rather than when its token expires.
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  // Tokens from before sessions were tracked carry no session to check
+  if (decoded.sessionId && !(await Session.exists({ _id: decoded.sessionId, revokedAt: null }))) {
+    return null;
+  }
+  return decoded;
+};
+
+// Require a valid token and expose the acting user's id as req.userId and
+// the signed-in device as req.sessionId
+const auth = async (req, res, next) => {
+  const token = getToken(req);
+  if (!token) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+
+  try {
+    const decoded = await verifyAccessToken(token);
+    if (!decoded) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+    req.userId = decoded.userId;
+    req.sessionId = decoded.sessionId;
+    next();
+  } catch (error) {
+    console.error('Auth check error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Like auth, but anonymous requests pass through with req.userId unset
+const optionalAuth = async (req, res, next) => {
+  const token = getToken(req);
+  if (token) {
+    try {
+      // A stale token just means the request is treated as anonymous
+      const decoded = await verifyAccessToken(token);
+      req.userId = decoded?.userId;
+    } catch (error) {
+      console.error('Auth check error:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  }
+  next();
+};
+
+const isEmailVerified = async (userId) => {
+  const user = await User.findById(userId).select('emailVerified');
+  return Boolean(user && user.emailVerified);
+};
+
+// Must run after auth. Keeps unverified accounts away from a route
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (!(await isEmailVerified(req.userId))) {
+      return res.status(403).json({ message: 'Please verify your email address first' });
+    }
+    next();
+  } catch (error) {
+    console.error('Verify email check error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = { auth, optionalAuth, getToken, isEmailVerified, requireVerifiedEmail };
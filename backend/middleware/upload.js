@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const multer = require('multer');
+const config = require('../config');
+
+// Accepted image types and the extension each is stored under
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+};
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdir(config.UPLOAD_DIR, { recursive: true }, error => cb(error, config.UPLOAD_DIR));
+  },
+  // Random names never collide or get reused, so their URLs can be cached for good
+  filename: (req, file, cb) => {
+    cb(null, `${crypto.randomBytes(16).toString('hex')}.${IMAGE_TYPES[file.mimetype]}`);
+  },
+});
+
+const fileFilter = (req, file, cb) => {
+  if (!IMAGE_TYPES[file.mimetype]) {
+    return cb(Object.assign(new Error('Unsupported file type'), { code: 'UNSUPPORTED_TYPE' }));
+  }
+  cb(null, true);
+};
+
+// Work out the real image type from the first bytes of the file
+const sniffImageType = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer } = await handle.read(Buffer.alloc(12), 0, 12, 0);
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (buffer.toString('hex', 0, 8) === '89504e470d0a1a0a') return 'image/png';
+    if (/^GIF8[79]a$/.test(buffer.toString('ascii', 0, 6))) return 'image/gif';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+    return null;
+  } finally {
+    await handle.close();
+  }
+};
+
+const unsupportedType = res =>
+  res.status(415).json({ message: 'Only JPEG, PNG, GIF or WebP images can be uploaded' });
+
+// Accept a single image in `field` and store it in UPLOAD_DIR. The file ends
+// up on req.file; anything that isn't a real image within the size limit is
+// rejected before the route runs.
+const uploadImage = field => (req, res, next) => {
+  const upload = multer({
+    storage,
+    fileFilter,
+    limits: { fileSize: config.UPLOAD_MAX_BYTES, files: 1 },
+  }).single(field);
+
+  upload(req, res, async (error) => {
+    if (error) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        const megabytes = Math.round(config.UPLOAD_MAX_BYTES / 1024 / 1024 * 10) / 10;
+        return res.status(413).json({ message: `Image must be at most ${megabytes} MB` });
+      }
+      if (error.code === 'UNSUPPORTED_TYPE') {
+        return unsupportedType(res);
+      }
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({ message: error.message });
+      }
+      return next(error);
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'No image uploaded' });
+    }
+
+    try {
+      // The declared type comes from the client, so check the bytes agree
+      if (await sniffImageType(req.file.path) !== req.file.mimetype) {
+        await fs.promises.unlink(req.file.path);
+        return unsupportedType(res);
+      }
+      next();
+    } catch (sniffError) {
+      next(sniffError);
+    }
+  });
+};
+
+module.exports = { uploadImage };
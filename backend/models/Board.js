@@ -16,6 +16,16 @@ const boardSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
+  // Private boards are only visible to their owner
+  isPrivate: {
+    type: Boolean,
+    default: false,
+  },
+  // Slug of the Category the board is filed under
+  category: {
+    type: String,
+    default: null,
+  },
   pins: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Pin',
@@ -26,4 +36,7 @@ const boardSchema = new mongoose.Schema({
   },
 });
 
+// Finding the boards a pin was saved to, for related pins
+boardSchema.index({ pins: 1 });
+
 module.exports = mongoose.model('Board', boardSchema); 
\ No newline at end of file
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A topic pins and boards are filed under. Topics are two levels deep: a
+// top-level category and the subcategories under it. utils/categories holds
+// the built-in taxonomy.
+const categorySchema = new mongoose.Schema({
+  // Stable id used in URLs and stored on pins and boards, e.g. "home-decor"
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Slug of the top-level category this one sits under, or null for a
+  // top-level one. Not called `parent`, which would shadow Document#parent().
+  parentCategory: {
+    type: String,
+    default: null,
+  },
+  // MaterialCommunityIcons name the app shows on the category's chip
+  icon: {
+    type: String,
+    default: 'shape',
+  },
+  // Position among its siblings
+  sortOrder: {
+    type: Number,
+    default: 0,
+  },
+});
+
+categorySchema.index({ parentCategory: 1, sortOrder: 1 });
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { REACTION_TYPES } = require('../utils/reactions');
 
 const commentSchema = new mongoose.Schema({
   text: {
@@ -17,10 +18,50 @@ const commentSchema = new mongoose.Schema({
     ref: 'Pin',
     required: true,
   },
+  // @username mentions in the text that name existing users, with the
+  // range of the text each one covers
+  mentions: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    username: String,
+    start: Number,
+    end: Number,
+  }],
+  // Top-level comment this one replies to. Replies to a reply join the same
+  // thread, so threads are one level deep. Not called `parent`, which would
+  // shadow Document#parent().
+  parentComment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+  },
+  // Kept in step with the replies in this comment's thread
+  replyCount: {
+    type: Number,
+    default: 0,
+  },
+  // Kept in step with the CommentReaction documents, by reaction type
+  reactionCounts: Object.fromEntries(
+    REACTION_TYPES.map(type => [type, { type: Number, default: 0 }])
+  ),
+  // Set when the author edits the text
+  editedAt: {
+    type: Date,
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+// Comments and threads are paged oldest first by _id
+commentSchema.index({ pin: 1, parentComment: 1, _id: 1 });
+commentSchema.index({ parentComment: 1, _id: 1 });
+// Trending scores scan everything created within a time window
+commentSchema.index({ createdAt: 1 });
+
 module.exports = mongoose.model('Comment', commentSchema); 
\ No newline at end of file
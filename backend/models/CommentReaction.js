@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { REACTION_TYPES } = require('../utils/reactions');
+
+// One user's reaction to one comment. Comment.reactionCounts mirrors the
+// number of these per type.
+const commentReactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    required: true,
+  },
+  // The comment's pin, so a deleted pin's reactions go in one query
+  pin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pin',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: REACTION_TYPES,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+commentReactionSchema.index({ comment: 1, user: 1 }, { unique: true });
+commentReactionSchema.index({ user: 1 });
+commentReactionSchema.index({ pin: 1 });
+
+module.exports = mongoose.model('CommentReaction', commentReactionSchema);
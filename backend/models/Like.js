@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One user liking one pin. Pin.likeCount mirrors the number of these.
+const likeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  pin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pin',
+    required: true,
+  },
+  // Copied from the pin, so a user's likes can skip pins from owners hidden
+  // from the viewer without joining every pin
+  pinOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+likeSchema.index({ pin: 1, user: 1 }, { unique: true });
+likeSchema.index({ pin: 1, createdAt: -1 });
+likeSchema.index({ user: 1, createdAt: -1 });
+// Trending scores scan everything created within a time window
+likeSchema.index({ createdAt: 1 });
+
+module.exports = mongoose.model('Like', likeSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Failed login counter for one IP address or one account
+const loginThrottleSchema = new mongoose.Schema({
+  // 'ip:<address>' or 'account:<email>'
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  lastFailureAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A day without failures wipes the slate clean
+loginThrottleSchema.index({ lastFailureAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
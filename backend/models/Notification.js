@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Something another user did that concerns this user, such as mentioning
+// them in a pin description or a comment
+const notificationSchema = new mongoose.Schema({
+  // Who the notification is for
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Who caused it
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['mention'],
+    required: true,
+  },
+  pin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pin',
+    default: null,
+  },
+  // Set when the mention is in a comment rather than the pin description
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+  },
+  read: {
+    type: Boolean,
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ pin: 1 });
+notificationSchema.index({ comment: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -20,10 +20,52 @@ const pinSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
+  // Slug of the Category the pin is filed under
+  category: {
+    type: String,
+    default: null,
+    index: true,
+  },
+  // Normalized by utils/tags: the ones given when the pin was made or edited,
+  // plus the description's #hashtags
+  tags: {
+    type: [String],
+    default: [],
+  },
+  // @username mentions in the description that name existing users, with the
+  // range of the text each one covers
+  mentions: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    username: String,
+    start: Number,
+    end: Number,
+  }],
+  // Kept in step with the Like documents for this pin
+  likeCount: {
+    type: Number,
+    default: 0,
+  },
+  // Kept in step with the Save documents for this pin
+  saveCount: {
+    type: Number,
+    default: 0,
+  },
+  // Kept in step with the Comment documents for this pin
+  commentCount: {
+    type: Number,
+    default: 0,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+// Tag pages list a tag's pins newest first
+pinSchema.index({ tags: 1, createdAt: -1 });
+
 module.exports = mongoose.model('Pin', pinSchema); 
\ No newline at end of file
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// How many times a pin was opened within one hour. Trending scores read
+// these; a bucket expires once it is too old to count for any time window.
+const pinViewSchema = new mongoose.Schema({
+  pin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pin',
+    required: true,
+  },
+  // Start of the hour the views fall in
+  hour: {
+    type: Date,
+    required: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+});
+
+pinViewSchema.index({ pin: 1, hour: 1 }, { unique: true });
+pinViewSchema.index({ hour: 1 }, { expireAfterSeconds: 35 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('PinView', pinViewSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One user saving a pin to one of their boards. The pin itself is shared,
+// so the save always points back at the original and its creator.
+// Board.pins lists the same pins for display, and Pin.saveCount mirrors the
+// number of these.
+const saveSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true,
+  },
+  pin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pin',
+    required: true,
+  },
+  // The pin's creator, copied from the pin at the time of the save
+  pinOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+saveSchema.index({ board: 1, pin: 1 }, { unique: true });
+saveSchema.index({ pin: 1, user: 1 });
+saveSchema.index({ user: 1, createdAt: -1 });
+// Counting the saves of a creator's pins for their profile
+saveSchema.index({ pinOwner: 1, user: 1 });
+// Trending scores scan everything created within a time window
+saveSchema.index({ createdAt: 1 });
+
+module.exports = mongoose.model('Save', saveSchema);
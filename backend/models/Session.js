@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Refresh tokens rotate underneath it, so a session
+// outlives any single token and is what the user sees and revokes.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  deviceName: {
+    type: String,
+    default: '',
+  },
+  platform: {
+    type: String,
+    default: '',
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  // Bumped whenever the session's refresh token is rotated
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Pushed forward along with each new refresh token
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -18,6 +18,38 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  // TOTP second factor. The secrets are never selected unless asked for.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: {
+      type: String,
+      select: false,
+    },
+    // Set during enrollment until the first code confirms it
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    backupCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: { type: Date, default: null },
+      }],
+      select: false,
+    },
+  },
   bio: {
     type: String,
     default: '',
@@ -40,6 +72,60 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Pending requests to follow this user while the profile is private
+  followRequests: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Users this user has blocked: no follows or interactions either way, and
+  // neither sees the other's content
+  blocked: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Users whose content is left out of this user's feeds
+  muted: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Pins this user asked not to be shown again among related pins
+  hiddenPins: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pin'
+  }],
+  // Tags whose pins show up in this user's home feed, normalized by
+  // utils/tags
+  followedTags: {
+    type: [String],
+    default: [],
+    index: true,
+  },
+  privacy: {
+    profileVisibility: {
+      type: String,
+      enum: ['public', 'private'],
+      default: 'public',
+    },
+    showEmail: {
+      type: Boolean,
+      default: false,
+    },
+    showLocation: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  // App preferences synced across devices, each stored as { value, updatedAt }.
+  // utils/settings defines the fields and validates them.
+  settings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  // Set when the owner asks to delete the account; purged once it passes
+  deletionScheduledAt: {
+    type: Date,
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
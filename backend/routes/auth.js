@@ -1,19 +1,96 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Pin = require('../models/Pin');
+const Board = require('../models/Board');
+const Save = require('../models/Save');
+const LoginEvent = require('../models/LoginEvent');
+const Session = require('../models/Session');
+const { auth, optionalAuth } = require('../middleware/auth');
 const config = require('../config');
+const { sendMail } = require('../utils/mailer');
+const {
+  hashToken,
+  describeDevice,
+  issueTokens,
+  createChallengeToken,
+  verifyChallengeToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+  revokeSession,
+  createUserToken,
+  findUserToken,
+  consumeUserToken,
+} = require('../utils/tokens');
+const {
+  throttleKeys,
+  getRetryAfter,
+  recordFailure,
+  clearAccountFailures,
+} = require('../utils/loginThrottle');
+const {
+  validateUsername,
+  validateEmail,
+  validatePassword,
+  isUsernameTaken,
+  collectErrors,
+  validationError,
+} = require('../utils/validation');
+const {
+  generateSecret,
+  verifyCode,
+  otpauthUrl,
+  generateBackupCodes,
+  normalizeBackupCode,
+} = require('../utils/totp');
+const { isPrivate, canViewProfile, hiddenFields } = require('../utils/privacy');
+
+// Mail a fresh verification link, invalidating any earlier one
+const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(
+    user._id,
+    'email-verification',
+    config.EMAIL_VERIFICATION_TTL_HOURS * 60
+  );
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Please confirm your email address by opening this link:',
+      `${config.SERVER_URL}/api/auth/verify/${token}`,
+      '',
+      `The link expires in ${config.EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+    ].join('\n'),
+  });
+};
 
 // Register
 router.post('/register', async (req, res) => {
   try {
-    const { username, email, password } = req.body;
+    const { password } = req.body;
+    const username = typeof req.body.username === 'string' ? req.body.username.trim() : req.body.username;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : req.body.email;
 
-    // Check if user exists
-    let user = await User.findOne({ email });
-    if (user) {
-      return res.status(400).json({ message: 'User already exists' });
+    const errors = collectErrors({
+      username: validateUsername(username),
+      email: validateEmail(email),
+      password: validatePassword(password, { username, email }),
+    });
+
+    // Uniqueness is only worth checking for well-formed values
+    if (!errors.username && await isUsernameTaken(username)) {
+      errors.username = 'Username is already taken';
+    }
+    if (!errors.email && await User.exists({ email })) {
+      errors.email = 'Email is already registered';
+    }
+    if (Object.keys(errors).length > 0) {
+      return validationError(res, errors);
     }
 
     // Hash password
@@ -21,7 +98,7 @@ router.post('/register', async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, salt);
 
     // Create user
-    user = new User({
+    const user = new User({
       username,
       email,
       password: hashedPassword,
@@ -29,79 +106,584 @@ router.post('/register', async (req, res) => {
 
     await user.save();
 
-    // Create token
-    const token = jwt.sign(
-      { userId: user._id },
-      config.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // The account works without it, so a mail outage must not fail signup
+    await sendVerificationEmail(user).catch((error) => {
+      console.error('Send verification email error:', error);
+    });
+
+    // Create tokens
+    const { token, refreshToken } = await issueTokens(user._id, describeDevice(req));
 
     res.status(201).json({
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: false,
       },
     });
   } catch (error) {
+    // Lost a race with a concurrent signup for the same username or email
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyValue || {})[0] || 'email';
+      return validationError(res, { [field]: `${field === 'username' ? 'Username' : 'Email'} is already taken` });
+    }
     console.error('Register error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Tell the client how long a locked-out IP or account has to wait
+const sendLockedOut = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: 'Too many failed login attempts. Please try again later.',
+    retryAfter,
+  });
+};
+
+const recordLoginEvent = (req, user, success) =>
+  LoginEvent.create({ user: user._id, success, ip: req.ip, userAgent: req.get('User-Agent') || '' });
+
+// Final step of every successful login: record it and hand out tokens
+const completeLogin = async (req, res, user, keys) => {
+  await clearAccountFailures(keys);
+  await recordLoginEvent(req, user, true);
+
+  const { token, refreshToken } = await issueTokens(user._id, describeDevice(req));
+
+  res.json({
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+      deletionScheduledAt: user.deletionScheduledAt,
+    },
+  });
+};
+
+// Accept either a current TOTP code or an unused backup code. Both are
+// claimed atomically so a code only ever works once.
+const checkSecondFactor = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.secret');
+  if (!user || !user.twoFactor?.secret) {
+    return false;
+  }
+
+  const step = verifyCode(user.twoFactor.secret, code);
+  if (step !== null) {
+    const result = await User.updateOne(
+      {
+        _id: userId,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }],
+      },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const backupCode = normalizeBackupCode(code);
+  if (!backupCode) {
+    return false;
+  }
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      'twoFactor.backupCodes': { $elemMatch: { codeHash: hashToken(backupCode), usedAt: null } },
+    },
+    { $set: { 'twoFactor.backupCodes.$.usedAt': new Date() } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Fresh backup codes: the plain codes for the user, the hashes for storage
+const createBackupCodes = () => {
+  const codes = generateBackupCodes();
+  return {
+    codes,
+    stored: codes.map(code => ({ codeHash: hashToken(normalizeBackupCode(code)), usedAt: null })),
+  };
+};
+
 // Login
 router.post('/login', async (req, res) => {
   try {
-    console.log('Login request received:', {
-      body: req.body,
-      headers: req.headers
+    const { password } = req.body;
+    const errors = collectErrors({
+      email: typeof req.body.email === 'string' && req.body.email.trim() ? null : 'Email is required',
+      password: typeof password === 'string' && password ? null : 'Password is required',
     });
-    const { email, password } = req.body;
+    if (Object.keys(errors).length) {
+      return validationError(res, errors);
+    }
+    // Stored emails are trimmed and lowercased; the throttle key matches
+    const email = req.body.email.trim().toLowerCase();
+    const keys = throttleKeys(req.ip, email);
+
+    // Refuse outright while this IP or account is locked out
+    const retryAfter = await getRetryAfter(keys);
+    if (retryAfter > 0) {
+      return sendLockedOut(res, retryAfter);
+    }
 
     // Check if user exists
     const user = await User.findOne({ email });
     if (!user) {
+      await recordFailure(keys);
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
     // Check password
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      await recordFailure(keys);
+      await recordLoginEvent(req, user, false);
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Create token
-    const token = jwt.sign(
-      { userId: user._id },
-      config.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // With 2FA on, the password only earns a challenge for /login/2fa. The
+    // failure counters are left alone until the code is accepted too.
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(user._id),
+      });
+    }
 
-    res.json({
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-      },
-    });
+    await completeLogin(req, res, user, keys);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get current user
-router.get('/me', async (req, res) => {
+// Second login step for accounts with 2FA
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const userId = challengeToken ? verifyChallengeToken(challengeToken) : null;
+    const user = userId ? await User.findById(userId) : null;
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({ message: 'Login session expired. Please sign in again.' });
+    }
+
+    const keys = throttleKeys(req.ip, user.email);
+    const retryAfter = await getRetryAfter(keys);
+    if (retryAfter > 0) {
+      return sendLockedOut(res, retryAfter);
+    }
+
+    if (!(await checkSecondFactor(user._id, code))) {
+      await recordFailure(keys);
+      await recordLoginEvent(req, user, false);
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    await completeLogin(req, res, user, keys);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Recent sign-in attempts on the current account
+router.get('/login-history', auth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const events = await LoginEvent.find({ user: req.userId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('success ip userAgent createdAt');
+    res.json(events);
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const rotated = await rotateRefreshToken(refreshToken, req.ip);
+    if (!rotated) {
+      return res.status(401).json({ message: 'Refresh token is not valid' });
+    }
+
+    res.json({ token: rotated.token, refreshToken: rotated.refreshToken });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Logout
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (refreshToken) {
+      await revokeRefreshToken(refreshToken);
+    }
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Devices currently signed in to this account, most recently active first
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastSeenAt: -1 })
+      .select('deviceName platform ip userAgent createdAt lastSeenAt');
+
+    res.json(sessions.map(session => ({
+      id: session._id,
+      deviceName: session.deviceName,
+      platform: session.platform,
+      ip: session.ip,
+      userAgent: session.userAgent,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      current: String(session._id) === String(req.sessionId),
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign out every session except the one making the request
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    if (!req.sessionId) {
+      return res.status(400).json({ message: 'Please sign in again to manage your devices' });
+    }
+
+    await revokeAllRefreshTokens(req.userId, req.sessionId);
+    res.json({ message: 'Signed out of all other devices' });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign out a single session, e.g. a lost phone
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const revoked = await revokeSession(req.userId, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change password
+router.post('/change-password', auth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword) {
+      return res.status(400).json({ message: 'Current password is required' });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const passwordError = validatePassword(newPassword, { username: user.username, email: user.email });
+    if (passwordError) {
+      return validationError(res, { newPassword: passwordError });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
+    await user.save();
+
+    // Sign out every other device and hand this one a fresh pair
+    await revokeAllRefreshTokens(user._id);
+    const { token, refreshToken } = await issueTokens(user._id, describeDevice(req));
+
+    res.json({ message: 'Password updated', token, refreshToken });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Request a password reset email
+router.post('/forgot-password', async (req, res) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '') || req.header('x-auth-token');
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    // Same answer whether or not the account exists, so emails can't be probed
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (user) {
+      const token = await createUserToken(user._id, 'password-reset', config.PASSWORD_RESET_TTL_MINUTES);
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: [
+          `Hi ${user.username},`,
+          '',
+          'Use the link below to choose a new password:',
+          `${config.CLIENT_URL}/reset-password?token=${token}`,
+          '',
+          `Reset code: ${token}`,
+          `It expires in ${config.PASSWORD_RESET_TTL_MINUTES} minutes and can be used once.`,
+          'If you did not ask for this, you can ignore this email.',
+        ].join('\n'),
+      });
+    }
+
+    res.json({ message: 'If that email is registered, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reset password with an emailed token
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
     if (!token) {
-      return res.status(401).json({ message: 'No token, authorization denied' });
+      return res.status(400).json({ message: 'Reset token is required' });
     }
 
-    const decoded = jwt.verify(token, config.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    // Check the password against the account before using the token up, so
+    // a rejected password leaves the link working
+    const tokenUserId = await findUserToken(token, 'password-reset');
+    const user = tokenUserId ? await User.findById(tokenUserId).select('username email') : null;
+    if (!user) {
+      return res.status(400).json({ message: 'Reset token is invalid or has expired' });
+    }
+    const passwordError = validatePassword(newPassword, { username: user.username, email: user.email });
+    if (passwordError) {
+      return validationError(res, { newPassword: passwordError });
+    }
+
+    const userId = await consumeUserToken(token, 'password-reset');
+    if (!userId) {
+      return res.status(400).json({ message: 'Reset token is invalid or has expired' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(newPassword, salt);
+    await User.findByIdAndUpdate(userId, { password: hashedPassword });
+    await revokeAllRefreshTokens(userId);
+
+    res.json({ message: 'Password has been reset' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Confirm an email address from the emailed link
+router.get('/verify/:token', async (req, res) => {
+  try {
+    const userId = await consumeUserToken(req.params.token, 'email-verification');
+    if (!userId) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    await User.findByIdAndUpdate(userId, { emailVerified: true });
+    res.json({ message: 'Email verified' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send another verification email
+router.post('/verify/resend', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start 2FA enrollment. The secret stays pending until a code confirms it.
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': secret });
+
+    res.json({
+      secret,
+      otpauthUrl: otpauthUrl(secret, user.email, config.TWO_FACTOR_ISSUER),
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Finish enrollment with a code from the authenticator app
+router.post('/2fa/verify', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('+twoFactor.pendingSecret');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    const pendingSecret = user.twoFactor?.pendingSecret;
+    if (!pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyCode(pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    const backupCodes = createBackupCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.secret': pendingSecret,
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.backupCodes': backupCodes.stored,
+        },
+        $unset: { 'twoFactor.pendingSecret': '' },
+      }
+    );
+
+    res.json({ message: 'Two-factor authentication enabled', backupCodes: backupCodes.codes });
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Turn 2FA off. Needs both the password and a current code.
+router.post('/2fa/disable', auth, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    if (!password) {
+      return res.status(400).json({ message: 'Password is required' });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+    if (!(await checkSecondFactor(user._id, code))) {
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': '',
+          'twoFactor.pendingSecret': '',
+          'twoFactor.lastUsedStep': '',
+          'twoFactor.backupCodes': '',
+        },
+      }
+    );
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace all backup codes, e.g. after most have been used up
+router.post('/2fa/backup-codes', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!(await checkSecondFactor(user._id, req.body.code))) {
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    const backupCodes = createBackupCodes();
+    await User.updateOne({ _id: user._id }, { 'twoFactor.backupCodes': backupCodes.stored });
+
+    res.json({ backupCodes: backupCodes.codes });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get current user
+router.get('/me', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('-password');
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
@@ -109,7 +691,142 @@ router.get('/me', async (req, res) => {
     res.json(user);
   } catch (error) {
     console.error('Get current user error:', error);
-    res.status(401).json({ message: 'Token is not valid' });
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get public profile of any user
+router.get('/user/:userId', optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.userId).select(
+      'username email bio avatar location website followers following followRequests blocked privacy createdAt'
+    );
+    const isViewer = id => Boolean(req.userId) && String(id) === req.userId;
+    // To someone they have blocked, a user does not exist
+    if (!user || user.blocked.some(isViewer)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const viewer = req.userId && !isViewer(user._id)
+      ? await User.findById(req.userId).select('blocked muted')
+      : null;
+    const isTarget = id => String(id) === String(user._id);
+    const relationship = {
+      isPrivate: isPrivate(user),
+      isFollowing: user.followers.some(isViewer),
+      requested: user.followRequests.some(isViewer),
+      isBlocked: Boolean(viewer) && viewer.blocked.some(isTarget),
+      isMuted: Boolean(viewer) && viewer.muted.some(isTarget),
+    };
+
+    // Private profiles show only who they are until the follow is approved,
+    // and blocked ones only enough to unblock them
+    if (relationship.isBlocked || !canViewProfile(user, req.userId)) {
+      return res.json({
+        _id: user._id,
+        username: user.username,
+        avatar: user.avatar,
+        ...relationship,
+        canView: false,
+        stats: {
+          followers: user.followers.length,
+          following: user.following.length,
+        },
+      });
+    }
+
+    // Other viewers only count the boards they can open
+    const boardFilter = isViewer(user._id) ? { user: user._id } : { user: user._id, isPrivate: { $ne: true } };
+    const [pinCount, boardCount, saveCount] = await Promise.all([
+      Pin.countDocuments({ user: user._id }),
+      Board.countDocuments(boardFilter),
+      // Saves of this user's pins by someone else
+      Save.countDocuments({ pinOwner: user._id, user: { $ne: user._id } }),
+    ]);
+
+    const profile = {
+      _id: user._id,
+      username: user.username,
+      email: user.email,
+      bio: user.bio,
+      avatar: user.avatar,
+      location: user.location,
+      website: user.website,
+      createdAt: user.createdAt,
+      ...relationship,
+      canView: true,
+      stats: {
+        followers: user.followers.length,
+        following: user.following.length,
+        pins: pinCount,
+        boards: boardCount,
+        saves: saveCount,
+      },
+    };
+    for (const field of hiddenFields(user, req.userId)) {
+      delete profile[field];
+    }
+    res.json(profile);
+  } catch (error) {
+    console.error('Get user profile error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Schedule deletion of the current account
+router.delete('/me', auth, async (req, res) => {
+  try {
+    const { password } = req.body;
+    if (!password) {
+      return res.status(400).json({ message: 'Password is required' });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    user.deletionScheduledAt = new Date(
+      Date.now() + config.ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+    );
+    await user.save();
+    await revokeAllRefreshTokens(user._id);
+
+    res.status(202).json({
+      message: 'Account scheduled for deletion. Log in before then and choose to keep your account to cancel.',
+      deletionScheduledAt: user.deletionScheduledAt,
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a pending account deletion
+router.post('/me/cancel-deletion', auth, async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.userId, deletionScheduledAt: { $ne: null } },
+      { deletionScheduledAt: null },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ message: 'No pending deletion for this account' });
+    }
+
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
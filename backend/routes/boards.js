@@ -1,11 +1,34 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Board = require('../models/Board');
+const Pin = require('../models/Pin');
+const { auth, optionalAuth, isEmailVerified } = require('../middleware/auth');
+const { hiddenUserIds, contentAccess } = require('../utils/privacy');
+const { savePinToBoard, removePinFromBoard, clearBoardSaves } = require('../utils/saves');
+const { validateCategory } = require('../utils/categories');
+const { validationError } = require('../utils/validation');
 
 // Get all boards for a user
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', optionalAuth, async (req, res) => {
   try {
-    const boards = await Board.find({ user: req.params.userId }).sort({ createdAt: -1 });
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    const access = await contentAccess(req.params.userId, req.userId);
+    if (access === 'blocked') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (access === 'private') {
+      return res.status(403).json({ message: 'This account is private' });
+    }
+
+    // Owners see their private boards too
+    const filter = { user: req.params.userId };
+    if (req.userId !== req.params.userId) {
+      filter.isPrivate = { $ne: true };
+    }
+    const boards = await Board.find(filter).sort({ createdAt: -1 });
     res.json(boards);
   } catch (error) {
     console.error('Get boards error:', error);
@@ -14,12 +37,20 @@ router.get('/user/:userId', async (req, res) => {
 });
 
 // Get board by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const board = await Board.findById(req.params.id).populate('pins');
-    if (!board) {
+    if (
+      !board ||
+      (board.isPrivate && String(board.user) !== req.userId) ||
+      (await contentAccess(board.user, req.userId)) !== 'visible'
+    ) {
       return res.status(404).json({ message: 'Board not found' });
     }
+
+    // Saved pins can come from anyone, including users hidden from the viewer
+    const hidden = new Set((await hiddenUserIds(req.userId)).map(String));
+    board.pins = board.pins.filter(pin => !hidden.has(String(pin.user)));
     res.json(board);
   } catch (error) {
     console.error('Get board error:', error);
@@ -28,13 +59,23 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create board
-router.post('/', async (req, res) => {
+router.post('/', auth, async (req, res) => {
   try {
-    const { title, description, userId } = req.body;
+    const { title, description, category } = req.body;
+    const categoryError = await validateCategory(category);
+    if (categoryError) {
+      return validationError(res, { category: categoryError });
+    }
+    const isPrivate = req.body.isPrivate === true;
+    if (!isPrivate && !(await isEmailVerified(req.userId))) {
+      return res.status(403).json({ message: 'Verify your email address to create public boards' });
+    }
     const board = new Board({
       title,
       description,
-      user: userId,
+      isPrivate,
+      category: category || null,
+      user: req.userId,
     });
     await board.save();
     res.status(201).json(board);
@@ -45,17 +86,31 @@ router.post('/', async (req, res) => {
 });
 
 // Update board
-router.put('/:id', async (req, res) => {
+router.put('/:id', auth, async (req, res) => {
   try {
-    const { title, description } = req.body;
-    const board = await Board.findByIdAndUpdate(
-      req.params.id,
-      { title, description },
-      { new: true }
-    );
-    if (!board) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(404).json({ message: 'Board not found' });
     }
+    const { title, description, isPrivate, category } = req.body;
+    const categoryError = await validateCategory(category);
+    if (categoryError) {
+      return validationError(res, { category: categoryError });
+    }
+    const existing = await Board.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Board not found' });
+    }
+    if (existing.user.toString() !== req.userId) {
+      return res.status(403).json({ message: 'Not authorized to modify this board' });
+    }
+    const update = { title, description, category };
+    if (typeof isPrivate === 'boolean') {
+      if (!isPrivate && existing.isPrivate && !(await isEmailVerified(req.userId))) {
+        return res.status(403).json({ message: 'Verify your email address to make boards public' });
+      }
+      update.isPrivate = isPrivate;
+    }
+    const board = await Board.findByIdAndUpdate(req.params.id, update, { new: true });
     res.json(board);
   } catch (error) {
     console.error('Update board error:', error);
@@ -64,12 +119,20 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete board
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', auth, async (req, res) => {
   try {
-    const board = await Board.findByIdAndDelete(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Board not found' });
+    }
+    const board = await Board.findById(req.params.id);
     if (!board) {
       return res.status(404).json({ message: 'Board not found' });
     }
+    if (board.user.toString() !== req.userId) {
+      return res.status(403).json({ message: 'Not authorized to delete this board' });
+    }
+    await clearBoardSaves(board._id);
+    await Board.findByIdAndDelete(req.params.id);
     res.json({ message: 'Board deleted' });
   } catch (error) {
     console.error('Delete board error:', error);
@@ -78,18 +141,32 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Add pin to board
-router.post('/:id/pins', async (req, res) => {
+router.post('/:id/pins', auth, async (req, res) => {
   try {
     const { pinId } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Board not found' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(pinId)) {
+      return res.status(404).json({ message: 'Pin not found' });
+    }
     const board = await Board.findById(req.params.id);
     if (!board) {
       return res.status(404).json({ message: 'Board not found' });
     }
-    if (!board.pins.includes(pinId)) {
-      board.pins.push(pinId);
-      await board.save();
+    if (board.user.toString() !== req.userId) {
+      return res.status(403).json({ message: 'Not authorized to modify this board' });
     }
-    res.json(board);
+    const pin = await Pin.findById(pinId).select('user');
+    const access = pin ? await contentAccess(pin.user, req.userId) : null;
+    if (!pin || access === 'private') {
+      return res.status(404).json({ message: 'Pin not found' });
+    }
+    if (access === 'blocked') {
+      return res.status(403).json({ message: 'You cannot save pins from this user' });
+    }
+    await savePinToBoard(pin, board._id, req.userId);
+    res.json(await Board.findById(board._id));
   } catch (error) {
     console.error('Add pin to board error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -97,15 +174,20 @@ router.post('/:id/pins', async (req, res) => {
 });
 
 // Remove pin from board
-router.delete('/:id/pins/:pinId', async (req, res) => {
+router.delete('/:id/pins/:pinId', auth, async (req, res) => {
   try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Board not found' });
+    }
     const board = await Board.findById(req.params.id);
     if (!board) {
       return res.status(404).json({ message: 'Board not found' });
     }
-    board.pins = board.pins.filter(pin => pin.toString() !== req.params.pinId);
-    await board.save();
-    res.json(board);
+    if (board.user.toString() !== req.userId) {
+      return res.status(403).json({ message: 'Not authorized to modify this board' });
+    }
+    await removePinFromBoard(req.params.pinId, board._id);
+    res.json(await Board.findById(board._id));
   } catch (error) {
     console.error('Remove pin from board error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const Category = require('../models/Category');
+const { categoryTree } = require('../utils/categories');
+
+// Get every category, top-level ones first in order with their subcategories
+router.get('/', async (req, res) => {
+  try {
+    res.json({ categories: await categoryTree() });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one category with its parent and subcategories
+router.get('/:slug', async (req, res) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug }).select('slug name parentCategory icon');
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const [parent, children] = await Promise.all([
+      category.parentCategory
+        ? Category.findOne({ slug: category.parentCategory }).select('slug name icon')
+        : null,
+      Category.find({ parentCategory: category.slug }).sort({ sortOrder: 1, name: 1 }).select('slug name icon'),
+    ]);
+    res.json({
+      slug: category.slug,
+      name: category.name,
+      icon: category.icon,
+      parent,
+      children,
+    });
+  } catch (error) {
+    console.error('Get category error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,310 @@
+const express = require('express');
+// Mounted under /api/pins/:id/comments, so req.params.id is the pin
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const CommentReaction = require('../models/CommentReaction');
+const Pin = require('../models/Pin');
+const { auth, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { parsePagination } = require('../utils/pagination');
+const { isBlocked, blockedUserIds, contentAccess } = require('../utils/privacy');
+const { findPinForInteraction } = require('../utils/pinAccess');
+const { deleteCommentThread, removeReaction } = require('../utils/comments');
+const { REACTION_TYPES } = require('../utils/reactions');
+const { resolveMentions, notifyMentions } = require('../utils/mentions');
+const { validateText, collectErrors, validationError } = require('../utils/validation');
+
+const MAX_COMMENT_LENGTH = 500;
+const AUTHOR_FIELDS = 'username avatar';
+
+const validateCommentText = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    return 'Comment text is required';
+  }
+  return validateText(text.trim(), 'Comment', MAX_COMMENT_LENGTH);
+};
+
+// Load the comment in req.params.commentId, which must belong to the pin.
+// Sends a 404 and resolves to null otherwise.
+const findComment = async (req, res) => {
+  const { id, commentId } = req.params;
+  const comment = mongoose.Types.ObjectId.isValid(commentId)
+    ? await Comment.findOne({ _id: commentId, pin: id })
+    : null;
+  if (!comment) {
+    res.status(404).json({ message: 'Comment not found' });
+    return null;
+  }
+  return comment;
+};
+
+// Load the pin in req.params.id for reading its comments. Sends a 404 and
+// resolves to null when it is missing or hidden from the viewer.
+const findVisiblePin = async (req, res) => {
+  const pin = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Pin.findById(req.params.id).select('user')
+    : null;
+  if (!pin || (await contentAccess(pin.user, req.userId)) !== 'visible') {
+    res.status(404).json({ message: 'Pin not found' });
+    return null;
+  }
+  return pin;
+};
+
+// One page of the comments matching `filter`, oldest first, leaving out users
+// blocked either way. Commenters with private profiles still show, since the
+// pin itself is visible. Each comment carries the viewer's own reaction.
+const commentPage = async (req, filter) => {
+  const { limit } = parsePagination(req.query);
+  const query = { ...filter, user: { $nin: await blockedUserIds(req.userId) } };
+  if (req.query.cursor) {
+    query._id = { $gt: req.query.cursor };
+  }
+
+  // One extra comment tells whether another page follows
+  const comments = await Comment.find(query)
+    .sort({ _id: 1 })
+    .limit(limit + 1)
+    .populate('user', AUTHOR_FIELDS);
+  const hasMore = comments.length > limit;
+  const page = comments.slice(0, limit);
+
+  const mine = req.userId && page.length
+    ? await CommentReaction.find({ user: req.userId, comment: { $in: page.map(comment => comment._id) } })
+      .select('comment type')
+    : [];
+  const myReactions = new Map(mine.map(reaction => [String(reaction.comment), reaction.type]));
+
+  return {
+    comments: page.map(comment => ({
+      ...comment.toObject(),
+      myReaction: myReactions.get(String(comment._id)) || null,
+    })),
+    nextCursor: hasMore ? page[page.length - 1]._id : null,
+    hasMore,
+  };
+};
+
+const cursorError = (cursor) =>
+  (cursor && !mongoose.Types.ObjectId.isValid(cursor) ? 'Cursor is not valid' : null);
+
+// Get one page of a pin's top-level comments. Pass the previous page's
+// nextCursor as ?cursor= for the next one; replies are fetched per thread.
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const pin = await findVisiblePin(req, res);
+    if (!pin) {
+      return;
+    }
+    const errors = collectErrors({ cursor: cursorError(req.query.cursor) });
+    if (Object.keys(errors).length) {
+      return validationError(res, errors);
+    }
+
+    res.json(await commentPage(req, { pin: pin._id, parentComment: null }));
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one page of the replies under a comment, paged the same way
+router.get('/:commentId/replies', optionalAuth, async (req, res) => {
+  try {
+    const pin = await findVisiblePin(req, res);
+    if (!pin) {
+      return;
+    }
+    const errors = collectErrors({ cursor: cursorError(req.query.cursor) });
+    if (Object.keys(errors).length) {
+      return validationError(res, errors);
+    }
+    const comment = await findComment(req, res);
+    if (!comment) {
+      return;
+    }
+
+    res.json(await commentPage(req, { parentComment: comment._id }));
+  } catch (error) {
+    console.error('Get replies error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Comment on a pin, or reply to one of its comments with `parent`. Users
+// mentioned in the text are notified.
+router.post('/', auth, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { parent: parentId } = req.body;
+    const errors = collectErrors({
+      text: validateCommentText(req.body.text),
+      parent: parentId != null && !mongoose.Types.ObjectId.isValid(parentId) ? 'Parent comment is not valid' : null,
+    });
+    if (Object.keys(errors).length) {
+      return validationError(res, errors);
+    }
+    const pin = await findPinForInteraction(req, res, 'user');
+    if (!pin) {
+      return;
+    }
+
+    let parent = null;
+    if (parentId != null) {
+      const target = await Comment.findOne({ _id: parentId, pin: pin._id }).select('user parentComment');
+      if (!target) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+      if (await isBlocked(target.user, req.userId)) {
+        return res.status(403).json({ message: 'You cannot reply to this comment' });
+      }
+      parent = target.parentComment || target._id;
+    }
+
+    const text = req.body.text.trim();
+    const comment = await Comment.create({
+      text,
+      user: req.userId,
+      pin: pin._id,
+      parentComment: parent,
+      mentions: await resolveMentions(text),
+    });
+    await Pin.updateOne({ _id: pin._id }, { $inc: { commentCount: 1 } });
+    if (parent) {
+      await Comment.updateOne({ _id: parent }, { $inc: { replyCount: 1 } });
+    }
+    await notifyMentions({ mentions: comment.mentions, actorId: req.userId, pin, comment });
+    await comment.populate('user', AUTHOR_FIELDS);
+    res.status(201).json(comment);
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Edit a comment. Only its author may, and only users it newly mentions
+// are notified.
+router.put('/:commentId', auth, async (req, res) => {
+  try {
+    const errors = collectErrors({ text: validateCommentText(req.body.text) });
+    if (Object.keys(errors).length) {
+      return validationError(res, errors);
+    }
+    const comment = await findComment(req, res);
+    if (!comment) {
+      return;
+    }
+    if (comment.user.toString() !== req.userId) {
+      return res.status(403).json({ message: 'Not authorized to modify this comment' });
+    }
+
+    const text = req.body.text.trim();
+    const mentions = await resolveMentions(text);
+    const updated = await Comment.findByIdAndUpdate(
+      comment._id,
+      { text, mentions, editedAt: new Date() },
+      { new: true }
+    ).populate('user', AUTHOR_FIELDS);
+    const pin = await Pin.findById(comment.pin).select('user');
+    if (pin) {
+      await notifyMentions({ mentions, previous: comment.mentions, actorId: req.userId, pin, comment });
+    }
+    res.json(updated);
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a comment along with its replies. Its author may, and so may the
+// pin's owner.
+router.delete('/:commentId', auth, async (req, res) => {
+  try {
+    const comment = await findComment(req, res);
+    if (!comment) {
+      return;
+    }
+    if (comment.user.toString() !== req.userId) {
+      const pin = await Pin.findById(comment.pin).select('user');
+      if (!pin || pin.user.toString() !== req.userId) {
+        return res.status(403).json({ message: 'Not authorized to delete this comment' });
+      }
+    }
+
+    await deleteCommentThread(comment);
+    res.json({ message: 'Comment deleted' });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// React to a comment, replacing any earlier reaction by the same user
+router.put('/:commentId/reaction', auth, async (req, res) => {
+  try {
+    const { type } = req.body;
+    if (!REACTION_TYPES.includes(type)) {
+      return validationError(res, { type: `Reaction must be one of: ${REACTION_TYPES.join(', ')}` });
+    }
+    const pin = await findPinForInteraction(req, res, 'user');
+    if (!pin) {
+      return;
+    }
+    const comment = await findComment(req, res);
+    if (!comment) {
+      return;
+    }
+    if (await isBlocked(comment.user, req.userId)) {
+      return res.status(403).json({ message: 'You cannot interact with this comment' });
+    }
+
+    // Resolves to the reaction as it was before, or null if this inserted it
+    let previous;
+    try {
+      previous = await CommentReaction.findOneAndUpdate(
+        { comment: comment._id, user: req.userId },
+        { $set: { type }, $setOnInsert: { pin: pin._id, createdAt: new Date() } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // A concurrent request inserted the same reaction first
+      if (error.code !== 11000) {
+        throw error;
+      }
+      previous = { type };
+    }
+
+    const inc = {};
+    if (!previous || previous.type !== type) {
+      inc[`reactionCounts.${type}`] = 1;
+    }
+    if (previous && previous.type !== type) {
+      inc[`reactionCounts.${previous.type}`] = -1;
+    }
+    const updated = Object.keys(inc).length
+      ? await Comment.findByIdAndUpdate(comment._id, { $inc: inc }, { new: true }).select('reactionCounts')
+      : comment;
+    res.json({ reaction: type, reactionCounts: updated.reactionCounts });
+  } catch (error) {
+    console.error('React to comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Withdraw the caller's reaction. Allowed even across a block.
+router.delete('/:commentId/reaction', auth, async (req, res) => {
+  try {
+    const comment = await findComment(req, res);
+    if (!comment) {
+      return;
+    }
+
+    await removeReaction(comment._id, req.userId);
+    const updated = await Comment.findById(comment._id).select('reactionCounts');
+    res.json({ reaction: null, reactionCounts: updated ? updated.reactionCounts : comment.reactionCounts });
+  } catch (error) {
+    console.error('Remove comment reaction error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,67 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Pin = require('../models/Pin');
+const Like = require('../models/Like');
+const Board = require('../models/Board');
+const Save = require('../models/Save');
+const Comment = require('../models/Comment');
+const CommentReaction = require('../models/CommentReaction');
+const Notification = require('../models/Notification');
+const PinView = require('../models/PinView');
+const User = require('../models/User');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { parsePagination } = require('../utils/pagination');
+const { hiddenUserIds, contentAccess } = require('../utils/privacy');
+const { savePinToBoard, removePinFromBoard } = require('../utils/saves');
+const { findPinForInteraction } = require('../utils/pinAccess');
+const { resolveMentions, notifyMentions } = require('../utils/mentions');
+const { parseHashtags, validateTags, collectTags } = require('../utils/tags');
+const { validateCategory, categoryCondition } = require('../utils/categories');
+const { recordView } = require('../utils/trending');
+const { rankRelatedPins } = require('../utils/related');
+const { collectErrors, validationError } = require('../utils/validation');
 
-// Get all pins
-router.get('/', async (req, res) => {
+// Narrow a pin listing's filter to ?category=, subcategories included.
+// Sends a 422 and resolves to false when there is no such category.
+const applyCategoryFilter = async (req, res, filter) => {
+  if (req.query.category === undefined) {
+    return true;
+  }
+  const condition = await categoryCondition(req.query.category);
+  if (!condition) {
+    validationError(res, { category: 'Category not found' });
+    return false;
+  }
+  filter.category = condition;
+  return true;
+};
+
+// Get all pins, optionally only those created by ?user= or filed under
+// ?category=. The feed leaves out private profiles the viewer does not
+// follow, blocked users and muted ones.
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const pins = await Pin.find().sort({ createdAt: -1 });
+    let filter;
+    if (req.query.user) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.user)) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      const access = await contentAccess(req.query.user, req.userId);
+      if (access === 'blocked') {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      if (access === 'private') {
+        return res.status(403).json({ message: 'This account is private' });
+      }
+      filter = { user: req.query.user };
+    } else {
+      filter = { user: { $nin: await hiddenUserIds(req.userId, { includeMuted: true }) } };
+    }
+    if (!(await applyCategoryFilter(req, res, filter))) {
+      return;
+    }
+    const pins = await Pin.find(filter).sort({ createdAt: -1 });
     res.json(pins);
   } catch (error) {
     console.error('Get pins error:', error);
@@ -13,31 +69,85 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get pin by ID
-router.get('/:id', async (req, res) => {
+// Get one page of the caller's home feed, newest first: their own pins, pins
+// by the people they follow and pins carrying a tag they follow. Takes
+// ?category= like the full listing.
+router.get('/feed', auth, async (req, res) => {
   try {
-    const pin = await Pin.findById(req.params.id);
-    if (!pin) {
+    const me = await User.findById(req.userId).select('following followedTags');
+    if (!me) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = {
+      user: { $nin: await hiddenUserIds(req.userId, { includeMuted: true }) },
+      $or: [
+        { user: { $in: [req.userId, ...me.following] } },
+        { tags: { $in: me.followedTags } },
+      ],
+    };
+    if (!(await applyCategoryFilter(req, res, filter))) {
+      return;
+    }
+    const [pins, total] = await Promise.all([
+      Pin.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Pin.countDocuments(filter),
+    ]);
+
+    res.json({ pins, page, limit, total, hasMore: skip + pins.length < total });
+  } catch (error) {
+    console.error('Get home feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get pin by ID, with its author and whether the viewer liked it. Counts as
+// a view for trending unless the owner is looking at their own pin.
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(404).json({ message: 'Pin not found' });
     }
-    res.json(pin);
+    const pin = await Pin.findById(req.params.id).populate('user', 'username avatar bio');
+    if (!pin || !pin.user || (await contentAccess(pin.user._id, req.userId)) !== 'visible') {
+      return res.status(404).json({ message: 'Pin not found' });
+    }
+    if (String(pin.user._id) !== req.userId) {
+      await recordView(pin._id);
+    }
+    const isLiked = Boolean(req.userId) && Boolean(await Like.exists({ pin: pin._id, user: req.userId }));
+    res.json({ ...pin.toObject(), isLiked });
   } catch (error) {
     console.error('Get pin error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Create pin
-router.post('/', async (req, res) => {
+// Create pin. Its tags are the ones sent plus the description's #hashtags,
+// and users mentioned in the description are notified.
+router.post('/', auth, async (req, res) => {
   try {
-    const { title, description, imageUrl, userId } = req.body;
+    const { title, description, imageUrl, tags, category } = req.body;
+    const errors = collectErrors({
+      tags: validateTags(tags),
+      category: await validateCategory(category),
+    });
+    if (Object.keys(errors).length) {
+      return validationError(res, errors);
+    }
     const pin = new Pin({
       title,
       description,
       imageUrl,
-      user: userId,
+      user: req.userId,
+      category: category || null,
+      tags: collectTags(tags, description),
+      // Ranges are taken on the text as stored, which is trimmed
+      mentions: await resolveMentions(description?.trim()),
     });
     await pin.save();
+    await notifyMentions({ mentions: pin.mentions, actorId: req.userId, pin });
     res.status(201).json(pin);
   } catch (error) {
     console.error('Create pin error:', error);
@@ -45,18 +155,42 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Update pin
-router.put('/:id', async (req, res) => {
+// Update pin. Only users newly mentioned in the description are notified.
+router.put('/:id', auth, async (req, res) => {
   try {
-    const { title, description } = req.body;
-    const pin = await Pin.findByIdAndUpdate(
-      req.params.id,
-      { title, description },
-      { new: true }
-    );
-    if (!pin) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(404).json({ message: 'Pin not found' });
     }
+    const { title, description, tags, category } = req.body;
+    const errors = collectErrors({
+      tags: validateTags(tags),
+      category: await validateCategory(category),
+    });
+    if (Object.keys(errors).length) {
+      return validationError(res, errors);
+    }
+    const existing = await Pin.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Pin not found' });
+    }
+    if (existing.user.toString() !== req.userId) {
+      return res.status(403).json({ message: 'Not authorized to modify this pin' });
+    }
+    const update = { title, description, category };
+    if (description !== undefined) {
+      update.mentions = await resolveMentions(description?.trim());
+    }
+    if (tags !== undefined || description !== undefined) {
+      // Without new tags, the ones given before stay and the old
+      // description's hashtags give way to the new one's
+      const oldHashtags = new Set(parseHashtags(existing.description));
+      const explicit = tags !== undefined ? tags : (existing.tags || []).filter(tag => !oldHashtags.has(tag));
+      update.tags = collectTags(explicit, description !== undefined ? description : existing.description);
+    }
+    const pin = await Pin.findByIdAndUpdate(req.params.id, update, { new: true });
+    if (update.mentions) {
+      await notifyMentions({ mentions: update.mentions, previous: existing.mentions, actorId: req.userId, pin });
+    }
     res.json(pin);
   } catch (error) {
     console.error('Update pin error:', error);
@@ -65,12 +199,27 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete pin
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', auth, async (req, res) => {
   try {
-    const pin = await Pin.findByIdAndDelete(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Pin not found' });
+    }
+    const pin = await Pin.findById(req.params.id);
     if (!pin) {
       return res.status(404).json({ message: 'Pin not found' });
     }
+    if (pin.user.toString() !== req.userId) {
+      return res.status(403).json({ message: 'Not authorized to delete this pin' });
+    }
+    await Pin.findByIdAndDelete(req.params.id);
+    await Like.deleteMany({ pin: req.params.id });
+    await Save.deleteMany({ pin: req.params.id });
+    await Comment.deleteMany({ pin: req.params.id });
+    await CommentReaction.deleteMany({ pin: req.params.id });
+    await Notification.deleteMany({ pin: req.params.id });
+    await PinView.deleteMany({ pin: req.params.id });
+    await User.updateMany({ hiddenPins: req.params.id }, { $pull: { hiddenPins: req.params.id } });
+    await Board.updateMany({ pins: req.params.id }, { $pull: { pins: req.params.id } });
     res.json({ message: 'Pin deleted' });
   } catch (error) {
     console.error('Delete pin error:', error);
@@ -78,4 +227,242 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// Like a pin. The upsert only inserts once per user and pin, and the count
+// only moves when it did, so repeating the request is harmless.
+router.post('/:id/like', auth, async (req, res) => {
+  try {
+    const pin = await findPinForInteraction(req, res);
+    if (!pin) {
+      return;
+    }
+
+    let added = false;
+    try {
+      const result = await Like.updateOne(
+        { pin: pin._id, user: req.userId },
+        { $setOnInsert: { pinOwner: pin.user, createdAt: new Date() } },
+        { upsert: true }
+      );
+      added = result.upsertedCount > 0;
+    } catch (error) {
+      // A concurrent request inserted the same like first
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    const likeCount = added
+      ? (await Pin.findByIdAndUpdate(pin._id, { $inc: { likeCount: 1 } }, { new: true }).select('likeCount')).likeCount
+      : pin.likeCount;
+    res.json({ liked: true, likeCount });
+  } catch (error) {
+    console.error('Like pin error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unlike a pin. Allowed even across a block, since it only takes back an
+// interaction.
+router.delete('/:id/like', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Pin not found' });
+    }
+    const pin = await Pin.findById(req.params.id).select('likeCount');
+    if (!pin) {
+      return res.status(404).json({ message: 'Pin not found' });
+    }
+
+    const { deletedCount } = await Like.deleteOne({ pin: pin._id, user: req.userId });
+    const likeCount = deletedCount > 0
+      ? (await Pin.findByIdAndUpdate(pin._id, { $inc: { likeCount: -1 } }, { new: true }).select('likeCount')).likeCount
+      : pin.likeCount;
+    res.json({ liked: false, likeCount });
+  } catch (error) {
+    console.error('Unlike pin error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one page of the users who liked a pin, newest first, each flagged with
+// whether the viewer follows them
+router.get('/:id/likes', optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Pin not found' });
+    }
+    const pin = await Pin.findById(req.params.id).select('user');
+    if (!pin || (await contentAccess(pin.user, req.userId)) !== 'visible') {
+      return res.status(404).json({ message: 'Pin not found' });
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { pin: pin._id, user: { $nin: await hiddenUserIds(req.userId) } };
+    const [likes, total, viewer] = await Promise.all([
+      Like.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).populate('user', 'username avatar bio'),
+      Like.countDocuments(filter),
+      req.userId ? User.findById(req.userId).select('following') : null,
+    ]);
+    const viewerFollows = new Set((viewer ? viewer.following : []).map(String));
+
+    res.json({
+      users: likes
+        .filter(like => like.user)
+        .map(({ user }) => ({
+          _id: user._id,
+          username: user.username,
+          avatar: user.avatar,
+          bio: user.bio,
+          isFollowing: viewerFollows.has(String(user._id)),
+        })),
+      page,
+      limit,
+      total,
+      hasMore: skip + likes.length < total,
+    });
+  } catch (error) {
+    console.error('Get pin likes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Load one of the caller's boards to save into. Sends the error response and
+// resolves to null when it is missing or belongs to someone else.
+const findOwnBoard = async (req, res, boardId) => {
+  const board = mongoose.Types.ObjectId.isValid(boardId) ? await Board.findById(boardId).select('user') : null;
+  if (!board) {
+    res.status(404).json({ message: 'Board not found' });
+    return null;
+  }
+  if (board.user.toString() !== req.userId) {
+    res.status(403).json({ message: 'Not authorized to modify this board' });
+    return null;
+  }
+  return board;
+};
+
+// Get one page of the pins related to a pin, best match first: pins sharing
+// its tags or boards, by the same creator, or in the same category family.
+// Leaves out users hidden from the viewer, muted ones and pins the viewer
+// hid.
+router.get('/:id/related', optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Pin not found' });
+    }
+    const pin = await Pin.findById(req.params.id).select('user tags category');
+    if (!pin || (await contentAccess(pin.user, req.userId)) !== 'visible') {
+      return res.status(404).json({ message: 'Pin not found' });
+    }
+
+    const [hiddenUsers, viewer] = await Promise.all([
+      hiddenUserIds(req.userId, { includeMuted: true }),
+      req.userId ? User.findById(req.userId).select('hiddenPins') : null,
+    ]);
+    const ranked = await rankRelatedPins(pin, { exclude: viewer?.hiddenPins || [], hiddenUsers });
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const pageIds = ranked.slice(skip, skip + limit).map(entry => entry.pin);
+    const loaded = await Pin.find({ _id: { $in: pageIds } }).populate('user', 'username avatar');
+    const byId = new Map(loaded.map(related => [String(related._id), related]));
+    const pins = pageIds.map(pinId => byId.get(pinId)).filter(Boolean);
+
+    res.json({ pins, page, limit, total: ranked.length, hasMore: skip + pageIds.length < ranked.length });
+  } catch (error) {
+    console.error('Get related pins error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Hide a pin from the caller's related pins
+router.post('/:id/hide', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Pin not found' });
+    }
+    if (!(await Pin.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ message: 'Pin not found' });
+    }
+
+    await User.updateOne({ _id: req.userId }, { $addToSet: { hiddenPins: req.params.id } });
+    res.json({ hidden: true });
+  } catch (error) {
+    console.error('Hide pin error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Show a hidden pin again. Works for pins deleted since.
+router.delete('/:id/hide', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Pin not found' });
+    }
+
+    await User.updateOne({ _id: req.userId }, { $pull: { hiddenPins: req.params.id } });
+    res.json({ hidden: false });
+  } catch (error) {
+    console.error('Unhide pin error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Save (repin) a pin to one of the caller's boards. Saving it to the same
+// board again is harmless.
+router.post('/:id/save', auth, async (req, res) => {
+  try {
+    const pin = await findPinForInteraction(req, res);
+    if (!pin) {
+      return;
+    }
+    const board = await findOwnBoard(req, res, req.body.boardId);
+    if (!board) {
+      return;
+    }
+
+    const added = await savePinToBoard(pin, board._id, req.userId);
+    const saveCount = added
+      ? (await Pin.findById(pin._id).select('saveCount')).saveCount
+      : pin.saveCount;
+    res.json({ saved: true, board: board._id, saveCount });
+  } catch (error) {
+    console.error('Save pin error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Take a pin off one of the caller's boards. Allowed even across a block.
+router.delete('/:id/save/:boardId', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Pin not found' });
+    }
+    const board = await findOwnBoard(req, res, req.params.boardId);
+    if (!board) {
+      return;
+    }
+
+    await removePinFromBoard(req.params.id, board._id);
+    const pin = await Pin.findById(req.params.id).select('saveCount');
+    res.json({ saved: false, board: board._id, saveCount: pin ? pin.saveCount : 0 });
+  } catch (error) {
+    console.error('Unsave pin error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Which of the caller's boards already contain a pin
+router.get('/:id/saved-boards', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Pin not found' });
+    }
+    const boards = await Board.find({ user: req.userId, pins: req.params.id }).select('title isPrivate');
+    res.json({ boards });
+  } catch (error) {
+    console.error('Get saved boards error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
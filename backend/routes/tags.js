@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const Pin = require('../models/Pin');
+const User = require('../models/User');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { parsePagination } = require('../utils/pagination');
+const { hiddenUserIds } = require('../utils/privacy');
+const { normalizeTag } = require('../utils/tags');
+
+// Related tags are drawn from this many of a tag's latest pins
+const RELATED_SAMPLE_SIZE = 500;
+
+// The tag in req.params.tag, normalized. Sends a 404 and returns null when
+// it is not a valid tag.
+const readTag = (req, res) => {
+  const tag = normalizeTag(req.params.tag);
+  if (!tag) {
+    res.status(404).json({ message: 'Tag not found' });
+  }
+  return tag;
+};
+
+// Get a tag's usage: how many of the pins the viewer can see carry it, how
+// many users follow it and whether the viewer does
+router.get('/:tag', optionalAuth, async (req, res) => {
+  try {
+    const tag = readTag(req, res);
+    if (!tag) {
+      return;
+    }
+
+    const hidden = await hiddenUserIds(req.userId);
+    const [pinCount, followerCount, following] = await Promise.all([
+      Pin.countDocuments({ tags: tag, user: { $nin: hidden } }),
+      User.countDocuments({ followedTags: tag }),
+      req.userId ? User.exists({ _id: req.userId, followedTags: tag }) : null,
+    ]);
+    res.json({ tag, pinCount, followerCount, isFollowing: Boolean(following) });
+  } catch (error) {
+    console.error('Get tag error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one page of the pins carrying a tag, newest first
+router.get('/:tag/pins', optionalAuth, async (req, res) => {
+  try {
+    const tag = readTag(req, res);
+    if (!tag) {
+      return;
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { tags: tag, user: { $nin: await hiddenUserIds(req.userId) } };
+    const [pins, total] = await Promise.all([
+      Pin.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Pin.countDocuments(filter),
+    ]);
+
+    res.json({ tag, pins, page, limit, total, hasMore: skip + pins.length < total });
+  } catch (error) {
+    console.error('Get tag pins error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Suggest tags that often appear alongside this one on recent pins, most
+// frequent first
+router.get('/:tag/related', optionalAuth, async (req, res) => {
+  try {
+    const tag = readTag(req, res);
+    if (!tag) {
+      return;
+    }
+
+    const { limit } = parsePagination(req.query, { defaultLimit: 10, maxLimit: 50 });
+    const related = await Pin.aggregate([
+      { $match: { tags: tag, user: { $nin: await hiddenUserIds(req.userId) } } },
+      { $sort: { createdAt: -1 } },
+      { $limit: RELATED_SAMPLE_SIZE },
+      { $unwind: '$tags' },
+      { $match: { tags: { $ne: tag } } },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit },
+    ]);
+
+    res.json({ tag, related: related.map(entry => ({ tag: entry._id, count: entry.count })) });
+  } catch (error) {
+    console.error('Get related tags error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Follow a tag, so its pins show up in the caller's home feed
+router.post('/:tag/follow', auth, async (req, res) => {
+  try {
+    const tag = readTag(req, res);
+    if (!tag) {
+      return;
+    }
+
+    await User.updateOne({ _id: req.userId }, { $addToSet: { followedTags: tag } });
+    res.json({ tag, isFollowing: true, followerCount: await User.countDocuments({ followedTags: tag }) });
+  } catch (error) {
+    console.error('Follow tag error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unfollow a tag
+router.delete('/:tag/follow', auth, async (req, res) => {
+  try {
+    const tag = readTag(req, res);
+    if (!tag) {
+      return;
+    }
+
+    await User.updateOne({ _id: req.userId }, { $pull: { followedTags: tag } });
+    res.json({ tag, isFollowing: false, followerCount: await User.countDocuments({ followedTags: tag }) });
+  } catch (error) {
+    console.error('Unfollow tag error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const Pin = require('../models/Pin');
+const { optionalAuth } = require('../middleware/auth');
+const { parsePagination } = require('../utils/pagination');
+const { hiddenUserIds } = require('../utils/privacy');
+const { categoryCondition } = require('../utils/categories');
+const { TIME_RANGES, getTrending } = require('../utils/trending');
+const { collectErrors, validationError } = require('../utils/validation');
+
+// Get one page of the pins trending over ?timeRange= (day, week or month,
+// default week), highest score first, optionally only those filed under
+// ?category=. Scores come from a periodically refreshed cache. Like the
+// feed, this leaves out pins the viewer may not see and muted users.
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { timeRange = 'week', category } = req.query;
+    const condition = category === undefined ? null : await categoryCondition(category);
+    const errors = collectErrors({
+      timeRange: Object.keys(TIME_RANGES).includes(timeRange)
+        ? null
+        : `Time range must be one of: ${Object.keys(TIME_RANGES).join(', ')}`,
+      category: category !== undefined && !condition ? 'Category not found' : null,
+    });
+    if (Object.keys(errors).length) {
+      return validationError(res, errors);
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const hidden = new Set((await hiddenUserIds(req.userId, { includeMuted: true })).map(String));
+    const entries = (await getTrending(timeRange)).filter(entry =>
+      !hidden.has(entry.user) && (!condition || condition.$in.includes(entry.category)));
+    const pageEntries = entries.slice(skip, skip + limit);
+
+    const loaded = await Pin.find({ _id: { $in: pageEntries.map(entry => entry.pin) } })
+      .populate('user', 'username avatar');
+    const byId = new Map(loaded.map(pin => [String(pin._id), pin]));
+    // Keep the ranking, skipping pins deleted since the last refresh
+    const pins = pageEntries
+      .filter(entry => byId.get(entry.pin)?.user)
+      .map(entry => ({ ...byId.get(entry.pin).toObject(), trendingScore: entry.score }));
+
+    res.json({
+      timeRange,
+      pins,
+      page,
+      limit,
+      total: entries.length,
+      hasMore: skip + pageEntries.length < entries.length,
+    });
+  } catch (error) {
+    console.error('Get trending pins error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const { auth } = require('../middleware/auth');
+const { uploadImage } = require('../middleware/upload');
+
+// Upload an image (pin, board cover or avatar) and get back its public URL
+router.post('/', auth, uploadImage('image'), (req, res) => {
+  res.status(201).json({ url: `${config.SERVER_URL}/uploads/${req.file.filename}` });
+});
+
+module.exports = router;
@@ -0,0 +1,680 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Like = require('../models/Like');
+const Notification = require('../models/Notification');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { parsePagination } = require('../utils/pagination');
+const { isPrivate, isBlocked, hiddenUserIds, contentAccess } = require('../utils/privacy');
+const { parseSettingsUpdate, settingsUpdate, formatSettings } = require('../utils/settings');
+const {
+  validateUsername,
+  validateText,
+  validateUrl,
+  isUsernameTaken,
+  collectErrors,
+  validationError,
+} = require('../utils/validation');
+
+// What the owner sees and edits on their own profile
+const PROFILE_FIELDS = 'username email emailVerified bio avatar location website createdAt';
+
+// Fields PATCH /me accepts, each with its validator
+const EDITABLE_FIELDS = {
+  username: validateUsername,
+  bio: value => validateText(value, 'Bio', 500),
+  location: value => validateText(value, 'Location', 100),
+  website: value => validateUrl(value, 'Website'),
+  avatar: value => validateUrl(value, 'Avatar'),
+};
+
+// Get the current user's profile
+router.get('/me', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select(PROFILE_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json(user);
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update the current user's profile. Only the fields present are changed.
+router.patch('/me', auth, async (req, res) => {
+  try {
+    const update = {};
+    for (const field of Object.keys(EDITABLE_FIELDS)) {
+      if (req.body[field] !== undefined) {
+        update[field] = typeof req.body[field] === 'string' ? req.body[field].trim() : req.body[field];
+      }
+    }
+
+    const errors = collectErrors(Object.fromEntries(
+      Object.entries(update).map(([field, value]) => [field, EDITABLE_FIELDS[field](value)])
+    ));
+    if (!errors.username && update.username && await isUsernameTaken(update.username, req.userId)) {
+      errors.username = 'Username is already taken';
+    }
+    if (Object.keys(errors).length > 0) {
+      return validationError(res, errors);
+    }
+
+    const user = await User.findByIdAndUpdate(req.userId, update, { new: true }).select(PROFILE_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json(user);
+  } catch (error) {
+    // Lost a race with someone else claiming the same username
+    if (error.code === 11000) {
+      return validationError(res, { username: 'Username is already taken' });
+    }
+    console.error('Update profile error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Privacy settings, each with its validator
+const PRIVACY_FIELDS = {
+  profileVisibility: value =>
+    (['public', 'private'].includes(value) ? null : 'Profile visibility must be public or private'),
+  showEmail: value => (typeof value === 'boolean' ? null : 'Show email must be true or false'),
+  showLocation: value => (typeof value === 'boolean' ? null : 'Show location must be true or false'),
+};
+
+// Get the current user's privacy settings
+router.get('/me/privacy', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('privacy');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json(user.privacy);
+  } catch (error) {
+    console.error('Get privacy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update the current user's privacy settings. Going public approves every
+// pending follow request, since nothing is left to approve them for.
+router.patch('/me/privacy', auth, async (req, res) => {
+  try {
+    const update = {};
+    const errors = {};
+    for (const [field, validate] of Object.entries(PRIVACY_FIELDS)) {
+      if (req.body[field] !== undefined) {
+        errors[field] = validate(req.body[field]);
+        update[`privacy.${field}`] = req.body[field];
+      }
+    }
+    const fieldErrors = collectErrors(errors);
+    if (Object.keys(fieldErrors).length > 0) {
+      return validationError(res, fieldErrors);
+    }
+
+    const user = await User.findByIdAndUpdate(req.userId, { $set: update }, { new: true })
+      .select('privacy followRequests');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const pending = user.followRequests;
+    if (!isPrivate(user) && pending.length > 0) {
+      // Requesters' sides first, so a failure leaves the requests to retry
+      await User.updateMany({ _id: { $in: pending } }, { $addToSet: { following: req.userId } });
+      await User.updateOne(
+        { _id: req.userId },
+        { $addToSet: { followers: { $each: pending } }, $pull: { followRequests: { $in: pending } } }
+      );
+    }
+
+    res.json(user.privacy);
+  } catch (error) {
+    console.error('Update privacy error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the current user's synced app settings, defaults filled in
+router.get('/me/settings', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('settings');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json(formatSettings(user.settings));
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Save settings from a device. Each field only replaces the stored one when
+// it was changed more recently, so the response is the merged result the
+// device should adopt.
+router.put('/me/settings', auth, async (req, res) => {
+  try {
+    const { errors, changes } = parseSettingsUpdate(req.body);
+    if (Object.keys(errors).length > 0) {
+      return validationError(res, errors);
+    }
+
+    const user = changes.length > 0
+      ? await User.findByIdAndUpdate(req.userId, settingsUpdate(changes), { new: true }).select('settings')
+      : await User.findById(req.userId).select('settings');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json(formatSettings(user.settings));
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Both sides of a follow are $addToSet/$pull updates, so each write is atomic
+// and repeating a request is harmless. The target is written first because
+// that also proves it exists; if the second write fails, retrying the same
+// request completes it.
+const setFollowing = async (req, res, follow) => {
+  const targetId = req.params.id;
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
+    return res.status(404).json({ message: 'User not found' });
+  }
+  if (targetId === req.userId) {
+    return res.status(400).json({ message: 'You cannot follow yourself' });
+  }
+
+  let target;
+  if (follow) {
+    if (await isBlocked(targetId, req.userId)) {
+      return res.status(403).json({ message: 'You cannot follow this user' });
+    }
+
+    // The visibility check is part of the update, so a profile going private
+    // at the same moment cannot let a follow through unapproved. The old
+    // document tells us whether this call is the one that added the follow.
+    target = await User.findOneAndUpdate(
+      {
+        _id: targetId,
+        $or: [{ 'privacy.profileVisibility': { $ne: 'private' } }, { followers: req.userId }],
+      },
+      { $addToSet: { followers: req.userId } },
+      { new: false }
+    ).select('followers');
+    if (!target) {
+      // Either there is no such user or the profile is private: ask instead
+      const requested = await User.findByIdAndUpdate(
+        targetId,
+        { $addToSet: { followRequests: req.userId } },
+        { new: true }
+      ).select('followers');
+      if (!requested) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      return res.status(202).json({ following: false, requested: true, followersCount: requested.followers.length });
+    }
+  } else {
+    // Unfollowing also withdraws a request that is still pending
+    target = await User.findByIdAndUpdate(
+      targetId,
+      { $pull: { followers: req.userId, followRequests: req.userId } },
+      { new: false }
+    ).select('followers followRequests');
+    if (!target) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+  }
+
+  const wasFollowing = target.followers.some((id) => id.toString() === req.userId);
+  const op = follow ? '$addToSet' : '$pull';
+  try {
+    await User.updateOne({ _id: req.userId }, { [op]: { following: targetId } });
+  } catch (error) {
+    // Put the target's side back so the two lists never disagree
+    if (follow && !wasFollowing) {
+      await User.updateOne({ _id: targetId }, { $pull: { followers: req.userId } });
+    } else if (!follow) {
+      const restore = {};
+      if (wasFollowing) restore.followers = req.userId;
+      if (target.followRequests.some((id) => id.toString() === req.userId)) restore.followRequests = req.userId;
+      if (Object.keys(restore).length) {
+        await User.updateOne({ _id: targetId }, { $addToSet: restore });
+      }
+    }
+    throw error;
+  }
+
+  let followersCount = target.followers.length;
+  if (follow && !wasFollowing) followersCount += 1;
+  if (!follow && wasFollowing) followersCount -= 1;
+  res.json({ following: follow, followersCount });
+};
+
+// Follow a user
+router.post('/:id/follow', auth, async (req, res) => {
+  try {
+    await setFollowing(req, res, true);
+  } catch (error) {
+    console.error('Follow user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unfollow a user
+router.delete('/:id/follow', auth, async (req, res) => {
+  try {
+    await setFollowing(req, res, false);
+  } catch (error) {
+    console.error('Unfollow user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Blocking cuts every follow link and pending request between the two users.
+// The caller's side is written first so the block holds even if the second
+// write fails; retrying the same request completes it.
+const setBlocked = async (req, res, block) => {
+  const targetId = req.params.id;
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
+    return res.status(404).json({ message: 'User not found' });
+  }
+  if (targetId === req.userId) {
+    return res.status(400).json({ message: 'You cannot block yourself' });
+  }
+  if (!(await User.exists({ _id: targetId }))) {
+    return res.status(404).json({ message: 'User not found' });
+  }
+
+  if (block) {
+    await User.updateOne(
+      { _id: req.userId },
+      {
+        $addToSet: { blocked: targetId },
+        $pull: { followers: targetId, following: targetId, followRequests: targetId },
+      }
+    );
+    await User.updateOne(
+      { _id: targetId },
+      { $pull: { followers: req.userId, following: req.userId, followRequests: req.userId } }
+    );
+  } else {
+    await User.updateOne({ _id: req.userId }, { $pull: { blocked: targetId } });
+  }
+
+  res.json({ blocked: block });
+};
+
+// Muting only touches the caller's own list
+const setMuted = async (req, res, mute) => {
+  const targetId = req.params.id;
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
+    return res.status(404).json({ message: 'User not found' });
+  }
+  if (targetId === req.userId) {
+    return res.status(400).json({ message: 'You cannot mute yourself' });
+  }
+  if (!(await User.exists({ _id: targetId }))) {
+    return res.status(404).json({ message: 'User not found' });
+  }
+
+  const op = mute ? '$addToSet' : '$pull';
+  await User.updateOne({ _id: req.userId }, { [op]: { muted: targetId } });
+
+  res.json({ muted: mute });
+};
+
+// Block a user
+router.post('/:id/block', auth, async (req, res) => {
+  try {
+    await setBlocked(req, res, true);
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unblock a user
+router.delete('/:id/block', auth, async (req, res) => {
+  try {
+    await setBlocked(req, res, false);
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mute a user
+router.post('/:id/mute', auth, async (req, res) => {
+  try {
+    await setMuted(req, res, true);
+  } catch (error) {
+    console.error('Mute user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unmute a user
+router.delete('/:id/mute', auth, async (req, res) => {
+  try {
+    await setMuted(req, res, false);
+  } catch (error) {
+    console.error('Unmute user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// One page of one of a user's lists (followers, following, follow requests,
+// blocked or muted), newest first, each flagged with whether the viewer
+// follows them. Others only see a user's lists when they may see the user's
+// content: not across a block, and for a private profile only as an
+// approved follower.
+const listConnections = async (req, res, userId, field) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return res.status(404).json({ message: 'User not found' });
+  }
+  if (userId !== req.userId) {
+    const access = await contentAccess(userId, req.userId);
+    if (access === 'blocked') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (access === 'private') {
+      return res.status(403).json({ message: 'This account is private' });
+    }
+  }
+  const { page, limit, skip } = parsePagination(req.query);
+
+  // Slice the id array in the database rather than loading all of it.
+  // Accounts from before a list existed have no array for it at all.
+  const list = { $ifNull: [`$${field}`, []] };
+  const [slice] = await User.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(userId) } },
+    {
+      $project: {
+        total: { $size: list },
+        ids: { $slice: [{ $reverseArray: list }, skip, limit] },
+      },
+    },
+  ]);
+  if (!slice) {
+    return res.status(404).json({ message: 'User not found' });
+  }
+
+  const [users, viewer] = await Promise.all([
+    User.find({ _id: { $in: slice.ids } }).select('username avatar bio'),
+    req.userId ? User.findById(req.userId).select('following') : null,
+  ]);
+  const viewerFollows = new Set((viewer ? viewer.following : []).map(String));
+  const byId = new Map(users.map(user => [String(user._id), user]));
+
+  res.json({
+    users: slice.ids
+      .map(id => byId.get(String(id)))
+      .filter(Boolean)
+      .map(user => ({
+        _id: user._id,
+        username: user.username,
+        avatar: user.avatar,
+        bio: user.bio,
+        isFollowing: viewerFollows.has(String(user._id)),
+      })),
+    page,
+    limit,
+    total: slice.total,
+    hasMore: skip + slice.ids.length < slice.total,
+  });
+};
+
+// Get the requests to follow the current user that await approval
+router.get('/me/follow-requests', auth, async (req, res) => {
+  try {
+    await listConnections(req, res, req.userId, 'followRequests');
+  } catch (error) {
+    console.error('Get follow requests error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the users the current user has blocked
+router.get('/me/blocked', auth, async (req, res) => {
+  try {
+    await listConnections(req, res, req.userId, 'blocked');
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the users the current user has muted
+router.get('/me/muted', auth, async (req, res) => {
+  try {
+    await listConnections(req, res, req.userId, 'muted');
+  } catch (error) {
+    console.error('Get muted users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the tags the current user follows
+router.get('/me/tags', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('followedTags');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json({ tags: user.followedTags });
+  } catch (error) {
+    console.error('Get followed tags error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one page of the current user's notifications, newest first, with how
+// many are unread. Those caused by users on either side of a block are left
+// out.
+router.get('/me/notifications', auth, async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const [me, blockedBy] = await Promise.all([
+      User.findById(req.userId).select('blocked'),
+      User.find({ blocked: req.userId }).distinct('_id'),
+    ]);
+    const filter = { user: req.userId, actor: { $nin: [...(me ? me.blocked : []), ...blockedBy] } };
+    const [notifications, total, unread] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('actor', 'username avatar')
+        .populate('pin', 'title imageUrl')
+        .populate('comment', 'text'),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ ...filter, read: false }),
+    ]);
+
+    res.json({
+      notifications,
+      page,
+      limit,
+      total,
+      unread,
+      hasMore: skip + notifications.length < total,
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark the current user's notifications as read: those listed in `ids`, or
+// all of them when it is left out
+router.post('/me/notifications/read', auth, async (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (ids !== undefined && (!Array.isArray(ids) || !ids.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+      return validationError(res, { ids: 'Notification ids are not valid' });
+    }
+
+    const filter = { user: req.userId, read: false };
+    if (ids) {
+      filter._id = { $in: ids };
+    }
+    const { modifiedCount } = await Notification.updateMany(filter, { $set: { read: true } });
+    res.json({ message: 'Notifications marked as read', updated: modifiedCount });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Suggest users whose username starts with ?q=, for completing an @mention.
+// People the caller follows come first; the caller and blocks either way are
+// left out.
+router.get('/autocomplete', auth, async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim().replace(/^@/, '') : '';
+    if (!/^[a-zA-Z0-9_.]{1,30}$/.test(query)) {
+      return res.json({ users: [] });
+    }
+    const me = await User.findById(req.userId).select('following blocked');
+    if (!me) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { limit } = parsePagination(req.query, { defaultLimit: 10, maxLimit: 20 });
+    const filter = {
+      username: new RegExp(`^${query.replace(/\./g, '\\.')}`, 'i'),
+      blocked: { $ne: req.userId },
+    };
+    const excluded = [req.userId, ...me.blocked];
+    const followed = await User.find({ ...filter, _id: { $in: me.following, $nin: excluded } })
+      .sort({ username: 1 })
+      .limit(limit)
+      .select('username avatar');
+    const others = followed.length < limit
+      ? await User.find({ ...filter, _id: { $nin: [...excluded, ...me.following] } })
+        .sort({ username: 1 })
+        .limit(limit - followed.length)
+        .select('username avatar')
+      : [];
+
+    res.json({
+      users: [
+        ...followed.map(user => ({ _id: user._id, username: user.username, avatar: user.avatar, isFollowing: true })),
+        ...others.map(user => ({ _id: user._id, username: user.username, avatar: user.avatar, isFollowing: false })),
+      ],
+    });
+  } catch (error) {
+    console.error('Autocomplete users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve a follow request. A request that was already approved matches
+// too, so retrying after the second write failed completes it.
+router.post('/me/follow-requests/:id/approve', auth, async (req, res) => {
+  try {
+    const requesterId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(requesterId)) {
+      return res.status(404).json({ message: 'Follow request not found' });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.userId, $or: [{ followRequests: requesterId }, { followers: requesterId }] },
+      { $pull: { followRequests: requesterId }, $addToSet: { followers: requesterId } },
+      { new: true }
+    ).select('followers');
+    if (!user) {
+      return res.status(404).json({ message: 'Follow request not found' });
+    }
+    await User.updateOne({ _id: requesterId }, { $addToSet: { following: req.userId } });
+
+    res.json({ message: 'Follow request approved', followersCount: user.followers.length });
+  } catch (error) {
+    console.error('Approve follow request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Decline a follow request
+router.delete('/me/follow-requests/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Follow request not found' });
+    }
+    const result = await User.updateOne(
+      { _id: req.userId, followRequests: req.params.id },
+      { $pull: { followRequests: req.params.id } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'Follow request not found' });
+    }
+    res.json({ message: 'Follow request declined' });
+  } catch (error) {
+    console.error('Decline follow request error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a user's followers
+router.get('/:id/followers', optionalAuth, async (req, res) => {
+  try {
+    await listConnections(req, res, req.params.id, 'followers');
+  } catch (error) {
+    console.error('Get followers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the users a user follows
+router.get('/:id/following', optionalAuth, async (req, res) => {
+  try {
+    await listConnections(req, res, req.params.id, 'following');
+  } catch (error) {
+    console.error('Get following error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one page of the pins a user liked, newest like first. Pins from
+// owners hidden from the viewer are left out.
+router.get('/:id/likes', optionalAuth, async (req, res) => {
+  try {
+    const userId = req.params.id;
+    if (!mongoose.Types.ObjectId.isValid(userId) || !(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    const access = await contentAccess(userId, req.userId);
+    if (access === 'blocked') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (access === 'private') {
+      return res.status(403).json({ message: 'This account is private' });
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { user: userId, pinOwner: { $nin: await hiddenUserIds(req.userId) } };
+    const [likes, total] = await Promise.all([
+      Like.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).populate('pin'),
+      Like.countDocuments(filter),
+    ]);
+
+    res.json({
+      pins: likes.map(like => like.pin).filter(Boolean),
+      page,
+      limit,
+      total,
+      hasMore: skip + likes.length < total,
+    });
+  } catch (error) {
+    console.error('Get liked pins error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@ const config = require('../config');
 const User = require('../models/User');
 const Pin = require('../models/Pin');
 const Board = require('../models/Board');
+const { ensureCategories } = require('../utils/categories');
 
 // Categories for pins
 const categories = [
@@ -80,6 +81,8 @@ const generateMockData = async () => {
     await Board.deleteMany({});
     console.log('Cleared existing data');
 
+    await ensureCategories();
+
     // Create users
     const users = await Promise.all([
       User.create({
@@ -267,7 +270,7 @@ const generateMockData = async () => {
         title: `Amazing ${randomCategory} ${i + 1}`,
         description: `This is a detailed description for an amazing ${randomCategory.toLowerCase()} pin. It includes various aspects and details about the subject matter, making it informative and engaging for viewers.`,
         imageUrl: `https://source.unsplash.com/random/800x600?${randomCategory.toLowerCase()}`,
-        category: randomCategory,
+        category: randomCategory.toLowerCase(),
         tags: generateTags(),
         user: randomUser._id,
         board: randomBoard._id,
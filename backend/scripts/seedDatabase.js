@@ -4,9 +4,13 @@ const User = require('../models/User');
 const Pin = require('../models/Pin');
 const Board = require('../models/Board');
 const Comment = require('../models/Comment');
+const { ensureCategories } = require('../utils/categories');
 
 const MONGODB_URI = 'mongodb://localhost:27017/pinterest-clone';
 
+// The data below names categories; pins and boards store the slug
+const categorySlug = name => name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
 const users = [
   {
     username: 'john_doe',
@@ -946,11 +950,14 @@ async function seedDatabase() {
     await Comment.deleteMany({});
     console.log('Cleared existing data');
 
+    await ensureCategories();
+    console.log('Created categories');
+
     // Create users
     const createdUsers = await Promise.all(
       users.map(async (user) => {
         const hashedPassword = await bcrypt.hash(user.password, 10);
-        return User.create({ ...user, password: hashedPassword });
+        return User.create({ ...user, password: hashedPassword, emailVerified: true });
       })
     );
     console.log('Created users');
@@ -975,6 +982,7 @@ async function seedDatabase() {
         const user = createdUsers.find(u => u.username === board.owner);
         return Board.create({
           ...board,
+          category: categorySlug(board.category),
           user: user._id,
         });
       })
@@ -984,13 +992,14 @@ async function seedDatabase() {
     // Create pins and associate with boards
     for (const pin of allPins) {
       // Find appropriate board and user based on categories
-      const board = createdBoards.find(b => 
+      const board = createdBoards[boards.findIndex(b =>
         b.category === pin.boardCategory || b.category === pin.category
-      );
+      )];
       const user = board ? await User.findById(board.user) : createdUsers[Math.floor(Math.random() * createdUsers.length)];
 
       const createdPin = await Pin.create({
         ...pin,
+        category: categorySlug(pin.category),
         user: user._id,
         board: board ? board._id : null,
       });
@@ -26,18 +26,21 @@ const seedDatabase = async () => {
         username: 'john',
         email: 'john@example.com',
         password,
+        emailVerified: true,
         bio: 'I love photography',
       },
       {
         username: 'sarah',
         email: 'sarah@example.com',
         password,
+        emailVerified: true,
         bio: 'Art enthusiast',
       },
       {
         username: 'mike',
         email: 'mike@example.com',
         password,
+        emailVerified: true,
         bio: 'Travel blogger',
       },
     ]);
@@ -2,11 +2,20 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const config = require('./config');
+const { purgeDueAccounts } = require('./utils/accountDeletion');
+const { ensureCategories } = require('./utils/categories');
+const { refreshAllTrending, REFRESH_INTERVAL_MS } = require('./utils/trending');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const pinsRoutes = require('./routes/pins');
+const commentsRoutes = require('./routes/comments');
 const boardsRoutes = require('./routes/boards');
+const usersRoutes = require('./routes/users');
+const uploadsRoutes = require('./routes/uploads');
+const tagsRoutes = require('./routes/tags');
+const categoriesRoutes = require('./routes/categories');
+const trendingRoutes = require('./routes/trending');
 
 const app = express();
 
@@ -19,13 +28,28 @@ mongoose.connect(config.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+  // Make sure the built-in categories exist
+  return ensureCategories();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/pins/:id/comments', commentsRoutes);
+// Mounted ahead of the pins routes so 'trending' is not taken for a pin id
+app.use('/api/pins/trending', trendingRoutes);
+app.use('/api/trending', trendingRoutes);
 app.use('/api/pins', pinsRoutes);
 app.use('/api/boards', boardsRoutes);
+app.use('/api/users', usersRoutes);
+app.use('/api/uploads', uploadsRoutes);
+app.use('/api/tags', tagsRoutes);
+app.use('/api/categories', categoriesRoutes);
+
+// Uploaded files never change once written, so clients may cache them for good
+app.use('/uploads', express.static(config.UPLOAD_DIR, { maxAge: '365d', immutable: true }));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -33,6 +57,16 @@ app.use((err, req, res, next) => {
   res.status(500).json({ message: 'Something went wrong!' });
 });
 
+// Purge accounts whose deletion grace period has run out
+setInterval(() => {
+  purgeDueAccounts().catch(err => console.error('Account purge job error:', err));
+}, 60 * 60 * 1000);
+
+// Keep the cached trending scores fresh
+setInterval(() => {
+  refreshAllTrending().catch(err => console.error('Trending refresh job error:', err));
+}, REFRESH_INTERVAL_MS);
+
 // const PORT = process.env.PORT || 5000;
 const PORT = 5001;
 app.listen(PORT, () => {
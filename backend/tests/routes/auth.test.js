@@ -0,0 +1,1132 @@
+const request = require('supertest');
+const express = require('express');
+const router = require('../../routes/auth');
+const User = require('../../models/User');
+const Pin = require('../../models/Pin');
+const Board = require('../../models/Board');
+const Save = require('../../models/Save');
+const RefreshToken = require('../../models/RefreshToken');
+const Session = require('../../models/Session');
+const UserToken = require('../../models/UserToken');
+const LoginThrottle = require('../../models/LoginThrottle');
+const LoginEvent = require('../../models/LoginEvent');
+const { sendMail } = require('../../utils/mailer');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
+const { hashToken } = require('../../utils/tokens');
+const { generateSecret, generateCode } = require('../../utils/totp');
+
+jest.mock('../../models/User');
+jest.mock('../../models/Pin');
+jest.mock('../../models/Board');
+jest.mock('../../models/Save');
+jest.mock('../../models/RefreshToken');
+jest.mock('../../models/Session');
+jest.mock('../../models/UserToken');
+jest.mock('../../models/LoginThrottle');
+jest.mock('../../models/LoginEvent');
+jest.mock('../../utils/mailer');
+
+const app = express();
+app.use(express.json());
+app.use('/auth', router);
+
+describe('Auth Routes', () => {
+  const sessionId = '64b7f0c2a1b2c3d4e5f60799';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    console.error = jest.fn();
+    Session.create.mockResolvedValue({ _id: sessionId });
+    // Sessions named by access tokens are still signed in
+    Session.exists.mockResolvedValue({ _id: sessionId });
+  });
+
+  // --- Test GET /auth/user/:userId ---
+  describe('GET /auth/user/:userId', () => {
+    const userId = '64b7f0c2a1b2c3d4e5f60718';
+
+    it('should return the public profile with aggregate stats', async () => {
+      const userDoc = {
+        _id: userId,
+        username: 'sarah_smith',
+        bio: 'Interior designer',
+        avatar: 'avatar.png',
+        location: 'Los Angeles, USA',
+        website: 'https://sarahdesigns.com',
+        followers: ['a', 'b', 'c'],
+        following: ['d'],
+        followRequests: [],
+        blocked: [],
+      };
+      const select = jest.fn().mockResolvedValue(userDoc);
+      User.findById.mockReturnValue({ select });
+      Pin.countDocuments.mockResolvedValue(2);
+      Board.countDocuments.mockResolvedValue(4);
+      Save.countDocuments.mockResolvedValue(7);
+
+      const response = await request(app).get(`/auth/user/${userId}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        _id: userId,
+        username: 'sarah_smith',
+        stats: { followers: 3, following: 1, pins: 2, boards: 4, saves: 7 },
+      });
+      expect(response.body).not.toHaveProperty('password');
+      expect(response.body).not.toHaveProperty('email');
+      expect(response.body).not.toHaveProperty('location');
+      expect(select).toHaveBeenCalledWith(expect.not.stringContaining('password'));
+      expect(Board.countDocuments).toHaveBeenCalledWith({ user: userId, isPrivate: { $ne: true } });
+      expect(Save.countDocuments).toHaveBeenCalledWith({ pinOwner: userId, user: { $ne: userId } });
+    });
+
+    // Returns the profile lookup so a test can queue a different viewer after it
+    const mockProfile = (overrides) => {
+      const lookup = {
+        select: jest.fn().mockResolvedValue({
+          _id: userId,
+          username: 'sarah_smith',
+          email: 'sarah@example.com',
+          location: 'Los Angeles, USA',
+          followers: [],
+          following: [],
+          followRequests: [],
+          blocked: [],
+          muted: [],
+          ...overrides,
+        }),
+      };
+      User.findById.mockReturnValue(lookup);
+      Pin.countDocuments.mockResolvedValue(0);
+      Board.countDocuments.mockResolvedValue(0);
+      Save.countDocuments.mockResolvedValue(0);
+      return lookup;
+    };
+
+    it('should include email and location when the user chose to show them', async () => {
+      mockProfile({ privacy: { profileVisibility: 'public', showEmail: true, showLocation: true } });
+
+      const response = await request(app).get(`/auth/user/${userId}`);
+
+      expect(response.body).toMatchObject({ email: 'sarah@example.com', location: 'Los Angeles, USA' });
+    });
+
+    it('should show the owner their own email and location', async () => {
+      mockProfile({ privacy: { profileVisibility: 'private', showEmail: false, showLocation: false } });
+      const ownerToken = jwt.sign({ userId }, config.JWT_SECRET);
+
+      const response = await request(app).get(`/auth/user/${userId}`).set('x-auth-token', ownerToken);
+
+      expect(response.body).toMatchObject({ canView: true, email: 'sarah@example.com', location: 'Los Angeles, USA' });
+      // The owner's count includes their private boards
+      expect(Board.countDocuments).toHaveBeenCalledWith({ user: userId });
+    });
+
+    it('should limit a private profile to its approved followers', async () => {
+      const viewerId = '64b7f0c2a1b2c3d4e5f60701';
+      const viewerToken = jwt.sign({ userId: viewerId }, config.JWT_SECRET);
+      mockProfile({
+        bio: 'Interior designer',
+        privacy: { profileVisibility: 'private' },
+        followers: ['a'],
+        followRequests: [viewerId],
+      });
+
+      const response = await request(app).get(`/auth/user/${userId}`).set('x-auth-token', viewerToken);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        _id: userId,
+        username: 'sarah_smith',
+        isPrivate: true,
+        isFollowing: false,
+        requested: true,
+        isBlocked: false,
+        isMuted: false,
+        canView: false,
+        stats: { followers: 1, following: 0 },
+      });
+      expect(Pin.countDocuments).not.toHaveBeenCalled();
+    });
+
+    it('should show a private profile to an approved follower', async () => {
+      const viewerId = '64b7f0c2a1b2c3d4e5f60701';
+      const viewerToken = jwt.sign({ userId: viewerId }, config.JWT_SECRET);
+      mockProfile({ bio: 'Interior designer', privacy: { profileVisibility: 'private' }, followers: [viewerId] });
+
+      const response = await request(app).get(`/auth/user/${userId}`).set('x-auth-token', viewerToken);
+
+      expect(response.body).toMatchObject({ canView: true, isFollowing: true, bio: 'Interior designer' });
+      expect(response.body).not.toHaveProperty('email');
+    });
+
+    it('should report zero saves when nobody else saved the pins', async () => {
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          _id: userId, username: 'new_user', followers: [], following: [], followRequests: [], blocked: [],
+        }),
+      });
+      Pin.countDocuments.mockResolvedValue(0);
+      Board.countDocuments.mockResolvedValue(0);
+      Save.countDocuments.mockResolvedValue(0);
+
+      const response = await request(app).get(`/auth/user/${userId}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.stats).toEqual({ followers: 0, following: 0, pins: 0, boards: 0, saves: 0 });
+    });
+
+    it('should return 404 to a viewer the user has blocked', async () => {
+      const viewerId = '64b7f0c2a1b2c3d4e5f60701';
+      mockProfile({ blocked: [viewerId] });
+
+      const response = await request(app)
+        .get(`/auth/user/${userId}`)
+        .set('x-auth-token', jwt.sign({ userId: viewerId }, config.JWT_SECRET));
+
+      expect(response.status).toBe(404);
+      expect(Pin.countDocuments).not.toHaveBeenCalled();
+    });
+
+    it('should show only enough of a blocked user to unblock them', async () => {
+      const viewerId = '64b7f0c2a1b2c3d4e5f60701';
+      const lookup = mockProfile({ bio: 'Interior designer' });
+      User.findById
+        .mockReturnValueOnce(lookup)
+        .mockReturnValueOnce({ select: jest.fn().mockResolvedValue({ blocked: [userId], muted: [] }) });
+
+      const response = await request(app)
+        .get(`/auth/user/${userId}`)
+        .set('x-auth-token', jwt.sign({ userId: viewerId }, config.JWT_SECRET));
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ isBlocked: true, canView: false });
+      expect(response.body).not.toHaveProperty('bio');
+    });
+
+    it('should return 404 for an unknown user', async () => {
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      const response = await request(app).get(`/auth/user/${userId}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ message: 'User not found' });
+    });
+
+    it('should return 404 for a malformed id without querying', async () => {
+      const response = await request(app).get('/auth/user/not-an-id');
+
+      expect(response.status).toBe(404);
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 if there is a server error', async () => {
+      User.findById.mockReturnValue({ select: jest.fn().mockRejectedValue(new Error('DB error')) });
+
+      const response = await request(app).get(`/auth/user/${userId}`);
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({ message: 'Server error' });
+      expect(console.error).toHaveBeenCalledWith('Get user profile error:', expect.any(Error));
+    });
+  });
+
+  // --- Test POST /auth/register ---
+  describe('POST /auth/register', () => {
+    const validUser = { username: 'new_user', email: 'New@Example.com', password: 'Velvet-Harbor-42' };
+
+    const mockUsernameLookup = (existing) => {
+      const select = jest.fn().mockResolvedValue(existing);
+      const collation = jest.fn().mockReturnValue({ select });
+      User.findOne.mockReturnValue({ collation });
+      return collation;
+    };
+
+    it('should create the account when every field is valid', async () => {
+      const collation = mockUsernameLookup(null);
+      User.exists.mockResolvedValue(null);
+      User.mockImplementation((data) => ({ ...data, _id: 'newUser1', save: jest.fn().mockResolvedValue() }));
+      RefreshToken.create.mockResolvedValue({});
+
+      const response = await request(app).post('/auth/register').send(validUser);
+
+      expect(response.status).toBe(201);
+      expect(response.body.user).toEqual({
+        id: 'newUser1',
+        username: 'new_user',
+        email: 'new@example.com',
+        emailVerified: false,
+      });
+      expect(UserToken.create).toHaveBeenCalledWith(expect.objectContaining({ purpose: 'email-verification' }));
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'new@example.com',
+        subject: 'Confirm your email address',
+      }));
+      expect(User.findOne).toHaveBeenCalledWith({ username: 'new_user' });
+      expect(collation).toHaveBeenCalledWith({ locale: 'en', strength: 2 });
+      expect(User.exists).toHaveBeenCalledWith({ email: 'new@example.com' });
+    });
+
+    it('should return 422 with a message for every invalid field', async () => {
+      const response = await request(app)
+        .post('/auth/register')
+        .send({ username: 'a', email: 'not-an-email', password: 'x' });
+
+      expect(response.status).toBe(422);
+      expect(response.body.message).toBe('Validation failed');
+      expect(Object.keys(response.body.errors).sort()).toEqual(['email', 'password', 'username']);
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should reject passwords from the common password list', async () => {
+      mockUsernameLookup(null);
+      User.exists.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/auth/register')
+        .send({ ...validUser, password: 'password123' });
+
+      expect(response.status).toBe(422);
+      expect(response.body.errors).toEqual({ password: 'This password is too common, please choose another' });
+    });
+
+    it('should report a taken username and email instead of a 500', async () => {
+      mockUsernameLookup({ _id: 'someoneElse' });
+      User.exists.mockResolvedValue({ _id: 'someoneElse' });
+
+      const response = await request(app).post('/auth/register').send(validUser);
+
+      expect(response.status).toBe(422);
+      expect(response.body.errors).toEqual({
+        username: 'Username is already taken',
+        email: 'Email is already registered',
+      });
+    });
+
+    it('should turn a duplicate key race into a field error', async () => {
+      mockUsernameLookup(null);
+      User.exists.mockResolvedValue(null);
+      const duplicate = Object.assign(new Error('E11000'), { code: 11000, keyValue: { username: 'new_user' } });
+      User.mockImplementation((data) => ({ ...data, save: jest.fn().mockRejectedValue(duplicate) }));
+
+      const response = await request(app).post('/auth/register').send(validUser);
+
+      expect(response.status).toBe(422);
+      expect(response.body.errors).toEqual({ username: 'Username is already taken' });
+    });
+  });
+
+  // --- Test POST /auth/login ---
+  describe('POST /auth/login', () => {
+    beforeEach(() => {
+      LoginThrottle.find.mockResolvedValue([]);
+    });
+
+    it('should return a short-lived access token and a refresh token', async () => {
+      const password = await bcrypt.hash('password123', 4);
+      User.findOne.mockResolvedValue({
+        _id: '64b7f0c2a1b2c3d4e5f60718',
+        username: 'john_doe',
+        email: 'john@example.com',
+        password,
+      });
+      RefreshToken.create.mockResolvedValue({});
+
+      const response = await request(app)
+        .post('/auth/login')
+        .send({ email: 'john@example.com', password: 'password123' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.refreshToken).toEqual(expect.any(String));
+      const decoded = jwt.verify(response.body.token, config.JWT_SECRET);
+      expect(decoded.exp - decoded.iat).toBeLessThanOrEqual(15 * 60);
+      expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({
+        tokenHash: hashToken(response.body.refreshToken),
+      }));
+      expect(LoginThrottle.deleteMany).toHaveBeenCalledWith({ key: { $in: ['account:john@example.com'] } });
+      expect(LoginEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+        user: '64b7f0c2a1b2c3d4e5f60718',
+        success: true,
+      }));
+    });
+
+    it('should count a wrong password against both the IP and the account', async () => {
+      User.findOne.mockResolvedValue({ _id: 'user123', password: await bcrypt.hash('password123', 4) });
+      LoginThrottle.findOneAndUpdate.mockResolvedValue({ failures: 1 });
+
+      const response = await request(app)
+        .post('/auth/login')
+        .set('User-Agent', 'TestAgent/1.0')
+        .send({ email: 'john@example.com', password: 'nope' });
+
+      expect(response.status).toBe(400);
+      const keys = LoginThrottle.findOneAndUpdate.mock.calls.map(call => call[0].key);
+      expect(keys).toEqual([expect.stringMatching(/^ip:/), 'account:john@example.com']);
+      expect(LoginThrottle.updateOne).not.toHaveBeenCalled();
+      expect(LoginEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+        user: 'user123',
+        success: false,
+        userAgent: 'TestAgent/1.0',
+      }));
+    });
+
+    it('should lock the account once the free attempts are used up', async () => {
+      User.findOne.mockResolvedValue(null);
+      LoginThrottle.findOneAndUpdate.mockResolvedValue({ failures: 6 });
+
+      await request(app).post('/auth/login').send({ email: 'john@example.com', password: 'nope' });
+
+      expect(LoginThrottle.updateOne).toHaveBeenCalledTimes(1);
+      expect(LoginThrottle.updateOne).toHaveBeenCalledWith(
+        { key: 'account:john@example.com' },
+        { lockedUntil: expect.any(Date) }
+      );
+    });
+
+    it('should look the user up by the same normalized email as the throttle', async () => {
+      User.findOne.mockResolvedValue(null);
+      LoginThrottle.findOneAndUpdate.mockResolvedValue({ failures: 1 });
+
+      await request(app).post('/auth/login').send({ email: '  John@Example.COM ', password: 'nope' });
+
+      expect(User.findOne).toHaveBeenCalledWith({ email: 'john@example.com' });
+      const keys = LoginThrottle.findOneAndUpdate.mock.calls.map(call => call[0].key);
+      expect(keys).toContain('account:john@example.com');
+    });
+
+    it('should reject an email that is not a string', async () => {
+      const response = await request(app)
+        .post('/auth/login')
+        .send({ email: { $ne: null }, password: 'password123' });
+
+      expect(response.status).toBe(422);
+      expect(response.body.errors).toEqual({ email: 'Email is required' });
+      expect(User.findOne).not.toHaveBeenCalled();
+      expect(LoginThrottle.find).not.toHaveBeenCalled();
+    });
+
+    it('should return 429 with Retry-After while locked out', async () => {
+      LoginThrottle.find.mockResolvedValue([{ lockedUntil: new Date(Date.now() + 90 * 1000) }]);
+
+      const response = await request(app)
+        .post('/auth/login')
+        .send({ email: 'john@example.com', password: 'password123' });
+
+      expect(response.status).toBe(429);
+      expect(Number(response.headers['retry-after'])).toBeGreaterThanOrEqual(89);
+      expect(response.body.retryAfter).toBe(Number(response.headers['retry-after']));
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- Test two-factor login ---
+  describe('POST /auth/login/2fa', () => {
+    const secret = generateSecret();
+    const twoFactorUser = {
+      _id: 'user123',
+      username: 'john_doe',
+      email: 'john@example.com',
+      twoFactor: { enabled: true },
+    };
+
+    const getChallenge = async () => {
+      User.findOne.mockResolvedValue({ ...twoFactorUser, password: await bcrypt.hash('password123', 4) });
+      const response = await request(app)
+        .post('/auth/login')
+        .send({ email: 'john@example.com', password: 'password123' });
+      return response;
+    };
+
+    beforeEach(() => {
+      LoginThrottle.find.mockResolvedValue([]);
+    });
+
+    it('should answer a correct password with a challenge instead of tokens', async () => {
+      const response = await getChallenge();
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ twoFactorRequired: true, challengeToken: expect.any(String) });
+      expect(() => jwt.verify(response.body.challengeToken, config.JWT_SECRET)).toThrow();
+      expect(LoginThrottle.deleteMany).not.toHaveBeenCalled();
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should exchange the challenge and a valid code for tokens', async () => {
+      const { body } = await getChallenge();
+      User.findById
+        .mockResolvedValueOnce(twoFactorUser)
+        .mockReturnValueOnce({ select: jest.fn().mockResolvedValue({ twoFactor: { secret } }) });
+      User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      RefreshToken.create.mockResolvedValue({});
+
+      const response = await request(app)
+        .post('/auth/login/2fa')
+        .send({ challengeToken: body.challengeToken, code: generateCode(secret) });
+
+      expect(response.status).toBe(200);
+      expect(response.body.token).toEqual(expect.any(String));
+      expect(response.body.user.twoFactorEnabled).toBe(true);
+      expect(User.updateOne).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'user123' }),
+        { 'twoFactor.lastUsedStep': expect.any(Number) }
+      );
+      expect(LoginEvent.create).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+
+    it('should accept an unused backup code', async () => {
+      const { body } = await getChallenge();
+      User.findById
+        .mockResolvedValueOnce(twoFactorUser)
+        .mockReturnValueOnce({ select: jest.fn().mockResolvedValue({ twoFactor: { secret } }) });
+      User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      RefreshToken.create.mockResolvedValue({});
+
+      const response = await request(app)
+        .post('/auth/login/2fa')
+        .send({ challengeToken: body.challengeToken, code: 'ABCDE-12345' });
+
+      expect(response.status).toBe(200);
+      expect(User.updateOne).toHaveBeenCalledWith(
+        {
+          _id: 'user123',
+          'twoFactor.backupCodes': { $elemMatch: { codeHash: hashToken('abcde12345'), usedAt: null } },
+        },
+        { $set: { 'twoFactor.backupCodes.$.usedAt': expect.any(Date) } }
+      );
+    });
+
+    it('should count a wrong code as a failed login', async () => {
+      const { body } = await getChallenge();
+      User.findById
+        .mockResolvedValueOnce(twoFactorUser)
+        .mockReturnValueOnce({ select: jest.fn().mockResolvedValue({ twoFactor: { secret } }) });
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+      LoginThrottle.findOneAndUpdate.mockResolvedValue({ failures: 1 });
+
+      const response = await request(app)
+        .post('/auth/login/2fa')
+        .send({ challengeToken: body.challengeToken, code: '000000' });
+
+      expect(response.status).toBe(400);
+      expect(LoginThrottle.findOneAndUpdate).toHaveBeenCalledTimes(2);
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject a forged or expired challenge', async () => {
+      const forged = jwt.sign({ userId: 'user123' }, config.JWT_SECRET);
+
+      const response = await request(app)
+        .post('/auth/login/2fa')
+        .send({ challengeToken: forged, code: '123456' });
+
+      expect(response.status).toBe(401);
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- Test 2FA enrollment ---
+  describe('2FA enrollment', () => {
+    const token = jwt.sign({ userId: 'user123' }, config.JWT_SECRET);
+
+    it('should start setup with a pending secret and an otpauth payload', async () => {
+      User.findById.mockResolvedValue({ _id: 'user123', email: 'john@example.com', twoFactor: { enabled: false } });
+
+      const response = await request(app).post('/auth/2fa/setup').set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body.otpauthUrl).toMatch(/^otpauth:\/\/totp\/.+secret=/);
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: 'user123' },
+        { 'twoFactor.pendingSecret': response.body.secret }
+      );
+    });
+
+    it('should enable 2FA and return backup codes once a code confirms the secret', async () => {
+      const secret = generateSecret();
+      const select = jest.fn().mockResolvedValue({ _id: 'user123', twoFactor: { enabled: false, pendingSecret: secret } });
+      User.findById.mockReturnValue({ select });
+
+      const response = await request(app)
+        .post('/auth/2fa/verify')
+        .set('x-auth-token', token)
+        .send({ code: generateCode(secret) });
+
+      expect(response.status).toBe(200);
+      expect(response.body.backupCodes).toHaveLength(10);
+      const update = User.updateOne.mock.calls[0][1];
+      expect(update.$set['twoFactor.enabled']).toBe(true);
+      expect(update.$set['twoFactor.secret']).toBe(secret);
+      expect(update.$set['twoFactor.backupCodes'][0].codeHash).not.toContain(response.body.backupCodes[0]);
+    });
+
+    it('should not enable 2FA with a wrong code', async () => {
+      const select = jest.fn().mockResolvedValue({ _id: 'user123', twoFactor: { pendingSecret: generateSecret() } });
+      User.findById.mockReturnValue({ select });
+
+      const response = await request(app)
+        .post('/auth/2fa/verify')
+        .set('x-auth-token', token)
+        .send({ code: 'abc' });
+
+      expect(response.status).toBe(400);
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should require the password to disable 2FA', async () => {
+      User.findById.mockResolvedValue({
+        _id: 'user123',
+        password: await bcrypt.hash('password123', 4),
+        twoFactor: { enabled: true },
+      });
+
+      const response = await request(app)
+        .post('/auth/2fa/disable')
+        .set('x-auth-token', token)
+        .send({ password: 'wrong', code: '123456' });
+
+      expect(response.status).toBe(400);
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- Test GET /auth/login-history ---
+  describe('GET /auth/login-history', () => {
+    it('should list the caller\'s recent sign-ins', async () => {
+      const token = jwt.sign({ userId: 'user123' }, config.JWT_SECRET);
+      const events = [{ success: true, ip: '::1', userAgent: 'Expo', createdAt: new Date().toISOString() }];
+      const select = jest.fn().mockResolvedValue(events);
+      const limit = jest.fn().mockReturnValue({ select });
+      const sort = jest.fn().mockReturnValue({ limit });
+      LoginEvent.find.mockReturnValue({ sort });
+
+      const response = await request(app).get('/auth/login-history').set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(events);
+      expect(LoginEvent.find).toHaveBeenCalledWith({ user: 'user123' });
+      expect(sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(limit).toHaveBeenCalledWith(20);
+    });
+  });
+
+  // --- Test POST /auth/refresh ---
+  describe('POST /auth/refresh', () => {
+    it('should rotate a valid refresh token within its session', async () => {
+      RefreshToken.findOneAndUpdate.mockResolvedValue({ user: 'user123', session: sessionId });
+      RefreshToken.create.mockResolvedValue({});
+      Session.findOneAndUpdate.mockResolvedValue({ _id: sessionId });
+
+      const response = await request(app).post('/auth/refresh').send({ refreshToken: 'old-token' });
+
+      expect(response.status).toBe(200);
+      const decoded = jwt.verify(response.body.token, config.JWT_SECRET);
+      expect(decoded).toMatchObject({ userId: 'user123', sessionId });
+      expect(response.body.refreshToken).not.toBe('old-token');
+      expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ tokenHash: hashToken('old-token'), revokedAt: null }),
+        { revokedAt: expect.any(Date), rotatedAt: expect.any(Date) }
+      );
+      expect(Session.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: sessionId, revokedAt: null },
+        expect.objectContaining({ lastSeenAt: expect.any(Date) })
+      );
+      expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({ session: sessionId }));
+      expect(Session.create).not.toHaveBeenCalled();
+    });
+
+    it('should give a token from before session tracking a session of its own', async () => {
+      RefreshToken.findOneAndUpdate.mockResolvedValue({ user: 'user123' });
+      RefreshToken.create.mockResolvedValue({});
+
+      const response = await request(app).post('/auth/refresh').send({ refreshToken: 'old-token' });
+
+      expect(response.status).toBe(200);
+      expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({ user: 'user123' }));
+    });
+
+    it('should refuse a token whose session was signed out', async () => {
+      RefreshToken.findOneAndUpdate.mockResolvedValue({ user: 'user123', session: sessionId });
+      Session.findOneAndUpdate.mockResolvedValue(null);
+
+      const response = await request(app).post('/auth/refresh').send({ refreshToken: 'old-token' });
+
+      expect(response.status).toBe(401);
+      expect(RefreshToken.create).not.toHaveBeenCalled();
+    });
+
+    it('should revoke every token of the user when a used token is replayed', async () => {
+      RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+      RefreshToken.findOne.mockResolvedValue({ user: 'user123', revokedAt: new Date(), rotatedAt: new Date() });
+
+      const response = await request(app).post('/auth/refresh').send({ refreshToken: 'used-token' });
+
+      expect(response.status).toBe(401);
+      expect(RefreshToken.findOne).toHaveBeenCalledWith({
+        tokenHash: hashToken('used-token'),
+        rotatedAt: { $ne: null },
+      });
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { user: 'user123', revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+      expect(Session.updateMany).toHaveBeenCalledWith(
+        { user: 'user123', revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+    });
+
+    it('should refuse a signed-out token without touching the user\'s other sessions', async () => {
+      // Logout and session revocation set revokedAt but never rotatedAt
+      RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+      RefreshToken.findOne.mockResolvedValue(null);
+
+      const response = await request(app).post('/auth/refresh').send({ refreshToken: 'signed-out-token' });
+
+      expect(response.status).toBe(401);
+      expect(RefreshToken.findOne).toHaveBeenCalledWith({
+        tokenHash: hashToken('signed-out-token'),
+        rotatedAt: { $ne: null },
+      });
+      expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+      expect(Session.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 for an unknown or expired refresh token', async () => {
+      RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+      RefreshToken.findOne.mockResolvedValue(null);
+
+      const response = await request(app).post('/auth/refresh').send({ refreshToken: 'bogus' });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ message: 'Refresh token is not valid' });
+      expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 without a refresh token', async () => {
+      const response = await request(app).post('/auth/refresh').send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  // --- Test POST /auth/logout ---
+  describe('POST /auth/logout', () => {
+    it('should revoke the presented refresh token and its session', async () => {
+      RefreshToken.findOneAndUpdate.mockResolvedValue({ user: 'user123', session: sessionId });
+
+      const response = await request(app).post('/auth/logout').send({ refreshToken: 'my-token' });
+
+      expect(response.status).toBe(200);
+      expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+        { tokenHash: hashToken('my-token'), revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+      expect(Session.updateOne).toHaveBeenCalledWith({ _id: sessionId }, { revokedAt: expect.any(Date) });
+    });
+  });
+
+  // --- Test session management ---
+  describe('sessions', () => {
+    const token = jwt.sign({ userId: 'user123', sessionId }, config.JWT_SECRET);
+
+    it('should record the device a login comes from', async () => {
+      LoginThrottle.find.mockResolvedValue([]);
+      User.findOne.mockResolvedValue({ _id: 'user123', password: await bcrypt.hash('password123', 4) });
+      RefreshToken.create.mockResolvedValue({});
+
+      await request(app)
+        .post('/auth/login')
+        .set('X-Device-Name', 'Pixel 8')
+        .set('X-Device-Platform', 'android')
+        .send({ email: 'john@example.com', password: 'password123' });
+
+      expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({
+        user: 'user123',
+        deviceName: 'Pixel 8',
+        platform: 'android',
+        expiresAt: expect.any(Date),
+      }));
+    });
+
+    it('should list active sessions and flag the current one', async () => {
+      const sessions = [
+        { _id: sessionId, deviceName: 'Pixel 8', platform: 'android', lastSeenAt: new Date() },
+        { _id: '64b7f0c2a1b2c3d4e5f60700', deviceName: 'iPad', platform: 'ios', lastSeenAt: new Date() },
+      ];
+      const select = jest.fn().mockResolvedValue(sessions);
+      const sort = jest.fn().mockReturnValue({ select });
+      Session.find.mockReturnValue({ sort });
+
+      const response = await request(app).get('/auth/sessions').set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(Session.find).toHaveBeenCalledWith(expect.objectContaining({ user: 'user123', revokedAt: null }));
+      expect(sort).toHaveBeenCalledWith({ lastSeenAt: -1 });
+      expect(response.body.map(s => s.current)).toEqual([true, false]);
+    });
+
+    it('should sign out a single session and its refresh tokens', async () => {
+      const otherId = '64b7f0c2a1b2c3d4e5f60700';
+      Session.findOneAndUpdate.mockResolvedValue({ _id: otherId });
+
+      const response = await request(app).delete(`/auth/sessions/${otherId}`).set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(Session.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: otherId, user: 'user123', revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { session: otherId, revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+    });
+
+    it('should return 404 for a session of another user', async () => {
+      Session.findOneAndUpdate.mockResolvedValue(null);
+
+      const response = await request(app)
+        .delete('/auth/sessions/64b7f0c2a1b2c3d4e5f60700')
+        .set('x-auth-token', token);
+
+      expect(response.status).toBe(404);
+      expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should refuse the access token of a signed-out session', async () => {
+      Session.exists.mockResolvedValue(null);
+
+      const response = await request(app).get('/auth/sessions').set('x-auth-token', token);
+
+      expect(response.status).toBe(401);
+      expect(Session.exists).toHaveBeenCalledWith({ _id: sessionId, revokedAt: null });
+      expect(Session.find).not.toHaveBeenCalled();
+    });
+
+    it('should keep the caller signed in when a revoked device later tries to refresh', async () => {
+      const otherId = '64b7f0c2a1b2c3d4e5f60700';
+      Session.findOneAndUpdate.mockResolvedValue({ _id: otherId });
+      await request(app).delete(`/auth/sessions/${otherId}`).set('x-auth-token', token);
+      jest.clearAllMocks();
+      Session.exists.mockResolvedValue({ _id: sessionId });
+
+      // The revoked device's token was revoked, never rotated
+      RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+      RefreshToken.findOne.mockResolvedValue(null);
+      const refresh = await request(app).post('/auth/refresh').send({ refreshToken: 'lost-phone-token' });
+
+      expect(refresh.status).toBe(401);
+      expect(Session.updateMany).not.toHaveBeenCalled();
+      expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+      Session.find.mockReturnValue({ sort: jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue([]) }) });
+      const sessions = await request(app).get('/auth/sessions').set('x-auth-token', token);
+      expect(sessions.status).toBe(200);
+    });
+
+    it('should sign out everywhere except the current session', async () => {
+      const response = await request(app).delete('/auth/sessions').set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(Session.updateMany).toHaveBeenCalledWith(
+        { user: 'user123', revokedAt: null, _id: { $ne: sessionId } },
+        { revokedAt: expect.any(Date) }
+      );
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { user: 'user123', revokedAt: null, session: { $ne: sessionId } },
+        { revokedAt: expect.any(Date) }
+      );
+    });
+  });
+
+  // --- Test POST /auth/change-password ---
+  describe('POST /auth/change-password', () => {
+    const token = jwt.sign({ userId: 'user123' }, config.JWT_SECRET);
+
+    it('should update the password when the current one matches', async () => {
+      const userDoc = {
+        _id: 'user123',
+        password: await bcrypt.hash('oldPassword', 4),
+        save: jest.fn().mockResolvedValue(),
+      };
+      User.findById.mockResolvedValue(userDoc);
+      RefreshToken.create.mockResolvedValue({});
+
+      const response = await request(app)
+        .post('/auth/change-password')
+        .set('x-auth-token', token)
+        .send({ currentPassword: 'oldPassword', newPassword: 'Velvet-Harbor-42' });
+
+      expect(response.status).toBe(200);
+      expect(await bcrypt.compare('Velvet-Harbor-42', userDoc.password)).toBe(true);
+      expect(userDoc.save).toHaveBeenCalled();
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { user: 'user123', revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+      expect(response.body.refreshToken).toEqual(expect.any(String));
+    });
+
+    it('should keep this device\'s fresh pair when another device refreshes afterwards', async () => {
+      const userDoc = {
+        _id: 'user123',
+        password: await bcrypt.hash('oldPassword', 4),
+        save: jest.fn().mockResolvedValue(),
+      };
+      User.findById.mockResolvedValue(userDoc);
+      RefreshToken.create.mockResolvedValue({});
+      await request(app)
+        .post('/auth/change-password')
+        .set('x-auth-token', token)
+        .send({ currentPassword: 'oldPassword', newPassword: 'Velvet-Harbor-42' });
+      jest.clearAllMocks();
+
+      // The other device's token was revoked by the change, not rotated
+      RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+      RefreshToken.findOne.mockResolvedValue(null);
+      const response = await request(app).post('/auth/refresh').send({ refreshToken: 'other-device-token' });
+
+      expect(response.status).toBe(401);
+      expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+      expect(Session.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should reject a wrong current password', async () => {
+      const userDoc = { _id: 'user123', password: await bcrypt.hash('oldPassword', 4), save: jest.fn() };
+      User.findById.mockResolvedValue(userDoc);
+
+      const response = await request(app)
+        .post('/auth/change-password')
+        .set('x-auth-token', token)
+        .send({ currentPassword: 'guess', newPassword: 'Velvet-Harbor-42' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ message: 'Current password is incorrect' });
+      expect(userDoc.save).not.toHaveBeenCalled();
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .post('/auth/change-password')
+        .send({ currentPassword: 'oldPassword', newPassword: 'Velvet-Harbor-42' });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  // --- Test POST /auth/forgot-password ---
+  describe('POST /auth/forgot-password', () => {
+    it('should mail a reset token to a registered address', async () => {
+      User.findOne.mockResolvedValue({ _id: 'user123', username: 'john_doe', email: 'john@example.com' });
+      UserToken.create.mockResolvedValue({});
+
+      const response = await request(app).post('/auth/forgot-password').send({ email: 'John@Example.com' });
+
+      expect(response.status).toBe(200);
+      expect(User.findOne).toHaveBeenCalledWith({ email: 'john@example.com' });
+      expect(UserToken.deleteMany).toHaveBeenCalledWith({ user: 'user123', purpose: 'password-reset', usedAt: null });
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'john@example.com',
+        subject: 'Reset your password',
+      }));
+
+      // The mailed token is the one whose hash was stored
+      const mailedToken = sendMail.mock.calls[0][0].text.match(/token=([a-f0-9]+)/)[1];
+      expect(UserToken.create).toHaveBeenCalledWith(expect.objectContaining({
+        purpose: 'password-reset',
+        tokenHash: hashToken(mailedToken),
+      }));
+    });
+
+    it('should answer the same way for an unknown address', async () => {
+      User.findOne.mockResolvedValue(null);
+
+      const response = await request(app).post('/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ message: 'If that email is registered, a reset link has been sent' });
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- Test POST /auth/reset-password ---
+  describe('POST /auth/reset-password', () => {
+    beforeEach(() => {
+      UserToken.findOne.mockResolvedValue({ user: 'user123' });
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: 'user123', username: 'john_doe', email: 'john@example.com' }),
+      });
+    });
+
+    it('should set the new password and revoke existing sessions', async () => {
+      UserToken.findOneAndUpdate.mockResolvedValue({ user: 'user123' });
+      User.findByIdAndUpdate.mockResolvedValue({});
+
+      const response = await request(app)
+        .post('/auth/reset-password')
+        .send({ token: 'reset-token', newPassword: 'Quiet-Lantern-88' });
+
+      expect(response.status).toBe(200);
+      expect(UserToken.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ tokenHash: hashToken('reset-token'), purpose: 'password-reset', usedAt: null }),
+        { usedAt: expect.any(Date) }
+      );
+      const { password } = User.findByIdAndUpdate.mock.calls[0][1];
+      expect(await bcrypt.compare('Quiet-Lantern-88', password)).toBe(true);
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { user: 'user123', revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+    });
+
+    it('should refuse a password built from the username and keep the link usable', async () => {
+      const response = await request(app)
+        .post('/auth/reset-password')
+        .send({ token: 'reset-token', newPassword: 'John_doe-Secret-88' });
+
+      expect(response.status).toBe(422);
+      expect(response.body.errors.newPassword).toBe('Password must not contain your username or email');
+      expect(UserToken.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        tokenHash: hashToken('reset-token'),
+        purpose: 'password-reset',
+        usedAt: null,
+      }));
+      expect(UserToken.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should reject a used or expired token', async () => {
+      UserToken.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/auth/reset-password')
+        .send({ token: 'reset-token', newPassword: 'Quiet-Lantern-88' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ message: 'Reset token is invalid or has expired' });
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- Test GET /auth/verify/:token ---
+  describe('GET /auth/verify/:token', () => {
+    it('should mark the email as verified', async () => {
+      UserToken.findOneAndUpdate.mockResolvedValue({ user: 'user123' });
+
+      const response = await request(app).get('/auth/verify/abc123');
+
+      expect(response.status).toBe(200);
+      expect(UserToken.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ tokenHash: hashToken('abc123'), purpose: 'email-verification' }),
+        { usedAt: expect.any(Date) }
+      );
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith('user123', { emailVerified: true });
+    });
+
+    it('should reject an expired or reused link', async () => {
+      UserToken.findOneAndUpdate.mockResolvedValue(null);
+
+      const response = await request(app).get('/auth/verify/abc123');
+
+      expect(response.status).toBe(400);
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- Test POST /auth/verify/resend ---
+  describe('POST /auth/verify/resend', () => {
+    const token = jwt.sign({ userId: 'user123' }, config.JWT_SECRET);
+
+    it('should send a new link to an unverified account', async () => {
+      User.findById.mockResolvedValue({ _id: 'user123', username: 'john_doe', email: 'john@example.com', emailVerified: false });
+      UserToken.create.mockResolvedValue({});
+
+      const response = await request(app).post('/auth/verify/resend').set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(UserToken.deleteMany).toHaveBeenCalledWith({ user: 'user123', purpose: 'email-verification', usedAt: null });
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'john@example.com' }));
+    });
+
+    it('should refuse when the email is already verified', async () => {
+      User.findById.mockResolvedValue({ _id: 'user123', emailVerified: true });
+
+      const response = await request(app).post('/auth/verify/resend').set('x-auth-token', token);
+
+      expect(response.status).toBe(400);
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- Test DELETE /auth/me ---
+  describe('DELETE /auth/me', () => {
+    const token = jwt.sign({ userId: 'user123' }, config.JWT_SECRET);
+
+    it('should schedule deletion after the grace period and sign out everywhere', async () => {
+      const userDoc = {
+        _id: 'user123',
+        password: await bcrypt.hash('password123', 4),
+        deletionScheduledAt: null,
+        save: jest.fn().mockResolvedValue(),
+      };
+      User.findById.mockResolvedValue(userDoc);
+
+      const response = await request(app)
+        .delete('/auth/me')
+        .set('x-auth-token', token)
+        .send({ password: 'password123' });
+
+      expect(response.status).toBe(202);
+      expect(response.body.message).toBe(
+        'Account scheduled for deletion. Log in before then and choose to keep your account to cancel.'
+      );
+      const graceMs = config.ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000;
+      expect(userDoc.deletionScheduledAt.getTime()).toBeGreaterThan(Date.now() + graceMs - 60 * 1000);
+      expect(userDoc.save).toHaveBeenCalled();
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        { user: 'user123', revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+    });
+
+    it('should refuse without the correct password', async () => {
+      const userDoc = { _id: 'user123', password: await bcrypt.hash('password123', 4), save: jest.fn() };
+      User.findById.mockResolvedValue(userDoc);
+
+      const response = await request(app)
+        .delete('/auth/me')
+        .set('x-auth-token', token)
+        .send({ password: 'wrong' });
+
+      expect(response.status).toBe(400);
+      expect(userDoc.save).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- Test POST /auth/me/cancel-deletion ---
+  describe('POST /auth/me/cancel-deletion', () => {
+    const token = jwt.sign({ userId: 'user123' }, config.JWT_SECRET);
+
+    it('should clear a pending deletion', async () => {
+      User.findOneAndUpdate.mockResolvedValue({ _id: 'user123', deletionScheduledAt: null });
+
+      const response = await request(app).post('/auth/me/cancel-deletion').set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'user123', deletionScheduledAt: { $ne: null } },
+        { deletionScheduledAt: null },
+        { new: true }
+      );
+    });
+
+    it('should return 404 when nothing is pending', async () => {
+      User.findOneAndUpdate.mockResolvedValue(null);
+
+      const response = await request(app).post('/auth/me/cancel-deletion').set('x-auth-token', token);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
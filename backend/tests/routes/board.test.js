@@ -2,28 +2,48 @@ const request = require('supertest');
 const express = require('express');
 const router = require('../../routes/boards'); // Adjust path if necessary
 const Board = require('../../models/Board');   // Adjust path if necessary
+const User = require('../../models/User');
+const Pin = require('../../models/Pin');
+const { savePinToBoard, removePinFromBoard, clearBoardSaves } = require('../../utils/saves');
+const { validateCategory } = require('../../utils/categories');
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
 
 // Mock the Board model
 jest.mock('../../models/Board'); // Adjust path if necessary
+jest.mock('../../models/User');
+jest.mock('../../models/Pin');
+jest.mock('../../utils/saves');
+jest.mock('../../utils/categories');
 
 // Create an Express application for testing
 const app = express();
 app.use(express.json());
 app.use('/boards', router); // Mount the router at a base path, e.g., /boards
 
+// Every write route requires a token; boards below are owned by this user
+const ownerId = '64b7f0c2a1b2c3d4e5f60c01';
+const token = jwt.sign({ userId: ownerId }, config.JWT_SECRET);
+
 describe('Boards Routes', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     console.error = jest.fn(); // Mock console.error
+    // Board owner has confirmed their email unless a test says otherwise
+    User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ emailVerified: true }) });
+    // Nobody is hidden from the viewer and the pins being saved have no owner to check
+    User.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue([]) });
+    Pin.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+    validateCategory.mockResolvedValue(null);
   });
 
   // --- Test GET /boards/user/:userId ---
   describe('GET /boards/user/:userId', () => {
     it('should get all boards for a user successfully', async () => {
-      const mockUserId = 'user123';
+      const mockUserId = '64b7f0c2a1b2c3d4e5f60c01';
       const fixedDateString = new Date().toISOString(); // For consistent date strings
       const mockBoardsFromDb = [
-        { _id: 'board1', title: 'Board 1', user: mockUserId, createdAt: new Date(fixedDateString) },
+        { _id: '64b7f0c2a1b2c3d4e5f60a05', title: 'Board 1', user: mockUserId, createdAt: new Date(fixedDateString) },
         { _id: 'board2', title: 'Board 2', user: mockUserId, createdAt: new Date(fixedDateString) },
       ];
       // This is what res.json() will serialize to (Date objects become ISO strings)
@@ -40,12 +60,51 @@ describe('Boards Routes', () => {
 
       expect(response.status).toBe(200);
       expect(response.body).toEqual(expectedJsonResponse); // Compare against the expected JSON structure
-      expect(Board.find).toHaveBeenCalledWith({ user: mockUserId });
+      expect(Board.find).toHaveBeenCalledWith({ user: mockUserId, isPrivate: { $ne: true } });
       expect(Board.find().sort).toHaveBeenCalledWith({ createdAt: -1 });
     });
 
+    it('should include private boards when the owner asks', async () => {
+      Board.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([]) });
+
+      const response = await request(app).get(`/boards/user/${ownerId}`).set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(Board.find).toHaveBeenCalledWith({ user: ownerId });
+    });
+
+    it('should refuse the boards of a private profile the viewer does not follow', async () => {
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: '64b7f0c2a1b2c3d4e5f60c02', privacy: { profileVisibility: 'private' }, followers: [] }),
+      });
+
+      const response = await request(app).get('/boards/user/64b7f0c2a1b2c3d4e5f60c02').set('x-auth-token', token);
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ message: 'This account is private' });
+      expect(Board.find).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for the boards of a user who blocked the viewer', async () => {
+      User.exists.mockResolvedValue({ _id: '64b7f0c2a1b2c3d4e5f60c02' });
+
+      const response = await request(app).get('/boards/user/64b7f0c2a1b2c3d4e5f60c02').set('x-auth-token', token);
+
+      expect(response.status).toBe(404);
+      expect(Board.find).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for a malformed user id', async () => {
+      const response = await request(app).get('/boards/user/not-an-id');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ message: 'User not found' });
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(Board.find).not.toHaveBeenCalled();
+    });
+
     it('should return 500 if there is a server error fetching boards for a user', async () => {
-      const mockUserId = 'user123';
+      const mockUserId = '64b7f0c2a1b2c3d4e5f60c01';
       Board.find.mockReturnValue({
         sort: jest.fn().mockRejectedValue(new Error('Server DB error')),
       });
@@ -82,8 +141,35 @@ describe('Boards Routes', () => {
       expect(Board.findById().populate).toHaveBeenCalledWith('pins');
     });
 
+    it('should leave out saved pins from users hidden from the viewer', async () => {
+      Board.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue({
+          _id: '64b7f0c2a1b2c3d4e5f60a05',
+          user: ownerId,
+          pins: [{ _id: 'p1', user: 'friend' }, { _id: 'p2', user: 'blocker' }],
+        }),
+      });
+      User.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['blocker']) });
+
+      const response = await request(app).get('/boards/64b7f0c2a1b2c3d4e5f60a05');
+
+      expect(response.status).toBe(200);
+      expect(response.body.pins).toEqual([{ _id: 'p1', user: 'friend' }]);
+    });
+
+    it('should hide another user\'s private board', async () => {
+      Board.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue({ _id: 'secret', isPrivate: true, user: '64b7f0c2a1b2c3d4e5f60c02', pins: [] }),
+      });
+
+      const response = await request(app).get('/boards/secret').set('x-auth-token', token);
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ message: 'Board not found' });
+    });
+
     it('should return 404 if board not found', async () => {
-      const mockBoardId = 'nonexistentboard';
+      const mockBoardId = '64b7f0c2a1b2c3d4e5f60a03';
       Board.findById.mockReturnValue({
         populate: jest.fn().mockResolvedValue(null),
       });
@@ -111,13 +197,13 @@ describe('Boards Routes', () => {
   // --- Test POST /boards ---
   describe('POST /boards', () => {
     it('should create a new board successfully', async () => {
-      const boardData = { title: 'New Board', description: 'A cool new board', userId: 'user456' };
+      const boardData = { title: 'New Board', description: 'A cool new board' };
 
       const expectedSavedBoard = {
         _id: 'mockGeneratedId123', // A specific mock ID
         title: boardData.title,
         description: boardData.description,
-        user: boardData.userId,
+        user: ownerId,
         pins: [],
         // If timestamps are part of your schema and response:
         // createdAt: new Date().toISOString(), // Or expect.any(String)
@@ -128,7 +214,7 @@ describe('Boards Routes', () => {
         const mockInstance = {
           title: boardData.title,
           description: boardData.description,
-          user: boardData.userId,
+          user: ownerId,
           pins: [],
         };
         mockInstance.save = jest.fn().mockImplementation(() => {
@@ -141,7 +227,7 @@ describe('Boards Routes', () => {
         return mockInstance;
       });
 
-      const response = await request(app).post('/boards').send(boardData);
+      const response = await request(app).post('/boards').set('x-auth-token', token).send(boardData);
 
       expect(response.status).toBe(201);
       // response.body is the JSON serialization of mockInstance after save
@@ -150,24 +236,104 @@ describe('Boards Routes', () => {
       expect(Board).toHaveBeenCalledWith({
         title: boardData.title,
         description: boardData.description,
-        user: boardData.userId,
+        isPrivate: false,
+        category: null,
+        user: ownerId,
       });
 
       const mockBoardInstance = Board.mock.results[0].value;
       expect(mockBoardInstance.save).toHaveBeenCalled();
     });
 
+    it('should file the board under a category', async () => {
+      Board.mockImplementation((data) => ({ ...data, save: jest.fn().mockResolvedValue() }));
+
+      const response = await request(app)
+        .post('/boards')
+        .set('x-auth-token', token)
+        .send({ title: 'Bakes', category: 'baking' });
+
+      expect(response.status).toBe(201);
+      expect(validateCategory).toHaveBeenCalledWith('baking');
+      expect(Board).toHaveBeenCalledWith(expect.objectContaining({ category: 'baking' }));
+    });
+
+    it('should reject an unknown category', async () => {
+      validateCategory.mockResolvedValue('Category not found');
+
+      const response = await request(app)
+        .post('/boards')
+        .set('x-auth-token', token)
+        .send({ title: 'Bakes', category: 'nope' });
+
+      expect(response.status).toBe(422);
+      expect(response.body.errors).toEqual({ category: 'Category not found' });
+      expect(Board).not.toHaveBeenCalled();
+    });
+
+    it('should take the owner from the token, not the request body', async () => {
+      Board.mockImplementation((data) => ({
+        ...data,
+        save: jest.fn().mockResolvedValue(),
+      }));
+
+      const response = await request(app)
+        .post('/boards')
+        .set('x-auth-token', token)
+        .send({ title: 'Spoofed Board', userId: 'someoneElse' });
+
+      expect(response.status).toBe(201);
+      expect(Board).toHaveBeenCalledWith(expect.objectContaining({ user: ownerId }));
+    });
+
+    it('should refuse public boards from accounts with an unverified email', async () => {
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ emailVerified: false }) });
+
+      const response = await request(app)
+        .post('/boards')
+        .set('x-auth-token', token)
+        .send({ title: 'Public Board' });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ message: 'Verify your email address to create public boards' });
+      expect(Board).not.toHaveBeenCalled();
+    });
+
+    it('should allow private boards before the email is verified', async () => {
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ emailVerified: false }) });
+      Board.mockImplementation((data) => ({ ...data, save: jest.fn().mockResolvedValue() }));
+
+      const response = await request(app)
+        .post('/boards')
+        .set('x-auth-token', token)
+        .send({ title: 'Private Board', isPrivate: true });
+
+      expect(response.status).toBe(201);
+      expect(response.body.isPrivate).toBe(true);
+    });
+
+    it('should return 401 if the token is invalid', async () => {
+      const response = await request(app)
+        .post('/boards')
+        .set('x-auth-token', 'not-a-jwt')
+        .send({ title: 'New Board' });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ message: 'Token is not valid' });
+      expect(Board).not.toHaveBeenCalled();
+    });
+
     it('should return 500 if there is a server error creating a board', async () => {
-      const boardData = { title: 'Error Board', description: 'This will fail', userId: 'user789' };
+      const boardData = { title: 'Error Board', description: 'This will fail' };
       Board.mockImplementation(() => ({
         title: boardData.title, // Include properties accessed before save, if any
         description: boardData.description,
-        user: boardData.userId,
+        user: ownerId,
         pins: [],
         save: jest.fn().mockRejectedValue(new Error('DB save error')),
       }));
 
-      const response = await request(app).post('/boards').send(boardData);
+      const response = await request(app).post('/boards').set('x-auth-token', token).send(boardData);
 
       expect(response.status).toBe(500);
       expect(response.body).toEqual({ message: 'Server error' });
@@ -178,19 +344,20 @@ describe('Boards Routes', () => {
   // --- Test PUT /boards/:id ---
   describe('PUT /boards/:id', () => {
     it('should update a board successfully', async () => {
-      const mockBoardId = 'boardToUpdate';
+      const mockBoardId = '64b7f0c2a1b2c3d4e5f60a01';
       const updateData = { title: 'Updated Title', description: 'Updated Description' };
       const expectedUpdatedBoard = { // This is what findByIdAndUpdate's mock resolves to
         _id: mockBoardId,
         title: updateData.title,
         description: updateData.description,
-        user: 'user123', // Assuming user is part of the board doc
+        user: ownerId,
         pins: [],      // Assuming pins are part of the board doc
         // updatedAt: new Date().toISOString(), // If applicable
       };
+      Board.findById.mockResolvedValue({ _id: mockBoardId, user: ownerId });
       Board.findByIdAndUpdate.mockResolvedValue(expectedUpdatedBoard);
 
-      const response = await request(app).put(`/boards/${mockBoardId}`).send(updateData);
+      const response = await request(app).put(`/boards/${mockBoardId}`).set('x-auth-token', token).send(updateData);
 
       expect(response.status).toBe(200);
       expect(response.body).toEqual(expectedUpdatedBoard);
@@ -201,23 +368,43 @@ describe('Boards Routes', () => {
       );
     });
 
+    it('should return 401 if no token is provided', async () => {
+      const response = await request(app).put('/boards/64b7f0c2a1b2c3d4e5f60a01').send({ title: 'Updated Title' });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ message: 'No token, authorization denied' });
+      expect(Board.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 if the board belongs to another user', async () => {
+      const mockBoardId = '64b7f0c2a1b2c3d4e5f60a02';
+      Board.findById.mockResolvedValue({ _id: mockBoardId, user: '64b7f0c2a1b2c3d4e5f60c02' });
+
+      const response = await request(app).put(`/boards/${mockBoardId}`).set('x-auth-token', token).send({ title: 'Hijacked' });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ message: 'Not authorized to modify this board' });
+      expect(Board.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
     it('should return 404 if board to update is not found', async () => {
-      const mockBoardId = 'nonexistentboard';
+      const mockBoardId = '64b7f0c2a1b2c3d4e5f60a03';
       const updateData = { title: 'Updated Title' };
-      Board.findByIdAndUpdate.mockResolvedValue(null);
+      Board.findById.mockResolvedValue(null);
 
-      const response = await request(app).put(`/boards/${mockBoardId}`).send(updateData);
+      const response = await request(app).put(`/boards/${mockBoardId}`).set('x-auth-token', token).send(updateData);
 
       expect(response.status).toBe(404);
       expect(response.body).toEqual({ message: 'Board not found' });
     });
 
     it('should return 500 if there is a server error updating a board', async () => {
-      const mockBoardId = 'boardToUpdate';
+      const mockBoardId = '64b7f0c2a1b2c3d4e5f60a01';
       const updateData = { title: 'Updated Title' };
+      Board.findById.mockResolvedValue({ _id: mockBoardId, user: ownerId });
       Board.findByIdAndUpdate.mockRejectedValue(new Error('DB update error'));
 
-      const response = await request(app).put(`/boards/${mockBoardId}`).send(updateData);
+      const response = await request(app).put(`/boards/${mockBoardId}`).set('x-auth-token', token).send(updateData);
 
       expect(response.status).toBe(500);
       expect(response.body).toEqual({ message: 'Server error' });
@@ -228,32 +415,46 @@ describe('Boards Routes', () => {
   // --- Test DELETE /boards/:id ---
   describe('DELETE /boards/:id', () => {
     it('should delete a board successfully', async () => {
-      const mockBoardId = 'boardToDelete';
-      const deletedBoardDocument = { _id: mockBoardId, title: 'Deleted Board' }; // What findByIdAndDelete returns
-      Board.findByIdAndDelete.mockResolvedValue(deletedBoardDocument);
+      const mockBoardId = '64b7f0c2a1b2c3d4e5f60a04';
+      const boardDocument = { _id: mockBoardId, title: 'Deleted Board', user: ownerId };
+      Board.findById.mockResolvedValue(boardDocument);
+      Board.findByIdAndDelete.mockResolvedValue(boardDocument);
 
-      const response = await request(app).delete(`/boards/${mockBoardId}`);
+      const response = await request(app).delete(`/boards/${mockBoardId}`).set('x-auth-token', token);
 
       expect(response.status).toBe(200);
       expect(response.body).toEqual({ message: 'Board deleted' });
+      expect(clearBoardSaves).toHaveBeenCalledWith(mockBoardId);
       expect(Board.findByIdAndDelete).toHaveBeenCalledWith(mockBoardId);
     });
 
+    it('should return 403 if the board belongs to another user', async () => {
+      const mockBoardId = '64b7f0c2a1b2c3d4e5f60a02';
+      Board.findById.mockResolvedValue({ _id: mockBoardId, user: '64b7f0c2a1b2c3d4e5f60c02' });
+
+      const response = await request(app).delete(`/boards/${mockBoardId}`).set('x-auth-token', token);
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ message: 'Not authorized to delete this board' });
+      expect(Board.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+
     it('should return 404 if board to delete is not found', async () => {
-      const mockBoardId = 'nonexistentboard';
-      Board.findByIdAndDelete.mockResolvedValue(null);
+      const mockBoardId = '64b7f0c2a1b2c3d4e5f60a03';
+      Board.findById.mockResolvedValue(null);
 
-      const response = await request(app).delete(`/boards/${mockBoardId}`);
+      const response = await request(app).delete(`/boards/${mockBoardId}`).set('x-auth-token', token);
 
       expect(response.status).toBe(404);
       expect(response.body).toEqual({ message: 'Board not found' });
     });
 
     it('should return 500 if there is a server error deleting a board', async () => {
-      const mockBoardId = 'boardToDelete';
+      const mockBoardId = '64b7f0c2a1b2c3d4e5f60a04';
+      Board.findById.mockResolvedValue({ _id: mockBoardId, user: ownerId });
       Board.findByIdAndDelete.mockRejectedValue(new Error('DB delete error'));
 
-      const response = await request(app).delete(`/boards/${mockBoardId}`);
+      const response = await request(app).delete(`/boards/${mockBoardId}`).set('x-auth-token', token);
 
       expect(response.status).toBe(500);
       expect(response.body).toEqual({ message: 'Server error' });
@@ -261,210 +462,167 @@ describe('Boards Routes', () => {
     });
   });
 
+  describe('malformed ids', () => {
+    it('should return 404 for a malformed board id on every write route', async () => {
+      const responses = await Promise.all([
+        request(app).put('/boards/not-an-id').set('x-auth-token', token).send({ title: 'New' }),
+        request(app).delete('/boards/not-an-id').set('x-auth-token', token),
+        request(app).post('/boards/not-an-id/pins').set('x-auth-token', token).send({ pinId: '64b7f0c2a1b2c3d4e5f60b01' }),
+        request(app).delete('/boards/not-an-id/pins/64b7f0c2a1b2c3d4e5f60b01').set('x-auth-token', token),
+      ]);
+
+      for (const response of responses) {
+        expect(response.status).toBe(404);
+        expect(response.body).toEqual({ message: 'Board not found' });
+      }
+      expect(Board.findById).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when adding a malformed pin id', async () => {
+      const response = await request(app)
+        .post('/boards/64b7f0c2a1b2c3d4e5f60a05/pins')
+        .set('x-auth-token', token)
+        .send({ pinId: { $ne: null } });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ message: 'Pin not found' });
+      expect(Pin.findById).not.toHaveBeenCalled();
+    });
+  });
+
   // --- Test POST /boards/:id/pins ---
   describe('POST /boards/:id/pins', () => {
-    it('should add a pin to a board successfully', async () => {
-      const mockBoardId = 'board1';
-      const mockPinId = 'pin123';
+    const pin = { _id: '64b7f0c2a1b2c3d4e5f60b01', user: '64b7f0c2a1b2c3d4e5f60c02' };
 
-      const boardInstanceBeforePinAdd = { // Instance from findById
-        _id: mockBoardId,
-        title: 'Board with Pins',
-        pins: [],
-        save: jest.fn(),
-      };
-      const boardJsonAfterPinAdd = { // Expected JSON response after save
-        _id: mockBoardId,
-        title: 'Board with Pins',
-        pins: [mockPinId],
-      };
-      // The save method on the instance resolves with the board's new state (as JSON response will be)
-      boardInstanceBeforePinAdd.save.mockResolvedValue(boardJsonAfterPinAdd);
-      Board.findById.mockResolvedValue(boardInstanceBeforePinAdd);
+    beforeEach(() => {
+      Pin.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(pin) });
+      User.exists.mockResolvedValue(null);
+    });
+
+    it('should save a pin to a board and return the updated board', async () => {
+      const updated = { _id: '64b7f0c2a1b2c3d4e5f60a05', title: 'Board with Pins', user: ownerId, pins: ['64b7f0c2a1b2c3d4e5f60b01'] };
+      Board.findById
+        .mockResolvedValueOnce({ _id: '64b7f0c2a1b2c3d4e5f60a05', user: ownerId, pins: [] })
+        .mockResolvedValueOnce(updated);
+      savePinToBoard.mockResolvedValue(true);
 
-      const response = await request(app).post(`/boards/${mockBoardId}/pins`).send({ pinId: mockPinId });
+      const response = await request(app).post('/boards/64b7f0c2a1b2c3d4e5f60a05/pins').set('x-auth-token', token).send({ pinId: '64b7f0c2a1b2c3d4e5f60b01' });
 
       expect(response.status).toBe(200);
-      expect(response.body.pins).toContain(mockPinId);
-      expect(Board.findById).toHaveBeenCalledWith(mockBoardId);
-      // The route logic mutates boardInstanceBeforePinAdd.pins
-      expect(boardInstanceBeforePinAdd.pins).toContain(mockPinId);
-      expect(boardInstanceBeforePinAdd.save).toHaveBeenCalled();
-      expect(response.body).toEqual(boardJsonAfterPinAdd);
+      expect(response.body).toEqual(updated);
+      expect(savePinToBoard).toHaveBeenCalledWith(pin, '64b7f0c2a1b2c3d4e5f60a05', ownerId);
     });
 
-    it('should not add a pin if it already exists on the board', async () => {
-        const mockBoardId = 'board1';
-        const mockPinId = 'pin123';
-
-        const expectedJsonResponseBody = { // What the JSON response should look like
-          _id: mockBoardId,
-          title: 'Board with Pins',
-          pins: [mockPinId],
-        };
-        const mockBoardInstanceWithSaveMethod = { // What Board.findById resolves to
-          ...expectedJsonResponseBody,
-          save: jest.fn(), // Save method exists but shouldn't be called
-        };
+    it('should refuse to save a pin from a user blocked either way', async () => {
+      Board.findById.mockResolvedValue({ _id: '64b7f0c2a1b2c3d4e5f60a05', user: ownerId, pins: [] });
+      User.exists.mockResolvedValue({ _id: ownerId });
 
-        Board.findById.mockResolvedValue(mockBoardInstanceWithSaveMethod);
+      const response = await request(app).post('/boards/64b7f0c2a1b2c3d4e5f60a05/pins').set('x-auth-token', token).send({ pinId: '64b7f0c2a1b2c3d4e5f60b01' });
 
-        const response = await request(app).post(`/boards/${mockBoardId}/pins`).send({ pinId: mockPinId });
+      expect(response.status).toBe(403);
+      expect(User.exists).toHaveBeenCalledWith({
+        $or: [{ _id: '64b7f0c2a1b2c3d4e5f60c02', blocked: ownerId }, { _id: ownerId, blocked: '64b7f0c2a1b2c3d4e5f60c02' }],
+      });
+      expect(savePinToBoard).not.toHaveBeenCalled();
+    });
 
-        expect(response.status).toBe(200);
-        // response.body should be the board as found, because no save occurs
-        expect(response.body).toEqual(expectedJsonResponseBody);
-        expect(response.body.pins).toEqual([mockPinId]);
-        expect(Board.findById).toHaveBeenCalledWith(mockBoardId);
-        expect(mockBoardInstanceWithSaveMethod.save).not.toHaveBeenCalled();
+    it('should return 404 for a pin on a private profile the caller is not approved for', async () => {
+      Board.findById.mockResolvedValue({ _id: '64b7f0c2a1b2c3d4e5f60a05', user: ownerId, pins: [] });
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: '64b7f0c2a1b2c3d4e5f60c02', privacy: { profileVisibility: 'private' }, followers: [] }),
       });
 
+      const response = await request(app).post('/boards/64b7f0c2a1b2c3d4e5f60a05/pins').set('x-auth-token', token).send({ pinId: '64b7f0c2a1b2c3d4e5f60b01' });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ message: 'Pin not found' });
+      expect(savePinToBoard).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 if the pin does not exist', async () => {
+      Board.findById.mockResolvedValue({ _id: '64b7f0c2a1b2c3d4e5f60a05', user: ownerId, pins: [] });
+      Pin.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      const response = await request(app).post('/boards/64b7f0c2a1b2c3d4e5f60a05/pins').set('x-auth-token', token).send({ pinId: '64b7f0c2a1b2c3d4e5f60b03' });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ message: 'Pin not found' });
+      expect(savePinToBoard).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 for someone else\'s board', async () => {
+      Board.findById.mockResolvedValue({ _id: '64b7f0c2a1b2c3d4e5f60a05', user: '64b7f0c2a1b2c3d4e5f60c02', pins: [] });
+
+      const response = await request(app).post('/boards/64b7f0c2a1b2c3d4e5f60a05/pins').set('x-auth-token', token).send({ pinId: '64b7f0c2a1b2c3d4e5f60b01' });
+
+      expect(response.status).toBe(403);
+      expect(savePinToBoard).not.toHaveBeenCalled();
+    });
+
     it('should return 404 if board not found when adding a pin', async () => {
-      const mockBoardId = 'nonexistentboard';
-      const mockPinId = 'pin123';
       Board.findById.mockResolvedValue(null);
 
-      const response = await request(app).post(`/boards/${mockBoardId}/pins`).send({ pinId: mockPinId });
+      const response = await request(app).post('/boards/64b7f0c2a1b2c3d4e5f60a03/pins').set('x-auth-token', token).send({ pinId: '64b7f0c2a1b2c3d4e5f60b01' });
 
       expect(response.status).toBe(404);
       expect(response.body).toEqual({ message: 'Board not found' });
     });
 
-    it('should return 500 if server error when adding a pin (e.g., findById fails)', async () => {
-      const mockBoardId = 'board1';
-      const mockPinId = 'pin123';
-      Board.findById.mockRejectedValue(new Error('DB find error'));
+    it('should return 500 if saving the pin fails', async () => {
+      Board.findById.mockResolvedValue({ _id: '64b7f0c2a1b2c3d4e5f60a05', user: ownerId, pins: [] });
+      savePinToBoard.mockRejectedValue(new Error('DB save error'));
 
-      const response = await request(app).post(`/boards/${mockBoardId}/pins`).send({ pinId: mockPinId });
+      const response = await request(app).post('/boards/64b7f0c2a1b2c3d4e5f60a05/pins').set('x-auth-token', token).send({ pinId: '64b7f0c2a1b2c3d4e5f60b01' });
 
       expect(response.status).toBe(500);
       expect(response.body).toEqual({ message: 'Server error' });
       expect(console.error).toHaveBeenCalledWith('Add pin to board error:', expect.any(Error));
     });
-
-    it('should return 500 if server error when adding a pin (e.g., save fails)', async () => {
-        const mockBoardId = 'board1';
-        const mockPinId = 'pin123';
-        const boardInstance = { // Instance from findById
-            _id: mockBoardId,
-            title: 'Board with Pins',
-            pins: [],
-            save: jest.fn().mockRejectedValue(new Error('DB save error')),
-        };
-        Board.findById.mockResolvedValue(boardInstance);
-
-        const response = await request(app).post(`/boards/${mockBoardId}/pins`).send({ pinId: mockPinId });
-
-        expect(response.status).toBe(500);
-        expect(response.body).toEqual({ message: 'Server error' });
-        expect(console.error).toHaveBeenCalledWith('Add pin to board error:', expect.any(Error));
-        expect(boardInstance.save).toHaveBeenCalled();
-      });
   });
 
   // --- Test DELETE /boards/:id/pins/:pinId ---
   describe('DELETE /boards/:id/pins/:pinId', () => {
-    it('should remove a pin from a board successfully', async () => {
-      const mockBoardId = 'board1';
-      const mockPinIdToRemove = 'pinABC';
-      const initialPins = ['pin123', mockPinIdToRemove, 'pin789'];
-      const pinsAfterRemoval = ['pin123', 'pin789'];
+    it('should remove a pin from a board and return the updated board', async () => {
+      const updated = { _id: '64b7f0c2a1b2c3d4e5f60a05', title: 'Board with Pins', user: ownerId, pins: ['64b7f0c2a1b2c3d4e5f60b01'] };
+      Board.findById
+        .mockResolvedValueOnce({ _id: '64b7f0c2a1b2c3d4e5f60a05', user: ownerId, pins: ['64b7f0c2a1b2c3d4e5f60b01', '64b7f0c2a1b2c3d4e5f60b02'] })
+        .mockResolvedValueOnce(updated);
+      removePinFromBoard.mockResolvedValue(true);
 
-      const boardInstanceBeforeRemoval = { // Instance from findById
-        _id: mockBoardId,
-        title: 'Board with Pins',
-        pins: [...initialPins], // Use spread for mutable copy
-        save: jest.fn(),
-      };
-      const boardJsonAfterRemoval = { // Expected JSON response after save
-        _id: mockBoardId,
-        title: 'Board with Pins',
-        pins: [...pinsAfterRemoval],
-      };
-      // The save method on the instance resolves with the board's new state
-      boardInstanceBeforeRemoval.save.mockResolvedValue(boardJsonAfterRemoval);
-      Board.findById.mockResolvedValue(boardInstanceBeforeRemoval);
-
-      const response = await request(app).delete(`/boards/${mockBoardId}/pins/${mockPinIdToRemove}`);
+      const response = await request(app).delete('/boards/64b7f0c2a1b2c3d4e5f60a05/pins/64b7f0c2a1b2c3d4e5f60b02').set('x-auth-token', token);
 
       expect(response.status).toBe(200);
-      // Route logic mutates boardInstanceBeforeRemoval.pins
-      expect(boardInstanceBeforeRemoval.pins).toEqual(pinsAfterRemoval);
-      expect(boardInstanceBeforeRemoval.save).toHaveBeenCalled();
-      expect(response.body).toEqual(boardJsonAfterRemoval);
-      expect(Board.findById).toHaveBeenCalledWith(mockBoardId);
+      expect(response.body).toEqual(updated);
+      expect(removePinFromBoard).toHaveBeenCalledWith('64b7f0c2a1b2c3d4e5f60b02', '64b7f0c2a1b2c3d4e5f60a05');
     });
 
-    it('should return the board as is if pin to remove is not on the board (save is still called)', async () => {
-        const mockBoardId = 'board1';
-        const mockPinIdToRemove = 'nonExistentPin';
-        const initialPins = ['pin123', 'pin789'];
+    it('should return 403 for someone else\'s board', async () => {
+      Board.findById.mockResolvedValue({ _id: '64b7f0c2a1b2c3d4e5f60a05', user: '64b7f0c2a1b2c3d4e5f60c02', pins: [] });
 
-        const boardInstanceWithSave = { // Instance from findById
-          _id: mockBoardId,
-          title: 'Board with Pins',
-          pins: [...initialPins],
-          save: jest.fn(),
-        };
-        const expectedJsonAfterSave = { // Expected JSON after save (pins array unchanged by filter)
-            _id: mockBoardId,
-            title: 'Board with Pins',
-            pins: [...initialPins],
-        };
-        // Save resolves, reflecting that the pins array (on the instance that save returns) wasn't changed by the filter
-        boardInstanceWithSave.save.mockResolvedValue(expectedJsonAfterSave);
-        Board.findById.mockResolvedValue(boardInstanceWithSave);
-
-        const response = await request(app).delete(`/boards/${mockBoardId}/pins/${mockPinIdToRemove}`);
-
-        expect(response.status).toBe(200);
-        // The pins array on the mock instance was filtered, but the filter didn't remove anything.
-        expect(boardInstanceWithSave.pins).toEqual(initialPins);
-        expect(boardInstanceWithSave.save).toHaveBeenCalled();
-        expect(response.body).toEqual(expectedJsonAfterSave); // Response reflects the saved state
-        expect(Board.findById).toHaveBeenCalledWith(mockBoardId);
-      });
+      const response = await request(app).delete('/boards/64b7f0c2a1b2c3d4e5f60a05/pins/64b7f0c2a1b2c3d4e5f60b01').set('x-auth-token', token);
+
+      expect(response.status).toBe(403);
+      expect(removePinFromBoard).not.toHaveBeenCalled();
+    });
 
     it('should return 404 if board not found when removing a pin', async () => {
-      const mockBoardId = 'nonexistentboard';
-      const mockPinId = 'pin123';
       Board.findById.mockResolvedValue(null);
 
-      const response = await request(app).delete(`/boards/${mockBoardId}/pins/${mockPinId}`);
+      const response = await request(app).delete('/boards/64b7f0c2a1b2c3d4e5f60a03/pins/64b7f0c2a1b2c3d4e5f60b01').set('x-auth-token', token);
 
       expect(response.status).toBe(404);
       expect(response.body).toEqual({ message: 'Board not found' });
     });
 
-    it('should return 500 if server error when removing a pin (e.g. findById fails)', async () => {
-      const mockBoardId = 'board1';
-      const mockPinId = 'pin123';
-      Board.findById.mockRejectedValue(new Error('DB find error'));
+    it('should return 500 if removing the pin fails', async () => {
+      Board.findById.mockResolvedValue({ _id: '64b7f0c2a1b2c3d4e5f60a05', user: ownerId, pins: ['64b7f0c2a1b2c3d4e5f60b01'] });
+      removePinFromBoard.mockRejectedValue(new Error('DB update error'));
 
-      const response = await request(app).delete(`/boards/${mockBoardId}/pins/${mockPinId}`);
+      const response = await request(app).delete('/boards/64b7f0c2a1b2c3d4e5f60a05/pins/64b7f0c2a1b2c3d4e5f60b01').set('x-auth-token', token);
 
       expect(response.status).toBe(500);
       expect(response.body).toEqual({ message: 'Server error' });
       expect(console.error).toHaveBeenCalledWith('Remove pin from board error:', expect.any(Error));
     });
-
-    it('should return 500 if server error when removing a pin (e.g. save fails)', async () => {
-        const mockBoardId = 'board1';
-        const mockPinId = 'pin123';
-        const boardInstance = { // Instance from findById
-            _id: mockBoardId,
-            title: 'Board with Pins',
-            pins: [mockPinId, 'otherPin'],
-            save: jest.fn().mockRejectedValue(new Error('DB save error')),
-        };
-        Board.findById.mockResolvedValue(boardInstance);
-
-        const response = await request(app).delete(`/boards/${mockBoardId}/pins/${mockPinId}`);
-
-        expect(response.status).toBe(500);
-        expect(response.body).toEqual({ message: 'Server error' });
-        expect(console.error).toHaveBeenCalledWith('Remove pin from board error:', expect.any(Error));
-        expect(boardInstance.save).toHaveBeenCalled(); // Save was attempted
-      });
   });
-});
\ No newline at end of file
+});
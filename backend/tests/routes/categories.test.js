@@ -0,0 +1,67 @@
+const request = require('supertest');
+const express = require('express');
+const router = require('../../routes/categories');
+const Category = require('../../models/Category');
+const { categoryTree } = require('../../utils/categories');
+
+jest.mock('../../models/Category');
+jest.mock('../../utils/categories');
+
+const app = express();
+app.use(express.json());
+app.use('/categories', router);
+
+describe('Categories Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    console.error = jest.fn();
+  });
+
+  describe('GET /categories', () => {
+    it('should return the category tree', async () => {
+      const categories = [{ slug: 'food', name: 'Food', icon: 'food', children: [] }];
+      categoryTree.mockResolvedValue(categories);
+
+      const response = await request(app).get('/categories');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ categories });
+    });
+
+    it('should handle server errors', async () => {
+      categoryTree.mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app).get('/categories');
+
+      expect(response.status).toBe(500);
+      expect(console.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /categories/:slug', () => {
+    it('should return a subcategory with its parent', async () => {
+      const parent = { slug: 'food', name: 'Food', icon: 'food' };
+      Category.findOne
+        .mockReturnValueOnce({
+          select: jest.fn().mockResolvedValue({ slug: 'baking', name: 'Baking', icon: 'food', parentCategory: 'food' }),
+        })
+        .mockReturnValueOnce({ select: jest.fn().mockResolvedValue(parent) });
+      Category.find.mockReturnValue({ sort: jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue([]) }) });
+
+      const response = await request(app).get('/categories/baking');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ slug: 'baking', name: 'Baking', icon: 'food', parent, children: [] });
+      expect(Category.findOne).toHaveBeenLastCalledWith({ slug: 'food' });
+    });
+
+    it('should return 404 for an unknown category', async () => {
+      Category.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      const response = await request(app).get('/categories/nope');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ message: 'Category not found' });
+    });
+  });
+});
@@ -0,0 +1,461 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
+const router = require('../../routes/comments');
+const Comment = require('../../models/Comment');
+const CommentReaction = require('../../models/CommentReaction');
+const Pin = require('../../models/Pin');
+const User = require('../../models/User');
+const { deleteCommentThread, removeReaction } = require('../../utils/comments');
+const { resolveMentions, notifyMentions } = require('../../utils/mentions');
+
+jest.mock('../../models/Comment');
+jest.mock('../../models/CommentReaction');
+jest.mock('../../models/Pin');
+jest.mock('../../models/User');
+jest.mock('../../utils/comments');
+jest.mock('../../utils/mentions');
+
+const app = express();
+app.use(express.json());
+app.use('/pins/:id/comments', router);
+
+const userId = '64b7f0c2a1b2c3d4e5f60701';
+const ownerId = '64b7f0c2a1b2c3d4e5f60702';
+const pinId = '64b7f0c2a1b2c3d4e5f60720';
+const commentId = '64b7f0c2a1b2c3d4e5f60740';
+const token = jwt.sign({ userId }, config.JWT_SECRET);
+
+describe('Comments Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    console.error = jest.fn();
+    // A verified caller, a public pin owner and nobody blocked or hidden
+    User.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ emailVerified: true, followers: [], blocked: [], muted: [] }),
+    });
+    User.exists.mockResolvedValue(null);
+    User.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue([]) });
+    Pin.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: pinId, user: ownerId }) });
+    resolveMentions.mockResolvedValue([]);
+    notifyMentions.mockResolvedValue([]);
+  });
+
+  // Documents as the query returns them
+  const asDocs = (comments) => comments.map(comment => ({ ...comment, toObject: () => comment }));
+
+  const mockCommentPage = (comments) => {
+    const populate = jest.fn().mockResolvedValue(asDocs(comments));
+    const limit = jest.fn().mockReturnValue({ populate });
+    Comment.find.mockReturnValue({ sort: jest.fn().mockReturnValue({ limit }) });
+    return { limit, populate };
+  };
+
+  describe('GET /pins/:id/comments', () => {
+    it('should return the first page with a cursor for the next', async () => {
+      const { limit, populate } = mockCommentPage([
+        { _id: 'c1', text: 'Love it' },
+        { _id: 'c2', text: 'Same' },
+        { _id: 'c3', text: 'Extra' },
+      ]);
+
+      const response = await request(app).get(`/pins/${pinId}/comments?limit=2`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        comments: [
+          { _id: 'c1', text: 'Love it', myReaction: null },
+          { _id: 'c2', text: 'Same', myReaction: null },
+        ],
+        nextCursor: 'c2',
+        hasMore: true,
+      });
+      expect(Comment.find).toHaveBeenCalledWith({ pin: pinId, parentComment: null, user: { $nin: [] } });
+      expect(limit).toHaveBeenCalledWith(3);
+      expect(populate).toHaveBeenCalledWith('user', 'username avatar');
+    });
+
+    it('should continue after the cursor', async () => {
+      mockCommentPage([{ _id: 'c4', text: 'Last' }]);
+
+      const response = await request(app).get(`/pins/${pinId}/comments?cursor=${commentId}`);
+
+      expect(response.body).toEqual({
+        comments: [{ _id: 'c4', text: 'Last', myReaction: null }],
+        nextCursor: null,
+        hasMore: false,
+      });
+      expect(Comment.find).toHaveBeenCalledWith({
+        pin: pinId,
+        parentComment: null,
+        user: { $nin: [] },
+        _id: { $gt: commentId },
+      });
+    });
+
+    it('should show comments by private profiles and leave out only blocked users', async () => {
+      // The caller blocked one user; the commenters' privacy plays no part
+      User.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['blockedMe']) });
+      User.findById.mockImplementation(id => ({
+        select: jest.fn().mockResolvedValue(id === userId
+          ? { emailVerified: true, followers: [], blocked: ['b1'], muted: [] }
+          : { _id: ownerId, followers: [] }),
+      }));
+      mockCommentPage([{ _id: 'c1', text: 'From a private account' }]);
+      CommentReaction.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+
+      const response = await request(app).get(`/pins/${pinId}/comments`).set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body.comments).toHaveLength(1);
+      expect(User.find).toHaveBeenCalledWith({ blocked: userId });
+      expect(Comment.find).toHaveBeenCalledWith({
+        pin: pinId,
+        parentComment: null,
+        user: { $nin: ['blockedMe', 'b1'] },
+      });
+    });
+
+    it('should reject a malformed cursor', async () => {
+      const response = await request(app).get(`/pins/${pinId}/comments?cursor=nope`);
+
+      expect(response.status).toBe(422);
+      expect(response.body.errors).toEqual({ cursor: 'Cursor is not valid' });
+    });
+
+    it('should return 404 for a pin the viewer cannot see', async () => {
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ privacy: { profileVisibility: 'private' }, followers: [] }),
+      });
+
+      const response = await request(app).get(`/pins/${pinId}/comments`);
+
+      expect(response.status).toBe(404);
+      expect(Comment.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /pins/:id/comments', () => {
+    it('should create a comment, count it and return it with its author', async () => {
+      const created = { _id: commentId, text: 'Love it', populate: jest.fn() };
+      Comment.create.mockResolvedValue(created);
+
+      const response = await request(app)
+        .post(`/pins/${pinId}/comments`)
+        .set('x-auth-token', token)
+        .send({ text: '  Love it  ' });
+
+      expect(response.status).toBe(201);
+      expect(Comment.create).toHaveBeenCalledWith({
+        text: 'Love it', user: userId, pin: pinId, parentComment: null, mentions: [],
+      });
+      expect(Pin.updateOne).toHaveBeenCalledWith({ _id: pinId }, { $inc: { commentCount: 1 } });
+      expect(created.populate).toHaveBeenCalledWith('user', 'username avatar');
+    });
+
+    it('should store the mentions in the text and notify those users', async () => {
+      const mentions = [{ user: ownerId, username: 'owner', start: 0, end: 6 }];
+      resolveMentions.mockResolvedValue(mentions);
+      const created = { _id: commentId, text: '@owner nice', mentions, populate: jest.fn() };
+      Comment.create.mockResolvedValue(created);
+
+      const response = await request(app)
+        .post(`/pins/${pinId}/comments`)
+        .set('x-auth-token', token)
+        .send({ text: '@owner nice' });
+
+      expect(response.status).toBe(201);
+      expect(resolveMentions).toHaveBeenCalledWith('@owner nice');
+      expect(Comment.create).toHaveBeenCalledWith(expect.objectContaining({ mentions }));
+      expect(notifyMentions).toHaveBeenCalledWith({
+        mentions,
+        actorId: userId,
+        pin: { _id: pinId, user: ownerId },
+        comment: created,
+      });
+    });
+
+    it('should reject empty and overlong comments', async () => {
+      const empty = await request(app).post(`/pins/${pinId}/comments`).set('x-auth-token', token).send({ text: '   ' });
+      const long = await request(app)
+        .post(`/pins/${pinId}/comments`)
+        .set('x-auth-token', token)
+        .send({ text: 'a'.repeat(501) });
+
+      expect(empty.status).toBe(422);
+      expect(empty.body.errors).toEqual({ text: 'Comment text is required' });
+      expect(long.status).toBe(422);
+      expect(long.body.errors).toEqual({ text: 'Comment must be at most 500 characters' });
+      expect(Comment.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse comments across a block', async () => {
+      User.exists.mockResolvedValue({ _id: ownerId });
+
+      const response = await request(app).post(`/pins/${pinId}/comments`).set('x-auth-token', token).send({ text: 'Hi' });
+
+      expect(response.status).toBe(403);
+      expect(Comment.create).not.toHaveBeenCalled();
+    });
+
+    it('should require a verified email', async () => {
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ emailVerified: false }) });
+
+      const response = await request(app).post(`/pins/${pinId}/comments`).set('x-auth-token', token).send({ text: 'Hi' });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ message: 'Please verify your email address first' });
+    });
+  });
+
+  describe('PUT /pins/:id/comments/:commentId', () => {
+    it('should let the author edit the text', async () => {
+      Comment.findOne.mockResolvedValue({ _id: commentId, user: userId, pin: pinId });
+      const populate = jest.fn().mockResolvedValue({ _id: commentId, text: 'Edited' });
+      Comment.findByIdAndUpdate.mockReturnValue({ populate });
+
+      const response = await request(app)
+        .put(`/pins/${pinId}/comments/${commentId}`)
+        .set('x-auth-token', token)
+        .send({ text: 'Edited' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ _id: commentId, text: 'Edited' });
+      expect(Comment.findOne).toHaveBeenCalledWith({ _id: commentId, pin: pinId });
+      expect(Comment.findByIdAndUpdate).toHaveBeenCalledWith(
+        commentId,
+        { text: 'Edited', mentions: [], editedAt: expect.any(Date) },
+        { new: true }
+      );
+    });
+
+    it('should pass the earlier mentions along so only new ones are notified', async () => {
+      const before = [{ user: ownerId, username: 'owner', start: 0, end: 6 }];
+      const after = [...before, { user: 'u3', username: 'sam', start: 11, end: 15 }];
+      const comment = { _id: commentId, user: userId, pin: pinId, mentions: before };
+      Comment.findOne.mockResolvedValue(comment);
+      Comment.findByIdAndUpdate.mockReturnValue({ populate: jest.fn().mockResolvedValue({ _id: commentId }) });
+      resolveMentions.mockResolvedValue(after);
+
+      await request(app)
+        .put(`/pins/${pinId}/comments/${commentId}`)
+        .set('x-auth-token', token)
+        .send({ text: '@owner and @sam' });
+
+      expect(notifyMentions).toHaveBeenCalledWith({
+        mentions: after,
+        previous: before,
+        actorId: userId,
+        pin: { _id: pinId, user: ownerId },
+        comment,
+      });
+    });
+
+    it('should not let anyone else edit it, even the pin owner', async () => {
+      Comment.findOne.mockResolvedValue({ _id: commentId, user: ownerId, pin: pinId });
+
+      const response = await request(app)
+        .put(`/pins/${pinId}/comments/${commentId}`)
+        .set('x-auth-token', token)
+        .send({ text: 'Edited' });
+
+      expect(response.status).toBe(403);
+      expect(Comment.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for a comment on another pin', async () => {
+      Comment.findOne.mockResolvedValue(null);
+
+      const response = await request(app)
+        .put(`/pins/${pinId}/comments/${commentId}`)
+        .set('x-auth-token', token)
+        .send({ text: 'Edited' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /pins/:id/comments/:commentId', () => {
+    it('should let the author delete it with its thread', async () => {
+      const comment = { _id: commentId, user: userId, pin: pinId };
+      Comment.findOne.mockResolvedValue(comment);
+
+      const response = await request(app).delete(`/pins/${pinId}/comments/${commentId}`).set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(deleteCommentThread).toHaveBeenCalledWith(comment);
+    });
+
+    it('should let the pin owner delete anyone\'s comment', async () => {
+      const ownerToken = jwt.sign({ userId: ownerId }, config.JWT_SECRET);
+      Comment.findOne.mockResolvedValue({ _id: commentId, user: userId, pin: pinId });
+
+      const response = await request(app).delete(`/pins/${pinId}/comments/${commentId}`).set('x-auth-token', ownerToken);
+
+      expect(response.status).toBe(200);
+      expect(deleteCommentThread).toHaveBeenCalled();
+    });
+
+    it('should refuse everyone else', async () => {
+      Comment.findOne.mockResolvedValue({ _id: commentId, user: '64b7f0c2a1b2c3d4e5f60703', pin: pinId });
+
+      const response = await request(app).delete(`/pins/${pinId}/comments/${commentId}`).set('x-auth-token', token);
+
+      expect(response.status).toBe(403);
+      expect(deleteCommentThread).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('replies', () => {
+    const replyId = '64b7f0c2a1b2c3d4e5f60741';
+
+    it('should add a reply to the thread and count it on the parent', async () => {
+      Comment.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: commentId, user: ownerId, parentComment: null }) });
+      Comment.create.mockResolvedValue({ _id: 'new', populate: jest.fn() });
+
+      const response = await request(app)
+        .post(`/pins/${pinId}/comments`)
+        .set('x-auth-token', token)
+        .send({ text: 'Agreed', parent: commentId });
+
+      expect(response.status).toBe(201);
+      expect(Comment.create).toHaveBeenCalledWith({
+        text: 'Agreed', user: userId, pin: pinId, parentComment: commentId, mentions: [],
+      });
+      expect(Comment.updateOne).toHaveBeenCalledWith({ _id: commentId }, { $inc: { replyCount: 1 } });
+    });
+
+    it('should file a reply to a reply under the top-level comment', async () => {
+      Comment.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: replyId, user: ownerId, parentComment: commentId }) });
+      Comment.create.mockResolvedValue({ _id: 'new', populate: jest.fn() });
+
+      await request(app)
+        .post(`/pins/${pinId}/comments`)
+        .set('x-auth-token', token)
+        .send({ text: 'Me too', parent: replyId });
+
+      expect(Comment.create).toHaveBeenCalledWith(expect.objectContaining({ parentComment: commentId }));
+      expect(Comment.updateOne).toHaveBeenCalledWith({ _id: commentId }, { $inc: { replyCount: 1 } });
+    });
+
+    it('should refuse replies to someone who blocked the caller', async () => {
+      const blockerId = '64b7f0c2a1b2c3d4e5f60709';
+      Comment.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: commentId, user: blockerId, parentComment: null }) });
+      // The pin owner is fine; the comment's author is not
+      User.exists.mockImplementation(async ({ $or }) => ($or[0]._id === blockerId ? { _id: blockerId } : null));
+
+      const response = await request(app)
+        .post(`/pins/${pinId}/comments`)
+        .set('x-auth-token', token)
+        .send({ text: 'Hey', parent: commentId });
+
+      expect(response.status).toBe(403);
+      expect(Comment.create).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when the parent is not on this pin', async () => {
+      Comment.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      const response = await request(app)
+        .post(`/pins/${pinId}/comments`)
+        .set('x-auth-token', token)
+        .send({ text: 'Hey', parent: commentId });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should fetch a page of a thread with the viewer\'s reactions', async () => {
+      Comment.findOne.mockResolvedValue({ _id: commentId, pin: pinId });
+      mockCommentPage([{ _id: replyId, text: 'Agreed' }]);
+      CommentReaction.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([{ comment: replyId, type: 'love' }]),
+      });
+
+      const response = await request(app).get(`/pins/${pinId}/comments/${commentId}/replies`).set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        comments: [{ _id: replyId, text: 'Agreed', myReaction: 'love' }],
+        nextCursor: null,
+        hasMore: false,
+      });
+      expect(Comment.find).toHaveBeenCalledWith({ parentComment: commentId, user: { $nin: [] } });
+    });
+  });
+
+  describe('reactions', () => {
+    const counts = { like: 0, love: 0, haha: 0, wow: 0, sad: 0 };
+
+    beforeEach(() => {
+      Comment.findOne.mockResolvedValue({ _id: commentId, user: ownerId, pin: pinId, reactionCounts: counts });
+    });
+
+    it('should add a new reaction and count it', async () => {
+      CommentReaction.findOneAndUpdate.mockResolvedValue(null);
+      Comment.findByIdAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue({ reactionCounts: { ...counts, love: 1 } }) });
+
+      const response = await request(app)
+        .put(`/pins/${pinId}/comments/${commentId}/reaction`)
+        .set('x-auth-token', token)
+        .send({ type: 'love' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ reaction: 'love', reactionCounts: { ...counts, love: 1 } });
+      expect(CommentReaction.findOneAndUpdate).toHaveBeenCalledWith(
+        { comment: commentId, user: userId },
+        { $set: { type: 'love' }, $setOnInsert: { pin: pinId, createdAt: expect.any(Date) } },
+        { upsert: true }
+      );
+      expect(Comment.findByIdAndUpdate).toHaveBeenCalledWith(commentId, { $inc: { 'reactionCounts.love': 1 } }, { new: true });
+    });
+
+    it('should move the count when the reaction changes type', async () => {
+      CommentReaction.findOneAndUpdate.mockResolvedValue({ type: 'like' });
+      Comment.findByIdAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue({ reactionCounts: counts }) });
+
+      await request(app)
+        .put(`/pins/${pinId}/comments/${commentId}/reaction`)
+        .set('x-auth-token', token)
+        .send({ type: 'haha' });
+
+      expect(Comment.findByIdAndUpdate).toHaveBeenCalledWith(
+        commentId,
+        { $inc: { 'reactionCounts.haha': 1, 'reactionCounts.like': -1 } },
+        { new: true }
+      );
+    });
+
+    it('should leave the counts alone when repeating the same reaction', async () => {
+      CommentReaction.findOneAndUpdate.mockResolvedValue({ type: 'like' });
+
+      const response = await request(app)
+        .put(`/pins/${pinId}/comments/${commentId}/reaction`)
+        .set('x-auth-token', token)
+        .send({ type: 'like' });
+
+      expect(response.body).toEqual({ reaction: 'like', reactionCounts: counts });
+      expect(Comment.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown reaction types', async () => {
+      const response = await request(app)
+        .put(`/pins/${pinId}/comments/${commentId}/reaction`)
+        .set('x-auth-token', token)
+        .send({ type: 'angry' });
+
+      expect(response.status).toBe(422);
+      expect(CommentReaction.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should withdraw a reaction', async () => {
+      Comment.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ reactionCounts: counts }) });
+
+      const response = await request(app).delete(`/pins/${pinId}/comments/${commentId}/reaction`).set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ reaction: null, reactionCounts: counts });
+      expect(removeReaction).toHaveBeenCalledWith(commentId, userId);
+    });
+  });
+});
@@ -4,19 +4,90 @@ const express = require('express');
 // Update these paths to match your project structure
 const router = require('../../routes/pins');
 const Pin = require('../../models/Pin');
+const Like = require('../../models/Like');
+const Board = require('../../models/Board');
+const Save = require('../../models/Save');
+const Comment = require('../../models/Comment');
+const CommentReaction = require('../../models/CommentReaction');
+const { savePinToBoard, removePinFromBoard } = require('../../utils/saves');
+const User = require('../../models/User');
+const Notification = require('../../models/Notification');
+const PinView = require('../../models/PinView');
+const { resolveMentions, notifyMentions } = require('../../utils/mentions');
+const { validateCategory, categoryCondition } = require('../../utils/categories');
+const { recordView } = require('../../utils/trending');
+const { rankRelatedPins } = require('../../utils/related');
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
 
 // Mock the Pin model
 jest.mock('../../models/Pin');
+jest.mock('../../models/Like');
+jest.mock('../../models/Board');
+jest.mock('../../models/Save');
+jest.mock('../../models/Comment');
+jest.mock('../../models/CommentReaction');
+jest.mock('../../utils/saves');
+jest.mock('../../models/User');
+jest.mock('../../models/Notification');
+jest.mock('../../utils/mentions');
+jest.mock('../../utils/categories');
+jest.mock('../../models/PinView');
+jest.mock('../../utils/trending');
+jest.mock('../../utils/related');
 
 // Create an Express application for testing
 const app = express();
 app.use(express.json());
 app.use('/', router);
 
+const token = jwt.sign({ userId: 'user123' }, config.JWT_SECRET);
+
 describe('Create Pin Endpoint', () => {
   // Clear all mock implementations and calls before each test
   beforeEach(() => {
     jest.clearAllMocks();
+    resolveMentions.mockResolvedValue([]);
+    notifyMentions.mockResolvedValue([]);
+    validateCategory.mockResolvedValue(null);
+  });
+
+  describe('GET /', () => {
+    beforeEach(() => {
+      User.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue([]) });
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ blocked: [], muted: [] }) });
+    });
+
+    it('should filter by a category and its subcategories', async () => {
+      categoryCondition.mockResolvedValue({ $in: ['food', 'baking'] });
+      const pins = [{ _id: 'pin1', category: 'baking' }];
+      Pin.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(pins) });
+
+      const response = await request(app).get('/?category=food').set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(pins);
+      expect(categoryCondition).toHaveBeenCalledWith('food');
+      expect(Pin.find).toHaveBeenCalledWith({ user: { $nin: [] }, category: { $in: ['food', 'baking'] } });
+    });
+
+    it('should return 404 for a malformed user id', async () => {
+      const response = await request(app).get('/?user=not-an-id').set('x-auth-token', token);
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ message: 'User not found' });
+      expect(Pin.find).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown category', async () => {
+      categoryCondition.mockResolvedValue(null);
+
+      const response = await request(app).get('/?category=nope');
+
+      expect(response.status).toBe(422);
+      expect(response.body.errors).toEqual({ category: 'Category not found' });
+      expect(Pin.find).not.toHaveBeenCalled();
+    });
   });
 
   describe('POST /', () => {
@@ -25,8 +96,7 @@ describe('Create Pin Endpoint', () => {
       const pinData = {
         title: 'New Pin',
         description: 'New Description',
-        imageUrl: 'new.jpg',
-        userId: 'user123'
+        imageUrl: 'new.jpg'
       };
       
       const savedPin = {
@@ -42,13 +112,14 @@ describe('Create Pin Endpoint', () => {
         title: pinData.title,
         description: pinData.description,
         imageUrl: pinData.imageUrl,
-        user: pinData.userId,
+        user: 'user123',
         save: jest.fn().mockResolvedValue(savedPin)
       }));
 
       // Make request
       const response = await request(app)
         .post('/')
+        .set('x-auth-token', token)
         .send(pinData);
 
       // Assertions
@@ -64,17 +135,76 @@ describe('Create Pin Endpoint', () => {
         title: pinData.title,
         description: pinData.description,
         imageUrl: pinData.imageUrl,
-        user: pinData.userId
+        user: 'user123',
+        category: null,
+        tags: [],
+        mentions: []
       });
     });
 
+    it('should file the pin under a known category and reject unknown ones', async () => {
+      Pin.mockImplementation(() => ({ save: jest.fn().mockResolvedValue() }));
+
+      const filed = await request(app)
+        .post('/')
+        .set('x-auth-token', token)
+        .send({ title: 'Bread', imageUrl: 'new.jpg', category: 'baking' });
+      validateCategory.mockResolvedValue('Category not found');
+      const unknown = await request(app)
+        .post('/')
+        .set('x-auth-token', token)
+        .send({ title: 'Bread', imageUrl: 'new.jpg', category: 'nope' });
+
+      expect(filed.status).toBe(201);
+      expect(Pin).toHaveBeenCalledWith(expect.objectContaining({ category: 'baking' }));
+      expect(unknown.status).toBe(422);
+      expect(unknown.body.errors).toEqual({ category: 'Category not found' });
+      expect(Pin).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep the tags sent and add the description\'s hashtags', async () => {
+      Pin.mockImplementation(() => ({ save: jest.fn().mockResolvedValue() }));
+
+      await request(app)
+        .post('/')
+        .set('x-auth-token', token)
+        .send({ title: 'Salad', description: 'Lunch #Vegan #food', imageUrl: 'new.jpg', tags: ['Food', '#summer'] });
+
+      expect(Pin).toHaveBeenCalledWith(expect.objectContaining({ tags: ['food', 'summer', 'vegan'] }));
+    });
+
+    it('should reject tags that are not a list of words', async () => {
+      const notList = await request(app).post('/').set('x-auth-token', token).send({ title: 'A', tags: 'food' });
+      const badTag = await request(app).post('/').set('x-auth-token', token).send({ title: 'A', tags: ['two words'] });
+
+      expect(notList.status).toBe(422);
+      expect(notList.body.errors).toEqual({ tags: 'Tags must be a list' });
+      expect(badTag.status).toBe(422);
+      expect(Pin).not.toHaveBeenCalled();
+    });
+
+    it('should store the description\'s mentions and notify those users', async () => {
+      const mentions = [{ user: 'user456', username: 'sam', start: 4, end: 8 }];
+      resolveMentions.mockResolvedValue(mentions);
+      const pin = { user: 'user123', mentions, save: jest.fn().mockResolvedValue() };
+      Pin.mockImplementation(() => pin);
+
+      const response = await request(app)
+        .post('/')
+        .set('x-auth-token', token)
+        .send({ title: 'New Pin', description: 'For @sam', imageUrl: 'new.jpg' });
+
+      expect(response.status).toBe(201);
+      expect(resolveMentions).toHaveBeenCalledWith('For @sam');
+      expect(notifyMentions).toHaveBeenCalledWith({ mentions, actorId: 'user123', pin });
+    });
+
     it('should handle server errors during pin creation', async () => {
       // Mock data
       const pinData = {
         title: 'New Pin',
         description: 'New Description',
-        imageUrl: 'new.jpg',
-        userId: 'user123'
+        imageUrl: 'new.jpg'
       };
 
       // Mock Pin constructor and save method to throw an error
@@ -88,6 +218,7 @@ describe('Create Pin Endpoint', () => {
       // Make request
       const response = await request(app)
         .post('/')
+        .set('x-auth-token', token)
         .send(pinData);
 
       // Assertions
@@ -100,8 +231,7 @@ describe('Create Pin Endpoint', () => {
       // Mock data with missing fields
       const incompleteData = {
         // Missing title and description
-        imageUrl: 'new.jpg',
-        userId: 'user123'
+        imageUrl: 'new.jpg'
       };
 
       // Mock Pin constructor and save method to throw a validation error
@@ -118,6 +248,7 @@ describe('Create Pin Endpoint', () => {
       // Make request
       const response = await request(app)
         .post('/')
+        .set('x-auth-token', token)
         .send(incompleteData);
 
       // Assertions
@@ -126,4 +257,499 @@ describe('Create Pin Endpoint', () => {
       expect(console.error).toHaveBeenCalledWith('Create pin error:', expect.any(Error));
     });
   });
-});
\ No newline at end of file
+
+  describe('PUT /:id', () => {
+    it('should update a pin owned by the caller', async () => {
+      const updatedPin = { _id: '64b7f0c2a1b2c3d4e5f60721', title: 'Renamed', description: '', user: 'user123' };
+      Pin.findById.mockResolvedValue({ _id: '64b7f0c2a1b2c3d4e5f60721', user: 'user123' });
+      Pin.findByIdAndUpdate.mockResolvedValue(updatedPin);
+
+      const response = await request(app)
+        .put('/64b7f0c2a1b2c3d4e5f60721')
+        .set('x-auth-token', token)
+        .send({ title: 'Renamed', description: '' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(updatedPin);
+      expect(Pin.findByIdAndUpdate).toHaveBeenCalledWith(
+        '64b7f0c2a1b2c3d4e5f60721',
+        { title: 'Renamed', description: '', mentions: [], tags: [] },
+        { new: true }
+      );
+    });
+
+    it('should only notify users newly mentioned in the description', async () => {
+      const before = [{ user: 'user456', username: 'sam', start: 0, end: 4 }];
+      const after = [...before, { user: 'user789', username: 'alex', start: 9, end: 14 }];
+      const updatedPin = { _id: '64b7f0c2a1b2c3d4e5f60721', user: 'user123', mentions: after };
+      Pin.findById.mockResolvedValue({ _id: '64b7f0c2a1b2c3d4e5f60721', user: 'user123', mentions: before });
+      Pin.findByIdAndUpdate.mockResolvedValue(updatedPin);
+      resolveMentions.mockResolvedValue(after);
+
+      await request(app)
+        .put('/64b7f0c2a1b2c3d4e5f60721')
+        .set('x-auth-token', token)
+        .send({ description: '@sam and @alex' });
+
+      expect(notifyMentions).toHaveBeenCalledWith({
+        mentions: after,
+        previous: before,
+        actorId: 'user123',
+        pin: updatedPin,
+      });
+    });
+
+    it('should swap the old description\'s hashtags for the new ones, keeping the rest', async () => {
+      Pin.findById.mockResolvedValue({
+        _id: '64b7f0c2a1b2c3d4e5f60721',
+        user: 'user123',
+        description: 'Cake #baking',
+        tags: ['dessert', 'baking'],
+      });
+      Pin.findByIdAndUpdate.mockResolvedValue({ _id: '64b7f0c2a1b2c3d4e5f60721' });
+
+      await request(app).put('/64b7f0c2a1b2c3d4e5f60721').set('x-auth-token', token).send({ description: 'Bread #sourdough' });
+
+      expect(Pin.findByIdAndUpdate).toHaveBeenCalledWith(
+        '64b7f0c2a1b2c3d4e5f60721',
+        expect.objectContaining({ tags: ['dessert', 'sourdough'] }),
+        { new: true }
+      );
+    });
+
+    it('should leave the mentions alone when the description is not sent', async () => {
+      Pin.findById.mockResolvedValue({ _id: '64b7f0c2a1b2c3d4e5f60721', user: 'user123' });
+      Pin.findByIdAndUpdate.mockResolvedValue({ _id: '64b7f0c2a1b2c3d4e5f60721' });
+
+      await request(app).put('/64b7f0c2a1b2c3d4e5f60721').set('x-auth-token', token).send({ title: 'Renamed' });
+
+      expect(resolveMentions).not.toHaveBeenCalled();
+      expect(notifyMentions).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 when the pin belongs to another user', async () => {
+      Pin.findById.mockResolvedValue({ _id: '64b7f0c2a1b2c3d4e5f60721', user: 'otherUser' });
+
+      const response = await request(app)
+        .put('/64b7f0c2a1b2c3d4e5f60721')
+        .set('x-auth-token', token)
+        .send({ title: 'Hijacked' });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ message: 'Not authorized to modify this pin' });
+      expect(Pin.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for a malformed pin id', async () => {
+      const response = await request(app).put('/not-an-id').set('x-auth-token', token).send({ title: 'Renamed' });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ message: 'Pin not found' });
+      expect(Pin.findById).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 without a token', async () => {
+      const response = await request(app).put('/64b7f0c2a1b2c3d4e5f60721').send({ title: 'Renamed' });
+
+      expect(response.status).toBe(401);
+      expect(Pin.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /feed', () => {
+    it('should list pins by the caller, people they follow and tags they follow', async () => {
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ following: ['user456'], followedTags: ['food'], blocked: [], muted: ['muted1'] }),
+      });
+      User.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['private1']) });
+      const pins = [{ _id: 'pin1' }];
+      const limit = jest.fn().mockResolvedValue(pins);
+      const skip = jest.fn().mockReturnValue({ limit });
+      Pin.find.mockReturnValue({ sort: jest.fn().mockReturnValue({ skip }) });
+      Pin.countDocuments.mockResolvedValue(3);
+
+      const response = await request(app).get('/feed?limit=1').set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ pins, page: 1, limit: 1, total: 3, hasMore: true });
+      expect(Pin.find).toHaveBeenCalledWith({
+        user: { $nin: ['private1', 'muted1'] },
+        $or: [
+          { user: { $in: ['user123', 'user456'] } },
+          { tags: { $in: ['food'] } },
+        ],
+      });
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).get('/feed');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('DELETE /:id', () => {
+    it('should delete a pin owned by the caller', async () => {
+      Pin.findById.mockResolvedValue({ _id: '64b7f0c2a1b2c3d4e5f60721', user: 'user123' });
+      Pin.findByIdAndDelete.mockResolvedValue({ _id: '64b7f0c2a1b2c3d4e5f60721' });
+
+      const response = await request(app).delete('/64b7f0c2a1b2c3d4e5f60721').set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ message: 'Pin deleted' });
+      expect(Pin.findByIdAndDelete).toHaveBeenCalledWith('64b7f0c2a1b2c3d4e5f60721');
+      expect(Like.deleteMany).toHaveBeenCalledWith({ pin: '64b7f0c2a1b2c3d4e5f60721' });
+      expect(Save.deleteMany).toHaveBeenCalledWith({ pin: '64b7f0c2a1b2c3d4e5f60721' });
+      expect(Comment.deleteMany).toHaveBeenCalledWith({ pin: '64b7f0c2a1b2c3d4e5f60721' });
+      expect(CommentReaction.deleteMany).toHaveBeenCalledWith({ pin: '64b7f0c2a1b2c3d4e5f60721' });
+      expect(Notification.deleteMany).toHaveBeenCalledWith({ pin: '64b7f0c2a1b2c3d4e5f60721' });
+      expect(PinView.deleteMany).toHaveBeenCalledWith({ pin: '64b7f0c2a1b2c3d4e5f60721' });
+      expect(User.updateMany).toHaveBeenCalledWith({ hiddenPins: '64b7f0c2a1b2c3d4e5f60721' }, { $pull: { hiddenPins: '64b7f0c2a1b2c3d4e5f60721' } });
+      expect(Board.updateMany).toHaveBeenCalledWith({ pins: '64b7f0c2a1b2c3d4e5f60721' }, { $pull: { pins: '64b7f0c2a1b2c3d4e5f60721' } });
+    });
+
+    it('should return 404 for a malformed pin id', async () => {
+      const response = await request(app).delete('/not-an-id').set('x-auth-token', token);
+
+      expect(response.status).toBe(404);
+      expect(Pin.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+
+    it('should return 403 when the pin belongs to another user', async () => {
+      Pin.findById.mockResolvedValue({ _id: '64b7f0c2a1b2c3d4e5f60721', user: 'otherUser' });
+
+      const response = await request(app).delete('/64b7f0c2a1b2c3d4e5f60721').set('x-auth-token', token);
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ message: 'Not authorized to delete this pin' });
+      expect(Pin.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when the pin does not exist', async () => {
+      Pin.findById.mockResolvedValue(null);
+
+      const response = await request(app).delete('/64b7f0c2a1b2c3d4e5f60722').set('x-auth-token', token);
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ message: 'Pin not found' });
+    });
+  });
+
+  describe('likes', () => {
+    const pinId = '64b7f0c2a1b2c3d4e5f60720';
+    const ownerId = '64b7f0c2a1b2c3d4e5f60718';
+
+    beforeEach(() => {
+      // The pin's owner is public and nobody has blocked anyone
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: ownerId, followers: [] }) });
+      User.exists.mockResolvedValue(null);
+      User.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue([]) });
+    });
+
+    const mockPin = (pin) => {
+      Pin.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(pin) });
+    };
+
+    it('should record a new like and bump the count', async () => {
+      mockPin({ _id: pinId, user: ownerId, likeCount: 4 });
+      Like.updateOne.mockResolvedValue({ upsertedCount: 1 });
+      Pin.findByIdAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue({ likeCount: 5 }) });
+
+      const response = await request(app).post(`/${pinId}/like`).set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ liked: true, likeCount: 5 });
+      expect(Like.updateOne).toHaveBeenCalledWith(
+        { pin: pinId, user: 'user123' },
+        { $setOnInsert: { pinOwner: ownerId, createdAt: expect.any(Date) } },
+        { upsert: true }
+      );
+      expect(Pin.findByIdAndUpdate).toHaveBeenCalledWith(pinId, { $inc: { likeCount: 1 } }, { new: true });
+    });
+
+    it('should leave the count alone when the pin was already liked', async () => {
+      mockPin({ _id: pinId, user: ownerId, likeCount: 4 });
+      Like.updateOne.mockResolvedValue({ upsertedCount: 0 });
+
+      const response = await request(app).post(`/${pinId}/like`).set('x-auth-token', token);
+
+      expect(response.body).toEqual({ liked: true, likeCount: 4 });
+      expect(Pin.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should treat losing an insert race as already liked', async () => {
+      mockPin({ _id: pinId, user: ownerId, likeCount: 4 });
+      Like.updateOne.mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+
+      const response = await request(app).post(`/${pinId}/like`).set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(Pin.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should refuse likes across a block', async () => {
+      mockPin({ _id: pinId, user: ownerId, likeCount: 4 });
+      User.exists.mockResolvedValue({ _id: ownerId });
+
+      const response = await request(app).post(`/${pinId}/like`).set('x-auth-token', token);
+
+      expect(response.status).toBe(403);
+      expect(Like.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for a pin on a private profile', async () => {
+      mockPin({ _id: pinId, user: ownerId, likeCount: 4 });
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: ownerId, privacy: { profileVisibility: 'private' }, followers: [] }),
+      });
+
+      const response = await request(app).post(`/${pinId}/like`).set('x-auth-token', token);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should remove a like and lower the count', async () => {
+      mockPin({ _id: pinId, likeCount: 5 });
+      Like.deleteOne.mockResolvedValue({ deletedCount: 1 });
+      Pin.findByIdAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue({ likeCount: 4 }) });
+
+      const response = await request(app).delete(`/${pinId}/like`).set('x-auth-token', token);
+
+      expect(response.body).toEqual({ liked: false, likeCount: 4 });
+      expect(Like.deleteOne).toHaveBeenCalledWith({ pin: pinId, user: 'user123' });
+      expect(Pin.findByIdAndUpdate).toHaveBeenCalledWith(pinId, { $inc: { likeCount: -1 } }, { new: true });
+    });
+
+    it('should leave the count alone when there was no like to remove', async () => {
+      mockPin({ _id: pinId, likeCount: 5 });
+      Like.deleteOne.mockResolvedValue({ deletedCount: 0 });
+
+      const response = await request(app).delete(`/${pinId}/like`).set('x-auth-token', token);
+
+      expect(response.body).toEqual({ liked: false, likeCount: 5 });
+      expect(Pin.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should list a page of likers, leaving out hidden users', async () => {
+      mockPin({ _id: pinId, user: ownerId });
+      User.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['hidden1']) });
+      const populate = jest.fn().mockResolvedValue([
+        { user: { _id: 'u2', username: 'sarah', avatar: '', bio: '' } },
+        { user: null },
+      ]);
+      const limit = jest.fn().mockReturnValue({ populate });
+      const skip = jest.fn().mockReturnValue({ limit });
+      Like.find.mockReturnValue({ sort: jest.fn().mockReturnValue({ skip }) });
+      Like.countDocuments.mockResolvedValue(3);
+
+      const response = await request(app).get(`/${pinId}/likes?page=2&limit=2`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        users: [{ _id: 'u2', username: 'sarah', avatar: '', bio: '', isFollowing: false }],
+        page: 2,
+        limit: 2,
+        total: 3,
+        hasMore: false,
+      });
+      expect(Like.find).toHaveBeenCalledWith({ pin: pinId, user: { $nin: ['hidden1'] } });
+      expect(skip).toHaveBeenCalledWith(2);
+    });
+
+    it('should include the author and the viewer\'s like on a single pin', async () => {
+      const pin = { _id: pinId, title: 'Sunset', user: { _id: ownerId, username: 'sarah' }, likeCount: 2 };
+      Pin.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue({ ...pin, toObject: () => pin }),
+      });
+      Like.exists.mockResolvedValue({ _id: 'like1' });
+
+      const response = await request(app).get(`/${pinId}`).set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ ...pin, isLiked: true });
+      expect(Like.exists).toHaveBeenCalledWith({ pin: pinId, user: 'user123' });
+      expect(recordView).toHaveBeenCalledWith(pinId);
+    });
+
+    it('should not count the owner viewing their own pin', async () => {
+      const pin = { _id: pinId, title: 'Sunset', user: { _id: 'user123', username: 'me' } };
+      Pin.findById.mockReturnValue({
+        populate: jest.fn().mockResolvedValue({ ...pin, toObject: () => pin }),
+      });
+      Like.exists.mockResolvedValue(null);
+
+      const response = await request(app).get(`/${pinId}`).set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(recordView).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('related pins', () => {
+    const pinId = '64b7f0c2a1b2c3d4e5f60720';
+    const ownerId = '64b7f0c2a1b2c3d4e5f60718';
+
+    beforeEach(() => {
+      Pin.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: pinId, user: ownerId, tags: ['sunset'], category: 'travel' }),
+      });
+      User.exists.mockResolvedValue(null);
+      // One private account the viewer does not follow
+      User.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['private1']) });
+      User.findById.mockImplementation(id => ({
+        select: jest.fn().mockResolvedValue(id === 'user123'
+          ? { _id: 'user123', blocked: [], muted: ['muted1'], hiddenPins: ['hidden1'] }
+          : { _id: ownerId, followers: [] }),
+      }));
+      rankRelatedPins.mockResolvedValue([
+        { pin: 'pin1', score: 9 },
+        { pin: 'pin2', score: 6 },
+        { pin: 'pin3', score: 2 },
+      ]);
+    });
+
+    it('should list a page of related pins in ranked order', async () => {
+      const populate = jest.fn().mockResolvedValue([{ _id: 'pin2', title: 'B' }, { _id: 'pin1', title: 'A' }]);
+      Pin.find.mockReturnValue({ populate });
+
+      const response = await request(app).get(`/${pinId}/related?limit=2`).set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        pins: [{ _id: 'pin1', title: 'A' }, { _id: 'pin2', title: 'B' }],
+        page: 1,
+        limit: 2,
+        total: 3,
+        hasMore: true,
+      });
+      expect(Pin.find).toHaveBeenCalledWith({ _id: { $in: ['pin1', 'pin2'] } });
+      expect(populate).toHaveBeenCalledWith('user', 'username avatar');
+    });
+
+    it('should leave out hidden users, muted ones and pins the viewer hid', async () => {
+      Pin.find.mockReturnValue({ populate: jest.fn().mockResolvedValue([]) });
+
+      await request(app).get(`/${pinId}/related`).set('x-auth-token', token);
+
+      expect(rankRelatedPins).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: pinId }),
+        { exclude: ['hidden1'], hiddenUsers: ['private1', 'muted1'] }
+      );
+    });
+
+    it('should work without signing in', async () => {
+      Pin.find.mockReturnValue({ populate: jest.fn().mockResolvedValue([]) });
+
+      const response = await request(app).get(`/${pinId}/related`);
+
+      expect(response.status).toBe(200);
+      expect(rankRelatedPins).toHaveBeenCalledWith(expect.anything(), { exclude: [], hiddenUsers: ['private1'] });
+    });
+
+    it('should return 404 for a pin on a private profile', async () => {
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: ownerId, privacy: { profileVisibility: 'private' }, followers: [] }),
+      });
+
+      const response = await request(app).get(`/${pinId}/related`).set('x-auth-token', token);
+
+      expect(response.status).toBe(404);
+      expect(rankRelatedPins).not.toHaveBeenCalled();
+    });
+
+    it('should hide a pin from the caller\'s related pins', async () => {
+      Pin.exists.mockResolvedValue({ _id: pinId });
+
+      const response = await request(app).post(`/${pinId}/hide`).set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ hidden: true });
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: 'user123' }, { $addToSet: { hiddenPins: pinId } });
+    });
+
+    it('should return 404 when hiding a pin that does not exist', async () => {
+      Pin.exists.mockResolvedValue(null);
+
+      const response = await request(app).post(`/${pinId}/hide`).set('x-auth-token', token);
+
+      expect(response.status).toBe(404);
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should show a hidden pin again', async () => {
+      const response = await request(app).delete(`/${pinId}/hide`).set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ hidden: false });
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: 'user123' }, { $pull: { hiddenPins: pinId } });
+    });
+  });
+
+  describe('saves', () => {
+    const pinId = '64b7f0c2a1b2c3d4e5f60720';
+    const boardId = '64b7f0c2a1b2c3d4e5f60730';
+    const ownerId = '64b7f0c2a1b2c3d4e5f60718';
+
+    beforeEach(() => {
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: ownerId, followers: [] }) });
+      User.exists.mockResolvedValue(null);
+      Board.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: boardId, user: 'user123' }) });
+    });
+
+    it('should save a pin to one of the caller\'s boards', async () => {
+      const pin = { _id: pinId, user: ownerId, saveCount: 2 };
+      Pin.findById
+        .mockReturnValueOnce({ select: jest.fn().mockResolvedValue(pin) })
+        .mockReturnValueOnce({ select: jest.fn().mockResolvedValue({ saveCount: 3 }) });
+      savePinToBoard.mockResolvedValue(true);
+
+      const response = await request(app).post(`/${pinId}/save`).set('x-auth-token', token).send({ boardId });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ saved: true, board: boardId, saveCount: 3 });
+      expect(savePinToBoard).toHaveBeenCalledWith(pin, boardId, 'user123');
+    });
+
+    it('should refuse to save into someone else\'s board', async () => {
+      Pin.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: pinId, user: ownerId, saveCount: 2 }) });
+      Board.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: boardId, user: 'otherUser' }) });
+
+      const response = await request(app).post(`/${pinId}/save`).set('x-auth-token', token).send({ boardId });
+
+      expect(response.status).toBe(403);
+      expect(savePinToBoard).not.toHaveBeenCalled();
+    });
+
+    it('should refuse saves across a block', async () => {
+      Pin.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: pinId, user: ownerId, saveCount: 2 }) });
+      User.exists.mockResolvedValue({ _id: ownerId });
+
+      const response = await request(app).post(`/${pinId}/save`).set('x-auth-token', token).send({ boardId });
+
+      expect(response.status).toBe(403);
+      expect(savePinToBoard).not.toHaveBeenCalled();
+    });
+
+    it('should remove a pin from one of the caller\'s boards', async () => {
+      Pin.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ saveCount: 1 }) });
+      removePinFromBoard.mockResolvedValue(true);
+
+      const response = await request(app).delete(`/${pinId}/save/${boardId}`).set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ saved: false, board: boardId, saveCount: 1 });
+      expect(removePinFromBoard).toHaveBeenCalledWith(pinId, boardId);
+    });
+
+    it('should list which of the caller\'s boards contain the pin', async () => {
+      const boards = [{ _id: boardId, title: 'Travel', isPrivate: false }];
+      Board.find.mockReturnValue({ select: jest.fn().mockResolvedValue(boards) });
+
+      const response = await request(app).get(`/${pinId}/saved-boards`).set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ boards });
+      expect(Board.find).toHaveBeenCalledWith({ user: 'user123', pins: pinId });
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
+const router = require('../../routes/tags');
+const Pin = require('../../models/Pin');
+const User = require('../../models/User');
+
+jest.mock('../../models/Pin');
+jest.mock('../../models/User');
+
+const app = express();
+app.use(express.json());
+app.use('/tags', router);
+
+const userId = 'user123';
+const token = jwt.sign({ userId }, config.JWT_SECRET);
+
+describe('Tags Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    console.error = jest.fn();
+    // One private account the viewer does not follow, and nobody blocked
+    User.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['private1']) });
+    User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ blocked: [], muted: [] }) });
+  });
+
+  describe('GET /tags/:tag', () => {
+    it('should return the usage and follow counts for the normalized tag', async () => {
+      Pin.countDocuments.mockResolvedValue(12);
+      User.countDocuments.mockResolvedValue(3);
+      User.exists.mockResolvedValue({ _id: userId });
+
+      const response = await request(app).get('/tags/Food').set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ tag: 'food', pinCount: 12, followerCount: 3, isFollowing: true });
+      expect(Pin.countDocuments).toHaveBeenCalledWith({ tags: 'food', user: { $nin: ['private1'] } });
+      expect(User.exists).toHaveBeenCalledWith({ _id: userId, followedTags: 'food' });
+    });
+
+    it('should return 404 for something that is not a tag', async () => {
+      const response = await request(app).get('/tags/not%20a%20tag');
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ message: 'Tag not found' });
+    });
+  });
+
+  describe('GET /tags/:tag/pins', () => {
+    it('should return a page of the tag\'s pins, newest first', async () => {
+      const pins = [{ _id: 'pin1' }, { _id: 'pin2' }];
+      const limit = jest.fn().mockResolvedValue(pins);
+      const skip = jest.fn().mockReturnValue({ limit });
+      const sort = jest.fn().mockReturnValue({ skip });
+      Pin.find.mockReturnValue({ sort });
+      Pin.countDocuments.mockResolvedValue(5);
+
+      const response = await request(app).get('/tags/food/pins?page=2&limit=2');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ tag: 'food', pins, page: 2, limit: 2, total: 5, hasMore: true });
+      expect(Pin.find).toHaveBeenCalledWith({ tags: 'food', user: { $nin: ['private1'] } });
+      expect(sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(skip).toHaveBeenCalledWith(2);
+    });
+  });
+
+  describe('GET /tags/:tag/related', () => {
+    it('should count the tags that appear alongside it', async () => {
+      Pin.aggregate.mockResolvedValue([{ _id: 'vegan', count: 4 }, { _id: 'salad', count: 2 }]);
+
+      const response = await request(app).get('/tags/food/related?limit=2');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        tag: 'food',
+        related: [{ tag: 'vegan', count: 4 }, { tag: 'salad', count: 2 }],
+      });
+      const pipeline = Pin.aggregate.mock.calls[0][0];
+      expect(pipeline[0]).toEqual({ $match: { tags: 'food', user: { $nin: ['private1'] } } });
+      expect(pipeline).toContainEqual({ $match: { tags: { $ne: 'food' } } });
+      expect(pipeline[pipeline.length - 1]).toEqual({ $limit: 2 });
+    });
+  });
+
+  describe('following tags', () => {
+    it('should add the tag to the caller\'s followed tags', async () => {
+      User.countDocuments.mockResolvedValue(4);
+
+      const response = await request(app).post('/tags/%23Travel/follow').set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ tag: 'travel', isFollowing: true, followerCount: 4 });
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: userId }, { $addToSet: { followedTags: 'travel' } });
+    });
+
+    it('should remove it again', async () => {
+      User.countDocuments.mockResolvedValue(3);
+
+      const response = await request(app).delete('/tags/travel/follow').set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body.isFollowing).toBe(false);
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: userId }, { $pull: { followedTags: 'travel' } });
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).post('/tags/travel/follow');
+
+      expect(response.status).toBe(401);
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
+const router = require('../../routes/trending');
+const Pin = require('../../models/Pin');
+const User = require('../../models/User');
+const { getTrending } = require('../../utils/trending');
+const { categoryCondition } = require('../../utils/categories');
+
+jest.mock('../../models/Pin');
+jest.mock('../../models/User');
+jest.mock('../../utils/trending', () => ({
+  ...jest.requireActual('../../utils/trending'),
+  getTrending: jest.fn(),
+}));
+jest.mock('../../utils/categories');
+
+const app = express();
+app.use(express.json());
+app.use('/trending', router);
+
+const token = jwt.sign({ userId: 'user123' }, config.JWT_SECRET);
+
+const pinDoc = (pin) => ({ ...pin, toObject: () => pin });
+
+describe('Trending Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    console.error = jest.fn();
+    // The owner of pin2 is hidden from the viewer
+    User.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['user2']) });
+    User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ blocked: [], muted: [] }) });
+    getTrending.mockResolvedValue([
+      { pin: 'pin1', score: 9, user: 'user1', category: 'food' },
+      { pin: 'pin2', score: 8, user: 'user2', category: 'food' },
+      { pin: 'pin3', score: 7, user: 'user3', category: 'travel' },
+      { pin: 'pin4', score: 6, user: 'user1', category: 'baking' },
+    ]);
+  });
+
+  it('should list the week\'s trending pins in ranked order by default', async () => {
+    // Loaded out of order; the ranking decides
+    Pin.find.mockReturnValue({
+      populate: jest.fn().mockResolvedValue([
+        pinDoc({ _id: 'pin3', user: { username: 'ana' } }),
+        pinDoc({ _id: 'pin1', user: { username: 'bo' } }),
+      ]),
+    });
+
+    const response = await request(app).get('/trending?limit=2').set('x-auth-token', token);
+
+    expect(response.status).toBe(200);
+    expect(getTrending).toHaveBeenCalledWith('week');
+    expect(Pin.find).toHaveBeenCalledWith({ _id: { $in: ['pin1', 'pin3'] } });
+    expect(response.body).toEqual({
+      timeRange: 'week',
+      pins: [
+        { _id: 'pin1', user: { username: 'bo' }, trendingScore: 9 },
+        { _id: 'pin3', user: { username: 'ana' }, trendingScore: 7 },
+      ],
+      page: 1,
+      limit: 2,
+      total: 3,
+      hasMore: true,
+    });
+  });
+
+  it('should filter by a category and its subcategories', async () => {
+    categoryCondition.mockResolvedValue({ $in: ['food', 'baking'] });
+    Pin.find.mockReturnValue({ populate: jest.fn().mockResolvedValue([]) });
+
+    const response = await request(app).get('/trending?timeRange=day&category=food');
+
+    expect(response.status).toBe(200);
+    expect(getTrending).toHaveBeenCalledWith('day');
+    expect(Pin.find).toHaveBeenCalledWith({ _id: { $in: ['pin1', 'pin4'] } });
+    expect(response.body.total).toBe(2);
+  });
+
+  it('should skip pins deleted since the scores were computed', async () => {
+    Pin.find.mockReturnValue({
+      populate: jest.fn().mockResolvedValue([pinDoc({ _id: 'pin3', user: { username: 'ana' } })]),
+    });
+
+    const response = await request(app).get('/trending?limit=2').set('x-auth-token', token);
+
+    expect(response.body.pins.map(pin => pin._id)).toEqual(['pin3']);
+  });
+
+  it('should reject an unknown time range or category', async () => {
+    categoryCondition.mockResolvedValue(null);
+
+    const response = await request(app).get('/trending?timeRange=year&category=nope');
+
+    expect(response.status).toBe(422);
+    expect(response.body.errors).toEqual({
+      timeRange: 'Time range must be one of: day, week, month',
+      category: 'Category not found',
+    });
+    expect(getTrending).not.toHaveBeenCalled();
+  });
+
+  it('should handle server errors', async () => {
+    getTrending.mockRejectedValue(new Error('Database error'));
+
+    const response = await request(app).get('/trending');
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ message: 'Server error' });
+  });
+});
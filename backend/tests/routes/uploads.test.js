@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
+const router = require('../../routes/uploads');
+
+const app = express();
+app.use('/uploads', router);
+
+const token = jwt.sign({ userId: 'user123' }, config.JWT_SECRET);
+
+// Smallest valid PNG: signature plus enough bytes to read the header
+const PNG = Buffer.concat([
+  Buffer.from('89504e470d0a1a0a', 'hex'),
+  Buffer.from('0000000d49484452000000010000000108060000001f15c489', 'hex'),
+]);
+
+describe('Uploads Routes', () => {
+  const originalDir = config.UPLOAD_DIR;
+  const originalMax = config.UPLOAD_MAX_BYTES;
+
+  beforeEach(() => {
+    config.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(config.UPLOAD_DIR, { recursive: true, force: true });
+    config.UPLOAD_DIR = originalDir;
+    config.UPLOAD_MAX_BYTES = originalMax;
+  });
+
+  it('should store an image and return its public URL', async () => {
+    const response = await request(app)
+      .post('/uploads')
+      .set('x-auth-token', token)
+      .attach('image', PNG, { filename: 'photo.png', contentType: 'image/png' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.url).toMatch(new RegExp(`^${config.SERVER_URL}/uploads/[a-f0-9]{32}\\.png$`));
+    const stored = fs.readdirSync(config.UPLOAD_DIR);
+    expect(stored).toEqual([path.basename(response.body.url)]);
+  });
+
+  it('should reject types other than images', async () => {
+    const response = await request(app)
+      .post('/uploads')
+      .set('x-auth-token', token)
+      .attach('image', Buffer.from('%PDF-1.4'), { filename: 'doc.pdf', contentType: 'application/pdf' });
+
+    expect(response.status).toBe(415);
+    expect(fs.readdirSync(config.UPLOAD_DIR)).toEqual([]);
+  });
+
+  it('should reject a file whose bytes do not match its declared type', async () => {
+    const response = await request(app)
+      .post('/uploads')
+      .set('x-auth-token', token)
+      .attach('image', Buffer.from('<svg onload="alert(1)"/>'), { filename: 'x.png', contentType: 'image/png' });
+
+    expect(response.status).toBe(415);
+    expect(fs.readdirSync(config.UPLOAD_DIR)).toEqual([]);
+  });
+
+  it('should reject files over the size limit', async () => {
+    config.UPLOAD_MAX_BYTES = 16;
+
+    const response = await request(app)
+      .post('/uploads')
+      .set('x-auth-token', token)
+      .attach('image', PNG, { filename: 'photo.png', contentType: 'image/png' });
+
+    expect(response.status).toBe(413);
+  });
+
+  it('should return 400 when no image is attached', async () => {
+    const response = await request(app).post('/uploads').set('x-auth-token', token).field('title', 'x');
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should require authentication', async () => {
+    const response = await request(app)
+      .post('/uploads')
+      .attach('image', PNG, { filename: 'photo.png', contentType: 'image/png' });
+
+    expect(response.status).toBe(401);
+  });
+});
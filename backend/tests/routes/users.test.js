@@ -0,0 +1,774 @@
+const request = require('supertest');
+const express = require('express');
+const router = require('../../routes/users');
+const User = require('../../models/User');
+const Like = require('../../models/Like');
+const Notification = require('../../models/Notification');
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
+
+jest.mock('../../models/User');
+jest.mock('../../models/Like');
+jest.mock('../../models/Notification');
+
+const app = express();
+app.use(express.json());
+app.use('/users', router);
+
+const userId = 'user123';
+const token = jwt.sign({ userId }, config.JWT_SECRET);
+
+// User.findOne(...).collation(...).select(...) as used by isUsernameTaken
+const mockUsernameLookup = (existing) => {
+  User.findOne.mockReturnValue({
+    collation: jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue(existing) }),
+  });
+};
+
+describe('Users Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    console.error = jest.fn();
+    // No blocks between anyone unless a test says otherwise
+    User.exists.mockResolvedValue(null);
+  });
+
+  // --- Test GET /users/me ---
+  describe('GET /users/me', () => {
+    it('should return the current user\'s profile', async () => {
+      const profile = { _id: userId, username: 'john_doe', email: 'john@example.com', bio: 'Hi' };
+      const select = jest.fn().mockResolvedValue(profile);
+      User.findById.mockReturnValue({ select });
+
+      const response = await request(app).get('/users/me').set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(profile);
+      expect(User.findById).toHaveBeenCalledWith(userId);
+      expect(select.mock.calls[0][0]).not.toContain('password');
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app).get('/users/me');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  // --- Test PATCH /users/me ---
+  describe('PATCH /users/me', () => {
+    it('should update only the editable fields that were sent', async () => {
+      const updated = { _id: userId, username: 'john_doe', bio: 'Photographer', website: 'https://john.dev' };
+      User.findByIdAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue(updated) });
+
+      const response = await request(app)
+        .patch('/users/me')
+        .set('x-auth-token', token)
+        .send({ bio: ' Photographer ', website: 'https://john.dev', email: 'new@example.com', followers: [] });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(updated);
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        userId,
+        { bio: 'Photographer', website: 'https://john.dev' },
+        { new: true }
+      );
+    });
+
+    it('should change the username when it is free', async () => {
+      mockUsernameLookup(null);
+      User.findByIdAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue({ username: 'johnny' }) });
+
+      const response = await request(app)
+        .patch('/users/me')
+        .set('x-auth-token', token)
+        .send({ username: 'johnny' });
+
+      expect(response.status).toBe(200);
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(userId, { username: 'johnny' }, { new: true });
+    });
+
+    it('should allow keeping the current username in a different case', async () => {
+      mockUsernameLookup({ _id: userId });
+      User.findByIdAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue({ username: 'John_Doe' }) });
+
+      const response = await request(app)
+        .patch('/users/me')
+        .set('x-auth-token', token)
+        .send({ username: 'John_Doe' });
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should reject a username taken by someone else', async () => {
+      mockUsernameLookup({ _id: 'someoneElse' });
+
+      const response = await request(app)
+        .patch('/users/me')
+        .set('x-auth-token', token)
+        .send({ username: 'sarah_smith' });
+
+      expect(response.status).toBe(422);
+      expect(response.body.errors).toEqual({ username: 'Username is already taken' });
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return 422 with a message for every invalid field', async () => {
+      const response = await request(app)
+        .patch('/users/me')
+        .set('x-auth-token', token)
+        .send({ username: 'a b', bio: 'x'.repeat(501), website: 'ftp://files.example.com', avatar: 12 });
+
+      expect(response.status).toBe(422);
+      expect(Object.keys(response.body.errors).sort()).toEqual(['avatar', 'bio', 'username', 'website']);
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should turn a duplicate key race into a field error', async () => {
+      mockUsernameLookup(null);
+      User.findByIdAndUpdate.mockReturnValue({
+        select: jest.fn().mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 })),
+      });
+
+      const response = await request(app)
+        .patch('/users/me')
+        .set('x-auth-token', token)
+        .send({ username: 'johnny' });
+
+      expect(response.status).toBe(422);
+      expect(response.body.errors.username).toBe('Username is already taken');
+    });
+  });
+
+  // --- Test /users/me/settings ---
+  describe('settings', () => {
+    it('should return the stored settings with defaults filled in', async () => {
+      const updatedAt = '2026-01-10T11:00:00.000Z';
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ settings: { darkMode: { value: true, updatedAt } } }),
+      });
+
+      const response = await request(app).get('/users/me/settings').set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body.settings).toMatchObject({ darkMode: true, gridSize: 'medium' });
+      expect(response.body.updatedAt).toEqual({ darkMode: updatedAt });
+    });
+
+    it('should merge the changes in a single conditional update', async () => {
+      User.findByIdAndUpdate.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ settings: { gridSize: { value: 'large', updatedAt: new Date() } } }),
+      });
+
+      const response = await request(app)
+        .put('/users/me/settings')
+        .set('x-auth-token', token)
+        .send({ settings: { gridSize: 'large' }, updatedAt: { gridSize: '2026-01-10T11:00:00Z' } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.settings.gridSize).toBe('large');
+      const [id, pipeline, options] = User.findByIdAndUpdate.mock.calls[0];
+      expect(id).toBe(userId);
+      expect(Object.keys(pipeline[0].$set)).toEqual(['settings.gridSize']);
+      expect(options).toEqual({ new: true });
+    });
+
+    it('should return 422 for invalid settings', async () => {
+      const response = await request(app)
+        .put('/users/me/settings')
+        .set('x-auth-token', token)
+        .send({ settings: { gridSize: 'huge', favouriteColour: 'red' } });
+
+      expect(response.status).toBe(422);
+      expect(Object.keys(response.body.errors).sort()).toEqual(['favouriteColour', 'gridSize']);
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- Test POST/DELETE /users/:id/follow ---
+  describe('follow', () => {
+    const targetId = '64b7f0c2a1b2c3d4e5f60718';
+
+    it('should add the follow on both sides', async () => {
+      const select = jest.fn().mockResolvedValue({ followers: ['other'] });
+      User.findOneAndUpdate.mockReturnValue({ select });
+
+      const response = await request(app).post(`/users/${targetId}/follow`).set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ following: true, followersCount: 2 });
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: targetId, $or: [{ 'privacy.profileVisibility': { $ne: 'private' } }, { followers: userId }] },
+        { $addToSet: { followers: userId } },
+        { new: false }
+      );
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: userId }, { $addToSet: { following: targetId } });
+    });
+
+    it('should send a follow request to a private profile', async () => {
+      User.findOneAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+      User.findByIdAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue({ followers: ['other'] }) });
+
+      const response = await request(app).post(`/users/${targetId}/follow`).set('x-auth-token', token);
+
+      expect(response.status).toBe(202);
+      expect(response.body).toEqual({ following: false, requested: true, followersCount: 1 });
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        targetId,
+        { $addToSet: { followRequests: userId } },
+        { new: true }
+      );
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should remove the follow and any pending request', async () => {
+      User.findByIdAndUpdate.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ followers: [userId], followRequests: [] }),
+      });
+
+      const response = await request(app).delete(`/users/${targetId}/follow`).set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ following: false, followersCount: 0 });
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        targetId,
+        { $pull: { followers: userId, followRequests: userId } },
+        { new: false }
+      );
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: userId }, { $pull: { following: targetId } });
+    });
+
+    it('should take the follower back off the target when the second write fails', async () => {
+      User.findOneAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue({ followers: ['other'] }) });
+      User.updateOne.mockRejectedValueOnce(new Error('write failed'));
+
+      const response = await request(app).post(`/users/${targetId}/follow`).set('x-auth-token', token);
+
+      expect(response.status).toBe(500);
+      expect(User.updateOne).toHaveBeenLastCalledWith({ _id: targetId }, { $pull: { followers: userId } });
+    });
+
+    it('should leave an existing follow alone when a repeated follow fails halfway', async () => {
+      User.findOneAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue({ followers: [userId] }) });
+      User.updateOne.mockRejectedValueOnce(new Error('write failed'));
+
+      const response = await request(app).post(`/users/${targetId}/follow`).set('x-auth-token', token);
+
+      expect(response.status).toBe(500);
+      expect(User.updateOne).toHaveBeenCalledTimes(1);
+    });
+
+    it('should restore the follower when an unfollow fails halfway', async () => {
+      User.findByIdAndUpdate.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ followers: [userId], followRequests: [] }),
+      });
+      User.updateOne.mockRejectedValueOnce(new Error('write failed'));
+
+      const response = await request(app).delete(`/users/${targetId}/follow`).set('x-auth-token', token);
+
+      expect(response.status).toBe(500);
+      expect(User.updateOne).toHaveBeenLastCalledWith({ _id: targetId }, { $addToSet: { followers: userId } });
+    });
+
+    it('should refuse to follow across a block', async () => {
+      User.exists.mockResolvedValue({ _id: targetId });
+
+      const response = await request(app).post(`/users/${targetId}/follow`).set('x-auth-token', token);
+
+      expect(response.status).toBe(403);
+      expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should reject following yourself', async () => {
+      const selfId = '64b7f0c2a1b2c3d4e5f60700';
+      const selfToken = jwt.sign({ userId: selfId }, config.JWT_SECRET);
+
+      const response = await request(app).post(`/users/${selfId}/follow`).set('x-auth-token', selfToken);
+
+      expect(response.status).toBe(400);
+      expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 without touching the follower for an unknown user', async () => {
+      User.findOneAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+      User.findByIdAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      const response = await request(app).post(`/users/${targetId}/follow`).set('x-auth-token', token);
+
+      expect(response.status).toBe(404);
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- Test POST/DELETE /users/:id/block and /users/:id/mute ---
+  describe('block and mute', () => {
+    const targetId = '64b7f0c2a1b2c3d4e5f60718';
+
+    it('should block a user and cut every follow link both ways', async () => {
+      User.exists.mockResolvedValue({ _id: targetId });
+
+      const response = await request(app).post(`/users/${targetId}/block`).set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ blocked: true });
+      expect(User.updateOne).toHaveBeenNthCalledWith(
+        1,
+        { _id: userId },
+        {
+          $addToSet: { blocked: targetId },
+          $pull: { followers: targetId, following: targetId, followRequests: targetId },
+        }
+      );
+      expect(User.updateOne).toHaveBeenNthCalledWith(
+        2,
+        { _id: targetId },
+        { $pull: { followers: userId, following: userId, followRequests: userId } }
+      );
+    });
+
+    it('should unblock a user without restoring follows', async () => {
+      User.exists.mockResolvedValue({ _id: targetId });
+
+      const response = await request(app).delete(`/users/${targetId}/block`).set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(User.updateOne).toHaveBeenCalledTimes(1);
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: userId }, { $pull: { blocked: targetId } });
+    });
+
+    it('should mute and unmute a user', async () => {
+      User.exists.mockResolvedValue({ _id: targetId });
+
+      const muted = await request(app).post(`/users/${targetId}/mute`).set('x-auth-token', token);
+      const unmuted = await request(app).delete(`/users/${targetId}/mute`).set('x-auth-token', token);
+
+      expect(muted.body).toEqual({ muted: true });
+      expect(unmuted.body).toEqual({ muted: false });
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: userId }, { $addToSet: { muted: targetId } });
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: userId }, { $pull: { muted: targetId } });
+    });
+
+    it('should return 404 for an unknown user', async () => {
+      User.exists.mockResolvedValue(null);
+
+      const response = await request(app).post(`/users/${targetId}/block`).set('x-auth-token', token);
+
+      expect(response.status).toBe(404);
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should list nothing for an account created before the list existed', async () => {
+      // The aggregate defaults the missing array to empty
+      User.aggregate.mockResolvedValue([{ total: 0, ids: [] }]);
+      User.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ following: [] }) });
+
+      const ownerToken = jwt.sign({ userId: '64b7f0c2a1b2c3d4e5f60700' }, config.JWT_SECRET);
+      const response = await request(app).get('/users/me/muted').set('x-auth-token', ownerToken);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ users: [], total: 0, hasMore: false });
+      const project = User.aggregate.mock.calls[0][0][1].$project;
+      expect(project.total).toEqual({ $size: { $ifNull: ['$muted', []] } });
+    });
+
+    it('should list the blocked users to their blocker', async () => {
+      User.aggregate.mockResolvedValue([{ total: 1, ids: [targetId] }]);
+      User.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: targetId, username: 'mike' }]) });
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ following: [] }) });
+
+      const blockerToken = jwt.sign({ userId: '64b7f0c2a1b2c3d4e5f60700' }, config.JWT_SECRET);
+      const response = await request(app).get('/users/me/blocked').set('x-auth-token', blockerToken);
+
+      expect(response.status).toBe(200);
+      expect(response.body.users).toEqual([expect.objectContaining({ username: 'mike' })]);
+      const project = User.aggregate.mock.calls[0][0][1].$project;
+      expect(project.ids).toEqual({ $slice: [{ $reverseArray: { $ifNull: ['$blocked', []] } }, 0, 20] });
+    });
+  });
+
+  // --- Test GET /users/:id/followers ---
+  describe('GET /users/:id/followers', () => {
+    const targetId = '64b7f0c2a1b2c3d4e5f60718';
+
+    it('should return a page of followers flagged with the viewer\'s follows', async () => {
+      User.aggregate.mockResolvedValue([{ total: 3, ids: ['u3', 'u2'] }]);
+      User.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([
+          { _id: 'u2', username: 'sarah' },
+          { _id: 'u3', username: 'mike' },
+        ]),
+      });
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ following: ['u2'] }) });
+
+      const response = await request(app)
+        .get(`/users/${targetId}/followers?page=1&limit=2`)
+        .set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ page: 1, limit: 2, total: 3, hasMore: true });
+      expect(response.body.users).toEqual([
+        expect.objectContaining({ _id: 'u3', username: 'mike', isFollowing: false }),
+        expect.objectContaining({ _id: 'u2', username: 'sarah', isFollowing: true }),
+      ]);
+      const project = User.aggregate.mock.calls[0][0][1].$project;
+      expect(project.ids).toEqual({ $slice: [{ $reverseArray: { $ifNull: ['$followers', []] } }, 0, 2] });
+    });
+
+    it('should work for anonymous viewers', async () => {
+      User.aggregate.mockResolvedValue([{ total: 1, ids: ['u2'] }]);
+      User.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: 'u2', username: 'sarah' }]) });
+
+      const response = await request(app).get(`/users/${targetId}/following?page=2&limit=5`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.users[0].isFollowing).toBe(false);
+      // Only the profile's privacy is loaded, nothing about the viewer
+      expect(User.findById).toHaveBeenCalledTimes(1);
+      expect(User.findById).toHaveBeenCalledWith(targetId);
+      const project = User.aggregate.mock.calls[0][0][1].$project;
+      expect(project.ids).toEqual({ $slice: [{ $reverseArray: { $ifNull: ['$following', []] } }, 5, 5] });
+    });
+
+    it('should return 404 for an unknown user', async () => {
+      User.aggregate.mockResolvedValue([]);
+
+      const response = await request(app).get(`/users/${targetId}/followers`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should refuse a private profile\'s lists to viewers who do not follow it', async () => {
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: targetId, privacy: { profileVisibility: 'private' }, followers: [] }),
+      });
+
+      const response = await request(app).get(`/users/${targetId}/followers`).set('x-auth-token', token);
+
+      expect(response.status).toBe(403);
+      expect(User.aggregate).not.toHaveBeenCalled();
+      expect(User.find).not.toHaveBeenCalled();
+    });
+
+    it('should hide the lists from users blocked either way', async () => {
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: targetId, followers: [] }) });
+      User.exists.mockResolvedValue({ _id: targetId });
+
+      const response = await request(app).get(`/users/${targetId}/following`).set('x-auth-token', token);
+
+      expect(response.status).toBe(404);
+      expect(User.exists).toHaveBeenCalledWith({
+        $or: [{ _id: targetId, blocked: userId }, { _id: userId, blocked: targetId }],
+      });
+      expect(User.aggregate).not.toHaveBeenCalled();
+    });
+
+    it('should show a private profile\'s lists to approved followers', async () => {
+      User.aggregate.mockResolvedValue([{ total: 0, ids: [] }]);
+      User.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          _id: targetId,
+          privacy: { profileVisibility: 'private' },
+          followers: [userId],
+          following: [targetId],
+        }),
+      });
+
+      const response = await request(app).get(`/users/${targetId}/following`).set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+    });
+  });
+
+  // --- Test /users/me/privacy ---
+  describe('privacy settings', () => {
+    it('should return the current settings', async () => {
+      const privacy = { profileVisibility: 'private', showEmail: false, showLocation: true };
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ privacy }) });
+
+      const response = await request(app).get('/users/me/privacy').set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(privacy);
+    });
+
+    it('should update only the settings that were sent', async () => {
+      User.findByIdAndUpdate.mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          privacy: { profileVisibility: 'private', showEmail: true, showLocation: false },
+          followRequests: [],
+        }),
+      });
+
+      const response = await request(app)
+        .patch('/users/me/privacy')
+        .set('x-auth-token', token)
+        .send({ profileVisibility: 'private', showEmail: true });
+
+      expect(response.status).toBe(200);
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        userId,
+        { $set: { 'privacy.profileVisibility': 'private', 'privacy.showEmail': true } },
+        { new: true }
+      );
+      expect(User.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should approve pending requests when the profile goes public', async () => {
+      User.findByIdAndUpdate.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ privacy: { profileVisibility: 'public' }, followRequests: ['u2', 'u3'] }),
+      });
+
+      const response = await request(app)
+        .patch('/users/me/privacy')
+        .set('x-auth-token', token)
+        .send({ profileVisibility: 'public' });
+
+      expect(response.status).toBe(200);
+      expect(User.updateMany).toHaveBeenCalledWith({ _id: { $in: ['u2', 'u3'] } }, { $addToSet: { following: userId } });
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: userId },
+        { $addToSet: { followers: { $each: ['u2', 'u3'] } }, $pull: { followRequests: { $in: ['u2', 'u3'] } } }
+      );
+    });
+
+    it('should return 422 for invalid values', async () => {
+      const response = await request(app)
+        .patch('/users/me/privacy')
+        .set('x-auth-token', token)
+        .send({ profileVisibility: 'friends', showLocation: 'yes' });
+
+      expect(response.status).toBe(422);
+      expect(Object.keys(response.body.errors).sort()).toEqual(['profileVisibility', 'showLocation']);
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  // --- Test /users/me/follow-requests ---
+  describe('follow requests', () => {
+    const ownerId = '64b7f0c2a1b2c3d4e5f60700';
+    const ownerToken = jwt.sign({ userId: ownerId }, config.JWT_SECRET);
+    const requesterId = '64b7f0c2a1b2c3d4e5f60718';
+
+    it('should list the pending requests to the owner', async () => {
+      User.aggregate.mockResolvedValue([{ total: 1, ids: [requesterId] }]);
+      User.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: requesterId, username: 'mike' }]) });
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ following: [] }) });
+
+      const response = await request(app).get('/users/me/follow-requests').set('x-auth-token', ownerToken);
+
+      expect(response.status).toBe(200);
+      expect(response.body.users).toEqual([expect.objectContaining({ username: 'mike' })]);
+      const project = User.aggregate.mock.calls[0][0][1].$project;
+      expect(project.ids).toEqual({ $slice: [{ $reverseArray: { $ifNull: ['$followRequests', []] } }, 0, 20] });
+    });
+
+    it('should approve a request on both sides', async () => {
+      User.findOneAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue({ followers: [requesterId] }) });
+
+      const response = await request(app)
+        .post(`/users/me/follow-requests/${requesterId}/approve`)
+        .set('x-auth-token', ownerToken);
+
+      expect(response.status).toBe(200);
+      expect(response.body.followersCount).toBe(1);
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: ownerId, $or: [{ followRequests: requesterId }, { followers: requesterId }] },
+        { $pull: { followRequests: requesterId }, $addToSet: { followers: requesterId } },
+        { new: true }
+      );
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: requesterId }, { $addToSet: { following: ownerId } });
+    });
+
+    it('should return 404 when approving a request that was never made', async () => {
+      User.findOneAndUpdate.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      const response = await request(app)
+        .post(`/users/me/follow-requests/${requesterId}/approve`)
+        .set('x-auth-token', ownerToken);
+
+      expect(response.status).toBe(404);
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should decline a request', async () => {
+      User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      const response = await request(app)
+        .delete(`/users/me/follow-requests/${requesterId}`)
+        .set('x-auth-token', ownerToken);
+
+      expect(response.status).toBe(200);
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: ownerId, followRequests: requesterId },
+        { $pull: { followRequests: requesterId } }
+      );
+    });
+
+    it('should return 404 when declining a request that is not pending', async () => {
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      const response = await request(app)
+        .delete(`/users/me/follow-requests/${requesterId}`)
+        .set('x-auth-token', ownerToken);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  // --- Test GET /users/:id/likes ---
+  describe('GET /users/:id/likes', () => {
+    const targetId = '64b7f0c2a1b2c3d4e5f60718';
+
+    it('should return a page of liked pins, skipping hidden owners and deleted pins', async () => {
+      User.exists.mockImplementation(async filter => (filter._id ? { _id: targetId } : null));
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: targetId, followers: [], blocked: [], muted: [] }),
+      });
+      User.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['hidden1']) });
+      const populate = jest.fn().mockResolvedValue([{ pin: { _id: 'p1', title: 'Sunset' } }, { pin: null }]);
+      Like.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({ skip: jest.fn().mockReturnValue({ limit: jest.fn().mockReturnValue({ populate }) }) }),
+      });
+      Like.countDocuments.mockResolvedValue(2);
+
+      const response = await request(app).get(`/users/${targetId}/likes`).set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ pins: [{ _id: 'p1', title: 'Sunset' }], page: 1, limit: 20, total: 2, hasMore: false });
+      expect(Like.find).toHaveBeenCalledWith({ user: targetId, pinOwner: { $nin: ['hidden1'] } });
+      expect(populate).toHaveBeenCalledWith('pin');
+    });
+
+    it('should refuse a private profile\'s likes to viewers who do not follow it', async () => {
+      User.exists.mockImplementation(async filter => (filter._id ? { _id: targetId } : null));
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: targetId, privacy: { profileVisibility: 'private' }, followers: [] }),
+      });
+
+      const response = await request(app).get(`/users/${targetId}/likes`).set('x-auth-token', token);
+
+      expect(response.status).toBe(403);
+      expect(Like.find).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown user', async () => {
+      const response = await request(app).get(`/users/${targetId}/likes`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /users/me/tags', () => {
+    it('should list the tags the caller follows', async () => {
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ followedTags: ['food', 'travel'] }) });
+
+      const response = await request(app).get('/users/me/tags').set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ tags: ['food', 'travel'] });
+    });
+  });
+
+  describe('notifications', () => {
+    it('should list a page of notifications with the unread count, leaving out blocked users', async () => {
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ blocked: ['b1'] }) });
+      User.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['b2']) });
+      const notifications = [{ _id: 'n1', type: 'mention', read: false }];
+      const populateComment = jest.fn().mockResolvedValue(notifications);
+      const populatePin = jest.fn().mockReturnValue({ populate: populateComment });
+      const populateActor = jest.fn().mockReturnValue({ populate: populatePin });
+      const limit = jest.fn().mockReturnValue({ populate: populateActor });
+      const skip = jest.fn().mockReturnValue({ limit });
+      Notification.find.mockReturnValue({ sort: jest.fn().mockReturnValue({ skip }) });
+      Notification.countDocuments.mockResolvedValueOnce(3).mockResolvedValueOnce(1);
+
+      const response = await request(app).get('/users/me/notifications?limit=1').set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ notifications, page: 1, limit: 1, total: 3, unread: 1, hasMore: true });
+      const filter = { user: userId, actor: { $nin: ['b1', 'b2'] } };
+      expect(Notification.find).toHaveBeenCalledWith(filter);
+      expect(Notification.countDocuments).toHaveBeenCalledWith({ ...filter, read: false });
+      expect(populateActor).toHaveBeenCalledWith('actor', 'username avatar');
+    });
+
+    it('should mark the listed notifications as read', async () => {
+      Notification.updateMany.mockResolvedValue({ modifiedCount: 1 });
+      const id = '64b7f0c2a1b2c3d4e5f60790';
+
+      const response = await request(app)
+        .post('/users/me/notifications/read')
+        .set('x-auth-token', token)
+        .send({ ids: [id] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.updated).toBe(1);
+      expect(Notification.updateMany).toHaveBeenCalledWith(
+        { user: userId, read: false, _id: { $in: [id] } },
+        { $set: { read: true } }
+      );
+    });
+
+    it('should mark everything as read when no ids are sent', async () => {
+      Notification.updateMany.mockResolvedValue({ modifiedCount: 4 });
+
+      await request(app).post('/users/me/notifications/read').set('x-auth-token', token).send({});
+
+      expect(Notification.updateMany).toHaveBeenCalledWith({ user: userId, read: false }, { $set: { read: true } });
+    });
+
+    it('should reject malformed ids', async () => {
+      const response = await request(app)
+        .post('/users/me/notifications/read')
+        .set('x-auth-token', token)
+        .send({ ids: ['nope'] });
+
+      expect(response.status).toBe(422);
+      expect(Notification.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /users/autocomplete', () => {
+    const mockSuggestions = (...pages) => {
+      const selects = pages.map(users => jest.fn().mockResolvedValue(users));
+      selects.forEach(select => {
+        User.find.mockReturnValueOnce({
+          sort: jest.fn().mockReturnValue({ limit: jest.fn().mockReturnValue({ select }) }),
+        });
+      });
+    };
+
+    beforeEach(() => {
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ following: ['f1'], blocked: ['b1'] }) });
+    });
+
+    it('should suggest followed users first, then everyone else', async () => {
+      mockSuggestions(
+        [{ _id: 'f1', username: 'sam', avatar: '' }],
+        [{ _id: 'u2', username: 'samantha', avatar: '' }]
+      );
+
+      const response = await request(app).get('/users/autocomplete?q=@Sa').set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body.users).toEqual([
+        { _id: 'f1', username: 'sam', avatar: '', isFollowing: true },
+        { _id: 'u2', username: 'samantha', avatar: '', isFollowing: false },
+      ]);
+      const prefix = { username: /^Sa/i, blocked: { $ne: userId } };
+      expect(User.find).toHaveBeenCalledWith({ ...prefix, _id: { $in: ['f1'], $nin: [userId, 'b1'] } });
+      expect(User.find).toHaveBeenCalledWith({ ...prefix, _id: { $nin: [userId, 'b1', 'f1'] } });
+    });
+
+    it('should return nothing for a query that cannot start a username', async () => {
+      const response = await request(app).get('/users/autocomplete?q=a%20b').set('x-auth-token', token);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ users: [] });
+      expect(User.find).not.toHaveBeenCalled();
+    });
+  });
+});
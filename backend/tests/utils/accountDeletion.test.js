@@ -0,0 +1,149 @@
+const { purgeUser, purgeDueAccounts } = require('../../utils/accountDeletion');
+const User = require('../../models/User');
+const Pin = require('../../models/Pin');
+const Board = require('../../models/Board');
+const Comment = require('../../models/Comment');
+const CommentReaction = require('../../models/CommentReaction');
+const Like = require('../../models/Like');
+const Save = require('../../models/Save');
+const Notification = require('../../models/Notification');
+const PinView = require('../../models/PinView');
+const RefreshToken = require('../../models/RefreshToken');
+const Session = require('../../models/Session');
+const UserToken = require('../../models/UserToken');
+const LoginEvent = require('../../models/LoginEvent');
+const { deleteCommentThread, removeReaction } = require('../../utils/comments');
+
+jest.mock('../../models/User');
+jest.mock('../../models/Pin');
+jest.mock('../../models/Board');
+jest.mock('../../models/Comment');
+jest.mock('../../models/CommentReaction');
+jest.mock('../../utils/comments');
+jest.mock('../../models/Like');
+jest.mock('../../models/Save');
+jest.mock('../../models/Notification');
+jest.mock('../../models/PinView');
+jest.mock('../../models/RefreshToken');
+jest.mock('../../models/Session');
+jest.mock('../../models/UserToken');
+jest.mock('../../models/LoginEvent');
+
+describe('accountDeletion', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    console.error = jest.fn();
+    Like.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue([]) });
+    Board.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue([]) });
+    Save.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue([]) });
+    Comment.find.mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+    CommentReaction.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue([]) });
+  });
+
+  describe('purgeUser', () => {
+    it('should remove owned content and every reference to the user', async () => {
+      Pin.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['pin1', 'pin2']) });
+
+      await purgeUser('user123');
+
+      expect(Comment.deleteMany).toHaveBeenCalledWith({ pin: { $in: ['pin1', 'pin2'] } });
+      expect(Board.updateMany).toHaveBeenCalledWith(
+        { pins: { $in: ['pin1', 'pin2'] } },
+        { $pull: { pins: { $in: ['pin1', 'pin2'] } } }
+      );
+      expect(Pin.deleteMany).toHaveBeenCalledWith({ user: 'user123' });
+      expect(Board.deleteMany).toHaveBeenCalledWith({ user: 'user123' });
+      expect(Notification.deleteMany).toHaveBeenCalledWith({ pin: { $in: ['pin1', 'pin2'] } });
+      expect(PinView.deleteMany).toHaveBeenCalledWith({ pin: { $in: ['pin1', 'pin2'] } });
+      expect(User.updateMany).toHaveBeenCalledWith(
+        { hiddenPins: { $in: ['pin1', 'pin2'] } },
+        { $pull: { hiddenPins: { $in: ['pin1', 'pin2'] } } }
+      );
+      expect(Notification.deleteMany).toHaveBeenCalledWith({ $or: [{ user: 'user123' }, { actor: 'user123' }] });
+      expect(User.updateMany).toHaveBeenCalledWith(
+        {
+          $or: [
+            { followers: 'user123' },
+            { following: 'user123' },
+            { followRequests: 'user123' },
+            { blocked: 'user123' },
+            { muted: 'user123' },
+          ],
+        },
+        { $pull: { followers: 'user123', following: 'user123', followRequests: 'user123', blocked: 'user123', muted: 'user123' } }
+      );
+      expect(RefreshToken.deleteMany).toHaveBeenCalledWith({ user: 'user123' });
+      expect(Session.deleteMany).toHaveBeenCalledWith({ user: 'user123' });
+      expect(UserToken.deleteMany).toHaveBeenCalledWith({ user: 'user123' });
+      expect(LoginEvent.deleteMany).toHaveBeenCalledWith({ user: 'user123' });
+      expect(User.deleteOne).toHaveBeenCalledWith({ _id: 'user123' });
+    });
+
+    it('should take each of the user\'s likes off its pin\'s count once', async () => {
+      Pin.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['pin1']) });
+      Like.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['other1', 'other2']) });
+      // other2 was already removed by an earlier, interrupted run
+      Like.deleteOne.mockResolvedValueOnce({ deletedCount: 1 }).mockResolvedValueOnce({ deletedCount: 0 });
+
+      await purgeUser('user123');
+
+      expect(Like.find).toHaveBeenCalledWith({ user: 'user123', pin: { $nin: ['pin1'] } });
+      expect(Pin.updateOne).toHaveBeenCalledTimes(1);
+      expect(Pin.updateOne).toHaveBeenCalledWith({ _id: 'other1' }, { $inc: { likeCount: -1 } });
+      expect(Like.deleteMany).toHaveBeenCalledWith({ pin: { $in: ['pin1'] } });
+    });
+
+    it('should remove the user\'s comments and reactions elsewhere one at a time', async () => {
+      const comments = [{ _id: 'c1', pin: 'other1' }, { _id: 'c2', pin: 'other2', parentComment: 'c0' }];
+      Pin.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['pin1']) });
+      Comment.find.mockReturnValue({ select: jest.fn().mockResolvedValue(comments) });
+      CommentReaction.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['c9']) });
+
+      await purgeUser('user123');
+
+      expect(Comment.find).toHaveBeenCalledWith({ user: 'user123', pin: { $nin: ['pin1'] } });
+      expect(deleteCommentThread).toHaveBeenCalledTimes(2);
+      expect(deleteCommentThread).toHaveBeenCalledWith(comments[1]);
+      expect(CommentReaction.find).toHaveBeenCalledWith({ user: 'user123', pin: { $nin: ['pin1'] } });
+      expect(removeReaction).toHaveBeenCalledWith('c9', 'user123');
+      expect(CommentReaction.deleteMany).toHaveBeenCalledWith({ pin: { $in: ['pin1'] } });
+    });
+
+    it('should take the saves on the user\'s boards off their pins\' counts', async () => {
+      Pin.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['pin1']) });
+      Board.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['board1']) });
+      Save.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['other1']) });
+      Save.deleteOne.mockResolvedValue({ deletedCount: 1 });
+
+      await purgeUser('user123');
+
+      expect(Board.find).toHaveBeenCalledWith({ user: 'user123' });
+      expect(Save.find).toHaveBeenCalledWith({ board: 'board1' });
+      expect(Save.deleteOne).toHaveBeenCalledWith({ board: 'board1', pin: 'other1' });
+      expect(Pin.updateOne).toHaveBeenCalledWith({ _id: 'other1' }, { $inc: { saveCount: -1 } });
+      expect(Save.deleteMany).toHaveBeenCalledWith({ pin: { $in: ['pin1'] } });
+    });
+
+    it('should keep the user document when a cleanup step fails', async () => {
+      Pin.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue([]) });
+      Board.deleteMany.mockRejectedValueOnce(new Error('DB error'));
+
+      await expect(purgeUser('user123')).rejects.toThrow('DB error');
+      expect(User.deleteOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('purgeDueAccounts', () => {
+    it('should purge accounts whose grace period has passed', async () => {
+      User.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['userA', 'userB']) });
+      Pin.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue([]) });
+
+      const count = await purgeDueAccounts();
+
+      expect(count).toBe(2);
+      expect(User.find).toHaveBeenCalledWith({ deletionScheduledAt: { $ne: null, $lte: expect.any(Date) } });
+      expect(User.deleteOne).toHaveBeenCalledWith({ _id: 'userA' });
+      expect(User.deleteOne).toHaveBeenCalledWith({ _id: 'userB' });
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const Category = require('../../models/Category');
+const {
+  DEFAULT_CATEGORIES,
+  ensureCategories,
+  categoryTree,
+  validateCategory,
+  categoryCondition,
+  categoryFamilyCondition,
+} = require('../../utils/categories');
+
+jest.mock('../../models/Category');
+
+describe('categories', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('ensureCategories', () => {
+    it('should insert the missing built-in categories without touching existing ones', async () => {
+      await ensureCategories();
+
+      const operations = Category.bulkWrite.mock.calls[0][0];
+      const total = DEFAULT_CATEGORIES.reduce((sum, category) => sum + 1 + category.children.length, 0);
+      expect(operations).toHaveLength(total);
+      expect(operations[0]).toEqual({
+        updateOne: {
+          filter: { slug: 'art' },
+          update: { $setOnInsert: { slug: 'art', name: 'Art', icon: 'palette', parentCategory: null, sortOrder: 0 } },
+          upsert: true,
+        },
+      });
+      expect(operations[1].updateOne.update.$setOnInsert).toEqual({
+        slug: 'digital-art',
+        name: 'Digital Art',
+        icon: 'palette',
+        parentCategory: 'art',
+        sortOrder: 0,
+      });
+    });
+  });
+
+  describe('categoryTree', () => {
+    it('should nest subcategories under their top-level category', async () => {
+      Category.find.mockReturnValue({
+        sort: jest.fn().mockReturnValue({
+          select: jest.fn().mockResolvedValue([
+            { slug: 'food', name: 'Food', icon: 'food', parentCategory: null },
+            { slug: 'baking', name: 'Baking', icon: 'food', parentCategory: 'food' },
+            { slug: 'travel', name: 'Travel', icon: 'airplane', parentCategory: null },
+          ]),
+        }),
+      });
+
+      expect(await categoryTree()).toEqual([
+        { slug: 'food', name: 'Food', icon: 'food', children: [{ slug: 'baking', name: 'Baking', icon: 'food' }] },
+        { slug: 'travel', name: 'Travel', icon: 'airplane', children: [] },
+      ]);
+    });
+  });
+
+  describe('validateCategory', () => {
+    it('should accept a known slug, or nothing', async () => {
+      Category.exists.mockResolvedValue({ _id: 'c1' });
+
+      expect(await validateCategory('food')).toBeNull();
+      expect(await validateCategory(undefined)).toBeNull();
+      expect(await validateCategory(null)).toBeNull();
+      expect(Category.exists).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject unknown slugs and other values', async () => {
+      Category.exists.mockResolvedValue(null);
+
+      expect(await validateCategory('nope')).toBe('Category not found');
+      expect(await validateCategory(42)).toBe('Category not found');
+    });
+  });
+
+  describe('categoryCondition', () => {
+    it('should match the category and its subcategories', async () => {
+      Category.exists.mockResolvedValue({ _id: 'c1' });
+      Category.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['baking', 'coffee']) });
+
+      expect(await categoryCondition('food')).toEqual({ $in: ['food', 'baking', 'coffee'] });
+      expect(Category.find).toHaveBeenCalledWith({ parentCategory: 'food' });
+    });
+
+    it('should return null for an unknown category', async () => {
+      Category.exists.mockResolvedValue(null);
+
+      expect(await categoryCondition('nope')).toBeNull();
+      expect(Category.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('categoryFamilyCondition', () => {
+    it('should match the whole family from a subcategory', async () => {
+      Category.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue({ parentCategory: 'food' }) });
+      Category.exists.mockResolvedValue({ _id: 'c1' });
+      Category.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['baking', 'coffee']) });
+
+      expect(await categoryFamilyCondition('baking')).toEqual({ $in: ['food', 'baking', 'coffee'] });
+      expect(Category.find).toHaveBeenCalledWith({ parentCategory: 'food' });
+    });
+
+    it('should match a top-level category and its subcategories', async () => {
+      Category.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue({ parentCategory: null }) });
+      Category.exists.mockResolvedValue({ _id: 'c1' });
+      Category.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['yoga']) });
+
+      expect(await categoryFamilyCondition('fitness')).toEqual({ $in: ['fitness', 'yoga'] });
+    });
+
+    it('should return null for an unknown category', async () => {
+      Category.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      expect(await categoryFamilyCondition('nope')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const { deleteCommentThread, removeReaction } = require('../../utils/comments');
+const Comment = require('../../models/Comment');
+const CommentReaction = require('../../models/CommentReaction');
+const Pin = require('../../models/Pin');
+const Notification = require('../../models/Notification');
+
+jest.mock('../../models/Comment');
+jest.mock('../../models/CommentReaction');
+jest.mock('../../models/Pin');
+jest.mock('../../models/Notification');
+
+describe('comments', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('deleteCommentThread', () => {
+    it('should remove a top-level comment with its replies, reactions and notifications', async () => {
+      Comment.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['r1', 'r2']) });
+      Comment.deleteMany.mockResolvedValue({ deletedCount: 2 });
+      Comment.deleteOne.mockResolvedValue({ deletedCount: 1 });
+
+      const removed = await deleteCommentThread({ _id: 'c1', pin: 'pin1', parentComment: null });
+
+      expect(removed).toBe(3);
+      expect(Comment.find).toHaveBeenCalledWith({ parentComment: 'c1' });
+      expect(Comment.deleteMany).toHaveBeenCalledWith({ _id: { $in: ['r1', 'r2'] } });
+      expect(CommentReaction.deleteMany).toHaveBeenCalledWith({ comment: { $in: ['c1', 'r1', 'r2'] } });
+      expect(Notification.deleteMany).toHaveBeenCalledWith({ comment: { $in: ['c1', 'r1', 'r2'] } });
+      expect(Pin.updateOne).toHaveBeenCalledWith({ _id: 'pin1' }, { $inc: { commentCount: -3 } });
+      expect(Comment.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should take a reply off its parent\'s count', async () => {
+      Comment.deleteOne.mockResolvedValue({ deletedCount: 1 });
+
+      await deleteCommentThread({ _id: 'r1', pin: 'pin1', parentComment: 'c1' });
+
+      expect(Comment.find).not.toHaveBeenCalled();
+      expect(Pin.updateOne).toHaveBeenCalledWith({ _id: 'pin1' }, { $inc: { commentCount: -1 } });
+      expect(Comment.updateOne).toHaveBeenCalledWith({ _id: 'c1' }, { $inc: { replyCount: -1 } });
+    });
+
+    it('should leave the counts alone when nothing was left to delete', async () => {
+      Comment.deleteOne.mockResolvedValue({ deletedCount: 0 });
+
+      expect(await deleteCommentThread({ _id: 'r1', pin: 'pin1', parentComment: 'c1' })).toBe(0);
+      expect(Pin.updateOne).not.toHaveBeenCalled();
+      expect(Comment.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeReaction', () => {
+    it('should lower the count of the removed reaction\'s type', async () => {
+      CommentReaction.findOneAndDelete.mockResolvedValue({ type: 'love' });
+
+      expect(await removeReaction('c1', 'user123')).toBe(true);
+      expect(CommentReaction.findOneAndDelete).toHaveBeenCalledWith({ comment: 'c1', user: 'user123' });
+      expect(Comment.updateOne).toHaveBeenCalledWith({ _id: 'c1' }, { $inc: { 'reactionCounts.love': -1 } });
+    });
+
+    it('should do nothing when there was no reaction', async () => {
+      CommentReaction.findOneAndDelete.mockResolvedValue(null);
+
+      expect(await removeReaction('c1', 'user123')).toBe(false);
+      expect(Comment.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
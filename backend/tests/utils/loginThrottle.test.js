@@ -0,0 +1,35 @@
+const { lockoutSeconds, throttleKeys } = require('../../utils/loginThrottle');
+
+jest.mock('../../models/LoginThrottle');
+
+describe('loginThrottle', () => {
+  describe('lockoutSeconds', () => {
+    it('should not lock an account within its free attempts', () => {
+      expect(lockoutSeconds('account', 4)).toBe(0);
+    });
+
+    it('should double the lockout with each further failure', () => {
+      expect(lockoutSeconds('account', 5)).toBe(30);
+      expect(lockoutSeconds('account', 6)).toBe(60);
+      expect(lockoutSeconds('account', 7)).toBe(120);
+    });
+
+    it('should give an IP more room than an account', () => {
+      expect(lockoutSeconds('ip', 19)).toBe(0);
+      expect(lockoutSeconds('ip', 20)).toBe(30);
+    });
+
+    it('should cap the lockout at one hour', () => {
+      expect(lockoutSeconds('account', 50)).toBe(60 * 60);
+    });
+  });
+
+  describe('throttleKeys', () => {
+    it('should normalize the email so case changes share a counter', () => {
+      expect(throttleKeys('10.0.0.1', ' John@Example.com ')).toEqual([
+        { type: 'ip', key: 'ip:10.0.0.1' },
+        { type: 'account', key: 'account:john@example.com' },
+      ]);
+    });
+  });
+});
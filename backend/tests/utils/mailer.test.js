@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('mailer', () => {
+  let mailDir;
+
+  beforeEach(() => {
+    jest.resetModules();
+    mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(mailDir, { recursive: true, force: true });
+  });
+
+  const loadMailer = (overrides) => {
+    jest.doMock('../../config', () => ({
+      MAIL_FROM: 'no-reply@test.local',
+      MAIL_DIR: mailDir,
+      ...overrides,
+    }));
+    return require('../../utils/mailer');
+  };
+
+  it('should write messages to disk with the file transport', async () => {
+    const { sendMail } = loadMailer({ MAIL_TRANSPORT: 'file' });
+
+    await sendMail({ to: 'john@example.com', subject: 'Hello', text: 'Body' });
+
+    const files = fs.readdirSync(mailDir);
+    expect(files).toHaveLength(1);
+    const message = JSON.parse(fs.readFileSync(path.join(mailDir, files[0]), 'utf8'));
+    expect(message).toMatchObject({
+      from: 'no-reply@test.local',
+      to: 'john@example.com',
+      subject: 'Hello',
+      text: 'Body',
+    });
+  });
+
+  it('should deliver through a registered custom transport', async () => {
+    const { sendMail, registerTransport } = loadMailer({ MAIL_TRANSPORT: 'memory' });
+    const send = jest.fn().mockResolvedValue();
+    registerTransport('memory', () => ({ send }));
+
+    await sendMail({ to: 'sarah@example.com', subject: 'Hi', text: 'There' });
+
+    expect(send).toHaveBeenCalledWith({
+      from: 'no-reply@test.local',
+      to: 'sarah@example.com',
+      subject: 'Hi',
+      text: 'There',
+    });
+  });
+
+  it('should fail loudly on an unknown transport', () => {
+    const { sendMail } = loadMailer({ MAIL_TRANSPORT: 'carrier-pigeon' });
+
+    expect(() => sendMail({ to: 'a@b.c', subject: 's', text: 't' })).toThrow('Unknown mail transport: carrier-pigeon');
+  });
+});
@@ -0,0 +1,117 @@
+const User = require('../../models/User');
+const Notification = require('../../models/Notification');
+const { isBlocked, contentAccess } = require('../../utils/privacy');
+const { parseMentions, resolveMentions, notifyMentions } = require('../../utils/mentions');
+
+jest.mock('../../models/User');
+jest.mock('../../models/Notification');
+jest.mock('../../utils/privacy');
+
+describe('mentions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isBlocked.mockResolvedValue(false);
+    contentAccess.mockResolvedValue('visible');
+  });
+
+  describe('parseMentions', () => {
+    it('should find each mention with the range it covers', () => {
+      expect(parseMentions('@sam meet @alex_b.')).toEqual([
+        { username: 'sam', start: 0, end: 4 },
+        { username: 'alex_b', start: 10, end: 17 },
+      ]);
+    });
+
+    it('should ignore email addresses and names that are too short or too long', () => {
+      expect(parseMentions('mail sam@example.com or @jo')).toEqual([]);
+      expect(parseMentions(`@${'a'.repeat(31)}`)).toEqual([]);
+    });
+
+    it('should handle missing text', () => {
+      expect(parseMentions(undefined)).toEqual([]);
+      expect(parseMentions('')).toEqual([]);
+    });
+
+    it('should stop after 20 mentions', () => {
+      const text = Array.from({ length: 25 }, (_, i) => `@user${i}`).join(' ');
+      expect(parseMentions(text)).toHaveLength(20);
+    });
+  });
+
+  describe('resolveMentions', () => {
+    const mockUsers = (users) => {
+      const select = jest.fn().mockResolvedValue(users);
+      const collation = jest.fn().mockReturnValue({ select });
+      User.find.mockReturnValue({ collation });
+      return collation;
+    };
+
+    it('should keep the mentions of existing users, regardless of case', async () => {
+      const collation = mockUsers([{ _id: 'u1', username: 'Sam' }]);
+
+      const mentions = await resolveMentions('hi @sam and @nobody, @SAM');
+
+      expect(User.find).toHaveBeenCalledWith({ username: { $in: ['sam', 'nobody'] } });
+      expect(collation).toHaveBeenCalledWith({ locale: 'en', strength: 2 });
+      expect(mentions).toEqual([
+        { user: 'u1', username: 'Sam', start: 3, end: 7 },
+        { user: 'u1', username: 'Sam', start: 21, end: 25 },
+      ]);
+    });
+
+    it('should not query when there is nothing to resolve', async () => {
+      expect(await resolveMentions('no mentions')).toEqual([]);
+      expect(User.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('notifyMentions', () => {
+    const pin = { _id: 'pin1', user: 'owner' };
+    const mention = user => ({ user, username: user, start: 0, end: user.length + 1 });
+
+    it('should notify each mentioned user once', async () => {
+      const notified = await notifyMentions({
+        mentions: [mention('u1'), mention('u2'), mention('u1')],
+        actorId: 'author',
+        pin,
+        comment: { _id: 'c1' },
+      });
+
+      expect(notified).toEqual(['u1', 'u2']);
+      expect(Notification.insertMany).toHaveBeenCalledWith([
+        { user: 'u1', actor: 'author', type: 'mention', pin: 'pin1', comment: 'c1' },
+        { user: 'u2', actor: 'author', type: 'mention', pin: 'pin1', comment: 'c1' },
+      ]);
+    });
+
+    it('should skip the author and users mentioned before an edit', async () => {
+      const notified = await notifyMentions({
+        mentions: [mention('author'), mention('u1'), mention('u2')],
+        previous: [mention('u1')],
+        actorId: 'author',
+        pin,
+      });
+
+      expect(notified).toEqual(['u2']);
+      expect(Notification.insertMany).toHaveBeenCalledWith([
+        { user: 'u2', actor: 'author', type: 'mention', pin: 'pin1', comment: null },
+      ]);
+    });
+
+    it('should skip users across a block and those who cannot see the pin', async () => {
+      isBlocked.mockImplementation(async userId => userId === 'u1');
+      contentAccess.mockImplementation(async (ownerId, viewerId) => (viewerId === 'u2' ? 'private' : 'visible'));
+
+      const notified = await notifyMentions({
+        mentions: [mention('u1'), mention('u2')],
+        actorId: 'author',
+        pin,
+      });
+
+      expect(notified).toEqual([]);
+      expect(isBlocked).toHaveBeenCalledWith('u1', 'author');
+      expect(contentAccess).toHaveBeenCalledWith('owner', 'u2');
+      expect(Notification.insertMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const User = require('../../models/User');
+const { canViewProfile, hiddenFields, isBlocked, hiddenUserIds, blockedUserIds } = require('../../utils/privacy');
+
+jest.mock('../../models/User');
+
+describe('privacy', () => {
+  const privateUser = {
+    _id: 'owner',
+    privacy: { profileVisibility: 'private', showEmail: true, showLocation: false },
+    followers: ['fan'],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('canViewProfile', () => {
+    it('should show public profiles to everyone', () => {
+      expect(canViewProfile({ _id: 'owner', followers: [] }, undefined)).toBe(true);
+    });
+
+    it('should show private profiles to the owner and approved followers only', () => {
+      expect(canViewProfile(privateUser, 'owner')).toBe(true);
+      expect(canViewProfile(privateUser, 'fan')).toBe(true);
+      expect(canViewProfile(privateUser, 'stranger')).toBe(false);
+      expect(canViewProfile(privateUser, undefined)).toBe(false);
+    });
+  });
+
+  describe('hiddenFields', () => {
+    it('should hide contact details the user has not chosen to show', () => {
+      expect(hiddenFields(privateUser, 'fan')).toEqual(['location']);
+      expect(hiddenFields({ _id: 'owner' }, 'fan')).toEqual(['email', 'location']);
+    });
+
+    it('should hide nothing from the owner', () => {
+      expect(hiddenFields(privateUser, 'owner')).toEqual([]);
+    });
+  });
+
+  describe('isBlocked', () => {
+    it('should check for a block in either direction', async () => {
+      User.exists.mockResolvedValue({ _id: 'a' });
+
+      await expect(isBlocked('a', 'b')).resolves.toBe(true);
+      expect(User.exists).toHaveBeenCalledWith({
+        $or: [{ _id: 'a', blocked: 'b' }, { _id: 'b', blocked: 'a' }],
+      });
+    });
+  });
+
+  describe('hiddenUserIds', () => {
+    it('should hide private profiles the viewer does not follow and blocks either way', async () => {
+      const distinct = jest.fn().mockResolvedValue(['p1', 'blockedMe']);
+      User.find.mockReturnValue({ distinct });
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ blocked: ['b1'], muted: ['m1'] }),
+      });
+
+      await expect(hiddenUserIds('viewer')).resolves.toEqual(['p1', 'blockedMe', 'b1']);
+      expect(User.find).toHaveBeenCalledWith({
+        $or: [
+          { 'privacy.profileVisibility': 'private', _id: { $ne: 'viewer' }, followers: { $ne: 'viewer' } },
+          { blocked: 'viewer' },
+        ],
+      });
+      expect(distinct).toHaveBeenCalledWith('_id');
+    });
+
+    it('should also hide muted users from feeds', async () => {
+      User.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue([]) });
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ blocked: ['b1'], muted: ['m1'] }),
+      });
+
+      await expect(hiddenUserIds('viewer', { includeMuted: true })).resolves.toEqual(['b1', 'm1']);
+    });
+
+    it('should hide every private profile from anonymous viewers', async () => {
+      User.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue([]) });
+
+      await hiddenUserIds(undefined);
+
+      expect(User.find).toHaveBeenCalledWith({ 'privacy.profileVisibility': 'private' });
+    });
+  });
+
+  describe('blockedUserIds', () => {
+    it('should list blocks either way and nothing else', async () => {
+      const distinct = jest.fn().mockResolvedValue(['blockedMe']);
+      User.find.mockReturnValue({ distinct });
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ blocked: ['b1'] }) });
+
+      await expect(blockedUserIds('viewer')).resolves.toEqual(['blockedMe', 'b1']);
+      expect(User.find).toHaveBeenCalledWith({ blocked: 'viewer' });
+    });
+
+    it('should hide nobody from anonymous viewers', async () => {
+      await expect(blockedUserIds(undefined)).resolves.toEqual([]);
+      expect(User.find).not.toHaveBeenCalled();
+    });
+  });
+});
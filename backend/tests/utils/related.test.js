@@ -0,0 +1,94 @@
+const Pin = require('../../models/Pin');
+const Board = require('../../models/Board');
+const { categoryFamilyCondition } = require('../../utils/categories');
+const { rankRelatedPins } = require('../../utils/related');
+
+jest.mock('../../models/Pin');
+jest.mock('../../models/Board');
+jest.mock('../../utils/categories');
+
+// A Pin.find chain resolving to `pins`
+const findResult = pins => ({
+  sort: jest.fn().mockReturnThis(),
+  limit: jest.fn().mockReturnThis(),
+  select: jest.fn().mockResolvedValue(pins),
+  distinct: jest.fn().mockResolvedValue(pins),
+});
+
+describe('rankRelatedPins', () => {
+  const pin = { _id: 'pin0', user: 'owner', tags: ['sunset', 'beach'], category: 'beaches' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Board.find.mockReturnValue(findResult([]));
+    categoryFamilyCondition.mockResolvedValue({ $in: ['travel', 'beaches', 'hiking'] });
+  });
+
+  it('should add up shared tags, shared boards, the creator and the category', async () => {
+    Pin.find
+      // Shared tags
+      .mockReturnValueOnce(findResult([
+        { _id: 'pinA', tags: ['sunset', 'beach', 'sea'] },
+        { _id: 'pinB', tags: ['sunset'] },
+      ]))
+      // Pins on shared boards that the viewer may see
+      .mockReturnValueOnce(findResult(['pinB', 'pinC']))
+      // Same creator
+      .mockReturnValueOnce(findResult([{ _id: 'pinC' }]))
+      // Same category family
+      .mockReturnValueOnce(findResult([
+        { _id: 'pinD', category: 'beaches' },
+        { _id: 'pinE', category: 'hiking' },
+      ]));
+    Board.find.mockReturnValue(findResult([
+      { pins: ['pin0', 'pinB', 'pinC', 'pinX'] },
+      { pins: ['pin0', 'pinB'] },
+    ]));
+
+    const ranked = await rankRelatedPins(pin, { exclude: ['pinH'], hiddenUsers: ['blocked1'] });
+
+    // pinB: one tag and two boards; pinA: two tags; pinC: one board and the
+    // creator; pinD: the same category; pinE: the same family
+    expect(ranked).toEqual([
+      { pin: 'pinB', score: 7 },
+      { pin: 'pinA', score: 6 },
+      { pin: 'pinC', score: 4 },
+      { pin: 'pinD', score: 2 },
+      { pin: 'pinE', score: 1 },
+    ]);
+    expect(Board.find).toHaveBeenCalledWith({ pins: 'pin0', isPrivate: { $ne: true } });
+    expect(Pin.find).toHaveBeenCalledWith({
+      _id: { $nin: ['pin0', 'pinH'] },
+      user: { $nin: ['blocked1'] },
+      tags: { $in: ['sunset', 'beach'] },
+    });
+    expect(Pin.find).toHaveBeenCalledWith({
+      _id: { $nin: ['pin0', 'pinH'], $in: ['pinB', 'pinC', 'pinX'] },
+      user: { $nin: ['blocked1'] },
+    });
+    expect(categoryFamilyCondition).toHaveBeenCalledWith('beaches');
+  });
+
+  it('should break ties in favour of the newer pin', async () => {
+    const older = '64b7f0c2a1b2c3d4e5f60701';
+    const newer = '64b7f0c2a1b2c3d4e5f60702';
+    Pin.find
+      .mockReturnValueOnce(findResult([{ _id: older, tags: ['sunset'] }, { _id: newer, tags: ['beach'] }]))
+      .mockReturnValue(findResult([]));
+
+    const ranked = await rankRelatedPins(pin);
+
+    expect(ranked.map(entry => entry.pin)).toEqual([newer, older]);
+  });
+
+  it('should skip the sources a pin has nothing for', async () => {
+    Pin.find.mockReturnValue(findResult([{ _id: 'pinC' }]));
+
+    const ranked = await rankRelatedPins({ _id: 'pin0', user: 'owner', tags: [], category: null });
+
+    expect(ranked).toEqual([{ pin: 'pinC', score: 2 }]);
+    // Only the same-creator lookup runs
+    expect(Pin.find).toHaveBeenCalledTimes(1);
+    expect(categoryFamilyCondition).not.toHaveBeenCalled();
+  });
+});
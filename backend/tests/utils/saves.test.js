@@ -0,0 +1,80 @@
+const { savePinToBoard, removePinFromBoard, clearBoardSaves } = require('../../utils/saves');
+const Board = require('../../models/Board');
+const Pin = require('../../models/Pin');
+const Save = require('../../models/Save');
+
+jest.mock('../../models/Board');
+jest.mock('../../models/Pin');
+jest.mock('../../models/Save');
+
+describe('saves', () => {
+  const pin = { _id: 'pin1', user: 'creator' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('savePinToBoard', () => {
+    it('should record the save with the original creator and bump the count', async () => {
+      Save.updateOne.mockResolvedValue({ upsertedCount: 1 });
+
+      const added = await savePinToBoard(pin, 'board1', 'user123');
+
+      expect(added).toBe(true);
+      expect(Board.updateOne).toHaveBeenCalledWith({ _id: 'board1' }, { $addToSet: { pins: 'pin1' } });
+      expect(Save.updateOne).toHaveBeenCalledWith(
+        { board: 'board1', pin: 'pin1' },
+        { $setOnInsert: { user: 'user123', pinOwner: 'creator', createdAt: expect.any(Date) } },
+        { upsert: true }
+      );
+      expect(Pin.updateOne).toHaveBeenCalledWith({ _id: 'pin1' }, { $inc: { saveCount: 1 } });
+    });
+
+    it('should not count a pin already saved to the board', async () => {
+      Save.updateOne.mockResolvedValue({ upsertedCount: 0 });
+
+      expect(await savePinToBoard(pin, 'board1', 'user123')).toBe(false);
+      expect(Pin.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should treat losing an insert race as already saved', async () => {
+      Save.updateOne.mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+
+      expect(await savePinToBoard(pin, 'board1', 'user123')).toBe(false);
+      expect(Pin.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removePinFromBoard', () => {
+    it('should drop the save, lower the count and take the pin off the board', async () => {
+      Save.deleteOne.mockResolvedValue({ deletedCount: 1 });
+
+      expect(await removePinFromBoard('pin1', 'board1')).toBe(true);
+      expect(Save.deleteOne).toHaveBeenCalledWith({ board: 'board1', pin: 'pin1' });
+      expect(Pin.updateOne).toHaveBeenCalledWith({ _id: 'pin1' }, { $inc: { saveCount: -1 } });
+      expect(Board.updateOne).toHaveBeenCalledWith({ _id: 'board1' }, { $pull: { pins: 'pin1' } });
+    });
+
+    it('should still clear the board when there was no save record', async () => {
+      Save.deleteOne.mockResolvedValue({ deletedCount: 0 });
+
+      expect(await removePinFromBoard('pin1', 'board1')).toBe(false);
+      expect(Pin.updateOne).not.toHaveBeenCalled();
+      expect(Board.updateOne).toHaveBeenCalledWith({ _id: 'board1' }, { $pull: { pins: 'pin1' } });
+    });
+  });
+
+  describe('clearBoardSaves', () => {
+    it('should lower each saved pin\'s count once', async () => {
+      Save.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['pin1', 'pin2']) });
+      // pin2's save was already removed by an earlier, interrupted run
+      Save.deleteOne.mockResolvedValueOnce({ deletedCount: 1 }).mockResolvedValueOnce({ deletedCount: 0 });
+
+      await clearBoardSaves('board1');
+
+      expect(Save.find).toHaveBeenCalledWith({ board: 'board1' });
+      expect(Pin.updateOne).toHaveBeenCalledTimes(1);
+      expect(Pin.updateOne).toHaveBeenCalledWith({ _id: 'pin1' }, { $inc: { saveCount: -1 } });
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const { parseSettingsUpdate, settingsUpdate, formatSettings } = require('../../utils/settings');
+
+describe('settings', () => {
+  const now = new Date('2026-01-10T12:00:00Z');
+
+  describe('parseSettingsUpdate', () => {
+    it('should turn nested settings into one change per path', () => {
+      const { errors, changes } = parseSettingsUpdate({
+        settings: { darkMode: true, data: { cacheSize: 'large' } },
+        updatedAt: { darkMode: '2026-01-10T11:00:00Z' },
+      }, now);
+
+      expect(errors).toEqual({});
+      expect(changes).toEqual([
+        { path: 'darkMode', value: true, updatedAt: new Date('2026-01-10T11:00:00Z') },
+        { path: 'data.cacheSize', value: 'large', updatedAt: now },
+      ]);
+    });
+
+    it('should report invalid values, bad dates and unknown settings by path', () => {
+      const { errors } = parseSettingsUpdate({
+        settings: { gridSize: 'huge', notifications: true, theme: 'dark', data: { autoSave: 'yes' } },
+        updatedAt: { notifications: 'yesterday' },
+      }, now);
+
+      expect(Object.keys(errors).sort()).toEqual(['data.autoSave', 'gridSize', 'notifications', 'theme']);
+    });
+
+    it('should not let a clock that runs ahead date an edit in the future', () => {
+      const { changes } = parseSettingsUpdate({
+        settings: { darkMode: true },
+        updatedAt: { darkMode: '2030-01-01T00:00:00Z' },
+      }, now);
+
+      expect(changes[0].updatedAt).toEqual(now);
+    });
+
+    it('should require a settings object', () => {
+      expect(parseSettingsUpdate({ settings: [] }, now).errors).toEqual({ settings: 'Settings must be an object' });
+    });
+  });
+
+  describe('settingsUpdate', () => {
+    it('should only replace a field where the change is newer than the stored one', () => {
+      const updatedAt = new Date('2026-01-10T11:00:00Z');
+
+      const [stage] = settingsUpdate([{ path: 'data.autoSave', value: false, updatedAt }]);
+
+      expect(stage.$set['settings.data.autoSave']).toEqual({
+        $cond: [
+          { $lt: [{ $ifNull: ['$settings.data.autoSave.updatedAt', new Date(0)] }, updatedAt] },
+          { $literal: { value: false, updatedAt } },
+          '$settings.data.autoSave',
+        ],
+      });
+    });
+  });
+
+  describe('formatSettings', () => {
+    it('should fill in defaults and list the times of stored fields', () => {
+      const updatedAt = new Date('2026-01-10T11:00:00Z');
+
+      expect(formatSettings({ gridSize: { value: 'small', updatedAt } })).toEqual({
+        settings: {
+          darkMode: false,
+          gridSize: 'small',
+          notifications: true,
+          emailNotifications: true,
+          data: { autoSave: true, saveToGallery: true, cacheSize: 'medium' },
+        },
+        updatedAt: { gridSize: updatedAt },
+      });
+    });
+
+    it('should handle a user who never saved any settings', () => {
+      expect(formatSettings(undefined).updatedAt).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const { MAX_TAGS, normalizeTag, parseHashtags, validateTags, collectTags } = require('../../utils/tags');
+
+describe('tags', () => {
+  describe('normalizeTag', () => {
+    it('should lowercase tags and drop a leading #', () => {
+      expect(normalizeTag('#Travel')).toBe('travel');
+      expect(normalizeTag('  DIY_ideas ')).toBe('diy_ideas');
+      expect(normalizeTag('Café')).toBe('café');
+    });
+
+    it('should reject spaces, punctuation, bare numbers and overlong tags', () => {
+      expect(normalizeTag('two words')).toBeNull();
+      expect(normalizeTag('rock&roll')).toBeNull();
+      expect(normalizeTag('2024')).toBeNull();
+      expect(normalizeTag('a'.repeat(51))).toBeNull();
+      expect(normalizeTag(42)).toBeNull();
+    });
+  });
+
+  describe('parseHashtags', () => {
+    it('should find each hashtag once', () => {
+      expect(parseHashtags('Lunch #Vegan, #salad and more #vegan')).toEqual(['vegan', 'salad']);
+    });
+
+    it('should skip hashtags inside words, links and entities', () => {
+      expect(parseHashtags('issue#12 example.com/#top &#39; C#')).toEqual([]);
+    });
+
+    it('should handle missing text', () => {
+      expect(parseHashtags(undefined)).toEqual([]);
+    });
+  });
+
+  describe('validateTags', () => {
+    it('should accept a missing value or a list of valid tags', () => {
+      expect(validateTags(undefined)).toBeNull();
+      expect(validateTags(['food', '#Summer'])).toBeNull();
+    });
+
+    it('should reject other values', () => {
+      expect(validateTags('food')).toBe('Tags must be a list');
+      expect(validateTags(['fine', 'not fine'])).toMatch(/letters, numbers and underscores/);
+      expect(validateTags(Array.from({ length: MAX_TAGS + 1 }, (_, i) => `tag${i}`))).toMatch(/at most/);
+    });
+  });
+
+  describe('collectTags', () => {
+    it('should merge the given tags with the hashtags, without repeats', () => {
+      expect(collectTags(['Food', 'summer'], 'Picnic #food #park')).toEqual(['food', 'summer', 'park']);
+    });
+
+    it('should cap the number of tags', () => {
+      const description = Array.from({ length: MAX_TAGS + 5 }, (_, i) => `#tag${i}`).join(' ');
+      expect(collectTags(undefined, description)).toHaveLength(MAX_TAGS);
+    });
+  });
+});
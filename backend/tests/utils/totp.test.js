@@ -0,0 +1,51 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateCode,
+  verifyCode,
+  otpauthUrl,
+  generateBackupCodes,
+  normalizeBackupCode,
+} = require('../../utils/totp');
+
+// Test vector from RFC 6238 appendix B (SHA-1 seed, first six digits kept)
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('totp', () => {
+  it('should round-trip base32', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+  });
+
+  it('should match the RFC 6238 reference codes', () => {
+    expect(generateCode(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(generateCode(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(generateCode(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+  });
+
+  it('should accept a code from the neighbouring time step', () => {
+    const time = 1234567890 * 1000;
+    const previous = generateCode(RFC_SECRET, time - 30 * 1000);
+    expect(verifyCode(RFC_SECRET, previous, time)).toBe(Math.floor(time / 30000) - 1);
+  });
+
+  it('should reject stale and malformed codes', () => {
+    const time = 1234567890 * 1000;
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, time - 90 * 1000), time)).toBeNull();
+    expect(verifyCode(RFC_SECRET, '12345', time)).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined, time)).toBeNull();
+  });
+
+  it('should build an otpauth payload for the QR code', () => {
+    const url = otpauthUrl(RFC_SECRET, 'john@example.com', 'Pinterest Clone');
+    expect(url).toMatch(/^otpauth:\/\/totp\/Pinterest%20Clone%3Ajohn%40example\.com\?/);
+    expect(new URL(url).searchParams.get('secret')).toBe(RFC_SECRET);
+  });
+
+  it('should generate distinct backup codes that normalize consistently', () => {
+    const codes = generateBackupCodes();
+    expect(new Set(codes).size).toBe(10);
+    expect(codes[0]).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/);
+    expect(normalizeBackupCode(codes[0].toUpperCase())).toBe(codes[0].replace('-', ''));
+  });
+});
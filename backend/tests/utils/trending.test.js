@@ -0,0 +1,105 @@
+const Pin = require('../../models/Pin');
+const Like = require('../../models/Like');
+const Save = require('../../models/Save');
+const Comment = require('../../models/Comment');
+const PinView = require('../../models/PinView');
+const {
+  REFRESH_INTERVAL_MS,
+  computeTrending,
+  getTrending,
+  clearTrendingCache,
+  recordView,
+} = require('../../utils/trending');
+
+jest.mock('../../models/Pin');
+jest.mock('../../models/Like');
+jest.mock('../../models/Save');
+jest.mock('../../models/Comment');
+jest.mock('../../models/PinView');
+
+describe('trending', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearTrendingCache();
+    Like.aggregate.mockResolvedValue([{ _id: 'pin1', score: 3 }, { _id: 'pin2', score: 2 }]);
+    Save.aggregate.mockResolvedValue([{ _id: 'pin2', score: 5 }]);
+    Comment.aggregate.mockResolvedValue([]);
+    PinView.aggregate.mockResolvedValue([{ _id: 'pin3', score: 1 }]);
+    Pin.find.mockReturnValue({
+      select: jest.fn().mockResolvedValue([
+        { _id: 'pin1', user: 'user1', category: 'food' },
+        { _id: 'pin2', user: 'user2', category: null },
+      ]),
+    });
+  });
+
+  describe('computeTrending', () => {
+    it('should add up every kind of interaction and rank the pins by score', async () => {
+      const entries = await computeTrending('day');
+
+      // pin3 no longer exists, so it drops out
+      expect(entries).toEqual([
+        { pin: 'pin2', score: 7, user: 'user2', category: null },
+        { pin: 'pin1', score: 3, user: 'user1', category: 'food' },
+      ]);
+      expect(Pin.find).toHaveBeenCalledWith({ _id: { $in: ['pin2', 'pin1', 'pin3'] } });
+    });
+
+    it('should only count interactions inside the window', async () => {
+      const before = Date.now();
+      await computeTrending('week');
+
+      const likeMatch = Like.aggregate.mock.calls[0][0][0].$match.createdAt.$gte;
+      const viewMatch = PinView.aggregate.mock.calls[0][0][0].$match.hour.$gte;
+      const week = 7 * 24 * 60 * 60 * 1000;
+      expect(before - likeMatch.getTime()).toBeGreaterThanOrEqual(week - 1000);
+      expect(before - likeMatch.getTime()).toBeLessThanOrEqual(week);
+      expect(viewMatch).toEqual(likeMatch);
+    });
+  });
+
+  describe('getTrending', () => {
+    it('should serve the cached scores until they go stale', async () => {
+      const now = Date.now();
+      const spy = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      await getTrending('day');
+      await getTrending('day');
+      expect(Like.aggregate).toHaveBeenCalledTimes(1);
+
+      spy.mockReturnValue(now + 2 * REFRESH_INTERVAL_MS);
+      await getTrending('day');
+      expect(Like.aggregate).toHaveBeenCalledTimes(2);
+      spy.mockRestore();
+    });
+
+    it('should share one computation between concurrent requests', async () => {
+      const [first, second] = await Promise.all([getTrending('month'), getTrending('month')]);
+
+      expect(first).toBe(second);
+      expect(Like.aggregate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should cache each time range separately', async () => {
+      await getTrending('day');
+      await getTrending('week');
+
+      expect(Like.aggregate).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('recordView', () => {
+    it('should count the view in the current hour', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(Date.UTC(2024, 0, 1, 10, 42, 5));
+
+      await recordView('pin1');
+
+      expect(PinView.updateOne).toHaveBeenCalledWith(
+        { pin: 'pin1', hour: new Date(Date.UTC(2024, 0, 1, 10)) },
+        { $inc: { count: 1 } },
+        { upsert: true }
+      );
+      Date.now.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const {
+  validateUsername,
+  validateEmail,
+  validatePassword,
+  validateText,
+  validateUrl,
+  collectErrors,
+} = require('../../utils/validation');
+
+jest.mock('../../models/User');
+
+describe('validation', () => {
+  describe('validateUsername', () => {
+    it('should accept letters, numbers, underscores and dots', () => {
+      expect(validateUsername('john.doe_99')).toBeNull();
+    });
+
+    it('should reject names that are too short or contain spaces', () => {
+      expect(validateUsername('jo')).toMatch(/3-30 characters/);
+      expect(validateUsername('john doe')).toMatch(/3-30 characters/);
+      expect(validateUsername('')).toBe('Username is required');
+    });
+  });
+
+  describe('validateEmail', () => {
+    it('should accept a normal address', () => {
+      expect(validateEmail('john@example.com')).toBeNull();
+    });
+
+    it('should reject malformed addresses', () => {
+      expect(validateEmail('john@')).toBe('Email address is not valid');
+      expect(validateEmail('john example.com')).toBe('Email address is not valid');
+    });
+  });
+
+  describe('validatePassword', () => {
+    it('should accept a long mixed password', () => {
+      expect(validatePassword('Velvet-Harbor-42')).toBeNull();
+    });
+
+    it('should enforce length and character classes', () => {
+      expect(validatePassword('a1')).toMatch(/at least 8/);
+      expect(validatePassword('onlyletters')).toMatch(/letter and one number/);
+      expect(validatePassword('a'.repeat(70) + '123')).toMatch(/at most 72/);
+    });
+
+    it('should reject common passwords regardless of case', () => {
+      expect(validatePassword('Password123')).toMatch(/too common/);
+    });
+
+    it('should reject passwords built from the username or email', () => {
+      expect(validatePassword('sarah_smith2024', { username: 'sarah_smith' })).toMatch(/username or email/);
+      expect(validatePassword('mikewilson1', { email: 'mikewilson@example.com' })).toMatch(/username or email/);
+    });
+  });
+
+  describe('validateText', () => {
+    it('should accept text within the limit, including an empty string', () => {
+      expect(validateText('Travel blogger', 'Bio', 20)).toBeNull();
+      expect(validateText('', 'Bio', 20)).toBeNull();
+    });
+
+    it('should reject long values and non-strings', () => {
+      expect(validateText('x'.repeat(21), 'Bio', 20)).toBe('Bio must be at most 20 characters');
+      expect(validateText(42, 'Bio', 20)).toBe('Bio must be text');
+    });
+  });
+
+  describe('validateUrl', () => {
+    it('should accept http(s) links and an empty string', () => {
+      expect(validateUrl('https://sarahdesigns.com', 'Website')).toBeNull();
+      expect(validateUrl('', 'Website')).toBeNull();
+    });
+
+    it('should reject other schemes and malformed links', () => {
+      expect(validateUrl('javascript:alert(1)', 'Website')).toBe('Website must be an http or https link');
+      expect(validateUrl('not a link', 'Website')).toBe('Website must be a valid link');
+    });
+  });
+
+  describe('collectErrors', () => {
+    it('should keep only the failed fields', () => {
+      expect(collectErrors({ username: null, email: 'Email is required' })).toEqual({ email: 'Email is required' });
+    });
+  });
+});
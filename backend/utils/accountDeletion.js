@@ -0,0 +1,91 @@
+const User = require('../models/User');
+const Pin = require('../models/Pin');
+const Board = require('../models/Board');
+const Comment = require('../models/Comment');
+const CommentReaction = require('../models/CommentReaction');
+const Like = require('../models/Like');
+const Save = require('../models/Save');
+const Notification = require('../models/Notification');
+const PinView = require('../models/PinView');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const LoginEvent = require('../models/LoginEvent');
+const { clearBoardSaves } = require('./saves');
+const { deleteCommentThread, removeReaction } = require('./comments');
+
+// Remove a user and everything that points at them. The steps run in an
+// order that is safe to repeat: the User document goes last, so if any step
+// fails the account stays scheduled and the next sweep finishes the job.
+const purgeUser = async (userId) => {
+  const pinIds = await Pin.find({ user: userId }).distinct('_id');
+
+  // Content on the user's pins, and the pins themselves wherever they were saved.
+  // Comments and reactions elsewhere go one at a time, so the counts they
+  // feed only move by what was really removed.
+  const comments = await Comment.find({ user: userId, pin: { $nin: pinIds } }).select('pin parentComment');
+  for (const comment of comments) {
+    await deleteCommentThread(comment);
+  }
+  const reactedCommentIds = await CommentReaction.find({ user: userId, pin: { $nin: pinIds } }).distinct('comment');
+  for (const commentId of reactedCommentIds) {
+    await removeReaction(commentId, userId);
+  }
+  await Comment.deleteMany({ pin: { $in: pinIds } });
+  await CommentReaction.deleteMany({ pin: { $in: pinIds } });
+  // Each like comes off its pin's count only once it is really gone, so a
+  // repeated run cannot count it twice
+  const likedPinIds = await Like.find({ user: userId, pin: { $nin: pinIds } }).distinct('pin');
+  for (const pinId of likedPinIds) {
+    const { deletedCount } = await Like.deleteOne({ pin: pinId, user: userId });
+    if (deletedCount > 0) {
+      await Pin.updateOne({ _id: pinId }, { $inc: { likeCount: -1 } });
+    }
+  }
+  await Like.deleteMany({ pin: { $in: pinIds } });
+  // Saves to the user's boards come off the counts the same way
+  const boardIds = await Board.find({ user: userId }).distinct('_id');
+  for (const boardId of boardIds) {
+    await clearBoardSaves(boardId);
+  }
+  await Save.deleteMany({ pin: { $in: pinIds } });
+  await Board.updateMany({ pins: { $in: pinIds } }, { $pull: { pins: { $in: pinIds } } });
+  await Notification.deleteMany({ pin: { $in: pinIds } });
+  await PinView.deleteMany({ pin: { $in: pinIds } });
+  await User.updateMany({ hiddenPins: { $in: pinIds } }, { $pull: { hiddenPins: { $in: pinIds } } });
+  await Pin.deleteMany({ user: userId });
+  await Board.deleteMany({ user: userId });
+
+  // Follow graph, and other users' block and mute lists
+  const lists = ['followers', 'following', 'followRequests', 'blocked', 'muted'];
+  await User.updateMany(
+    { $or: lists.map(list => ({ [list]: userId })) },
+    { $pull: Object.fromEntries(lists.map(list => [list, userId])) }
+  );
+
+  // Notifications for the user, and those the user caused
+  await Notification.deleteMany({ $or: [{ user: userId }, { actor: userId }] });
+
+  // Credentials and account history
+  await RefreshToken.deleteMany({ user: userId });
+  await Session.deleteMany({ user: userId });
+  await UserToken.deleteMany({ user: userId });
+  await LoginEvent.deleteMany({ user: userId });
+
+  await User.deleteOne({ _id: userId });
+};
+
+// Purge every account whose grace period has run out
+const purgeDueAccounts = async () => {
+  const due = await User.find({ deletionScheduledAt: { $ne: null, $lte: new Date() } }).distinct('_id');
+  for (const userId of due) {
+    try {
+      await purgeUser(userId);
+    } catch (error) {
+      console.error(`Account purge error for ${userId}:`, error);
+    }
+  }
+  return due.length;
+};
+
+module.exports = { purgeUser, purgeDueAccounts };
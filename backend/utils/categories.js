@@ -0,0 +1,137 @@
+const Category = require('../models/Category');
+
+// The built-in taxonomy, in display order. ensureCategories adds whatever is
+// missing, so categories edited or added in the database are left alone.
+const DEFAULT_CATEGORIES = [
+  { slug: 'art', name: 'Art', icon: 'palette', children: [
+    { slug: 'digital-art', name: 'Digital Art' },
+    { slug: 'painting', name: 'Painting' },
+    { slug: 'drawing', name: 'Drawing' },
+  ] },
+  { slug: 'architecture', name: 'Architecture', icon: 'office-building', children: [] },
+  { slug: 'automotive', name: 'Automotive', icon: 'car', children: [] },
+  { slug: 'design', name: 'Design', icon: 'brush', children: [
+    { slug: 'graphic-design', name: 'Graphic Design' },
+    { slug: 'color-palettes', name: 'Color Palettes' },
+  ] },
+  { slug: 'diy', name: 'DIY', icon: 'hammer-wrench', children: [
+    { slug: 'crafts', name: 'Crafts' },
+    { slug: 'home-projects', name: 'Home Projects' },
+  ] },
+  { slug: 'fashion', name: 'Fashion', icon: 'tshirt-crew', children: [
+    { slug: 'streetwear', name: 'Streetwear' },
+    { slug: 'accessories', name: 'Accessories' },
+  ] },
+  { slug: 'fitness', name: 'Fitness', icon: 'dumbbell', children: [
+    { slug: 'yoga', name: 'Yoga' },
+    { slug: 'running', name: 'Running' },
+    { slug: 'workouts', name: 'Workouts' },
+  ] },
+  { slug: 'food', name: 'Food', icon: 'food', children: [
+    { slug: 'recipes', name: 'Recipes' },
+    { slug: 'baking', name: 'Baking' },
+    { slug: 'coffee', name: 'Coffee' },
+  ] },
+  { slug: 'garden', name: 'Garden', icon: 'flower', children: [
+    { slug: 'indoor-plants', name: 'Indoor Plants' },
+  ] },
+  { slug: 'home', name: 'Home', icon: 'home-variant', children: [
+    { slug: 'interior-design', name: 'Interior Design' },
+    { slug: 'home-decor', name: 'Home Decor' },
+    { slug: 'kitchen', name: 'Kitchen' },
+  ] },
+  { slug: 'lifestyle', name: 'Lifestyle', icon: 'heart', children: [] },
+  { slug: 'music', name: 'Music', icon: 'music', children: [] },
+  { slug: 'nature', name: 'Nature', icon: 'tree', children: [] },
+  { slug: 'photography', name: 'Photography', icon: 'camera', children: [
+    { slug: 'urban-photography', name: 'Urban Photography' },
+    { slug: 'landscape-photography', name: 'Landscape Photography' },
+  ] },
+  { slug: 'technology', name: 'Technology', icon: 'laptop', children: [
+    { slug: 'gadgets', name: 'Gadgets' },
+    { slug: 'smart-home', name: 'Smart Home' },
+  ] },
+  { slug: 'travel', name: 'Travel', icon: 'airplane', children: [
+    { slug: 'destinations', name: 'Destinations' },
+    { slug: 'travel-tips', name: 'Travel Tips' },
+  ] },
+  { slug: 'work', name: 'Work', icon: 'briefcase', children: [] },
+];
+
+// Insert the built-in categories that are not in the database yet
+const ensureCategories = async () => {
+  const entries = DEFAULT_CATEGORIES.flatMap(({ children, ...top }, index) => [
+    { ...top, parentCategory: null, sortOrder: index },
+    ...children.map((child, childIndex) => ({
+      ...child,
+      icon: top.icon,
+      parentCategory: top.slug,
+      sortOrder: childIndex,
+    })),
+  ]);
+  await Category.bulkWrite(entries.map(entry => ({
+    updateOne: { filter: { slug: entry.slug }, update: { $setOnInsert: entry }, upsert: true },
+  })));
+};
+
+// Every category as a tree: the top-level ones in order, each with its
+// subcategories
+const categoryTree = async () => {
+  const categories = await Category.find()
+    .sort({ sortOrder: 1, name: 1 })
+    .select('slug name parentCategory icon');
+  return categories
+    .filter(category => !category.parentCategory)
+    .map(category => ({
+      slug: category.slug,
+      name: category.name,
+      icon: category.icon,
+      children: categories
+        .filter(child => child.parentCategory === category.slug)
+        .map(child => ({ slug: child.slug, name: child.name, icon: child.icon })),
+    }));
+};
+
+// Check a `category` value from a request body: a known slug, or null to
+// clear it. Resolves to an error message, or null when it is fine.
+const validateCategory = async (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value !== 'string' || !(await Category.exists({ slug: value }))) {
+    return 'Category not found';
+  }
+  return null;
+};
+
+// The query condition matching a category and its subcategories, or null
+// when there is no such category
+const categoryCondition = async (slug) => {
+  if (typeof slug !== 'string' || !(await Category.exists({ slug }))) {
+    return null;
+  }
+  const children = await Category.find({ parentCategory: slug }).distinct('slug');
+  return { $in: [slug, ...children] };
+};
+
+// The query condition matching the whole family a category belongs to: its
+// top-level category and every subcategory of that. Null when there is no
+// such category.
+const categoryFamilyCondition = async (slug) => {
+  const category = typeof slug === 'string'
+    ? await Category.findOne({ slug }).select('parentCategory')
+    : null;
+  if (!category) {
+    return null;
+  }
+  return categoryCondition(category.parentCategory || slug);
+};
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  ensureCategories,
+  categoryTree,
+  validateCategory,
+  categoryCondition,
+  categoryFamilyCondition,
+};
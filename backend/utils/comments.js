@@ -0,0 +1,39 @@
+const Comment = require('../models/Comment');
+const CommentReaction = require('../models/CommentReaction');
+const Pin = require('../models/Pin');
+const Notification = require('../models/Notification');
+
+// Delete a comment together with its replies, their reactions and the
+// notifications they caused, and take them off the pin's and the parent's
+// counts. Replies go before the comment, so a failure part way leaves the
+// comment in place for a retry to finish. Counts only move by what this call
+// really removed.
+const deleteCommentThread = async (comment) => {
+  const replyIds = comment.parentComment ? [] : await Comment.find({ parentComment: comment._id }).distinct('_id');
+  const { deletedCount: repliesDeleted } = replyIds.length
+    ? await Comment.deleteMany({ _id: { $in: replyIds } })
+    : { deletedCount: 0 };
+  const { deletedCount } = await Comment.deleteOne({ _id: comment._id });
+  await CommentReaction.deleteMany({ comment: { $in: [comment._id, ...replyIds] } });
+  await Notification.deleteMany({ comment: { $in: [comment._id, ...replyIds] } });
+
+  const removed = repliesDeleted + deletedCount;
+  if (removed > 0) {
+    await Pin.updateOne({ _id: comment.pin }, { $inc: { commentCount: -removed } });
+  }
+  if (deletedCount > 0 && comment.parentComment) {
+    await Comment.updateOne({ _id: comment.parentComment }, { $inc: { replyCount: -1 } });
+  }
+  return removed;
+};
+
+// Withdraw a user's reaction to a comment. Resolves to whether there was one.
+const removeReaction = async (commentId, userId) => {
+  const reaction = await CommentReaction.findOneAndDelete({ comment: commentId, user: userId });
+  if (reaction) {
+    await Comment.updateOne({ _id: commentId }, { $inc: { [`reactionCounts.${reaction.type}`]: -1 } });
+  }
+  return Boolean(reaction);
+};
+
+module.exports = { deleteCommentThread, removeReaction };
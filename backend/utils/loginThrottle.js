@@ -0,0 +1,64 @@
+const LoginThrottle = require('../models/LoginThrottle');
+
+// Failures allowed before backoff starts. An IP gets more room than a single
+// account because many people can share one address.
+const FREE_ATTEMPTS = { ip: 20, account: 5 };
+const BASE_LOCKOUT_SECONDS = 30;
+const MAX_LOCKOUT_SECONDS = 60 * 60;
+
+const throttleKeys = (ip, email) => [
+  { type: 'ip', key: `ip:${ip}` },
+  { type: 'account', key: `account:${String(email || '').toLowerCase().trim()}` },
+];
+
+// Lockout doubles with each failure past the free allowance, up to an hour
+const lockoutSeconds = (type, failures) => {
+  const over = failures - FREE_ATTEMPTS[type];
+  if (over < 0) {
+    return 0;
+  }
+  return Math.min(BASE_LOCKOUT_SECONDS * 2 ** over, MAX_LOCKOUT_SECONDS);
+};
+
+// Seconds until another attempt is allowed, or 0 if none of the keys is locked
+const getRetryAfter = async (keys) => {
+  const now = Date.now();
+  const throttles = await LoginThrottle.find({
+    key: { $in: keys.map(k => k.key) },
+    lockedUntil: { $gt: new Date(now) },
+  });
+  return throttles.reduce(
+    (longest, t) => Math.max(longest, Math.ceil((t.lockedUntil.getTime() - now) / 1000)),
+    0
+  );
+};
+
+const recordFailure = async (keys) => {
+  const now = Date.now();
+  for (const { type, key } of keys) {
+    const throttle = await LoginThrottle.findOneAndUpdate(
+      { key },
+      { $inc: { failures: 1 }, $set: { lastFailureAt: new Date(now) } },
+      { upsert: true, new: true }
+    );
+    const seconds = lockoutSeconds(type, throttle.failures);
+    if (seconds > 0) {
+      await LoginThrottle.updateOne({ key }, { lockedUntil: new Date(now + seconds * 1000) });
+    }
+  }
+};
+
+// A successful login only clears the account counter; the IP keeps its
+// history so an attacker can't reset it by logging into their own account
+const clearAccountFailures = async (keys) => {
+  const accountKeys = keys.filter(k => k.type === 'account').map(k => k.key);
+  await LoginThrottle.deleteMany({ key: { $in: accountKeys } });
+};
+
+module.exports = {
+  throttleKeys,
+  lockoutSeconds,
+  getRetryAfter,
+  recordFailure,
+  clearAccountFailures,
+};
@@ -0,0 +1,48 @@
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+
+// Transports take { from, to, subject, text } and deliver it somewhere.
+// Register an SMTP or API-backed transport here to send real email.
+const transports = {
+  // Print the message to stdout, handy while developing
+  console: () => ({
+    send: async (message) => {
+      console.log(`[mail] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+    },
+  }),
+
+  // Write each message as a JSON file so tests and scripts can read it back
+  file: () => ({
+    send: async (message) => {
+      await fs.mkdir(config.MAIL_DIR, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+      await fs.writeFile(
+        path.join(config.MAIL_DIR, fileName),
+        JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+      );
+    },
+  }),
+};
+
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const factory = transports[config.MAIL_TRANSPORT];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${config.MAIL_TRANSPORT}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+const sendMail = ({ to, subject, text }) =>
+  getTransport().send({ from: config.MAIL_FROM, to, subject, text });
+
+module.exports = { sendMail, registerTransport };
@@ -0,0 +1,81 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { isBlocked, contentAccess } = require('./privacy');
+
+// An @ that starts a word, followed by username characters. The lookbehind
+// keeps email addresses and "a@b" from counting.
+const MENTION_PATTERN = /(?<![a-zA-Z0-9_.@])@([a-zA-Z0-9_.]+)/g;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.]{3,30}$/;
+// Beyond this many, the rest of a text's mentions are ignored
+const MAX_MENTIONS = 20;
+
+// Find the @username mentions in a text, each with the range it covers:
+// `start` is the index of the @ and `end` is just past the name.
+const parseMentions = (text) => {
+  if (typeof text !== 'string') {
+    return [];
+  }
+  const mentions = [];
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    // A dot ending a sentence is not part of the name
+    const username = match[1].replace(/\.+$/, '');
+    if (USERNAME_PATTERN.test(username)) {
+      mentions.push({ username, start: match.index, end: match.index + 1 + username.length });
+    }
+    if (mentions.length === MAX_MENTIONS) {
+      break;
+    }
+  }
+  return mentions;
+};
+
+// The mentions in a text that name existing users, each with the user's id
+// and the username as registered. Usernames match regardless of case.
+const resolveMentions = async (text) => {
+  const mentions = parseMentions(text);
+  if (!mentions.length) {
+    return [];
+  }
+  const names = [...new Set(mentions.map(mention => mention.username.toLowerCase()))];
+  const users = await User.find({ username: { $in: names } })
+    .collation({ locale: 'en', strength: 2 })
+    .select('username');
+  const byName = new Map(users.map(user => [user.username.toLowerCase(), user]));
+
+  return mentions
+    .filter(mention => byName.has(mention.username.toLowerCase()))
+    .map(mention => {
+      const user = byName.get(mention.username.toLowerCase());
+      return { user: user._id, username: user.username, start: mention.start, end: mention.end };
+    });
+};
+
+// Notify the users newly mentioned by `actorId` on a pin, or in one of its
+// comments. Users already in `previous` heard about it before an edit, and
+// nobody is notified about themselves, across a block, or about a pin they
+// cannot see. Resolves to the ids that were notified.
+const notifyMentions = async ({ mentions, previous = [], actorId, pin, comment = null }) => {
+  const skip = new Set([String(actorId), ...previous.map(mention => String(mention.user))]);
+  const candidates = [...new Set(mentions.map(mention => String(mention.user)))]
+    .filter(userId => !skip.has(userId));
+
+  const notified = [];
+  for (const userId of candidates) {
+    if (await isBlocked(userId, actorId) || (await contentAccess(pin.user, userId)) !== 'visible') {
+      continue;
+    }
+    notified.push(userId);
+  }
+  if (notified.length) {
+    await Notification.insertMany(notified.map(userId => ({
+      user: userId,
+      actor: actorId,
+      type: 'mention',
+      pin: pin._id,
+      comment: comment ? comment._id : null,
+    })));
+  }
+  return notified;
+};
+
+module.exports = { parseMentions, resolveMentions, notifyMentions };
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const Pin = require('../models/Pin');
+const { contentAccess } = require('./privacy');
+
+// Load the pin in req.params.id for a like, save or comment. Sends the error
+// response and resolves to null when the pin is missing, hidden from the
+// caller, or its owner and the caller have blocked one another.
+const findPinForInteraction = async (req, res, fields = 'user likeCount saveCount commentCount') => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: 'Pin not found' });
+    return null;
+  }
+  const pin = await Pin.findById(req.params.id).select(fields);
+  const access = pin ? await contentAccess(pin.user, req.userId) : null;
+  if (!pin || access === 'private') {
+    res.status(404).json({ message: 'Pin not found' });
+    return null;
+  }
+  if (access === 'blocked') {
+    res.status(403).json({ message: 'You cannot interact with this pin' });
+    return null;
+  }
+  return pin;
+};
+
+module.exports = { findPinForInteraction };
@@ -0,0 +1,92 @@
+const User = require('../models/User');
+
+const isOwner = (user, viewerId) => Boolean(viewerId) && String(user._id) === String(viewerId);
+
+const isPrivate = user => user.privacy?.profileVisibility === 'private';
+
+// Private profiles are visible to their owner and approved followers only.
+// `user` needs its privacy and followers loaded.
+const canViewProfile = (user, viewerId) =>
+  !isPrivate(user) ||
+  isOwner(user, viewerId) ||
+  (Boolean(viewerId) && (user.followers || []).some(id => String(id) === String(viewerId)));
+
+// Contact details the owner has not chosen to show, so they can be left out
+// of what others see. The owner always sees everything.
+const hiddenFields = (user, viewerId) => {
+  if (isOwner(user, viewerId)) {
+    return [];
+  }
+  return [
+    !user.privacy?.showEmail && 'email',
+    !user.privacy?.showLocation && 'location',
+  ].filter(Boolean);
+};
+
+// Whether either user has blocked the other
+const isBlocked = async (userId, otherId) =>
+  Boolean(await User.exists({
+    $or: [{ _id: userId, blocked: otherId }, { _id: otherId, blocked: userId }],
+  }));
+
+// Ids of the accounts whose content the viewer may not see, for excluding
+// their pins and boards from listings: private profiles the viewer is not
+// approved for and blocks either way. Feeds also leave out muted accounts.
+const hiddenUserIds = async (viewerId, { includeMuted = false } = {}) => {
+  if (!viewerId) {
+    return User.find({ 'privacy.profileVisibility': 'private' }).distinct('_id');
+  }
+
+  const [hidden, viewer] = await Promise.all([
+    User.find({
+      $or: [
+        { 'privacy.profileVisibility': 'private', _id: { $ne: viewerId }, followers: { $ne: viewerId } },
+        { blocked: viewerId },
+      ],
+    }).distinct('_id'),
+    User.findById(viewerId).select('blocked muted'),
+  ]);
+  if (!viewer) {
+    return hidden;
+  }
+  return [...hidden, ...viewer.blocked, ...(includeMuted ? viewer.muted : [])];
+};
+
+// Ids of the accounts blocked by the viewer or blocking them. Used where the
+// surrounding content is already visible, like a pin's comments, so private
+// profiles are not hidden on top.
+const blockedUserIds = async (viewerId) => {
+  if (!viewerId) {
+    return [];
+  }
+  const [blockers, viewer] = await Promise.all([
+    User.find({ blocked: viewerId }).distinct('_id'),
+    User.findById(viewerId).select('blocked'),
+  ]);
+  return [...blockers, ...(viewer ? viewer.blocked : [])];
+};
+
+// How much of a user's content the viewer may see: 'blocked' when either
+// has blocked the other, 'private' for a private profile the viewer is not
+// approved for, otherwise 'visible'. A user that no longer exists has
+// nothing left to hide.
+const contentAccess = async (userId, viewerId) => {
+  const user = await User.findById(userId).select('privacy followers');
+  if (!user) {
+    return 'visible';
+  }
+  if (viewerId && !isOwner(user, viewerId) && await isBlocked(userId, viewerId)) {
+    return 'blocked';
+  }
+  return canViewProfile(user, viewerId) ? 'visible' : 'private';
+};
+
+module.exports = {
+  isPrivate,
+  canViewProfile,
+  hiddenFields,
+  isBlocked,
+  hiddenUserIds,
+  blockedUserIds,
+  contentAccess,
+};
@@ -0,0 +1,5 @@
+// Reactions a user can leave on a comment. One per user per comment; reacting
+// again with another type replaces it.
+const REACTION_TYPES = ['like', 'love', 'haha', 'wow', 'sad'];
+
+module.exports = { REACTION_TYPES };
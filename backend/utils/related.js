@@ -0,0 +1,77 @@
+const Pin = require('../models/Pin');
+const Board = require('../models/Board');
+const { categoryFamilyCondition } = require('./categories');
+
+// What each kind of likeness adds to a candidate's score
+const WEIGHTS = {
+  // Per tag shared with the pin
+  tag: 3,
+  // Per public board holding both pins
+  board: 2,
+  creator: 2,
+  category: 2,
+  // Filed under another category in the same family
+  categoryFamily: 1,
+};
+
+// Candidates drawn from each source, newest first
+const CANDIDATES_PER_SOURCE = 200;
+
+// Score the pins related to `pin` (which needs its user, tags and category
+// loaded) by shared tags, shared boards, the same creator and the same or a
+// neighbouring category. Pins in `exclude` and by users in `hiddenUsers` are
+// left out. Resolves to [{ pin, score }] with ids as strings, best first.
+const rankRelatedPins = async (pin, { exclude = [], hiddenUsers = [] } = {}) => {
+  const scores = new Map();
+  const add = (pinId, score) => scores.set(String(pinId), (scores.get(String(pinId)) || 0) + score);
+  const base = { _id: { $nin: [pin._id, ...exclude] }, user: { $nin: hiddenUsers } };
+  const candidates = filter => Pin.find({ ...base, ...filter })
+    .sort({ createdAt: -1 })
+    .limit(CANDIDATES_PER_SOURCE)
+    .select('tags category');
+
+  if (pin.tags?.length) {
+    const tags = new Set(pin.tags);
+    for (const candidate of await candidates({ tags: { $in: pin.tags } })) {
+      add(candidate._id, WEIGHTS.tag * candidate.tags.filter(tag => tags.has(tag)).length);
+    }
+  }
+
+  // Private boards stay out of it, so they cannot be inferred
+  const boards = await Board.find({ pins: pin._id, isPrivate: { $ne: true } })
+    .sort({ createdAt: -1 })
+    .limit(CANDIDATES_PER_SOURCE)
+    .select('pins');
+  const onBoards = new Map();
+  for (const board of boards) {
+    for (const pinId of new Set(board.pins.map(String))) {
+      onBoards.set(pinId, (onBoards.get(pinId) || 0) + 1);
+    }
+  }
+  onBoards.delete(String(pin._id));
+  if (onBoards.size) {
+    // Board.pins is not filtered, so check the pins against the exclusions
+    const allowed = await Pin.find({ ...base, _id: { ...base._id, $in: [...onBoards.keys()] } }).distinct('_id');
+    for (const pinId of allowed) {
+      add(pinId, WEIGHTS.board * onBoards.get(String(pinId)));
+    }
+  }
+
+  for (const candidate of await candidates({ user: pin.user })) {
+    add(candidate._id, WEIGHTS.creator);
+  }
+
+  const family = pin.category ? await categoryFamilyCondition(pin.category) : null;
+  if (family) {
+    for (const candidate of await candidates({ category: family })) {
+      add(candidate._id, candidate.category === pin.category ? WEIGHTS.category : WEIGHTS.categoryFamily);
+    }
+  }
+
+  // Ties go to the newer pin
+  return [...scores.entries()]
+    .sort((a, b) => b[1] - a[1] || b[0].localeCompare(a[0]))
+    .map(([pinId, score]) => ({ pin: pinId, score }));
+};
+
+module.exports = { WEIGHTS, rankRelatedPins };
@@ -0,0 +1,54 @@
+const Board = require('../models/Board');
+const Pin = require('../models/Pin');
+const Save = require('../models/Save');
+
+// Save a pin to a board. Every step is safe to repeat: the board only holds
+// the pin once, the save record is only inserted once, and the count only
+// moves when it was. Resolves to whether this call added the save.
+const savePinToBoard = async (pin, boardId, userId) => {
+  await Board.updateOne({ _id: boardId }, { $addToSet: { pins: pin._id } });
+
+  let added = false;
+  try {
+    const result = await Save.updateOne(
+      { board: boardId, pin: pin._id },
+      { $setOnInsert: { user: userId, pinOwner: pin.user, createdAt: new Date() } },
+      { upsert: true }
+    );
+    added = result.upsertedCount > 0;
+  } catch (error) {
+    // A concurrent request saved the same pin to this board first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  if (added) {
+    await Pin.updateOne({ _id: pin._id }, { $inc: { saveCount: 1 } });
+  }
+  return added;
+};
+
+// Take a pin off a board. The save record goes first, so a failure part way
+// leaves the pin on the board rather than a save nobody can see.
+const removePinFromBoard = async (pinId, boardId) => {
+  const { deletedCount } = await Save.deleteOne({ board: boardId, pin: pinId });
+  if (deletedCount > 0) {
+    await Pin.updateOne({ _id: pinId }, { $inc: { saveCount: -1 } });
+  }
+  await Board.updateOne({ _id: boardId }, { $pull: { pins: pinId } });
+  return deletedCount > 0;
+};
+
+// Remove every save on a board, e.g. before the board is deleted
+const clearBoardSaves = async (boardId) => {
+  const pinIds = await Save.find({ board: boardId }).distinct('pin');
+  for (const pinId of pinIds) {
+    const { deletedCount } = await Save.deleteOne({ board: boardId, pin: pinId });
+    if (deletedCount > 0) {
+      await Pin.updateOne({ _id: pinId }, { $inc: { saveCount: -1 } });
+    }
+  }
+};
+
+module.exports = { savePinToBoard, removePinFromBoard, clearBoardSaves };
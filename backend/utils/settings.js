@@ -0,0 +1,103 @@
+// App preferences synced between a user's devices. Each is stored under
+// User.settings at its own path as { value, updatedAt }, so edits made on
+// different devices are merged field by field, newest edit winning.
+// Privacy settings are not here: they are enforced by the server and have
+// their own endpoint.
+
+const SIZES = ['small', 'medium', 'large'];
+
+const boolean = label => value => (typeof value === 'boolean' ? null : `${label} must be true or false`);
+const oneOf = (label, options) => value =>
+  (options.includes(value) ? null : `${label} must be one of: ${options.join(', ')}`);
+
+// Every setting by path, with its default and validator
+const SETTINGS = {
+  darkMode: { default: false, validate: boolean('Dark mode') },
+  gridSize: { default: 'medium', validate: oneOf('Grid size', SIZES) },
+  notifications: { default: true, validate: boolean('Notifications') },
+  emailNotifications: { default: true, validate: boolean('Email notifications') },
+  'data.autoSave': { default: true, validate: boolean('Auto save') },
+  'data.saveToGallery': { default: true, validate: boolean('Save to gallery') },
+  'data.cacheSize': { default: 'medium', validate: oneOf('Cache size', SIZES) },
+};
+
+const getPath = (object, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), object);
+  parent[last] = value;
+};
+
+// Check a PUT body of { settings, updatedAt }, where settings is nested like
+// the response and updatedAt maps each path to when the device changed it.
+// Returns { errors, changes } with one change per setting sent.
+const parseSettingsUpdate = (body, now = new Date()) => {
+  const errors = {};
+  const changes = [];
+  const settings = body && body.settings;
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return { errors: { settings: 'Settings must be an object' }, changes };
+  }
+  const updatedAt = (body.updatedAt && typeof body.updatedAt === 'object') ? body.updatedAt : {};
+
+  // Walk the nested body so unknown keys are reported, not silently dropped
+  const visit = (node, prefix) => {
+    for (const [key, value] of Object.entries(node)) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (SETTINGS[path]) {
+        const error = SETTINGS[path].validate(value);
+        const time = updatedAt[path] === undefined ? now : new Date(updatedAt[path]);
+        if (error) {
+          errors[path] = error;
+        } else if (Number.isNaN(time.getTime())) {
+          errors[path] = 'Updated time is not a valid date';
+        } else {
+          // A device whose clock runs ahead must not win every later edit
+          changes.push({ path, value, updatedAt: time > now ? now : time });
+        }
+      } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        visit(value, path);
+      } else {
+        errors[path] = 'Unknown setting';
+      }
+    }
+  };
+  visit(settings, '');
+
+  return { errors, changes };
+};
+
+// An update pipeline applying each change only where it is newer than what
+// is stored, as a single atomic write
+const settingsUpdate = changes => [{
+  $set: Object.fromEntries(changes.map(({ path, value, updatedAt }) => {
+    const stored = `$settings.${path}`;
+    return [`settings.${path}`, {
+      $cond: [
+        { $lt: [{ $ifNull: [`${stored}.updatedAt`, new Date(0)] }, updatedAt] },
+        { $literal: { value, updatedAt } },
+        stored,
+      ],
+    }];
+  })),
+}];
+
+// The stored settings with defaults filled in, as
+// { settings, updatedAt } with updatedAt keyed by path
+const formatSettings = (stored) => {
+  const settings = {};
+  const updatedAt = {};
+  for (const [path, { default: fallback }] of Object.entries(SETTINGS)) {
+    const entry = getPath(stored, path);
+    setPath(settings, path, entry && entry.value !== undefined ? entry.value : fallback);
+    if (entry && entry.updatedAt) {
+      updatedAt[path] = entry.updatedAt;
+    }
+  }
+  return { settings, updatedAt };
+};
+
+module.exports = { SETTINGS, parseSettingsUpdate, settingsUpdate, formatSettings };
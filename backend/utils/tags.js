@@ -0,0 +1,50 @@
+// Tags are stored lowercased, without the #: letters, numbers and
+// underscores, with at least one letter so "#1" stays plain text
+const TAG_PATTERN = /^(?=.*\p{L})[\p{L}\p{N}_]{1,50}$/u;
+// A # that starts a word. Not one inside a word, a URL fragment or an
+// HTML entity.
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_&#/])#([\p{L}\p{N}_]+)/gu;
+const MAX_TAGS = 20;
+
+// The stored form of a tag, or null when it is not a valid tag
+const normalizeTag = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const tag = value.trim().replace(/^#/, '').normalize('NFKC').toLowerCase();
+  return TAG_PATTERN.test(tag) ? tag : null;
+};
+
+// The valid #hashtags in a text, normalized and without repeats
+const parseHashtags = (text) => {
+  if (typeof text !== 'string') {
+    return [];
+  }
+  const tags = [...text.matchAll(HASHTAG_PATTERN)].map(match => normalizeTag(match[1])).filter(Boolean);
+  return [...new Set(tags)];
+};
+
+// Check a `tags` value from a request body. Returns an error message, or
+// null when it is fine.
+const validateTags = (tags) => {
+  if (tags === undefined) {
+    return null;
+  }
+  if (!Array.isArray(tags)) {
+    return 'Tags must be a list';
+  }
+  if (tags.length > MAX_TAGS) {
+    return `A pin can have at most ${MAX_TAGS} tags`;
+  }
+  if (tags.some(tag => !normalizeTag(tag))) {
+    return 'Tags may only contain letters, numbers and underscores, up to 50 characters';
+  }
+  return null;
+};
+
+// A pin's tags: the ones given explicitly followed by the description's
+// hashtags, without repeats and capped at MAX_TAGS
+const collectTags = (tags = [], description = '') =>
+  [...new Set([...tags.map(normalizeTag).filter(Boolean), ...parseHashtags(description)])].slice(0, MAX_TAGS);
+
+module.exports = { MAX_TAGS, normalizeTag, parseHashtags, validateTags, collectTags };
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const config = require('../config');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () =>
+  new Date(Date.now() + config.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Short-lived JWT sent on every API call. It names its session so routes
+// can tell which device is calling.
+const createAccessToken = (userId, sessionId) =>
+  jwt.sign({ userId, sessionId }, config.JWT_SECRET, { expiresIn: config.ACCESS_TOKEN_TTL });
+
+// Proves the password step of a two-factor login. Signed with its own key so
+// it can never be used as an access token.
+const challengeSecret = () => `${config.JWT_SECRET}:2fa-challenge`;
+
+const createChallengeToken = (userId) =>
+  jwt.sign({ userId }, challengeSecret(), { expiresIn: config.TWO_FACTOR_CHALLENGE_TTL });
+
+// Returns the user id of a valid challenge token, or null
+const verifyChallengeToken = (token) => {
+  try {
+    return jwt.verify(token, challengeSecret()).userId;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Opaque long-lived token, stored server-side so it can be revoked
+const createRefreshToken = async (userId, sessionId, expiresAt) => {
+  const token = crypto.randomBytes(40).toString('hex');
+  await RefreshToken.create({
+    user: userId,
+    session: sessionId,
+    tokenHash: hashToken(token),
+    expiresAt,
+  });
+  return token;
+};
+
+// What the client tells us about itself, for the session list. Apps send
+// X-Device-Name and X-Device-Platform; browsers only have a user agent.
+const describeDevice = (req) => ({
+  deviceName: String(req.get('X-Device-Name') || '').slice(0, 100),
+  platform: String(req.get('X-Device-Platform') || '').slice(0, 30),
+  ip: req.ip,
+  userAgent: req.get('User-Agent') || '',
+});
+
+// Start a session for a freshly authenticated user and issue its first pair
+const issueTokens = async (userId, device = {}) => {
+  const expiresAt = refreshExpiry();
+  const session = await Session.create({ user: userId, ...device, expiresAt });
+  return {
+    token: createAccessToken(userId, session._id),
+    refreshToken: await createRefreshToken(userId, session._id, expiresAt),
+  };
+};
+
+// Sign a user out of every session, or of every one but exceptSessionId
+const revokeAllRefreshTokens = async (userId, exceptSessionId) => {
+  const now = new Date();
+  if (exceptSessionId) {
+    await Session.updateMany(
+      { user: userId, revokedAt: null, _id: { $ne: exceptSessionId } },
+      { revokedAt: now }
+    );
+    await RefreshToken.updateMany(
+      { user: userId, revokedAt: null, session: { $ne: exceptSessionId } },
+      { revokedAt: now }
+    );
+    return;
+  }
+  await Session.updateMany({ user: userId, revokedAt: null }, { revokedAt: now });
+  await RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: now });
+};
+
+// Sign out one of the user's sessions. Returns false if there is no such
+// active session. Its access tokens stop working at once.
+const revokeSession = async (userId, sessionId) => {
+  const now = new Date();
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: now }
+  );
+  if (!session) {
+    return false;
+  }
+  await RefreshToken.updateMany({ session: sessionId, revokedAt: null }, { revokedAt: now });
+  return true;
+};
+
+// Exchange a refresh token for a new pair in the same session. Each refresh
+// token works once; presenting one that was already exchanged revokes every
+// token the user holds, since it means the token has leaked. A token revoked
+// by signing out is merely refused. Returns null when the token is unusable.
+const rotateRefreshToken = async (token, ip) => {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now, rotatedAt: now }
+  );
+  if (!current) {
+    const reused = await RefreshToken.findOne({ tokenHash, rotatedAt: { $ne: null } });
+    if (reused) {
+      await revokeAllRefreshTokens(reused.user);
+    }
+    return null;
+  }
+
+  // Tokens issued before sessions were tracked get a session of their own
+  if (!current.session) {
+    return { userId: current.user, ...(await issueTokens(current.user, { ip })) };
+  }
+
+  const expiresAt = refreshExpiry();
+  const session = await Session.findOneAndUpdate(
+    { _id: current.session, revokedAt: null },
+    { lastSeenAt: now, expiresAt, ...(ip && { ip }) }
+  );
+  if (!session) {
+    return null;
+  }
+
+  return {
+    userId: current.user,
+    token: createAccessToken(current.user, session._id),
+    refreshToken: await createRefreshToken(current.user, session._id, expiresAt),
+  };
+};
+
+// Revoke a refresh token and the session it belongs to, e.g. on logout
+const revokeRefreshToken = async (token) => {
+  const now = new Date();
+  const refreshToken = await RefreshToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { revokedAt: now }
+  );
+  if (refreshToken && refreshToken.session) {
+    await Session.updateOne({ _id: refreshToken.session }, { revokedAt: now });
+  }
+};
+
+// Create a single-use emailed token, replacing any unused one for the same purpose
+const createUserToken = async (userId, purpose, ttlMinutes) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await UserToken.deleteMany({ user: userId, purpose, usedAt: null });
+  await UserToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  });
+  return token;
+};
+
+// The user id of an unused, unexpired token without using it up, or null.
+// Lets a request be checked before consumeUserToken claims the token.
+const findUserToken = async (token, purpose) => {
+  const userToken = await UserToken.findOne({
+    tokenHash: hashToken(token),
+    purpose,
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return userToken ? userToken.user : null;
+};
+
+// Mark a token as used and return its user id, or null if it is unknown,
+// expired or already used
+const consumeUserToken = async (token, purpose) => {
+  const now = new Date();
+  const userToken = await UserToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now }
+  );
+  return userToken ? userToken.user : null;
+};
+
+module.exports = {
+  hashToken,
+  createAccessToken,
+  createChallengeToken,
+  verifyChallengeToken,
+  describeDevice,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+  revokeSession,
+  createUserToken,
+  findUserToken,
+  consumeUserToken,
+};
@@ -0,0 +1,120 @@
+const Pin = require('../models/Pin');
+const Like = require('../models/Like');
+const Save = require('../models/Save');
+const Comment = require('../models/Comment');
+const PinView = require('../models/PinView');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Each window looks back `span` and halves an interaction's weight every
+// `halfLife`, so newer activity counts for more
+const TIME_RANGES = {
+  day: { span: 24 * HOUR_MS, halfLife: 6 * HOUR_MS },
+  week: { span: 7 * 24 * HOUR_MS, halfLife: 36 * HOUR_MS },
+  month: { span: 30 * 24 * HOUR_MS, halfLife: 7 * 24 * HOUR_MS },
+};
+
+// What one interaction of each kind is worth before decay
+const WEIGHTS = { view: 1, like: 3, comment: 4, save: 5 };
+
+// Pins kept per window, enough to leave a full list after category and
+// privacy filtering
+const MAX_TRENDING = 500;
+
+// The background job recomputes every window this often. A cache older than
+// twice that is treated as missing, in case the job stopped.
+const REFRESH_INTERVAL_MS = 10 * 60 * 1000;
+
+const cache = new Map();
+const pending = new Map();
+
+// Score a window from scratch: each like, save, comment and view inside it,
+// weighted by kind and decayed by age. Resolves to the top pins, highest
+// score first, as { pin, score, user, category } with ids as strings.
+const computeTrending = async (timeRange) => {
+  const { span, halfLife } = TIME_RANGES[timeRange];
+  const now = new Date();
+  const since = new Date(now.getTime() - span);
+  const decayed = (weight, field, count = 1) => ({
+    $multiply: [weight, count, { $pow: [0.5, { $divide: [{ $subtract: [now, `$${field}`] }, halfLife] }] }],
+  });
+
+  const sources = [
+    [Like, 'createdAt', decayed(WEIGHTS.like, 'createdAt')],
+    [Save, 'createdAt', decayed(WEIGHTS.save, 'createdAt')],
+    [Comment, 'createdAt', decayed(WEIGHTS.comment, 'createdAt')],
+    [PinView, 'hour', decayed(WEIGHTS.view, 'hour', '$count')],
+  ];
+  const scores = new Map();
+  for (const [Model, field, score] of sources) {
+    const totals = await Model.aggregate([
+      { $match: { [field]: { $gte: since } } },
+      { $group: { _id: '$pin', score: { $sum: score } } },
+    ]);
+    for (const { _id, score: total } of totals) {
+      scores.set(String(_id), (scores.get(String(_id)) || 0) + total);
+    }
+  }
+
+  const top = [...scores.entries()].sort((a, b) => b[1] - a[1]).slice(0, MAX_TRENDING);
+  const pins = await Pin.find({ _id: { $in: top.map(([pinId]) => pinId) } }).select('user category');
+  const byId = new Map(pins.map(pin => [String(pin._id), pin]));
+  return top
+    .filter(([pinId]) => byId.has(pinId))
+    .map(([pinId, score]) => ({
+      pin: pinId,
+      score,
+      user: String(byId.get(pinId).user),
+      category: byId.get(pinId).category,
+    }));
+};
+
+// Recompute a window and cache it. Concurrent calls share one computation.
+const refreshTrending = (timeRange) => {
+  if (!pending.has(timeRange)) {
+    const run = computeTrending(timeRange)
+      .then((entries) => {
+        cache.set(timeRange, { entries, computedAt: Date.now() });
+        return entries;
+      })
+      .finally(() => pending.delete(timeRange));
+    pending.set(timeRange, run);
+  }
+  return pending.get(timeRange);
+};
+
+const refreshAllTrending = async () => {
+  for (const timeRange of Object.keys(TIME_RANGES)) {
+    await refreshTrending(timeRange);
+  }
+};
+
+// A window's trending pins from the cache. Only computed here when the
+// cache is empty or the refresh job has fallen behind.
+const getTrending = async (timeRange) => {
+  const cached = cache.get(timeRange);
+  if (cached && Date.now() - cached.computedAt < 2 * REFRESH_INTERVAL_MS) {
+    return cached.entries;
+  }
+  return refreshTrending(timeRange);
+};
+
+const clearTrendingCache = () => cache.clear();
+
+// Count a view of a pin in the current hour's bucket
+const recordView = (pinId) => {
+  const hour = new Date(Math.floor(Date.now() / HOUR_MS) * HOUR_MS);
+  return PinView.updateOne({ pin: pinId, hour }, { $inc: { count: 1 } }, { upsert: true });
+};
+
+module.exports = {
+  TIME_RANGES,
+  WEIGHTS,
+  REFRESH_INTERVAL_MS,
+  computeTrending,
+  refreshTrending,
+  refreshAllTrending,
+  getTrending,
+  clearTrendingCache,
+  recordView,
+};
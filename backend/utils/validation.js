@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/User');
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.]{3,30}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const MIN_PASSWORD_LENGTH = 8;
+// bcrypt ignores everything past 72 bytes
+const MAX_PASSWORD_LENGTH = 72;
+const MAX_URL_LENGTH = 2048;
+
+const commonPasswords = new Set(
+  fs.readFileSync(path.join(__dirname, '../data/common-passwords.txt'), 'utf8')
+    .split('\n')
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#'))
+);
+
+// Each validator returns an error message, or null when the value is fine
+
+const validateUsername = (username) => {
+  if (!username || typeof username !== 'string') {
+    return 'Username is required';
+  }
+  if (!USERNAME_PATTERN.test(username)) {
+    return 'Username must be 3-30 characters: letters, numbers, underscores or dots';
+  }
+  return null;
+};
+
+const validateEmail = (email) => {
+  if (!email || typeof email !== 'string') {
+    return 'Email is required';
+  }
+  if (!EMAIL_PATTERN.test(email.trim())) {
+    return 'Email address is not valid';
+  }
+  return null;
+};
+
+// `context` holds the username/email so the password can't simply repeat them
+const validatePassword = (password, context = {}) => {
+  if (!password || typeof password !== 'string') {
+    return 'Password is required';
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (Buffer.byteLength(password) > MAX_PASSWORD_LENGTH) {
+    return `Password must be at most ${MAX_PASSWORD_LENGTH} bytes`;
+  }
+  if (!/[a-zA-Z]/.test(password) || !/[0-9]/.test(password)) {
+    return 'Password must contain at least one letter and one number';
+  }
+  if (commonPasswords.has(password.toLowerCase())) {
+    return 'This password is too common, please choose another';
+  }
+  const lowered = password.toLowerCase();
+  const personal = [context.username, context.email && context.email.split('@')[0]]
+    .filter(value => value && value.length >= 3)
+    .map(value => value.toLowerCase());
+  if (personal.some(value => lowered.includes(value))) {
+    return 'Password must not contain your username or email';
+  }
+  return null;
+};
+
+// Optional free-text profile field such as bio or location
+const validateText = (value, label, maxLength) => {
+  if (typeof value !== 'string') {
+    return `${label} must be text`;
+  }
+  if (value.length > maxLength) {
+    return `${label} must be at most ${maxLength} characters`;
+  }
+  return null;
+};
+
+// Optional link; an empty string clears it
+const validateUrl = (value, label) => {
+  if (typeof value !== 'string') {
+    return `${label} must be text`;
+  }
+  if (!value) {
+    return null;
+  }
+  if (value.length > MAX_URL_LENGTH) {
+    return `${label} must be at most ${MAX_URL_LENGTH} characters`;
+  }
+  try {
+    const url = new URL(value);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return `${label} must be an http or https link`;
+    }
+  } catch (error) {
+    return `${label} must be a valid link`;
+  }
+  return null;
+};
+
+// Usernames are unique regardless of case, so "John" can't shadow "john"
+const isUsernameTaken = async (username, exceptUserId = null) => {
+  const existing = await User.findOne({ username })
+    .collation({ locale: 'en', strength: 2 })
+    .select('_id');
+  return Boolean(existing) && String(existing._id) !== String(exceptUserId);
+};
+
+// Drop the fields that passed, leaving { field: message } for the rest
+const collectErrors = (checks) =>
+  Object.fromEntries(Object.entries(checks).filter(([, message]) => message));
+
+// Shape shared by every 422 response
+const validationError = (res, errors) =>
+  res.status(422).json({ message: 'Validation failed', errors });
+
+module.exports = {
+  validateUsername,
+  validateEmail,
+  validatePassword,
+  validateText,
+  validateUrl,
+  isUsernameTaken,
+  collectErrors,
+  validationError,
+};
@@ -9,11 +9,13 @@ import { AuthProvider } from './context/AuthContext';
 // Import screens
 import LoginScreen from './screens/LoginScreen';
 import RegisterScreen from './screens/RegisterScreen';
+import ResetPasswordScreen from './screens/ResetPasswordScreen';
 import HomeScreen from './screens/HomeScreen';
 import ProfileScreen from './screens/ProfileScreen';
 import PinDetailScreen from './screens/PinDetailScreen';
 import CreatePinScreen from './screens/CreatePinScreen';
 import SettingsScreen from './screens/SettingsScreen';
+import TagScreen from './screens/TagScreen';
 
 const Stack = createNativeStackNavigator();
 
@@ -45,6 +47,11 @@ export default function App() {
                 component={RegisterScreen}
                 options={{ headerShown: false }}
               />
+              <Stack.Screen 
+                name="ResetPassword" 
+                component={ResetPasswordScreen}
+                options={{ headerShown: false }}
+              />
               <Stack.Screen 
                 name="Home" 
                 component={HomeScreen}
@@ -60,6 +67,11 @@ export default function App() {
                 component={PinDetailScreen}
                 options={{ headerShown: false }}
               />
+              <Stack.Screen 
+                name="Tag" 
+                component={TagScreen}
+                options={({ route }) => ({ title: `#${route.params.tag}` })}
+              />
               <Stack.Screen 
                 name="CreatePin" 
                 component={CreatePinScreen}
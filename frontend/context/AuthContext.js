@@ -1,6 +1,6 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { authAPI } from '../services/api';
+import { authAPI, onSessionExpired } from '../services/api';
 
 const AuthContext = createContext(null);
 
@@ -9,7 +9,11 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
+    // Only a rejected refresh token ends the session; expired access
+    // tokens are renewed silently by the API client
+    onSessionExpired(() => setUser(null));
     checkAuth();
+    return () => onSessionExpired(null);
   }, []);
 
   const checkAuth = async () => {
@@ -24,33 +28,72 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Re-read the signed-in user, e.g. after the profile was edited
+  const refreshUser = async () => {
+    const userData = await authAPI.getCurrentUser();
+    setUser(userData);
+    return userData;
+  };
+
+  const startSession = async ({ token, refreshToken, user }) => {
+    await AsyncStorage.multiSet([['token', token], ['refreshToken', refreshToken]]);
+    setUser(user);
+    return user;
+  };
+
+  // Resolves to the user, or to { twoFactorRequired, challengeToken } when
+  // the account needs a code before the session can start
   const login = async (credentials) => {
     try {
-      const { token, user } = await authAPI.login(credentials);
-      await AsyncStorage.setItem('token', token);
-      setUser(user);
-      return user;
+      const data = await authAPI.login(credentials);
+      if (data.twoFactorRequired) {
+        return data;
+      }
+      return startSession(data);
     } catch (error) {
       console.error('Login failed:', error);
       throw error;
     }
   };
 
+  const verifyTwoFactor = async (challengeToken, code) => {
+    const data = await authAPI.verifyTwoFactorLogin(challengeToken, code);
+    return startSession(data);
+  };
+
   const register = async (userData) => {
     try {
-      const { token, user } = await authAPI.register(userData);
-      await AsyncStorage.setItem('token', token);
-      setUser(user);
-      return user;
+      return startSession(await authAPI.register(userData));
     } catch (error) {
       console.error('Registration failed:', error);
       throw error;
     }
   };
 
+  const changePassword = async (currentPassword, newPassword) => {
+    // The server signs out other devices and returns a new pair for this one
+    const { token, refreshToken } = await authAPI.changePassword(currentPassword, newPassword);
+    await AsyncStorage.multiSet([['token', token], ['refreshToken', refreshToken]]);
+  };
+
+  const deleteAccount = async (password) => {
+    const result = await authAPI.deleteAccount(password);
+    // The server has already revoked every session
+    await AsyncStorage.multiRemove(['token', 'refreshToken']);
+    setUser(null);
+    return result;
+  };
+
   const logout = async () => {
     try {
-      await AsyncStorage.removeItem('token');
+      const refreshToken = await AsyncStorage.getItem('refreshToken');
+      if (refreshToken) {
+        // Revoke server-side; a network failure must not block local logout
+        await authAPI.logout(refreshToken).catch((error) => {
+          console.error('Server logout failed:', error);
+        });
+      }
+      await AsyncStorage.multiRemove(['token', 'refreshToken']);
       setUser(null);
     } catch (error) {
       console.error('Logout failed:', error);
@@ -59,7 +102,7 @@ export const AuthProvider = ({ children }) => {
   };
 
   return (
-    <AuthContext.Provider value={{ user, loading, login, register, logout }}>
+    <AuthContext.Provider value={{ user, loading, login, verifyTwoFactor, register, refreshUser, logout, changePassword, deleteAccount }}>
       {children}
     </AuthContext.Provider>
   );
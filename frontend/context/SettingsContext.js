@@ -1,8 +1,54 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useAuth } from './AuthContext';
+import { usersAPI } from '../services/api';
 
 const SettingsContext = createContext();
 
+const SETTINGS_KEY = 'settings';
+const UPDATED_AT_KEY = 'settingsUpdatedAt';
+
+const DEFAULT_SETTINGS = {
+  darkMode: false,
+  gridSize: 'medium', // 'small', 'medium', 'large'
+  notifications: true,
+  emailNotifications: true,
+  privacy: {
+    profileVisibility: 'public',
+    showEmail: false,
+    showLocation: false,
+  },
+  data: {
+    autoSave: true,
+    saveToGallery: true,
+    cacheSize: 'medium', // 'small', 'medium', 'large'
+  },
+};
+
+// Preferences synced to the server. Privacy is saved through its own
+// endpoint by SettingsScreen, so it is only mirrored here.
+const SYNCED_PATHS = [
+  'darkMode',
+  'gridSize',
+  'notifications',
+  'emailNotifications',
+  'data.autoSave',
+  'data.saveToGallery',
+  'data.cacheSize',
+];
+
+const getPath = (object, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+// Copy of `object` with the value at `path` replaced
+const setPath = (object, path, value) => {
+  const [key, ...rest] = path.split('.');
+  return {
+    ...object,
+    [key]: rest.length ? setPath(object[key] || {}, rest.join('.'), value) : value,
+  };
+};
+
 export const useSettings = () => {
   const context = useContext(SettingsContext);
   if (!context) {
@@ -12,46 +58,119 @@ export const useSettings = () => {
 };
 
 export const SettingsProvider = ({ children }) => {
-  const [settings, setSettings] = useState({
-    darkMode: false,
-    gridSize: 'medium', // 'small', 'medium', 'large'
-    notifications: true,
-    emailNotifications: true,
-    privacy: {
-      profileVisibility: 'public',
-      showEmail: false,
-      showLocation: false,
-    },
-    data: {
-      autoSave: true,
-      saveToGallery: true,
-      cacheSize: 'medium', // 'small', 'medium', 'large'
-    },
-  });
+  const { user } = useAuth();
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [loaded, setLoaded] = useState(false);
+  // Latest settings, and when each synced path was last changed on this
+  // device, kept in refs so async syncs never work from a stale render
+  const current = useRef(DEFAULT_SETTINGS);
+  const updatedAt = useRef({});
 
   useEffect(() => {
     loadSettings();
   }, []);
 
+  useEffect(() => {
+    if (user && loaded) {
+      syncSettings();
+    }
+  }, [user, loaded]);
+
+  const store = async (next) => {
+    current.current = next;
+    setSettings(next);
+    await AsyncStorage.multiSet([
+      [SETTINGS_KEY, JSON.stringify(next)],
+      [UPDATED_AT_KEY, JSON.stringify(updatedAt.current)],
+    ]);
+  };
+
+  // The local copy is the fallback when signed out or offline
   const loadSettings = async () => {
     try {
-      const savedSettings = await AsyncStorage.getItem('settings');
+      const [[, savedSettings], [, savedUpdatedAt]] = await AsyncStorage.multiGet([SETTINGS_KEY, UPDATED_AT_KEY]);
       if (savedSettings) {
-        setSettings(JSON.parse(savedSettings));
+        const saved = JSON.parse(savedSettings);
+        const next = {
+          ...DEFAULT_SETTINGS,
+          ...saved,
+          privacy: { ...DEFAULT_SETTINGS.privacy, ...saved.privacy },
+          data: { ...DEFAULT_SETTINGS.data, ...saved.data },
+        };
+        if (savedUpdatedAt) {
+          updatedAt.current = JSON.parse(savedUpdatedAt);
+        } else {
+          // Saved before syncing existed: whatever differs from the defaults
+          // was the user's choice, so it counts as a fresh edit
+          const now = new Date().toISOString();
+          SYNCED_PATHS
+            .filter(path => getPath(next, path) !== getPath(DEFAULT_SETTINGS, path))
+            .forEach(path => { updatedAt.current[path] = now; });
+        }
+        current.current = next;
+        setSettings(next);
       }
     } catch (error) {
       console.error('Error loading settings:', error);
+    } finally {
+      setLoaded(true);
+    }
+  };
+
+  // Body for PUT /users/me/settings with the local value of each path
+  const changesFor = paths => ({
+    settings: paths.reduce((body, path) => setPath(body, path, getPath(current.current, path)), {}),
+    updatedAt: Object.fromEntries(paths.map(path => [path, updatedAt.current[path]])),
+  });
+
+  // Take each field from the server's copy unless this device changed it
+  // more recently
+  const applyServerSettings = async (server) => {
+    let next = current.current;
+    for (const path of SYNCED_PATHS) {
+      const serverTime = server.updatedAt[path];
+      const localTime = updatedAt.current[path];
+      if (!localTime || (serverTime && new Date(serverTime) >= new Date(localTime))) {
+        next = setPath(next, path, getPath(server.settings, path));
+        if (serverTime) {
+          updatedAt.current[path] = serverTime;
+        }
+      }
+    }
+    await store(next);
+  };
+
+  // Push edits the server has not seen yet, e.g. made offline, then adopt
+  // the merged result
+  const syncSettings = async () => {
+    try {
+      const server = await usersAPI.getSettings();
+      const pending = SYNCED_PATHS.filter(path => {
+        const localTime = updatedAt.current[path];
+        const serverTime = server.updatedAt[path];
+        return localTime && (!serverTime || new Date(localTime) > new Date(serverTime));
+      });
+      await applyServerSettings(pending.length ? await usersAPI.updateSettings(changesFor(pending)) : server);
+    } catch (error) {
+      console.error('Error syncing settings:', error);
+    }
+  };
+
+  // Save locally first so the change shows at once, then send synced paths
+  // to the server. A failed send is retried by the next sync.
+  const changeSettings = async (paths, next) => {
+    const now = new Date().toISOString();
+    const synced = paths.filter(path => SYNCED_PATHS.includes(path));
+    synced.forEach(path => { updatedAt.current[path] = now; });
+    await store(next);
+    if (user && synced.length) {
+      await applyServerSettings(await usersAPI.updateSettings(changesFor(synced)));
     }
   };
 
   const updateSetting = async (key, value) => {
     try {
-      const newSettings = {
-        ...settings,
-        [key]: value,
-      };
-      setSettings(newSettings);
-      await AsyncStorage.setItem('settings', JSON.stringify(newSettings));
+      await changeSettings([key], setPath(current.current, key, value));
     } catch (error) {
       console.error('Error saving setting:', error);
     }
@@ -59,40 +178,18 @@ export const SettingsProvider = ({ children }) => {
 
   const updateNestedSetting = async (parentKey, childKey, value) => {
     try {
-      const newSettings = {
-        ...settings,
-        [parentKey]: {
-          ...settings[parentKey],
-          [childKey]: value,
-        },
-      };
-      setSettings(newSettings);
-      await AsyncStorage.setItem('settings', JSON.stringify(newSettings));
+      const path = `${parentKey}.${childKey}`;
+      await changeSettings([path], setPath(current.current, path, value));
     } catch (error) {
       console.error('Error saving nested setting:', error);
     }
   };
 
+  // Privacy is left alone: it is enforced by the server and reset there
+  // only through its own controls
   const resetSettings = async () => {
     try {
-      const defaultSettings = {
-        darkMode: false,
-        gridSize: 'medium',
-        notifications: true,
-        emailNotifications: true,
-        privacy: {
-          profileVisibility: 'public',
-          showEmail: false,
-          showLocation: false,
-        },
-        data: {
-          autoSave: true,
-          saveToGallery: true,
-          cacheSize: 'medium',
-        },
-      };
-      setSettings(defaultSettings);
-      await AsyncStorage.setItem('settings', JSON.stringify(defaultSettings));
+      await changeSettings(SYNCED_PATHS, { ...DEFAULT_SETTINGS, privacy: current.current.privacy });
     } catch (error) {
       console.error('Error resetting settings:', error);
     }
@@ -110,4 +207,4 @@ export const SettingsProvider = ({ children }) => {
       {children}
     </SettingsContext.Provider>
   );
-}; 
\ No newline at end of file
+};
@@ -2,8 +2,14 @@ import { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 
 export const logout = () => {
+    const refreshToken = localStorage.getItem('refreshToken');
     localStorage.removeItem('token');
-    fetch('/api/auth/logout', { method: 'POST' }); // Logout API call
+    localStorage.removeItem('refreshToken');
+    fetch('/api/auth/logout', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+    }); // Revokes the refresh token server-side
     window.location.href = '/login';
 };
 
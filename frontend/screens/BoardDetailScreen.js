@@ -13,12 +13,8 @@ import { Text, Button, Surface, IconButton, Divider, FAB, Menu, Portal, Dialog,
 import { useNavigation, useRoute } from '@react-navigation/native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
-import { 
-  getBoardById,
-  getCurrentUser,
-  isBoardFollowedByUser,
-  getPinById,
-} from '../data/dummyData';
+import { authAPI, boardsAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
 
 const { width } = Dimensions.get('window');
 const numColumns = 3;
@@ -41,7 +37,7 @@ const BoardDetailScreen = () => {
   const [selectedPins, setSelectedPins] = useState([]);
   const [isSelectionMode, setIsSelectionMode] = useState(false);
   const [pinScale] = useState(new Animated.Value(1));
-  const currentUser = getCurrentUser();
+  const { user: currentUser } = useAuth();
   const [menuAnchor, setMenuAnchor] = useState({ x: 0, y: 0, width: 0 });
 
   const fetchBoardDetails = async () => {
@@ -49,14 +45,20 @@ const BoardDetailScreen = () => {
       setLoading(true);
       console.log('Fetching board details for ID:', boardId);
       
-      const foundBoard = getBoardById(boardId);
-      if (!foundBoard) {
-        throw new Error('Board not found');
-      }
+      const foundBoard = await boardsAPI.getBoardById(boardId);
+      const author = await authAPI.getUserById(foundBoard.user);
 
       console.log('Found board:', foundBoard);
-      setBoard(foundBoard);
-      setIsFollowing(isBoardFollowedByUser(foundBoard));
+      const followers = foundBoard.followers || [];
+      setBoard({
+        ...foundBoard,
+        name: foundBoard.title,
+        coverImage: foundBoard.pins[0]?.imageUrl,
+        author,
+        collaborators: foundBoard.collaborators || [],
+        followers,
+      });
+      setIsFollowing(followers.includes(currentUser?._id));
       setIsPrivate(foundBoard.isPrivate);
     } catch (error) {
       console.error('Error fetching board details:', error);
@@ -150,7 +152,7 @@ const BoardDetailScreen = () => {
       case 'oldest':
         return [...pins].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
       case 'popular':
-        return [...pins].sort((a, b) => (b.likes?.length || 0) - (a.likes?.length || 0));
+        return [...pins].sort((a, b) => (b.likeCount || 0) - (a.likeCount || 0));
       default:
         return pins;
     }
@@ -172,8 +174,8 @@ const BoardDetailScreen = () => {
     );
   }
 
-  const isOwner = board.author._id === currentUser._id;
-  const isCollaborator = board.collaborators.some(collab => collab._id === currentUser._id);
+  const isOwner = board.author._id === currentUser?._id;
+  const isCollaborator = board.collaborators.some(collab => collab._id === currentUser?._id);
   const canEdit = isOwner || isCollaborator;
 
   return (
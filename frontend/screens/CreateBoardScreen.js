@@ -10,6 +10,7 @@ import { TextInput, Button, Text, Surface, HelperText } from 'react-native-paper
 import { useNavigation } from '@react-navigation/native';
 import * as ImagePicker from 'expo-image-picker';
 import { getCurrentUser, dummyBoards } from '../data/dummyData';
+import { uploadsAPI } from '../services/api';
 
 const CreateBoardScreen = () => {
   const navigation = useNavigation();
@@ -49,13 +50,16 @@ const CreateBoardScreen = () => {
     setError('');
 
     try {
+      // Swap the picked local file for its uploaded URL
+      const coverImage = await uploadsAPI.uploadImage(formData.coverImage);
+
       // Create new board with dummy data
       const currentUser = getCurrentUser();
       const newBoard = {
         _id: `board_${Date.now()}`,
         name: formData.name,
         description: formData.description,
-        coverImage: formData.coverImage || 'https://via.placeholder.com/300',
+        coverImage: coverImage || 'https://via.placeholder.com/300',
         isPrivate: formData.isPrivate,
         author: currentUser,
         collaborators: [],
@@ -74,7 +78,7 @@ const CreateBoardScreen = () => {
       navigation.goBack();
     } catch (error) {
       console.error('Error creating board:', error);
-      setError('Failed to create board. Please try again.');
+      setError(error.message || 'Failed to create board. Please try again.');
     } finally {
       setLoading(false);
     }
@@ -15,6 +15,7 @@ import { useNavigation, useRoute } from '@react-navigation/native';
 import * as ImagePicker from 'expo-image-picker';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
 import { getCurrentUser, dummyBoards } from '../data/dummyData';
+import { uploadsAPI } from '../services/api';
 
 const CreatePinScreen = () => {
   const navigation = useNavigation();
@@ -142,11 +143,14 @@ const CreatePinScreen = () => {
         throw new Error('Selected board not found');
       }
 
+      // Swap the picked local file for its uploaded URL
+      const imageUrl = await uploadsAPI.uploadImage(formData.imageUrl);
+
       const newPin = {
         _id: `pin_${Date.now()}`,
         title: formData.title,
         description: formData.description,
-        imageUrl: formData.imageUrl,
+        imageUrl,
         author: currentUser,
         board: selectedBoard,
         likes: [],
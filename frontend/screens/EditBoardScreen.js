@@ -24,6 +24,7 @@ import {
 import { useNavigation, useRoute } from '@react-navigation/native';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
 import * as ImagePicker from 'expo-image-picker';
+import { uploadsAPI } from '../services/api';
 import { 
   getBoardById,
   getCurrentUser,
@@ -116,13 +117,17 @@ const EditBoardScreen = () => {
 
     try {
       setSaving(true);
+      // Upload a newly picked cover before saving
+      const uploadedCover = await uploadsAPI.uploadImage(coverImage);
+      setCoverImage(uploadedCover);
+
       // Simulate API call
       const updatedBoard = {
         ...board,
         name,
         description,
         isPrivate,
-        coverImage,
+        coverImage: uploadedCover,
         collaborators,
         updatedAt: new Date().toISOString(),
       };
@@ -133,6 +138,7 @@ const EditBoardScreen = () => {
       navigation.goBack();
     } catch (error) {
       console.error('Error saving board:', error);
+      setErrors(prev => ({ ...prev, coverImage: error.message || 'Could not upload the cover image' }));
     } finally {
       setSaving(false);
     }
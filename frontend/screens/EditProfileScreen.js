@@ -8,20 +8,24 @@ import {
 } from 'react-native';
 import { TextInput, Button, Text, Surface, HelperText } from 'react-native-paper';
 import { useNavigation } from '@react-navigation/native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as ImagePicker from 'expo-image-picker';
+import { usersAPI, uploadsAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
 
 const EditProfileScreen = () => {
   const navigation = useNavigation();
+  const { refreshUser } = useAuth();
   const [formData, setFormData] = useState({
     username: '',
     email: '',
     bio: '',
+    location: '',
+    website: '',
     avatar: '',
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
-  const [user, setUser] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
 
   useEffect(() => {
     fetchUserProfile();
@@ -29,21 +33,13 @@ const EditProfileScreen = () => {
 
   const fetchUserProfile = async () => {
     try {
-      const token = await AsyncStorage.getItem('token');
-      const response = await fetch('http://localhost:3000/api/users/me', {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      });
-      const data = await response.json();
-      if (!response.ok) {
-        throw new Error(data.message || 'Failed to fetch user profile');
-      }
-      setUser(data);
+      const data = await usersAPI.getMe();
       setFormData({
         username: data.username,
         email: data.email,
         bio: data.bio || '',
+        location: data.location || '',
+        website: data.website || '',
         avatar: data.avatar || '',
       });
     } catch (error) {
@@ -70,32 +66,25 @@ const EditProfileScreen = () => {
   };
 
   const handleSubmit = async () => {
-    if (!formData.username || !formData.email) {
+    if (!formData.username) {
       setError('Please fill in all required fields');
       return;
     }
 
     setLoading(true);
     setError('');
+    setFieldErrors({});
 
     try {
-      const token = await AsyncStorage.getItem('token');
-      const response = await fetch('http://localhost:3000/api/users/me', {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${token}`,
-        },
-        body: JSON.stringify(formData),
-      });
-
-      const data = await response.json();
-      if (!response.ok) {
-        throw new Error(data.message || 'Failed to update profile');
-      }
-
+      // Email changes need re-verification, so it isn't sent from here
+      const { email, ...profile } = formData;
+      // A newly picked avatar is still a local file until it is uploaded
+      profile.avatar = await uploadsAPI.uploadImage(profile.avatar);
+      await usersAPI.updateMe(profile);
+      await refreshUser();
       navigation.goBack();
     } catch (error) {
+      setFieldErrors(error.fieldErrors || {});
       setError(error.message);
     } finally {
       setLoading(false);
@@ -124,22 +113,24 @@ const EditProfileScreen = () => {
             </View>
           )}
         </TouchableOpacity>
+        {fieldErrors.avatar ? <HelperText type="error">{fieldErrors.avatar}</HelperText> : null}
 
         <TextInput
           mode="outlined"
           label="Username"
           value={formData.username}
           onChangeText={(text) => setFormData({ ...formData, username: text })}
+          autoCapitalize="none"
+          error={Boolean(fieldErrors.username)}
           style={styles.input}
         />
+        {fieldErrors.username ? <HelperText type="error">{fieldErrors.username}</HelperText> : null}
 
         <TextInput
           mode="outlined"
           label="Email"
           value={formData.email}
-          onChangeText={(text) => setFormData({ ...formData, email: text })}
-          keyboardType="email-address"
-          autoCapitalize="none"
+          disabled
           style={styles.input}
         />
 
@@ -150,8 +141,32 @@ const EditProfileScreen = () => {
           onChangeText={(text) => setFormData({ ...formData, bio: text })}
           multiline
           numberOfLines={4}
+          error={Boolean(fieldErrors.bio)}
+          style={styles.input}
+        />
+        {fieldErrors.bio ? <HelperText type="error">{fieldErrors.bio}</HelperText> : null}
+
+        <TextInput
+          mode="outlined"
+          label="Location"
+          value={formData.location}
+          onChangeText={(text) => setFormData({ ...formData, location: text })}
+          error={Boolean(fieldErrors.location)}
+          style={styles.input}
+        />
+        {fieldErrors.location ? <HelperText type="error">{fieldErrors.location}</HelperText> : null}
+
+        <TextInput
+          mode="outlined"
+          label="Website"
+          value={formData.website}
+          onChangeText={(text) => setFormData({ ...formData, website: text })}
+          keyboardType="url"
+          autoCapitalize="none"
+          error={Boolean(fieldErrors.website)}
           style={styles.input}
         />
+        {fieldErrors.website ? <HelperText type="error">{fieldErrors.website}</HelperText> : null}
 
         <Button
           mode="contained"
@@ -10,21 +10,14 @@ import {
 import { Text, Card, ActivityIndicator, FAB, Searchbar, Chip, useTheme, IconButton } from 'react-native-paper';
 import { useNavigation } from '@react-navigation/native';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
-import { dummyPins } from '../data/dummyData';
+import { categoriesAPI, pinsAPI } from '../services/api';
 
 const MIN_COLUMN_WIDTH = 150; // Minimum width for each column
 const GRID_PADDING = 8; // Padding around the grid
 const CARD_MARGIN = 4; // Margin around each card
 
-const CATEGORIES = [
-  { id: 'all', label: 'All', icon: 'apps' },
-  { id: 'interior', label: 'Interior Design', icon: 'home-variant' },
-  { id: 'food', label: 'Food', icon: 'food' },
-  { id: 'travel', label: 'Travel', icon: 'airplane' },
-  { id: 'tech', label: 'Technology', icon: 'laptop' },
-  { id: 'architecture', label: 'Architecture', icon: 'office-building' },
-  { id: 'nature', label: 'Nature', icon: 'tree' }
-];
+// Shown before the categories from the API
+const ALL_CATEGORY = { slug: 'all', name: 'All', icon: 'apps', children: [] };
 
 const DARK_PURPLE_GREY = '#2F2F3E';
 const LIGHT_PURPLE_GREY = '#3A3A4C';
@@ -37,17 +30,18 @@ const HomeFeedScreen = () => {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [categories, setCategories] = useState([ALL_CATEGORY]);
   const [selectedCategory, setSelectedCategory] = useState('all');
 
   // Calculate number of columns based on screen width
   const numColumns = Math.max(2, Math.floor((screenWidth - (GRID_PADDING * 2)) / MIN_COLUMN_WIDTH));
   const columnWidth = (screenWidth - (GRID_PADDING * 2) - (CARD_MARGIN * 2 * numColumns)) / numColumns;
 
+  // The server filters by category, subcategories included
   const fetchPins = async () => {
     try {
-      // Simulate API delay
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      setPins(dummyPins);
+      const category = selectedCategory === 'all' ? undefined : selectedCategory;
+      setPins(await pinsAPI.getAllPins(category));
     } catch (error) {
       console.error('Error fetching pins:', error);
     } finally {
@@ -57,28 +51,55 @@ const HomeFeedScreen = () => {
   };
 
   useEffect(() => {
-    fetchPins();
+    categoriesAPI.getCategories()
+      .then(({ categories: loaded }) => setCategories([ALL_CATEGORY, ...loaded]))
+      .catch(error => console.error('Error fetching categories:', error));
   }, []);
 
+  useEffect(() => {
+    fetchPins();
+  }, [selectedCategory]);
+
   const onRefresh = () => {
     setRefreshing(true);
     fetchPins();
   };
 
   const filterPins = useCallback(() => {
-    return pins.filter(pin => {
-      const matchesSearch = searchQuery === '' ||
-        pin.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        pin.description.toLowerCase().includes(searchQuery.toLowerCase());
-      
-      const category = CATEGORIES.find(cat => cat.id === selectedCategory);
-      const matchesCategory = selectedCategory === 'all' ||
-        pin.title.includes(category.label) ||
-        pin.description.includes(category.label);
+    return pins.filter(pin => searchQuery === '' ||
+      pin.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
+      (pin.description || '').toLowerCase().includes(searchQuery.toLowerCase()));
+  }, [pins, searchQuery]);
 
-      return matchesSearch && matchesCategory;
-    });
-  }, [pins, searchQuery, selectedCategory]);
+  // The top-level category picked, directly or through one of its subcategories
+  const activeParent = categories.find(category =>
+    category.slug === selectedCategory ||
+    category.children.some(child => child.slug === selectedCategory));
+
+  const renderCategoryChip = ({ item }) => (
+    <Chip
+      selected={selectedCategory === item.slug}
+      onPress={() => setSelectedCategory(item.slug)}
+      style={[
+        styles.categoryChip,
+        { backgroundColor: LIGHT_PURPLE_GREY },
+        selectedCategory === item.slug && { backgroundColor: theme.colors.primary }
+      ]}
+      textStyle={{ 
+        color: selectedCategory === item.slug ? '#fff' : 'rgba(255, 255, 255, 0.9)',
+        fontSize: 12
+      }}
+      icon={({ size }) => (
+        <MaterialCommunityIcons 
+          name={item.icon} 
+          size={size - 4} 
+          color={selectedCategory === item.slug ? '#fff' : 'rgba(255, 255, 255, 0.9)'}
+        />
+      )}
+    >
+      {item.name}
+    </Chip>
+  );
 
   const renderPin = ({ item }) => (
     <Card
@@ -91,7 +112,7 @@ const HomeFeedScreen = () => {
       />
       <Card.Title
         title={item.title}
-        subtitle={item.author.username}
+        subtitle={item.description}
         titleNumberOfLines={1}
         subtitleNumberOfLines={1}
         titleStyle={styles.cardTitle}
@@ -152,34 +173,21 @@ const HomeFeedScreen = () => {
         <FlatList
           horizontal
           showsHorizontalScrollIndicator={false}
-          data={CATEGORIES}
-          keyExtractor={(item) => item.id}
-          renderItem={({ item }) => (
-            <Chip
-              selected={selectedCategory === item.id}
-              onPress={() => setSelectedCategory(item.id)}
-              style={[
-                styles.categoryChip,
-                { backgroundColor: LIGHT_PURPLE_GREY },
-                selectedCategory === item.id && { backgroundColor: theme.colors.primary }
-              ]}
-              textStyle={{ 
-                color: selectedCategory === item.id ? '#fff' : 'rgba(255, 255, 255, 0.9)',
-                fontSize: 12
-              }}
-              icon={({ size }) => (
-                <MaterialCommunityIcons 
-                  name={item.icon} 
-                  size={size - 4} 
-                  color={selectedCategory === item.id ? '#fff' : 'rgba(255, 255, 255, 0.9)'}
-                />
-              )}
-            >
-              {item.label}
-            </Chip>
-          )}
+          data={categories}
+          keyExtractor={(item) => item.slug}
+          renderItem={renderCategoryChip}
           contentContainerStyle={styles.categoriesList}
         />
+        {activeParent?.children.length > 0 && (
+          <FlatList
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            data={activeParent.children}
+            keyExtractor={(item) => item.slug}
+            renderItem={renderCategoryChip}
+            contentContainerStyle={styles.subcategoriesList}
+          />
+        )}
       </View>
 
       <FlatList
@@ -246,6 +254,10 @@ const styles = StyleSheet.create({
     paddingHorizontal: 8,
     paddingVertical: 12,
   },
+  subcategoriesList: {
+    paddingHorizontal: 8,
+    paddingBottom: 12,
+  },
   categoryChip: {
     marginRight: 8,
   },
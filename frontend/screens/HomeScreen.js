@@ -22,8 +22,9 @@ const HomeScreen = () => {
   const fetchPins = async () => {
     try {
       setLoading(true);
-      const response = await pinsAPI.getAllPins();
-      setPins(response);
+      // Until the user follows people or tags, show everything instead
+      const feed = await pinsAPI.getHomeFeed();
+      setPins(feed.total > 0 ? feed.pins : await pinsAPI.getAllPins());
       setError(null);
     } catch (err) {
       console.error('Error fetching pins:', err);
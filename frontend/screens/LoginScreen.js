@@ -6,6 +6,7 @@ import {
   Platform,
   TouchableWithoutFeedback,
   Keyboard,
+  Alert,
 } from 'react-native';
 import { TextInput, Button, Text, Surface } from 'react-native-paper';
 import { authAPI } from '../services/api';
@@ -15,7 +16,39 @@ const LoginScreen = ({ navigation }) => {
   const [formData, setFormData] = useState({ email: '', password: '' });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  // Set once the password is accepted for an account with 2FA
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const { login, verifyTwoFactor } = useAuth();
+
+  const finishLogin = (user) => {
+    if (user.deletionScheduledAt) {
+      Alert.alert(
+        'Account scheduled for deletion',
+        `This account will be deleted on ${new Date(user.deletionScheduledAt).toLocaleDateString()}.`,
+        [
+          { text: 'Continue', onPress: () => navigation.replace('Home') },
+          {
+            text: 'Keep my account',
+            onPress: async () => {
+              try {
+                await authAPI.cancelAccountDeletion();
+              } catch (err) {
+                // Ask again rather than carry on with the deletion still pending
+                Alert.alert('Error', err.message || 'Could not cancel the account deletion', [
+                  { text: 'OK', onPress: () => finishLogin(user) },
+                ]);
+                return;
+              }
+              navigation.replace('Home');
+            },
+          },
+        ]
+      );
+      return;
+    }
+    navigation.replace('Home');
+  };
 
   const handleSubmit = async () => {
     setError('');
@@ -24,8 +57,12 @@ const LoginScreen = ({ navigation }) => {
     try {
       // Clean up the password by removing any prefixes
       const cleanPassword = formData.password.replace(/^Password:\s*/i, '');
-      await login({ ...formData, password: cleanPassword });
-      navigation.replace('Home');
+      const result = await login({ ...formData, password: cleanPassword });
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+        return;
+      }
+      finishLogin(result);
     } catch (err) {
       setError(err.message || 'Login failed. Please check your credentials.');
     } finally {
@@ -33,6 +70,28 @@ const LoginScreen = ({ navigation }) => {
     }
   };
 
+  const cancelTwoFactor = () => {
+    setChallengeToken(null);
+    setCode('');
+  };
+
+  const handleVerifyCode = async () => {
+    setError('');
+    setLoading(true);
+
+    try {
+      finishLogin(await verifyTwoFactor(challengeToken, code.trim()));
+    } catch (err) {
+      // An expired challenge means starting over from the password
+      if (err.status === 401) {
+        cancelTwoFactor();
+      }
+      setError(err.message || 'Invalid code. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   return (
     <KeyboardAvoidingView 
       behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
@@ -47,49 +106,102 @@ const LoginScreen = ({ navigation }) => {
           </View>
         </TouchableWithoutFeedback>
 
-        <TextInput
-          mode="outlined"
-          label="Email"
-          value={formData.email}
-          onChangeText={(text) => setFormData({ ...formData, email: text })}
-          keyboardType="email-address"
-          autoCapitalize="none"
-          style={styles.input}
-          theme={{ colors: { primary: '#E60023' } }}
-        />
-
-        <TextInput
-          mode="outlined"
-          label="Password"
-          value={formData.password}
-          onChangeText={(text) => setFormData({ ...formData, password: text })}
-          secureTextEntry
-          style={styles.input}
-          theme={{ colors: { primary: '#E60023' } }}
-        />
+        {challengeToken ? (
+          <>
+            <Text style={styles.hint}>
+              Enter the 6-digit code from your authenticator app, or one of your backup codes.
+            </Text>
 
-        <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
-          <View style={styles.buttonContainer}>
-            <Button
-              mode="contained"
-              onPress={handleSubmit}
-              loading={loading}
-              style={styles.button}
-              buttonColor="#E60023"
-            >
-              Login
-            </Button>
-
-            <Button
-              mode="text"
-              onPress={() => navigation.navigate('Register')}
-              style={styles.linkButton}
-              textColor="#E60023"
-            >
-              Don't have an account? Sign up
-            </Button>
-          </View>
-        </TouchableWithoutFeedback>
+            <TextInput
+              mode="outlined"
+              label="Authentication code"
+              value={code}
+              onChangeText={setCode}
+              autoCapitalize="none"
+              autoCorrect={false}
+              autoFocus
+              style={styles.input}
+              theme={{ colors: { primary: '#E60023' } }}
+            />
+
+            <View style={styles.buttonContainer}>
+              <Button
+                mode="contained"
+                onPress={handleVerifyCode}
+                loading={loading}
+                disabled={loading || !code.trim()}
+                style={styles.button}
+                buttonColor="#E60023"
+              >
+                Verify
+              </Button>
+
+              <Button
+                mode="text"
+                onPress={cancelTwoFactor}
+                style={styles.linkButton}
+                textColor="#E60023"
+              >
+                Back to login
+              </Button>
+            </View>
+          </>
+        ) : (
+          <>
+            <TextInput
+              mode="outlined"
+              label="Email"
+              value={formData.email}
+              onChangeText={(text) => setFormData({ ...formData, email: text })}
+              keyboardType="email-address"
+              autoCapitalize="none"
+              style={styles.input}
+              theme={{ colors: { primary: '#E60023' } }}
+            />
+
+            <TextInput
+              mode="outlined"
+              label="Password"
+              value={formData.password}
+              onChangeText={(text) => setFormData({ ...formData, password: text })}
+              secureTextEntry
+              style={styles.input}
+              theme={{ colors: { primary: '#E60023' } }}
+            />
+
+            <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
+              <View style={styles.buttonContainer}>
+                <Button
+                  mode="contained"
+                  onPress={handleSubmit}
+                  loading={loading}
+                  style={styles.button}
+                  buttonColor="#E60023"
+                >
+                  Login
+                </Button>
+
+                <Button
+                  mode="text"
+                  onPress={() => navigation.navigate('ResetPassword', { email: formData.email })}
+                  style={styles.linkButton}
+                  textColor="#E60023"
+                >
+                  Forgot password?
+                </Button>
+
+                <Button
+                  mode="text"
+                  onPress={() => navigation.navigate('Register')}
+                  style={styles.linkButton}
+                  textColor="#E60023"
+                >
+                  Don't have an account? Sign up
+                </Button>
+              </View>
+            </TouchableWithoutFeedback>
+          </>
+        )}
       </Surface>
     </KeyboardAvoidingView>
   );
@@ -139,6 +251,11 @@ const styles = StyleSheet.create({
   linkButton: {
     marginTop: 8,
   },
+  hint: {
+    textAlign: 'center',
+    marginBottom: 16,
+    color: '#555555',
+  },
   error: {
     color: '#E60023',
     textAlign: 'center',
@@ -29,16 +29,24 @@ import { useNavigation, useRoute } from '@react-navigation/native';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as Clipboard from 'expo-clipboard';
-import { 
-  getPinById, 
-  getCurrentUser, 
-  isPinLikedByUser, 
-  isPinSavedByUser,
-  getUserById,
-} from '../data/dummyData';
+import { boardsAPI, commentsAPI, pinsAPI, usersAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
 
 const { width } = Dimensions.get('window');
 
+// "More like this" grid: two columns inside the content padding
+const RELATED_COLUMN_WIDTH = (width - 48) / 2;
+// How close to the bottom scrolling gets before the next related page loads
+const RELATED_LOAD_THRESHOLD = 600;
+
+const REACTION_EMOJI = { like: '👍', love: '❤️', haha: '😂', wow: '😮', sad: '😢' };
+
+// The @word being typed just before the cursor, if any, and where its @ is
+const mentionAtCursor = (text, cursor) => {
+  const match = /(?:^|[^\w.@])@([\w.]*)$/.exec(text.slice(0, cursor));
+  return match ? { query: match[1], start: cursor - match[1].length - 1 } : null;
+};
+
 const PinDetailScreen = () => {
   const theme = useTheme();
   const navigation = useNavigation();
@@ -53,23 +61,43 @@ const PinDetailScreen = () => {
   const [commentDialogVisible, setCommentDialogVisible] = useState(false);
   const [newComment, setNewComment] = useState('');
   const [comments, setComments] = useState([]);
-  const currentUser = getCurrentUser();
+  const [commentsCursor, setCommentsCursor] = useState(null);
+  const [hasMoreComments, setHasMoreComments] = useState(false);
+  const [editingComment, setEditingComment] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  // Replies loaded so far, by top-level comment id
+  const [threads, setThreads] = useState({});
+  const [reactingTo, setReactingTo] = useState(null);
+  const [saveDialogVisible, setSaveDialogVisible] = useState(false);
+  const [myBoards, setMyBoards] = useState([]);
+  const [savedBoards, setSavedBoards] = useState([]);
+  const [commentSelection, setCommentSelection] = useState({ start: 0, end: 0 });
+  const [mentionSuggestions, setMentionSuggestions] = useState([]);
+  const [relatedPins, setRelatedPins] = useState([]);
+  const [relatedPage, setRelatedPage] = useState(0);
+  const [hasMoreRelated, setHasMoreRelated] = useState(false);
+  const [loadingRelated, setLoadingRelated] = useState(false);
+  const { user: currentUser } = useAuth();
 
   const fetchPinDetails = async () => {
     try {
       setLoading(true);
       console.log('Fetching pin details for ID:', pinId);
       
-      const foundPin = getPinById(pinId);
-      if (!foundPin) {
-        throw new Error('Pin not found');
-      }
-
+      const [foundPin, { boards }, commentPage] = await Promise.all([
+        pinsAPI.getPinById(pinId),
+        pinsAPI.getSavedBoards(pinId),
+        commentsAPI.getComments(pinId),
+      ]);
       console.log('Found pin:', foundPin);
-      setPin(foundPin);
-      setIsLiked(isPinLikedByUser(foundPin));
-      setIsSaved(isPinSavedByUser(foundPin));
-      setComments(foundPin.comments || []);
+      setPin({ ...foundPin, author: foundPin.user });
+      setIsLiked(Boolean(foundPin.isLiked));
+      setSavedBoards(boards);
+      setIsSaved(boards.length > 0);
+      setComments(commentPage.comments);
+      setCommentsCursor(commentPage.nextCursor);
+      setHasMoreComments(commentPage.hasMore);
+      setThreads({});
     } catch (error) {
       console.error('Error fetching pin details:', error);
     } finally {
@@ -78,40 +106,144 @@ const PinDetailScreen = () => {
     }
   };
 
+  // Load the next page of related pins, or the first one when `reset`
+  const fetchRelatedPins = async (reset = false) => {
+    if (loadingRelated) return;
+    setLoadingRelated(true);
+    try {
+      const page = reset ? 1 : relatedPage + 1;
+      const result = await pinsAPI.getRelatedPins(pinId, page);
+      setRelatedPins(prev => (reset ? result.pins : [...prev, ...result.pins]));
+      setRelatedPage(page);
+      setHasMoreRelated(result.hasMore);
+    } catch (error) {
+      console.error('Error loading related pins:', error);
+    } finally {
+      setLoadingRelated(false);
+    }
+  };
+
   useEffect(() => {
     fetchPinDetails();
+    fetchRelatedPins(true);
   }, [pinId]);
 
+  const handleScroll = ({ nativeEvent }) => {
+    const { layoutMeasurement, contentOffset, contentSize } = nativeEvent;
+    const nearBottom = layoutMeasurement.height + contentOffset.y >= contentSize.height - RELATED_LOAD_THRESHOLD;
+    if (nearBottom && hasMoreRelated) {
+      fetchRelatedPins();
+    }
+  };
+
+  const hideRelatedPin = async (related) => {
+    try {
+      await pinsAPI.hidePin(related._id);
+      setRelatedPins(prev => prev.filter(item => item._id !== related._id));
+    } catch (error) {
+      console.error('Error hiding pin:', error);
+    }
+  };
+
   const onRefresh = () => {
     setRefreshing(true);
     fetchPinDetails();
+    fetchRelatedPins(true);
+  };
+
+  // Suggest usernames while an @mention is being typed in the comment box
+  useEffect(() => {
+    const mention = commentDialogVisible ? mentionAtCursor(newComment, commentSelection.end) : null;
+    if (!mention || !mention.query) {
+      setMentionSuggestions([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const { users } = await usersAPI.autocompleteUsers(mention.query, 5);
+        if (!cancelled) {
+          setMentionSuggestions(users);
+        }
+      } catch (error) {
+        console.error('Error loading mention suggestions:', error);
+      }
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [newComment, commentSelection.end, commentDialogVisible]);
+
+  const insertMention = (user) => {
+    const mention = mentionAtCursor(newComment, commentSelection.end);
+    if (!mention) return;
+    const before = `${newComment.slice(0, mention.start)}@${user.username} `;
+    setNewComment(before + newComment.slice(commentSelection.end));
+    setCommentSelection({ start: before.length, end: before.length });
+    setMentionSuggestions([]);
+  };
+
+  // Splits text at its mention ranges so each @username opens that profile
+  const renderWithMentions = (text, mentions) => {
+    if (!text || !mentions?.length) return text;
+    const parts = [];
+    let last = 0;
+    [...mentions]
+      .sort((a, b) => a.start - b.start)
+      .forEach((mention) => {
+        if (mention.start < last) return;
+        parts.push(text.slice(last, mention.start));
+        parts.push(
+          <Text
+            key={mention.start}
+            style={styles.mention}
+            onPress={() => navigation.push('Profile', { userId: mention.user })}
+          >
+            {text.slice(mention.start, mention.end)}
+          </Text>
+        );
+        last = mention.end;
+      });
+    parts.push(text.slice(last));
+    return parts;
   };
 
   const handleLike = async () => {
     try {
-      // Simulate API call
-      setIsLiked(!isLiked);
-      setPin(prev => ({
-        ...prev,
-        likes: isLiked
-          ? prev.likes.filter(id => id !== currentUser._id)
-          : [...prev.likes, currentUser._id],
-      }));
+      const result = isLiked
+        ? await pinsAPI.unlikePin(pin._id)
+        : await pinsAPI.likePin(pin._id);
+      setIsLiked(result.liked);
+      setPin(prev => ({ ...prev, likeCount: result.likeCount }));
     } catch (error) {
       console.error('Error liking pin:', error);
     }
   };
 
+  // Pick the boards to save to; boards that already hold the pin are checked
   const handleSave = async () => {
     try {
-      // Simulate API call
-      setIsSaved(!isSaved);
-      setPin(prev => ({
-        ...prev,
-        saves: isSaved
-          ? prev.saves.filter(id => id !== currentUser._id)
-          : [...prev.saves, currentUser._id],
-      }));
+      setMyBoards(await boardsAPI.getUserBoards(currentUser._id));
+      setSaveDialogVisible(true);
+    } catch (error) {
+      console.error('Error loading boards:', error);
+    }
+  };
+
+  const toggleSaveToBoard = async (board) => {
+    try {
+      const onBoard = savedBoards.some(saved => saved._id === board._id);
+      const result = onBoard
+        ? await pinsAPI.unsavePin(pin._id, board._id)
+        : await pinsAPI.savePin(pin._id, board._id);
+      const next = onBoard
+        ? savedBoards.filter(saved => saved._id !== board._id)
+        : [...savedBoards, { _id: board._id, title: board.title }];
+      setSavedBoards(next);
+      setIsSaved(next.length > 0);
+      setPin(prev => ({ ...prev, saveCount: result.saveCount }));
     } catch (error) {
       console.error('Error saving pin:', error);
     }
@@ -141,26 +273,213 @@ const PinDetailScreen = () => {
     // Implement report functionality
   };
 
+  const loadMoreComments = async () => {
+    try {
+      const page = await commentsAPI.getComments(pinId, commentsCursor);
+      setComments(prev => [...prev, ...page.comments]);
+      setCommentsCursor(page.nextCursor);
+      setHasMoreComments(page.hasMore);
+    } catch (error) {
+      console.error('Error loading comments:', error);
+    }
+  };
+
+  // Apply a change to a comment wherever it is shown, top level or in a thread
+  const updateComment = (commentId, update) => {
+    const apply = list => list.map(comment => (comment._id === commentId ? update(comment) : comment));
+    setComments(apply);
+    setThreads(prev => Object.fromEntries(
+      Object.entries(prev).map(([id, thread]) => [id, { ...thread, replies: apply(thread.replies) }])
+    ));
+  };
+
+  // Replies are only fetched once a thread is opened
+  const toggleThread = async (comment) => {
+    const thread = threads[comment._id];
+    if (thread) {
+      setThreads(prev => ({ ...prev, [comment._id]: { ...thread, expanded: !thread.expanded } }));
+      return;
+    }
+    await loadReplies(comment._id);
+  };
+
+  const loadReplies = async (commentId) => {
+    try {
+      const thread = threads[commentId];
+      const page = await commentsAPI.getReplies(pin._id, commentId, thread?.nextCursor);
+      setThreads(prev => ({
+        ...prev,
+        [commentId]: {
+          replies: [...(prev[commentId]?.replies || []), ...page.comments],
+          nextCursor: page.nextCursor,
+          hasMore: page.hasMore,
+          expanded: true,
+        },
+      }));
+    } catch (error) {
+      console.error('Error loading replies:', error);
+    }
+  };
+
+  const closeCommentDialog = () => {
+    setCommentDialogVisible(false);
+    setEditingComment(null);
+    setReplyingTo(null);
+    setNewComment('');
+  };
+
+  // Posts a new comment or reply, or saves the edit when one is open
   const handleAddComment = async () => {
     if (!newComment.trim()) return;
 
     try {
-      // Simulate API call
-      const newCommentObj = {
-        _id: `comment${Date.now()}`,
-        text: newComment,
-        author: currentUser,
-        createdAt: new Date().toISOString(),
-      };
-      
-      setComments(prev => [...prev, newCommentObj]);
-      setNewComment('');
-      setCommentDialogVisible(false);
+      if (editingComment) {
+        const updated = await commentsAPI.updateComment(pin._id, editingComment._id, newComment);
+        updateComment(updated._id, comment => ({ ...comment, ...updated }));
+      } else if (replyingTo) {
+        const created = await commentsAPI.addComment(pin._id, newComment, replyingTo._id);
+        const threadId = created.parentComment;
+        updateComment(threadId, comment => ({ ...comment, replyCount: (comment.replyCount || 0) + 1 }));
+        if (threads[threadId]) {
+          setThreads(prev => ({
+            ...prev,
+            [threadId]: { ...prev[threadId], replies: [...prev[threadId].replies, created], expanded: true },
+          }));
+        } else {
+          // Opening the thread fetches the new reply along with the rest
+          await loadReplies(threadId);
+        }
+        setPin(prev => ({ ...prev, commentCount: (prev.commentCount || 0) + 1 }));
+      } else {
+        const created = await commentsAPI.addComment(pin._id, newComment);
+        setComments(prev => [...prev, created]);
+        setPin(prev => ({ ...prev, commentCount: (prev.commentCount || 0) + 1 }));
+      }
+      closeCommentDialog();
     } catch (error) {
       console.error('Error adding comment:', error);
     }
   };
 
+  const handleReply = (comment) => {
+    setReplyingTo(comment);
+    setCommentDialogVisible(true);
+  };
+
+  // Tapping the heart likes, or takes back whatever reaction was there
+  const toggleCommentLike = async (comment) => {
+    await chooseReaction(comment, comment.myReaction ? null : 'like');
+  };
+
+  const chooseReaction = async (comment, type) => {
+    try {
+      setReactingTo(null);
+      const result = type
+        ? await commentsAPI.react(pin._id, comment._id, type)
+        : await commentsAPI.removeReaction(pin._id, comment._id);
+      updateComment(comment._id, item => ({
+        ...item,
+        myReaction: result.reaction,
+        reactionCounts: result.reactionCounts,
+      }));
+    } catch (error) {
+      console.error('Error reacting to comment:', error);
+    }
+  };
+
+  const handleEditComment = (comment) => {
+    setEditingComment(comment);
+    setNewComment(comment.text);
+    setCommentDialogVisible(true);
+  };
+
+  // Deleting a top-level comment takes its replies with it
+  const handleDeleteComment = async (comment) => {
+    try {
+      await commentsAPI.deleteComment(pin._id, comment._id);
+      const removed = comment.parentComment ? 1 : 1 + (comment.replyCount || 0);
+      if (comment.parentComment) {
+        updateComment(comment.parentComment, item => ({ ...item, replyCount: Math.max((item.replyCount || 0) - 1, 0) }));
+        setThreads(prev => ({
+          ...prev,
+          [comment.parentComment]: {
+            ...prev[comment.parentComment],
+            replies: prev[comment.parentComment].replies.filter(item => item._id !== comment._id),
+          },
+        }));
+      } else {
+        setComments(prev => prev.filter(item => item._id !== comment._id));
+      }
+      setPin(prev => ({ ...prev, commentCount: Math.max((prev.commentCount || 0) - removed, 0) }));
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+    }
+  };
+
+  const renderComment = (comment) => {
+    // Authors can edit and delete; the pin's owner can delete any comment
+    const isAuthor = comment.user?._id === currentUser?._id;
+    const canDelete = isAuthor || pin.author?._id === currentUser?._id;
+    const reactionTotal = Object.values(comment.reactionCounts || {}).reduce((sum, count) => sum + count, 0);
+    return (
+      <View style={styles.commentItem}>
+        <Avatar.Image
+          source={{ uri: comment.user?.avatar }}
+          size={comment.parentComment ? 24 : 32}
+        />
+        <View style={styles.commentContent}>
+          <Text variant="titleSmall" style={{ color: '#FFFFFF' }}>
+            {comment.user?.username}
+          </Text>
+          <Text variant="bodyMedium" style={{ color: '#B0B0B0' }}>
+            {renderWithMentions(comment.text, comment.mentions)}
+          </Text>
+          <View style={styles.commentMeta}>
+            <Text variant="bodySmall" style={{ color: '#666666' }}>
+              {new Date(comment.createdAt).toLocaleDateString()}
+              {comment.editedAt ? ' · edited' : ''}
+            </Text>
+            <TouchableOpacity onPress={() => handleReply(comment)}>
+              <Text variant="bodySmall" style={styles.commentAction}>Reply</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+        <TouchableOpacity
+          style={styles.reactionButton}
+          onPress={() => toggleCommentLike(comment)}
+          onLongPress={() => setReactingTo(comment)}
+        >
+          {comment.myReaction && comment.myReaction !== 'like' ? (
+            <Text>{REACTION_EMOJI[comment.myReaction]}</Text>
+          ) : (
+            <MaterialCommunityIcons
+              name={comment.myReaction ? 'heart' : 'heart-outline'}
+              size={18}
+              color={comment.myReaction ? '#9C27B0' : '#B0B0B0'}
+            />
+          )}
+          {reactionTotal > 0 && (
+            <Text variant="bodySmall" style={{ color: '#B0B0B0' }}>{reactionTotal}</Text>
+          )}
+        </TouchableOpacity>
+        {isAuthor && (
+          <IconButton
+            icon={() => <MaterialCommunityIcons name="pencil" size={18} color="#B0B0B0" />}
+            size={18}
+            onPress={() => handleEditComment(comment)}
+          />
+        )}
+        {canDelete && (
+          <IconButton
+            icon={() => <MaterialCommunityIcons name="delete" size={18} color="#B0B0B0" />}
+            size={18}
+            onPress={() => handleDeleteComment(comment)}
+          />
+        )}
+      </View>
+    );
+  };
+
   if (loading) {
     return (
       <View style={[styles.loadingContainer, { backgroundColor: '#121212' }]}>
@@ -180,6 +499,8 @@ const PinDetailScreen = () => {
   return (
     <ScrollView
       style={[styles.container, { backgroundColor: '#121212' }]}
+      onScroll={handleScroll}
+      scrollEventThrottle={400}
       refreshControl={
         <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
       }
@@ -230,7 +551,7 @@ const PinDetailScreen = () => {
             {pin.title}
           </Text>
           <Text variant="bodyLarge" style={[styles.description, { color: '#B0B0B0' }]}>
-            {pin.description}
+            {renderWithMentions(pin.description, pin.mentions)}
           </Text>
         </View>
 
@@ -256,36 +577,38 @@ const PinDetailScreen = () => {
         <Divider style={[styles.divider, { backgroundColor: '#333333' }]} />
 
         {/* Board Info */}
-        <TouchableOpacity
-          style={styles.boardSection}
-          onPress={() => navigation.navigate('BoardDetail', { boardId: pin.board._id })}
-        >
-          <Image
-            source={{ uri: pin.board.coverImage }}
-            style={styles.boardThumbnail}
-          />
-          <View style={styles.boardInfo}>
-            <Text variant="titleMedium" style={{ color: '#FFFFFF' }}>
-              {pin.board.name}
-            </Text>
-            <Text variant="bodyMedium" style={{ color: '#B0B0B0' }}>
-              {pin.board.description}
-            </Text>
-          </View>
-        </TouchableOpacity>
+        {pin.board && (
+          <TouchableOpacity
+            style={styles.boardSection}
+            onPress={() => navigation.navigate('BoardDetail', { boardId: pin.board._id })}
+          >
+            <Image
+              source={{ uri: pin.board.coverImage }}
+              style={styles.boardThumbnail}
+            />
+            <View style={styles.boardInfo}>
+              <Text variant="titleMedium" style={{ color: '#FFFFFF' }}>
+                {pin.board.name}
+              </Text>
+              <Text variant="bodyMedium" style={{ color: '#B0B0B0' }}>
+                {pin.board.description}
+              </Text>
+            </View>
+          </TouchableOpacity>
+        )}
 
         <Divider style={[styles.divider, { backgroundColor: '#333333' }]} />
 
         {/* Tags */}
         <View style={styles.tagsContainer}>
-          {pin.tags.map((tag, index) => (
+          {(pin.tags || []).map((tag, index) => (
             <Chip
               key={index}
               style={[styles.tag, { backgroundColor: '#333333' }]}
               textStyle={{ color: '#FFFFFF' }}
-              onPress={() => navigation.navigate('Search', { query: tag })}
+              onPress={() => navigation.push('Tag', { tag })}
             >
-              {tag}
+              #{tag}
             </Chip>
           ))}
         </View>
@@ -296,19 +619,19 @@ const PinDetailScreen = () => {
         <View style={styles.statsContainer}>
           <View style={styles.stats}>
             <Text style={[styles.statCount, { color: '#FFFFFF' }]}>
-              {pin.likes.length}
+              {pin.likeCount || 0}
             </Text>
             <Text style={[styles.statLabel, { color: '#B0B0B0' }]}>likes</Text>
           </View>
           <View style={styles.stats}>
             <Text style={[styles.statCount, { color: '#FFFFFF' }]}>
-              {pin.saves.length}
+              {pin.saveCount || 0}
             </Text>
             <Text style={[styles.statLabel, { color: '#B0B0B0' }]}>saves</Text>
           </View>
           <View style={styles.stats}>
             <Text style={[styles.statCount, { color: '#FFFFFF' }]}>
-              {comments.length}
+              {pin.commentCount || 0}
             </Text>
             <Text style={[styles.statLabel, { color: '#B0B0B0' }]}>comments</Text>
           </View>
@@ -357,6 +680,11 @@ const PinDetailScreen = () => {
             {isSaved ? 'Saved' : 'Save'}
           </Button>
         </View>
+        {savedBoards.length > 0 && (
+          <Text variant="bodySmall" style={[styles.savedTo, { color: '#B0B0B0' }]}>
+            Saved to {savedBoards.map(board => board.title).join(', ')}
+          </Text>
+        )}
 
         <Divider style={[styles.divider, { backgroundColor: '#333333' }]} />
 
@@ -375,55 +703,174 @@ const PinDetailScreen = () => {
             </Button>
           </View>
 
-          {comments.map((comment, index) => (
-            <View key={comment._id} style={styles.commentItem}>
-              <Avatar.Image
-                source={{ uri: comment.author.avatar }}
-                size={32}
-              />
-              <View style={styles.commentContent}>
-                <Text variant="titleSmall" style={{ color: '#FFFFFF' }}>
-                  {comment.author.username}
-                </Text>
-                <Text variant="bodyMedium" style={{ color: '#B0B0B0' }}>
-                  {comment.text}
-                </Text>
-                <Text variant="bodySmall" style={{ color: '#666666' }}>
-                  {new Date(comment.createdAt).toLocaleDateString()}
-                </Text>
+          {comments.map((comment) => {
+            const thread = threads[comment._id];
+            return (
+              <View key={comment._id}>
+                {renderComment(comment)}
+                {comment.replyCount > 0 && (
+                  <Button
+                    mode="text"
+                    compact
+                    onPress={() => toggleThread(comment)}
+                    textColor="#9C27B0"
+                    style={styles.threadToggle}
+                  >
+                    {thread?.expanded
+                      ? 'Hide replies'
+                      : `View ${comment.replyCount} ${comment.replyCount === 1 ? 'reply' : 'replies'}`}
+                  </Button>
+                )}
+                {thread?.expanded && (
+                  <View style={styles.replies}>
+                    {thread.replies.map(reply => (
+                      <View key={reply._id}>{renderComment(reply)}</View>
+                    ))}
+                    {thread.hasMore && (
+                      <Button mode="text" compact onPress={() => loadReplies(comment._id)} textColor="#9C27B0">
+                        More replies
+                      </Button>
+                    )}
+                  </View>
+                )}
               </View>
-            </View>
-          ))}
+            );
+          })}
+
+          {hasMoreComments && (
+            <Button mode="text" onPress={loadMoreComments} textColor="#9C27B0">
+              Load more comments
+            </Button>
+          )}
         </View>
       </Surface>
 
+      {/* More like this: long-press a pin to stop seeing it here */}
+      {relatedPins.length > 0 && (
+        <View style={styles.relatedSection}>
+          <Text variant="titleMedium" style={styles.relatedTitle}>
+            More like this
+          </Text>
+          <View style={styles.relatedGrid}>
+            {relatedPins.map(related => (
+              <TouchableOpacity
+                key={related._id}
+                style={styles.relatedItem}
+                onPress={() => navigation.push('PinDetail', { pinId: related._id })}
+                onLongPress={() => hideRelatedPin(related)}
+              >
+                <Image source={{ uri: related.imageUrl }} style={styles.relatedImage} />
+                <Text numberOfLines={1} style={styles.relatedItemTitle}>
+                  {related.title}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          {loadingRelated && <ActivityIndicator style={styles.relatedLoading} color={theme.colors.primary} />}
+        </View>
+      )}
+
       {/* Comment Dialog */}
       <Portal>
         <Dialog
           visible={commentDialogVisible}
-          onDismiss={() => setCommentDialogVisible(false)}
+          onDismiss={closeCommentDialog}
           style={{ backgroundColor: '#1E1E1E' }}
         >
-          <Dialog.Title style={{ color: '#FFFFFF' }}>Add Comment</Dialog.Title>
+          <Dialog.Title style={{ color: '#FFFFFF' }}>
+            {editingComment
+              ? 'Edit Comment'
+              : replyingTo ? `Reply to ${replyingTo.user?.username}` : 'Add Comment'}
+          </Dialog.Title>
           <Dialog.Content>
             <TextInput
               value={newComment}
               onChangeText={setNewComment}
+              onSelectionChange={({ nativeEvent }) => setCommentSelection(nativeEvent.selection)}
               mode="outlined"
               multiline
               numberOfLines={3}
               placeholder="Write your comment..."
+              maxLength={500}
               style={{ backgroundColor: '#333333' }}
               textColor="#FFFFFF"
               placeholderTextColor="#666666"
             />
+            {mentionSuggestions.map(user => (
+              <TouchableOpacity
+                key={user._id}
+                style={styles.mentionSuggestion}
+                onPress={() => insertMention(user)}
+              >
+                <Avatar.Image source={{ uri: user.avatar }} size={24} />
+                <Text variant="bodyMedium" style={{ color: '#FFFFFF', marginLeft: 8 }}>
+                  @{user.username}
+                </Text>
+              </TouchableOpacity>
+            ))}
           </Dialog.Content>
           <Dialog.Actions>
-            <Button onPress={() => setCommentDialogVisible(false)} textColor="#9C27B0">
+            <Button onPress={closeCommentDialog} textColor="#9C27B0">
               Cancel
             </Button>
             <Button onPress={handleAddComment} textColor="#9C27B0">
-              Post
+              {editingComment ? 'Save' : 'Post'}
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        <Dialog
+          visible={Boolean(reactingTo)}
+          onDismiss={() => setReactingTo(null)}
+          style={{ backgroundColor: '#1E1E1E' }}
+        >
+          <Dialog.Title style={{ color: '#FFFFFF' }}>React</Dialog.Title>
+          <Dialog.Content style={styles.reactionPicker}>
+            {Object.entries(REACTION_EMOJI).map(([type, emoji]) => (
+              <TouchableOpacity
+                key={type}
+                style={[styles.reactionOption, reactingTo?.myReaction === type && styles.reactionSelected]}
+                onPress={() => chooseReaction(reactingTo, reactingTo?.myReaction === type ? null : type)}
+              >
+                <Text style={styles.reactionEmoji}>{emoji}</Text>
+              </TouchableOpacity>
+            ))}
+          </Dialog.Content>
+        </Dialog>
+
+        <Dialog
+          visible={saveDialogVisible}
+          onDismiss={() => setSaveDialogVisible(false)}
+          style={{ backgroundColor: '#1E1E1E' }}
+        >
+          <Dialog.Title style={{ color: '#FFFFFF' }}>Save to board</Dialog.Title>
+          <Dialog.Content>
+            {myBoards.length === 0 && (
+              <Text style={{ color: '#B0B0B0' }}>Create a board first to save pins.</Text>
+            )}
+            {myBoards.map(board => {
+              const onBoard = savedBoards.some(saved => saved._id === board._id);
+              return (
+                <TouchableOpacity
+                  key={board._id}
+                  style={styles.saveBoardRow}
+                  onPress={() => toggleSaveToBoard(board)}
+                >
+                  <Text variant="titleMedium" style={{ color: '#FFFFFF' }}>
+                    {board.title}
+                  </Text>
+                  <MaterialCommunityIcons
+                    name={onBoard ? 'check-circle' : 'plus-circle-outline'}
+                    size={24}
+                    color="#9C27B0"
+                  />
+                </TouchableOpacity>
+              );
+            })}
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setSaveDialogVisible(false)} textColor="#9C27B0">
+              Done
             </Button>
           </Dialog.Actions>
         </Dialog>
@@ -522,6 +969,16 @@ const styles = StyleSheet.create({
   actionButton: {
     flex: 1,
   },
+  savedTo: {
+    marginTop: 8,
+    textAlign: 'center',
+  },
+  saveBoardRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 12,
+  },
   commentsSection: {
     marginTop: 16,
   },
@@ -539,6 +996,80 @@ const styles = StyleSheet.create({
     marginLeft: 12,
     flex: 1,
   },
+  commentMeta: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  commentAction: {
+    color: '#9C27B0',
+    fontWeight: 'bold',
+  },
+  mention: {
+    color: '#CE93D8',
+    fontWeight: 'bold',
+  },
+  mentionSuggestion: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  reactionButton: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 8,
+  },
+  threadToggle: {
+    alignSelf: 'flex-start',
+    marginLeft: 36,
+    marginTop: -12,
+  },
+  replies: {
+    marginLeft: 44,
+  },
+  reactionPicker: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+  },
+  reactionOption: {
+    padding: 8,
+    borderRadius: 24,
+  },
+  reactionSelected: {
+    backgroundColor: '#333333',
+  },
+  reactionEmoji: {
+    fontSize: 28,
+  },
+  relatedSection: {
+    padding: 16,
+  },
+  relatedTitle: {
+    color: '#FFFFFF',
+    marginBottom: 12,
+  },
+  relatedGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  relatedItem: {
+    width: RELATED_COLUMN_WIDTH,
+    marginBottom: 16,
+  },
+  relatedImage: {
+    width: RELATED_COLUMN_WIDTH,
+    height: RELATED_COLUMN_WIDTH * 1.3,
+    borderRadius: 12,
+    backgroundColor: '#1E1E1E',
+  },
+  relatedItemTitle: {
+    color: '#B0B0B0',
+    marginTop: 4,
+  },
+  relatedLoading: {
+    marginVertical: 16,
+  },
 });
 
 export default PinDetailScreen; 
\ No newline at end of file
@@ -23,49 +23,54 @@ import {
 } from 'react-native-paper';
 import { useNavigation, useRoute } from '@react-navigation/native';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { dummyPins } from '../data/dummyData';
+import { authAPI, pinsAPI, boardsAPI, usersAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
 
 const { width } = Dimensions.get('window');
 const numColumns = 3;
 const pinSize = width / numColumns - 8;
+const emptyConnections = { users: [], page: 0, hasMore: true, loaded: false };
 
 const ProfileScreen = () => {
   const theme = useTheme();
   const navigation = useNavigation();
   const route = useRoute();
+  const { user: authUser, logout } = useAuth();
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [menuVisible, setMenuVisible] = useState(false);
   const [logoutDialogVisible, setLogoutDialogVisible] = useState(false);
-  const [selectedView, setSelectedView] = useState('pins'); // 'pins' or 'boards'
+  const [selectedView, setSelectedView] = useState('pins'); // 'pins', 'boards', 'followers' or 'following'
   const [userPins, setUserPins] = useState([]);
   const [userBoards, setUserBoards] = useState([]);
+  const [connections, setConnections] = useState({ followers: emptyConnections, following: emptyConnections });
+  const [loadingConnections, setLoadingConnections] = useState(false);
+
+  const authUserId = authUser?._id || authUser?.id;
+  const profileId = route.params?.userId || authUserId;
+  const isOwnProfile = profileId === authUserId;
 
   const fetchUserProfile = async () => {
     try {
       setLoading(true);
-      // For now, using dummy data
-      const dummyUser = {
-        _id: 'testuser123',
-        username: 'John Doe',
-        email: 'john@example.com',
-        bio: 'Pinterest enthusiast | Digital Creator | Love sharing beautiful things',
-        avatar: 'https://images.unsplash.com/photo-1535713875002-d1d0cf377fde?ixlib=rb-1.2.1&auto=format&fit=crop&w=800&q=80',
-        followers: Array(128).fill('dummy_follower'),
-        following: Array(97).fill('dummy_following'),
-        pins: dummyPins.slice(0, 15),
-        boards: [
-          { _id: 'board1', name: 'Travel Inspiration', pins: Array(24).fill('pin'), coverImage: 'https://images.unsplash.com/photo-1469474968028-56623f02e42e?ixlib=rb-1.2.1&auto=format&fit=crop&w=800&q=80' },
-          { _id: 'board2', name: 'Food & Recipes', pins: Array(16).fill('pin'), coverImage: 'https://images.unsplash.com/photo-1504674900247-0877df9cc836?ixlib=rb-1.2.1&auto=format&fit=crop&w=800&q=80' },
-          { _id: 'board3', name: 'Interior Design', pins: Array(32).fill('pin'), coverImage: 'https://images.unsplash.com/photo-1493809842364-78817add7ffb?ixlib=rb-1.2.1&auto=format&fit=crop&w=800&q=80' },
-        ],
-      };
-
-      setUser(dummyUser);
-      setUserPins(dummyUser.pins);
-      setUserBoards(dummyUser.boards);
+      if (!profileId) {
+        throw new Error('No user to show');
+      }
+
+      const profile = await authAPI.getUserById(profileId);
+      // A private profile keeps its pins and boards to approved followers
+      const [pins, boards] = profile.canView === false
+        ? [[], []]
+        : await Promise.all([
+          pinsAPI.getUserPins(profileId),
+          boardsAPI.getUserBoards(profileId),
+        ]);
+
+      setUser(profile);
+      setUserPins(pins);
+      setUserBoards(boards);
+      setConnections({ followers: emptyConnections, following: emptyConnections });
     } catch (error) {
       console.error('Error fetching user profile:', error);
     } finally {
@@ -80,7 +85,103 @@ const ProfileScreen = () => {
       fetchUserProfile();
     });
     return unsubscribe;
-  }, [navigation]);
+  }, [navigation, route.params?.userId]);
+
+  // Fetch the next page of followers or following, or the first one when
+  // `reset` is set
+  const loadConnections = async (type, reset = false) => {
+    const current = reset ? emptyConnections : connections[type];
+    if (loadingConnections || (!current.hasMore && !reset)) return;
+
+    try {
+      setLoadingConnections(true);
+      const result = await usersAPI.getConnections(profileId, type, current.page + 1);
+      setConnections(prev => ({
+        ...prev,
+        [type]: {
+          users: reset ? result.users : [...prev[type].users, ...result.users],
+          page: result.page,
+          hasMore: result.hasMore,
+          loaded: true,
+        },
+      }));
+    } catch (error) {
+      console.error(`Error fetching ${type}:`, error);
+      // Mark it loaded anyway so the list offers "Load more" instead of retrying forever
+      setConnections(prev => ({ ...prev, [type]: { ...prev[type], loaded: true } }));
+    } finally {
+      setLoadingConnections(false);
+    }
+  };
+
+  useEffect(() => {
+    if ((selectedView === 'followers' || selectedView === 'following') && !connections[selectedView].loaded) {
+      loadConnections(selectedView, true);
+    }
+  }, [selectedView, connections[selectedView]?.loaded]);
+
+  // Follow or unfollow `target`, which is either the profile being viewed or
+  // someone in one of its lists. Following a private profile sends a request,
+  // and pressing again withdraws it.
+  const toggleFollow = async (target) => {
+    try {
+      const result = target.isFollowing || target.requested
+        ? await usersAPI.unfollow(target._id)
+        : await usersAPI.follow(target._id);
+      const requested = Boolean(result.requested);
+
+      const updateUser = item => (
+        item._id === target._id ? { ...item, isFollowing: result.following, requested } : item
+      );
+      setConnections(prev => ({
+        followers: { ...prev.followers, users: prev.followers.users.map(updateUser) },
+        following: { ...prev.following, users: prev.following.users.map(updateUser) },
+      }));
+
+      if (target._id === user?._id) {
+        setUser(prev => ({
+          ...prev,
+          isFollowing: result.following,
+          requested,
+          stats: { ...prev.stats, followers: result.followersCount },
+        }));
+      } else if (isOwnProfile && !requested) {
+        setUser(prev => ({
+          ...prev,
+          stats: { ...prev.stats, following: prev.stats.following + (result.following ? 1 : -1) },
+        }));
+      }
+    } catch (error) {
+      console.error('Error updating follow:', error);
+    }
+  };
+
+  // Blocking cuts follows both ways, so the profile is fetched again
+  const toggleBlock = async () => {
+    setMenuVisible(false);
+    try {
+      if (user.isBlocked) {
+        await usersAPI.unblock(user._id);
+      } else {
+        await usersAPI.block(user._id);
+      }
+      fetchUserProfile();
+    } catch (error) {
+      console.error('Error updating block:', error);
+    }
+  };
+
+  const toggleMute = async () => {
+    setMenuVisible(false);
+    try {
+      const result = user.isMuted
+        ? await usersAPI.unmute(user._id)
+        : await usersAPI.mute(user._id);
+      setUser(prev => ({ ...prev, isMuted: result.muted }));
+    } catch (error) {
+      console.error('Error updating mute:', error);
+    }
+  };
 
   const onRefresh = () => {
     setRefreshing(true);
@@ -89,7 +190,7 @@ const ProfileScreen = () => {
 
   const handleLogout = async () => {
     try {
-      await AsyncStorage.removeItem('token');
+      await logout();
       navigation.replace('Login');
     } catch (error) {
       console.error('Error logging out:', error);
@@ -123,7 +224,7 @@ const ProfileScreen = () => {
       />
       <View style={styles.boardInfo}>
         <Text variant="titleMedium" style={{ color: '#FFFFFF' }}>
-          {board.name}
+          {board.title}
         </Text>
         <Text variant="bodySmall" style={{ color: '#B0B0B0' }}>
           {board.pins.length} pins
@@ -132,6 +233,79 @@ const ProfileScreen = () => {
     </TouchableOpacity>
   );
 
+  const renderConnection = (connection) => (
+    <TouchableOpacity
+      key={connection._id}
+      style={styles.connectionItem}
+      onPress={() => navigation.push('Profile', { userId: connection._id })}
+    >
+      <Image source={{ uri: connection.avatar }} style={styles.connectionAvatar} />
+      <View style={styles.connectionInfo}>
+        <Text variant="titleSmall" style={{ color: '#FFFFFF' }}>
+          {connection.username}
+        </Text>
+        {connection.bio ? (
+          <Text variant="bodySmall" numberOfLines={1} style={{ color: '#B0B0B0' }}>
+            {connection.bio}
+          </Text>
+        ) : null}
+      </View>
+      {connection._id !== authUserId && (
+        <Button
+          mode={connection.isFollowing ? 'outlined' : 'contained'}
+          compact
+          onPress={() => toggleFollow(connection)}
+          buttonColor={connection.isFollowing ? undefined : '#9C27B0'}
+          textColor={connection.isFollowing ? '#9C27B0' : '#FFFFFF'}
+        >
+          {connection.isFollowing ? 'Following' : 'Follow'}
+        </Button>
+      )}
+    </TouchableOpacity>
+  );
+
+  const renderConnections = (type) => {
+    const { users, hasMore, loaded } = connections[type];
+    return (
+      <View style={styles.connectionsList}>
+        {users.map(renderConnection)}
+        {loaded && users.length === 0 && (
+          <Text style={styles.emptyText}>
+            {type === 'followers' ? 'No followers yet' : 'Not following anyone yet'}
+          </Text>
+        )}
+        {loadingConnections && <ActivityIndicator style={styles.connectionsLoader} color="#9C27B0" />}
+        {loaded && hasMore && !loadingConnections && (
+          <Button onPress={() => loadConnections(type)} textColor="#9C27B0">
+            Load more
+          </Button>
+        )}
+      </View>
+    );
+  };
+
+  const renderSelectorButton = (view, icon, label) => (
+    <TouchableOpacity
+      style={[
+        styles.selectorButton,
+        selectedView === view && styles.selectedButton,
+      ]}
+      onPress={() => setSelectedView(view)}
+    >
+      <MaterialCommunityIcons
+        name={icon}
+        size={20}
+        color={selectedView === view ? '#9C27B0' : '#FFFFFF'}
+      />
+      <Text style={[
+        styles.selectorText,
+        selectedView === view && styles.selectedText,
+      ]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
   if (loading) {
     return (
       <View style={[styles.loadingContainer, { backgroundColor: '#121212' }]}>
@@ -167,9 +341,16 @@ const ProfileScreen = () => {
           <Text variant="headlineSmall" style={styles.username}>
             {user?.username}
           </Text>
-          <Text variant="bodyLarge" style={styles.email}>
-            {user?.email}
-          </Text>
+          {user?.email && (
+            <Text variant="bodyLarge" style={styles.email}>
+              {user.email}
+            </Text>
+          )}
+          {user?.location && (
+            <Text variant="bodyMedium" style={styles.location}>
+              {user.location}
+            </Text>
+          )}
           {user?.bio && (
             <Text variant="bodyMedium" style={styles.bio}>
               {user.bio}
@@ -179,23 +360,23 @@ const ProfileScreen = () => {
           <View style={styles.stats}>
             <TouchableOpacity style={styles.statItem}>
               <Text variant="titleLarge" style={styles.statNumber}>
-                {user?.pins?.length || 0}
+                {user?.stats?.pins || 0}
               </Text>
               <Text variant="bodyMedium" style={styles.statLabel}>
                 Pins
               </Text>
             </TouchableOpacity>
-            <TouchableOpacity style={styles.statItem}>
+            <TouchableOpacity style={styles.statItem} onPress={() => setSelectedView('followers')}>
               <Text variant="titleLarge" style={styles.statNumber}>
-                {user?.followers?.length || 0}
+                {user?.stats?.followers || 0}
               </Text>
               <Text variant="bodyMedium" style={styles.statLabel}>
                 Followers
               </Text>
             </TouchableOpacity>
-            <TouchableOpacity style={styles.statItem}>
+            <TouchableOpacity style={styles.statItem} onPress={() => setSelectedView('following')}>
               <Text variant="titleLarge" style={styles.statNumber}>
-                {user?.following?.length || 0}
+                {user?.stats?.following || 0}
               </Text>
               <Text variant="bodyMedium" style={styles.statLabel}>
                 Following
@@ -203,78 +384,80 @@ const ProfileScreen = () => {
             </TouchableOpacity>
           </View>
 
-          <View style={styles.actions}>
-            <Button
-              mode="contained"
-              onPress={() => navigation.navigate('EditProfile')}
-              style={[styles.actionButton, { backgroundColor: '#9C27B0' }]}
-              labelStyle={{ color: '#FFFFFF' }}
-            >
-              Edit Profile
-            </Button>
-            <Button
-              mode="outlined"
-              onPress={() => navigation.navigate('CreateBoard')}
-              style={[styles.actionButton, { borderColor: '#9C27B0' }]}
-              textColor="#9C27B0"
-            >
-              Create Board
-            </Button>
-          </View>
+          {isOwnProfile ? (
+            <View style={styles.actions}>
+              <Button
+                mode="contained"
+                onPress={() => navigation.navigate('EditProfile')}
+                style={[styles.actionButton, { backgroundColor: '#9C27B0' }]}
+                labelStyle={{ color: '#FFFFFF' }}
+              >
+                Edit Profile
+              </Button>
+              <Button
+                mode="outlined"
+                onPress={() => navigation.navigate('CreateBoard')}
+                style={[styles.actionButton, { borderColor: '#9C27B0' }]}
+                textColor="#9C27B0"
+              >
+                Create Board
+              </Button>
+            </View>
+          ) : user && !user.isBlocked && (
+            <View style={styles.actions}>
+              <Button
+                mode={user.isFollowing || user.requested ? 'outlined' : 'contained'}
+                onPress={() => toggleFollow(user)}
+                style={[
+                  styles.actionButton,
+                  user.isFollowing || user.requested ? { borderColor: '#9C27B0' } : { backgroundColor: '#9C27B0' },
+                ]}
+                textColor={user.isFollowing || user.requested ? '#9C27B0' : '#FFFFFF'}
+              >
+                {user.isFollowing ? 'Following' : user.requested ? 'Requested' : 'Follow'}
+              </Button>
+            </View>
+          )}
         </Surface>
 
-        <View style={styles.contentSelector}>
-          <TouchableOpacity
-            style={[
-              styles.selectorButton,
-              selectedView === 'pins' && styles.selectedButton,
-            ]}
-            onPress={() => setSelectedView('pins')}
-          >
-            <MaterialCommunityIcons
-              name="pin"
-              size={24}
-              color={selectedView === 'pins' ? '#9C27B0' : '#FFFFFF'}
-            />
-            <Text style={[
-              styles.selectorText,
-              selectedView === 'pins' && styles.selectedText,
-            ]}>
-              Pins
+        {user?.canView === false ? (
+          <View style={styles.privateNotice}>
+            <MaterialCommunityIcons name="lock-outline" size={48} color="#B0B0B0" />
+            <Text variant="titleMedium" style={styles.privateTitle}>
+              {user.isBlocked ? 'You blocked this account' : 'This account is private'}
             </Text>
-          </TouchableOpacity>
-          <TouchableOpacity
-            style={[
-              styles.selectorButton,
-              selectedView === 'boards' && styles.selectedButton,
-            ]}
-            onPress={() => setSelectedView('boards')}
-          >
-            <MaterialCommunityIcons
-              name="grid"
-              size={24}
-              color={selectedView === 'boards' ? '#9C27B0' : '#FFFFFF'}
-            />
-            <Text style={[
-              styles.selectorText,
-              selectedView === 'boards' && styles.selectedText,
-            ]}>
-              Boards
+            <Text variant="bodyMedium" style={styles.privateText}>
+              {user.isBlocked
+                ? 'Unblock them from the menu to see their pins and boards.'
+                : user.requested
+                ? 'Your follow request is waiting for approval.'
+                : 'Follow this account to see their pins and boards.'}
             </Text>
-          </TouchableOpacity>
-        </View>
-
-        <View style={styles.content}>
-          {selectedView === 'pins' ? (
-            <View style={styles.pinsGrid}>
-              {userPins.map(renderPin)}
+          </View>
+        ) : (
+          <>
+            <View style={styles.contentSelector}>
+              {renderSelectorButton('pins', 'pin', 'Pins')}
+              {renderSelectorButton('boards', 'grid', 'Boards')}
+              {renderSelectorButton('followers', 'account-multiple', 'Followers')}
+              {renderSelectorButton('following', 'account-arrow-right', 'Following')}
             </View>
-          ) : (
-            <View style={styles.boardsGrid}>
-              {userBoards.map(renderBoard)}
+
+            <View style={styles.content}>
+              {selectedView === 'pins' && (
+                <View style={styles.pinsGrid}>
+                  {userPins.map(renderPin)}
+                </View>
+              )}
+              {selectedView === 'boards' && (
+                <View style={styles.boardsGrid}>
+                  {userBoards.map(renderBoard)}
+                </View>
+              )}
+              {(selectedView === 'followers' || selectedView === 'following') && renderConnections(selectedView)}
             </View>
-          )}
-        </View>
+          </>
+        )}
       </ScrollView>
 
       <Menu
@@ -283,24 +466,45 @@ const ProfileScreen = () => {
         anchor={<View />}
         style={{ backgroundColor: '#1E1E1E' }}
       >
-        <Menu.Item
-          onPress={() => {
-            setMenuVisible(false);
-            navigation.navigate('Settings');
-          }}
-          title="Settings"
-          leadingIcon={() => <MaterialCommunityIcons name="cog" size={24} color="#FFFFFF" />}
-          titleStyle={{ color: '#FFFFFF' }}
-        />
-        <Menu.Item
-          onPress={() => {
-            setMenuVisible(false);
-            setLogoutDialogVisible(true);
-          }}
-          title="Logout"
-          leadingIcon={() => <MaterialCommunityIcons name="logout" size={24} color="#FFFFFF" />}
-          titleStyle={{ color: '#FFFFFF' }}
-        />
+        {isOwnProfile ? (
+          <>
+            <Menu.Item
+              onPress={() => {
+                setMenuVisible(false);
+                navigation.navigate('Settings');
+              }}
+              title="Settings"
+              leadingIcon={() => <MaterialCommunityIcons name="cog" size={24} color="#FFFFFF" />}
+              titleStyle={{ color: '#FFFFFF' }}
+            />
+            <Menu.Item
+              onPress={() => {
+                setMenuVisible(false);
+                setLogoutDialogVisible(true);
+              }}
+              title="Logout"
+              leadingIcon={() => <MaterialCommunityIcons name="logout" size={24} color="#FFFFFF" />}
+              titleStyle={{ color: '#FFFFFF' }}
+            />
+          </>
+        ) : user && authUserId && (
+          <>
+            <Menu.Item
+              onPress={toggleMute}
+              title={user.isMuted ? 'Unmute' : 'Mute'}
+              leadingIcon={() => (
+                <MaterialCommunityIcons name={user.isMuted ? 'volume-high' : 'volume-off'} size={24} color="#FFFFFF" />
+              )}
+              titleStyle={{ color: '#FFFFFF' }}
+            />
+            <Menu.Item
+              onPress={toggleBlock}
+              title={user.isBlocked ? 'Unblock' : 'Block'}
+              leadingIcon={() => <MaterialCommunityIcons name="account-cancel" size={24} color="#FFFFFF" />}
+              titleStyle={{ color: '#FFFFFF' }}
+            />
+          </>
+        )}
       </Menu>
 
       <Portal>
@@ -366,6 +570,10 @@ const styles = StyleSheet.create({
     color: '#B0B0B0',
     marginBottom: 8,
   },
+  location: {
+    color: '#B0B0B0',
+    marginBottom: 8,
+  },
   bio: {
     color: '#B0B0B0',
     textAlign: 'center',
@@ -411,7 +619,7 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     justifyContent: 'center',
     paddingVertical: 12,
-    gap: 8,
+    gap: 4,
   },
   selectedButton: {
     borderBottomWidth: 2,
@@ -419,7 +627,7 @@ const styles = StyleSheet.create({
   },
   selectorText: {
     color: '#FFFFFF',
-    fontSize: 16,
+    fontSize: 13,
   },
   selectedText: {
     color: '#9C27B0',
@@ -428,6 +636,19 @@ const styles = StyleSheet.create({
     flex: 1,
     padding: 4,
   },
+  privateNotice: {
+    alignItems: 'center',
+    padding: 32,
+  },
+  privateTitle: {
+    color: '#FFFFFF',
+    marginTop: 12,
+  },
+  privateText: {
+    color: '#B0B0B0',
+    marginTop: 4,
+    textAlign: 'center',
+  },
   pinsGrid: {
     flexDirection: 'row',
     flexWrap: 'wrap',
@@ -461,6 +682,36 @@ const styles = StyleSheet.create({
     padding: 16,
     justifyContent: 'center',
   },
+  connectionsList: {
+    padding: 8,
+  },
+  connectionItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2D2D2D',
+    borderRadius: 16,
+    padding: 12,
+    marginBottom: 8,
+  },
+  connectionAvatar: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    marginRight: 12,
+    backgroundColor: '#3D3D3D',
+  },
+  connectionInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  connectionsLoader: {
+    marginVertical: 16,
+  },
+  emptyText: {
+    color: '#B0B0B0',
+    textAlign: 'center',
+    marginVertical: 24,
+  },
 });
 
 export default ProfileScreen; 
\ No newline at end of file
@@ -7,8 +7,8 @@ import {
   TouchableWithoutFeedback,
   Keyboard,
 } from 'react-native';
-import { TextInput, Button, Text, Surface } from 'react-native-paper';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { TextInput, Button, Text, Surface, HelperText } from 'react-native-paper';
+import { useAuth } from '../context/AuthContext';
 
 const RegisterScreen = ({ navigation }) => {
   const [formData, setFormData] = useState({
@@ -18,38 +18,42 @@ const RegisterScreen = ({ navigation }) => {
     confirmPassword: '',
   });
   const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
   const [loading, setLoading] = useState(false);
+  const { register } = useAuth();
+
+  const updateField = (field, value) => {
+    setFormData({ ...formData, [field]: value });
+    // Clear a field's server error as soon as the user edits it
+    if (fieldErrors[field]) {
+      setFieldErrors({ ...fieldErrors, [field]: undefined });
+    }
+  };
 
   const handleSubmit = async () => {
     setError('');
+    setFieldErrors({});
     setLoading(true);
 
     if (formData.password !== formData.confirmPassword) {
-      setError('Passwords do not match');
+      setFieldErrors({ confirmPassword: 'Passwords do not match' });
       setLoading(false);
       return;
     }
 
     try {
-      const response = await fetch('http://localhost:3000/api/auth/register', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          username: formData.username,
-          email: formData.email,
-          password: formData.password,
-        }),
+      await register({
+        username: formData.username,
+        email: formData.email,
+        password: formData.password,
       });
-
-      const data = await response.json();
-      if (!response.ok) {
-        throw new Error(data.message || 'Registration failed');
-      }
-
-      await AsyncStorage.setItem('token', data.token);
-      navigation.replace('HomeFeed');
+      navigation.replace('Home');
     } catch (err) {
-      setError(err.message);
+      if (err.fieldErrors && Object.keys(err.fieldErrors).length > 0) {
+        setFieldErrors(err.fieldErrors);
+      } else {
+        setError(err.message || 'Registration failed');
+      }
     } finally {
       setLoading(false);
     }
@@ -70,37 +74,61 @@ const RegisterScreen = ({ navigation }) => {
             mode="outlined"
             label="Username"
             value={formData.username}
-            onChangeText={(text) => setFormData({ ...formData, username: text })}
+            onChangeText={(text) => updateField('username', text)}
+            error={!!fieldErrors.username}
             style={styles.input}
           />
+          {fieldErrors.username ? (
+            <HelperText type="error" style={styles.helperText}>
+              {fieldErrors.username}
+            </HelperText>
+          ) : null}
 
           <TextInput
             mode="outlined"
             label="Email"
             value={formData.email}
-            onChangeText={(text) => setFormData({ ...formData, email: text })}
+            onChangeText={(text) => updateField('email', text)}
+            error={!!fieldErrors.email}
             keyboardType="email-address"
             autoCapitalize="none"
             style={styles.input}
           />
+          {fieldErrors.email ? (
+            <HelperText type="error" style={styles.helperText}>
+              {fieldErrors.email}
+            </HelperText>
+          ) : null}
 
           <TextInput
             mode="outlined"
             label="Password"
             value={formData.password}
-            onChangeText={(text) => setFormData({ ...formData, password: text })}
+            onChangeText={(text) => updateField('password', text)}
+            error={!!fieldErrors.password}
             secureTextEntry
             style={styles.input}
           />
+          {fieldErrors.password ? (
+            <HelperText type="error" style={styles.helperText}>
+              {fieldErrors.password}
+            </HelperText>
+          ) : null}
 
           <TextInput
             mode="outlined"
             label="Confirm Password"
             value={formData.confirmPassword}
-            onChangeText={(text) => setFormData({ ...formData, confirmPassword: text })}
+            onChangeText={(text) => updateField('confirmPassword', text)}
+            error={!!fieldErrors.confirmPassword}
             secureTextEntry
             style={styles.input}
           />
+          {fieldErrors.confirmPassword ? (
+            <HelperText type="error" style={styles.helperText}>
+              {fieldErrors.confirmPassword}
+            </HelperText>
+          ) : null}
 
           <Button
             mode="contained"
@@ -155,6 +183,11 @@ const styles = StyleSheet.create({
     color: '#B00020',
     marginBottom: 16,
   },
+  helperText: {
+    width: '100%',
+    marginTop: -12,
+    marginBottom: 8,
+  },
 });
 
 export default RegisterScreen; 
\ No newline at end of file
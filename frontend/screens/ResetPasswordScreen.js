@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+import {
+  View,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform,
+  TouchableWithoutFeedback,
+  Keyboard,
+} from 'react-native';
+import { TextInput, Button, Text, Surface } from 'react-native-paper';
+import { authAPI } from '../services/api';
+
+const ResetPasswordScreen = ({ navigation, route }) => {
+  // A token in the route (from the emailed link) skips straight to step two
+  const [step, setStep] = useState(route.params?.token ? 'reset' : 'request');
+  const [email, setEmail] = useState(route.params?.email || '');
+  const [resetToken, setResetToken] = useState(route.params?.token || '');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [info, setInfo] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleRequest = async () => {
+    setError('');
+    setLoading(true);
+
+    try {
+      const { message } = await authAPI.forgotPassword(email);
+      setInfo(message);
+      setStep('reset');
+    } catch (err) {
+      setError(err.message || 'Could not send reset email');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReset = async () => {
+    setError('');
+
+    if (newPassword !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await authAPI.resetPassword(resetToken.trim(), newPassword);
+      navigation.replace('Login');
+    } catch (err) {
+      setError(err.fieldErrors?.newPassword || err.message || 'Could not reset password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      style={styles.container}
+    >
+      <Surface style={styles.surface}>
+        <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
+          <View style={styles.content}>
+            <Text variant="headlineMedium" style={styles.title}>Reset Password</Text>
+            {info ? <Text style={styles.info}>{info}</Text> : null}
+            {error ? <Text style={styles.error}>{error}</Text> : null}
+          </View>
+        </TouchableWithoutFeedback>
+
+        {step === 'request' ? (
+          <>
+            <TextInput
+              mode="outlined"
+              label="Email"
+              value={email}
+              onChangeText={setEmail}
+              keyboardType="email-address"
+              autoCapitalize="none"
+              style={styles.input}
+              theme={{ colors: { primary: '#E60023' } }}
+            />
+            <Button
+              mode="contained"
+              onPress={handleRequest}
+              loading={loading}
+              style={styles.button}
+              buttonColor="#E60023"
+            >
+              Send Reset Link
+            </Button>
+          </>
+        ) : (
+          <>
+            <TextInput
+              mode="outlined"
+              label="Reset Code"
+              value={resetToken}
+              onChangeText={setResetToken}
+              autoCapitalize="none"
+              style={styles.input}
+              theme={{ colors: { primary: '#E60023' } }}
+            />
+            <TextInput
+              mode="outlined"
+              label="New Password"
+              value={newPassword}
+              onChangeText={setNewPassword}
+              secureTextEntry
+              style={styles.input}
+              theme={{ colors: { primary: '#E60023' } }}
+            />
+            <TextInput
+              mode="outlined"
+              label="Confirm New Password"
+              value={confirmPassword}
+              onChangeText={setConfirmPassword}
+              secureTextEntry
+              style={styles.input}
+              theme={{ colors: { primary: '#E60023' } }}
+            />
+            <Button
+              mode="contained"
+              onPress={handleReset}
+              loading={loading}
+              style={styles.button}
+              buttonColor="#E60023"
+            >
+              Reset Password
+            </Button>
+          </>
+        )}
+
+        <Button
+          mode="text"
+          onPress={() => navigation.navigate('Login')}
+          style={styles.linkButton}
+          textColor="#E60023"
+        >
+          Back to login
+        </Button>
+      </Surface>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  surface: {
+    flex: 1,
+    margin: 16,
+    padding: 24,
+    borderRadius: 16,
+    elevation: 4,
+    backgroundColor: '#ffffff',
+  },
+  content: {
+    alignItems: 'center',
+    marginBottom: 24,
+  },
+  title: {
+    textAlign: 'center',
+    marginBottom: 16,
+    color: '#111111',
+    fontWeight: 'bold',
+  },
+  input: {
+    marginBottom: 16,
+    backgroundColor: '#ffffff',
+  },
+  button: {
+    marginBottom: 8,
+    borderRadius: 24,
+    paddingVertical: 8,
+  },
+  linkButton: {
+    marginTop: 8,
+  },
+  info: {
+    color: '#333333',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  error: {
+    color: '#E60023',
+    textAlign: 'center',
+    marginBottom: 16,
+    fontWeight: '500',
+  },
+});
+
+export default ResetPasswordScreen;
@@ -1,10 +1,11 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   StyleSheet,
   ScrollView,
   Switch,
   Platform,
+  Alert,
 } from 'react-native';
 import {
   Text,
@@ -18,31 +19,220 @@ import {
   Menu,
   RadioButton,
   Surface,
+  TextInput,
 } from 'react-native-paper';
 import { useNavigation } from '@react-navigation/native';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useSettings } from '../context/SettingsContext';
+import { useAuth } from '../context/AuthContext';
+import { authAPI, usersAPI } from '../services/api';
 
 const SettingsScreen = () => {
   const navigation = useNavigation();
   const theme = useTheme();
   const { settings, updateSetting, updateNestedSetting, resetSettings } = useSettings();
+  const { user, logout, changePassword, deleteAccount } = useAuth();
   const [showLogoutDialog, setShowLogoutDialog] = useState(false);
   const [showResetDialog, setShowResetDialog] = useState(false);
   const [showGridSizeMenu, setShowGridSizeMenu] = useState(false);
   const [showPrivacyMenu, setShowPrivacyMenu] = useState(false);
   const [showDataMenu, setShowDataMenu] = useState(false);
+  const [showPasswordDialog, setShowPasswordDialog] = useState(false);
+  const [passwordForm, setPasswordForm] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [passwordError, setPasswordError] = useState('');
+  const [savingPassword, setSavingPassword] = useState(false);
+  const [showDeleteDialog, setShowDeleteDialog] = useState(false);
+  const [deletePassword, setDeletePassword] = useState('');
+  const [deleteError, setDeleteError] = useState('');
+  const [deletingAccount, setDeletingAccount] = useState(false);
+  const [showLoginHistory, setShowLoginHistory] = useState(false);
+  const [loginHistory, setLoginHistory] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [followRequests, setFollowRequests] = useState([]);
+  const [blockedUsers, setBlockedUsers] = useState([]);
+  const [mutedUsers, setMutedUsers] = useState([]);
+
+  useEffect(() => {
+    if (user) {
+      loadSessions();
+      loadPrivacy();
+      loadBlockedAndMuted();
+    }
+  }, [user]);
 
   const handleLogout = async () => {
     try {
-      await AsyncStorage.removeItem('token');
+      await logout();
       navigation.replace('Login');
     } catch (error) {
       console.error('Error logging out:', error);
     }
   };
 
+  const closePasswordDialog = () => {
+    setShowPasswordDialog(false);
+    setPasswordForm({ currentPassword: '', newPassword: '', confirmPassword: '' });
+    setPasswordError('');
+  };
+
+  const handleChangePassword = async () => {
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      setPasswordError('Passwords do not match');
+      return;
+    }
+
+    try {
+      setSavingPassword(true);
+      setPasswordError('');
+      await changePassword(passwordForm.currentPassword, passwordForm.newPassword);
+      closePasswordDialog();
+    } catch (error) {
+      setPasswordError(error.fieldErrors?.newPassword || error.message || 'Could not change password');
+    } finally {
+      setSavingPassword(false);
+    }
+  };
+
+  const openLoginHistory = async () => {
+    setShowLoginHistory(true);
+    try {
+      setLoginHistory(await authAPI.getLoginHistory());
+    } catch (error) {
+      console.error('Error loading login history:', error);
+    }
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      await authAPI.resendVerification();
+      Alert.alert('Check your inbox', `We sent a new verification link to ${user.email}.`);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Could not send verification email');
+    }
+  };
+
+  const loadSessions = async () => {
+    try {
+      setSessions(await authAPI.getSessions());
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+    }
+  };
+
+  const handleRevokeSession = async (sessionId) => {
+    try {
+      await authAPI.revokeSession(sessionId);
+      setSessions(current => current.filter(session => session.id !== sessionId));
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Could not sign out that device');
+    }
+  };
+
+  const handleRevokeOtherSessions = async () => {
+    try {
+      await authAPI.revokeOtherSessions();
+      setSessions(current => current.filter(session => session.current));
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Could not sign out other devices');
+    }
+  };
+
+  // The server copy of the privacy settings is the one that is enforced
+  const loadPrivacy = async () => {
+    try {
+      const [privacy, requests] = await Promise.all([
+        usersAPI.getPrivacy(),
+        usersAPI.getFollowRequests(),
+      ]);
+      updateSetting('privacy', { ...settings.privacy, ...privacy });
+      setFollowRequests(requests.users);
+    } catch (error) {
+      console.error('Error loading privacy settings:', error);
+    }
+  };
+
+  const handlePrivacyChange = async (key, value) => {
+    const previous = settings.privacy[key];
+    updateNestedSetting('privacy', key, value);
+    if (!user) {
+      return;
+    }
+    try {
+      await usersAPI.updatePrivacy({ [key]: value });
+      // Going public approves everyone who was waiting
+      if (key === 'profileVisibility' && value === 'public') {
+        setFollowRequests([]);
+      }
+    } catch (error) {
+      updateNestedSetting('privacy', key, previous);
+      Alert.alert('Error', error.message || 'Could not update privacy settings');
+    }
+  };
+
+  const handleFollowRequest = async (userId, approve) => {
+    try {
+      if (approve) {
+        await usersAPI.approveFollowRequest(userId);
+      } else {
+        await usersAPI.declineFollowRequest(userId);
+      }
+      setFollowRequests(current => current.filter(request => request._id !== userId));
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Could not update the follow request');
+    }
+  };
+
+  const loadBlockedAndMuted = async () => {
+    try {
+      const [blocked, muted] = await Promise.all([
+        usersAPI.getBlockedUsers(),
+        usersAPI.getMutedUsers(),
+      ]);
+      setBlockedUsers(blocked.users);
+      setMutedUsers(muted.users);
+    } catch (error) {
+      console.error('Error loading blocked and muted users:', error);
+    }
+  };
+
+  const handleUnblock = async (userId) => {
+    try {
+      await usersAPI.unblock(userId);
+      setBlockedUsers(current => current.filter(blocked => blocked._id !== userId));
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Could not unblock that user');
+    }
+  };
+
+  const handleUnmute = async (userId) => {
+    try {
+      await usersAPI.unmute(userId);
+      setMutedUsers(current => current.filter(muted => muted._id !== userId));
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Could not unmute that user');
+    }
+  };
+
+  const closeDeleteDialog = () => {
+    setShowDeleteDialog(false);
+    setDeletePassword('');
+    setDeleteError('');
+  };
+
+  const handleDeleteAccount = async () => {
+    try {
+      setDeletingAccount(true);
+      setDeleteError('');
+      await deleteAccount(deletePassword);
+      closeDeleteDialog();
+      navigation.replace('Login');
+    } catch (error) {
+      setDeleteError(error.message || 'Could not delete account');
+    } finally {
+      setDeletingAccount(false);
+    }
+  };
+
   const handleResetSettings = async () => {
     await resetSettings();
     setShowResetDialog(false);
@@ -183,6 +373,13 @@ const SettingsScreen = () => {
 
         {renderSection('Account', (
           <>
+            {user && !user.emailVerified && renderMenuItem({
+              title: "Verify Email",
+              description: "Resend the verification link to your inbox",
+              icon: "email-check-outline",
+              right: props => <List.Icon {...props} icon="chevron-right" color={theme.colors.primary} />,
+              onPress: handleResendVerification,
+            })}
             {renderMenuItem({
               title: "Edit Profile",
               description: "Change your profile information",
@@ -195,7 +392,52 @@ const SettingsScreen = () => {
               description: "Update your password",
               icon: "lock-reset",
               right: props => <List.Icon {...props} icon="chevron-right" color={theme.colors.primary} />,
-              onPress: () => {},
+              onPress: () => setShowPasswordDialog(true),
+            })}
+            {renderMenuItem({
+              title: "Login Activity",
+              description: "Recent sign-ins to your account",
+              icon: "history",
+              right: props => <List.Icon {...props} icon="chevron-right" color={theme.colors.primary} />,
+              onPress: openLoginHistory,
+            })}
+            {renderMenuItem({
+              title: "Delete Account",
+              description: "Permanently remove your account and content",
+              icon: "account-remove-outline",
+              right: props => <List.Icon {...props} icon="chevron-right" color={theme.colors.error} />,
+              onPress: () => setShowDeleteDialog(true),
+            })}
+          </>
+        ))}
+
+        {user && renderSection('Devices', (
+          <>
+            {sessions.map(session => (
+              <React.Fragment key={session.id}>
+                {renderMenuItem({
+                  title: session.deviceName || 'Unknown device',
+                  description: session.current
+                    ? 'This device'
+                    : `Last active ${new Date(session.lastSeenAt).toLocaleString()}${session.ip ? ` · ${session.ip}` : ''}`,
+                  icon: session.platform === 'web' ? 'monitor' : 'cellphone',
+                  right: session.current ? undefined : props => (
+                    <IconButton
+                      {...props}
+                      icon="logout"
+                      iconColor={theme.colors.error}
+                      onPress={() => handleRevokeSession(session.id)}
+                    />
+                  ),
+                })}
+              </React.Fragment>
+            ))}
+            {sessions.length > 1 && renderMenuItem({
+              title: "Sign Out Everywhere Else",
+              description: "End every session except this one",
+              icon: "logout-variant",
+              right: props => <List.Icon {...props} icon="chevron-right" color={theme.colors.error} />,
+              onPress: handleRevokeOtherSessions,
             })}
           </>
         ))}
@@ -221,7 +463,7 @@ const SettingsScreen = () => {
                 >
                   <Menu.Item
                     onPress={() => {
-                      updateNestedSetting('privacy', 'profileVisibility', 'public');
+                      handlePrivacyChange('profileVisibility', 'public');
                       setShowPrivacyMenu(false);
                     }}
                     title="Public"
@@ -230,7 +472,7 @@ const SettingsScreen = () => {
                   />
                   <Menu.Item
                     onPress={() => {
-                      updateNestedSetting('privacy', 'profileVisibility', 'private');
+                      handlePrivacyChange('profileVisibility', 'private');
                       setShowPrivacyMenu(false);
                     }}
                     title="Private"
@@ -247,7 +489,7 @@ const SettingsScreen = () => {
               right: () => (
                 <Switch
                   value={settings.privacy.showEmail}
-                  onValueChange={(value) => updateNestedSetting('privacy', 'showEmail', value)}
+                  onValueChange={(value) => handlePrivacyChange('showEmail', value)}
                   color={theme.colors.primary}
                   trackColor={{ false: '#767577', true: theme.colors.primary + '80' }}
                   thumbColor={settings.privacy.showEmail ? theme.colors.primary : '#f4f3f4'}
@@ -261,13 +503,76 @@ const SettingsScreen = () => {
               right: () => (
                 <Switch
                   value={settings.privacy.showLocation}
-                  onValueChange={(value) => updateNestedSetting('privacy', 'showLocation', value)}
+                  onValueChange={(value) => handlePrivacyChange('showLocation', value)}
                   color={theme.colors.primary}
                   trackColor={{ false: '#767577', true: theme.colors.primary + '80' }}
                   thumbColor={settings.privacy.showLocation ? theme.colors.primary : '#f4f3f4'}
                 />
               ),
             })}
+            {followRequests.map(request => (
+              <React.Fragment key={request._id}>
+                {renderMenuItem({
+                  title: request.username,
+                  description: "Wants to follow you",
+                  icon: "account-clock-outline",
+                  right: props => (
+                    <View style={styles.requestActions}>
+                      <IconButton
+                        {...props}
+                        icon="check"
+                        iconColor={theme.colors.primary}
+                        onPress={() => handleFollowRequest(request._id, true)}
+                      />
+                      <IconButton
+                        {...props}
+                        icon="close"
+                        iconColor={theme.colors.error}
+                        onPress={() => handleFollowRequest(request._id, false)}
+                      />
+                    </View>
+                  ),
+                })}
+              </React.Fragment>
+            ))}
+          </>
+        ))}
+
+        {user && renderSection('Blocked & Muted', (
+          <>
+            {blockedUsers.length === 0 && mutedUsers.length === 0 && renderMenuItem({
+              title: "Nobody yet",
+              description: "Block or mute people from their profile",
+              icon: "account-cancel-outline",
+            })}
+            {blockedUsers.map(blocked => (
+              <React.Fragment key={`blocked-${blocked._id}`}>
+                {renderMenuItem({
+                  title: blocked.username,
+                  description: "Blocked",
+                  icon: "account-cancel-outline",
+                  right: () => (
+                    <Button mode="text" onPress={() => handleUnblock(blocked._id)} textColor={theme.colors.primary}>
+                      Unblock
+                    </Button>
+                  ),
+                })}
+              </React.Fragment>
+            ))}
+            {mutedUsers.map(muted => (
+              <React.Fragment key={`muted-${muted._id}`}>
+                {renderMenuItem({
+                  title: muted.username,
+                  description: "Muted",
+                  icon: "volume-off",
+                  right: () => (
+                    <Button mode="text" onPress={() => handleUnmute(muted._id)} textColor={theme.colors.primary}>
+                      Unmute
+                    </Button>
+                  ),
+                })}
+              </React.Fragment>
+            ))}
           </>
         ))}
 
@@ -402,6 +707,102 @@ const SettingsScreen = () => {
           </Dialog.Actions>
         </Dialog>
 
+        <Dialog visible={showPasswordDialog} onDismiss={closePasswordDialog}>
+          <Dialog.Title>Change Password</Dialog.Title>
+          <Dialog.Content>
+            {passwordError ? <Text style={styles.dialogError}>{passwordError}</Text> : null}
+            <TextInput
+              mode="outlined"
+              label="Current Password"
+              value={passwordForm.currentPassword}
+              onChangeText={(text) => setPasswordForm({ ...passwordForm, currentPassword: text })}
+              secureTextEntry
+              style={styles.dialogInput}
+            />
+            <TextInput
+              mode="outlined"
+              label="New Password"
+              value={passwordForm.newPassword}
+              onChangeText={(text) => setPasswordForm({ ...passwordForm, newPassword: text })}
+              secureTextEntry
+              style={styles.dialogInput}
+            />
+            <TextInput
+              mode="outlined"
+              label="Confirm New Password"
+              value={passwordForm.confirmPassword}
+              onChangeText={(text) => setPasswordForm({ ...passwordForm, confirmPassword: text })}
+              secureTextEntry
+              style={styles.dialogInput}
+            />
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={closePasswordDialog}>Cancel</Button>
+            <Button onPress={handleChangePassword} loading={savingPassword} disabled={savingPassword}>
+              Update
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        <Dialog visible={showLoginHistory} onDismiss={() => setShowLoginHistory(false)}>
+          <Dialog.Title>Login Activity</Dialog.Title>
+          <Dialog.ScrollArea style={styles.dialogScrollArea}>
+            <ScrollView>
+              {loginHistory.map(event => (
+                <List.Item
+                  key={event._id}
+                  title={new Date(event.createdAt).toLocaleString()}
+                  description={`${event.userAgent || 'Unknown device'}\n${event.ip}`}
+                  descriptionNumberOfLines={2}
+                  left={props => (
+                    <List.Icon
+                      {...props}
+                      icon={event.success ? 'check-circle-outline' : 'alert-circle-outline'}
+                      color={event.success ? theme.colors.primary : theme.colors.error}
+                    />
+                  )}
+                />
+              ))}
+              {loginHistory.length === 0 && (
+                <Text style={styles.dialogText}>No recent sign-ins</Text>
+              )}
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setShowLoginHistory(false)}>Close</Button>
+          </Dialog.Actions>
+        </Dialog>
+
+        <Dialog visible={showDeleteDialog} onDismiss={closeDeleteDialog}>
+          <Dialog.Title>Delete Account</Dialog.Title>
+          <Dialog.Content>
+            <Text style={styles.dialogText}>
+              Your pins, boards and comments will be deleted after a grace period.
+              Log in before then and choose to keep your account to cancel. Enter your password to confirm.
+            </Text>
+            {deleteError ? <Text style={styles.dialogError}>{deleteError}</Text> : null}
+            <TextInput
+              mode="outlined"
+              label="Password"
+              value={deletePassword}
+              onChangeText={setDeletePassword}
+              secureTextEntry
+              style={styles.dialogInput}
+            />
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={closeDeleteDialog}>Cancel</Button>
+            <Button
+              onPress={handleDeleteAccount}
+              loading={deletingAccount}
+              disabled={deletingAccount || !deletePassword}
+              textColor={theme.colors.error}
+            >
+              Delete
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+
         <Dialog visible={showResetDialog} onDismiss={() => setShowResetDialog(false)}>
           <Dialog.Title>Reset Settings</Dialog.Title>
           <Dialog.Content>
@@ -499,6 +900,23 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  dialogInput: {
+    marginBottom: 12,
+  },
+  dialogError: {
+    color: '#ff4444',
+    marginBottom: 12,
+  },
+  dialogText: {
+    marginBottom: 12,
+  },
+  dialogScrollArea: {
+    maxHeight: 400,
+    paddingHorizontal: 0,
+  },
+  requestActions: {
+    flexDirection: 'row',
+  },
 });
 
 export default SettingsScreen; 
\ No newline at end of file
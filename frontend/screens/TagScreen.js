@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from 'react';
+import { View, FlatList, StyleSheet, Dimensions, ScrollView } from 'react-native';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import { Text, Card, ActivityIndicator, Button, Chip } from 'react-native-paper';
+import { tagsAPI } from '../services/api';
+
+const { width } = Dimensions.get('window');
+const numColumns = 2;
+const pinWidth = (width - 48) / numColumns; // 48 = padding (16) * 2 + gap (16)
+
+// Browse the pins carrying a tag, follow it and hop to related tags
+const TagScreen = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const { tag } = route.params;
+  const [info, setInfo] = useState(null);
+  const [related, setRelated] = useState([]);
+  const [pins, setPins] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchTag = async () => {
+    try {
+      setLoading(true);
+      const [tagInfo, relatedTags, pinPage] = await Promise.all([
+        tagsAPI.getTag(tag),
+        tagsAPI.getRelatedTags(tag),
+        tagsAPI.getTagPins(tag),
+      ]);
+      setInfo(tagInfo);
+      setRelated(relatedTags.related);
+      setPins(pinPage.pins);
+      setPage(1);
+      setHasMore(pinPage.hasMore);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching tag:', err);
+      setError('Failed to load this tag');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTag();
+  }, [tag]);
+
+  const loadMore = async () => {
+    if (!hasMore || loadingMore) return;
+    try {
+      setLoadingMore(true);
+      const pinPage = await tagsAPI.getTagPins(tag, page + 1);
+      setPins(prev => [...prev, ...pinPage.pins]);
+      setPage(page + 1);
+      setHasMore(pinPage.hasMore);
+    } catch (err) {
+      console.error('Error loading more pins:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const toggleFollow = async () => {
+    try {
+      const result = info.isFollowing
+        ? await tagsAPI.unfollowTag(info.tag)
+        : await tagsAPI.followTag(info.tag);
+      setInfo(prev => ({ ...prev, isFollowing: result.isFollowing, followerCount: result.followerCount }));
+    } catch (err) {
+      console.error('Error following tag:', err);
+    }
+  };
+
+  const renderPin = ({ item }) => (
+    <Card
+      style={styles.pinCard}
+      onPress={() => navigation.navigate('PinDetail', { pinId: item._id })}
+    >
+      <Card.Cover source={{ uri: item.imageUrl }} style={styles.pinImage} />
+      <Card.Title
+        title={item.title}
+        titleNumberOfLines={2}
+        style={styles.pinTitle}
+      />
+    </Card>
+  );
+
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" />
+      </View>
+    );
+  }
+
+  if (error) {
+    return (
+      <View style={styles.centered}>
+        <Text>Error: {error}</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        data={pins}
+        renderItem={renderPin}
+        keyExtractor={(item) => item._id}
+        numColumns={numColumns}
+        contentContainerStyle={styles.pinGrid}
+        showsVerticalScrollIndicator={false}
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.5}
+        ListHeaderComponent={(
+          <View style={styles.header}>
+            <Text variant="headlineMedium" style={styles.tagName}>#{info.tag}</Text>
+            <Text variant="bodyMedium" style={styles.counts}>
+              {info.pinCount} {info.pinCount === 1 ? 'pin' : 'pins'} · {info.followerCount} following
+            </Text>
+            <Button
+              mode={info.isFollowing ? 'outlined' : 'contained'}
+              onPress={toggleFollow}
+              buttonColor={info.isFollowing ? undefined : '#E60023'}
+              textColor={info.isFollowing ? '#E60023' : '#fff'}
+              style={styles.followButton}
+            >
+              {info.isFollowing ? 'Following' : 'Follow'}
+            </Button>
+            {related.length > 0 && (
+              <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.related}>
+                {related.map(item => (
+                  <Chip
+                    key={item.tag}
+                    style={styles.relatedChip}
+                    onPress={() => navigation.push('Tag', { tag: item.tag })}
+                  >
+                    #{item.tag}
+                  </Chip>
+                ))}
+              </ScrollView>
+            )}
+          </View>
+        )}
+        ListEmptyComponent={(
+          <Text style={styles.empty}>No pins with this tag yet</Text>
+        )}
+        ListFooterComponent={loadingMore ? <ActivityIndicator style={styles.footer} /> : null}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  tagName: {
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  counts: {
+    color: '#696969',
+    marginTop: 4,
+  },
+  followButton: {
+    marginTop: 12,
+    borderColor: '#E60023',
+  },
+  related: {
+    marginTop: 16,
+    alignSelf: 'stretch',
+  },
+  relatedChip: {
+    marginRight: 8,
+  },
+  pinGrid: {
+    padding: 16,
+  },
+  pinCard: {
+    width: pinWidth,
+    marginBottom: 16,
+    marginRight: 16,
+    elevation: 2,
+  },
+  pinImage: {
+    height: pinWidth,
+  },
+  pinTitle: {
+    padding: 8,
+  },
+  empty: {
+    textAlign: 'center',
+    color: '#696969',
+    marginTop: 32,
+  },
+  footer: {
+    marginVertical: 16,
+  },
+});
+
+export default TagScreen;
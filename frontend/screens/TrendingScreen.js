@@ -6,37 +6,31 @@ import {
   Dimensions,
   RefreshControl,
 } from 'react-native';
-import { Text, Surface, ActivityIndicator, SegmentedButtons } from 'react-native-paper';
+import { Text, Card, ActivityIndicator, SegmentedButtons, Chip } from 'react-native-paper';
 import { useNavigation } from '@react-navigation/native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { categoriesAPI, pinsAPI } from '../services/api';
 
 const { width } = Dimensions.get('window');
 const numColumns = 2;
 const itemWidth = width / numColumns - 16;
 
+// Shown before the top-level categories from the API
+const ALL_CATEGORY = { slug: 'all', name: 'All' };
+
 const TrendingScreen = () => {
   const navigation = useNavigation();
   const [trendingItems, setTrendingItems] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [timeRange, setTimeRange] = useState('day'); // 'day', 'week', 'month'
+  const [categories, setCategories] = useState([ALL_CATEGORY]);
+  const [selectedCategory, setSelectedCategory] = useState('all');
 
   const fetchTrendingItems = async () => {
     try {
-      const token = await AsyncStorage.getItem('token');
-      const response = await fetch(
-        `http://localhost:3000/api/pins/trending?timeRange=${timeRange}`,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        }
-      );
-      const data = await response.json();
-      if (!response.ok) {
-        throw new Error(data.message || 'Failed to fetch trending items');
-      }
-      setTrendingItems(data);
+      const category = selectedCategory === 'all' ? undefined : selectedCategory;
+      const data = await pinsAPI.getTrendingPins(timeRange, category, 1, 50);
+      setTrendingItems(data.pins);
     } catch (error) {
       console.error('Error fetching trending items:', error);
     } finally {
@@ -45,9 +39,15 @@ const TrendingScreen = () => {
     }
   };
 
+  useEffect(() => {
+    categoriesAPI.getCategories()
+      .then(({ categories: loaded }) => setCategories([ALL_CATEGORY, ...loaded]))
+      .catch(error => console.error('Error fetching categories:', error));
+  }, []);
+
   useEffect(() => {
     fetchTrendingItems();
-  }, [timeRange]);
+  }, [timeRange, selectedCategory]);
 
   const onRefresh = () => {
     setRefreshing(true);
@@ -55,29 +55,29 @@ const TrendingScreen = () => {
   };
 
   const renderItem = ({ item }) => (
-    <Surface
+    <Card
       style={styles.itemCard}
       onPress={() => navigation.navigate('PinDetail', { pinId: item._id })}
     >
-      <Surface.Cover
+      <Card.Cover
         source={{ uri: item.imageUrl }}
         style={styles.itemImage}
       />
-      <Surface.Title
+      <Card.Title
         title={item.title}
-        subtitle={item.author.username}
+        subtitle={item.user?.username}
         titleNumberOfLines={2}
         style={styles.itemTitle}
       />
       <View style={styles.stats}>
         <Text variant="bodySmall" style={styles.stat}>
-          {item.likes?.length || 0} likes
+          {item.likeCount || 0} likes
         </Text>
         <Text variant="bodySmall" style={styles.stat}>
-          {item.saves?.length || 0} saves
+          {item.saveCount || 0} saves
         </Text>
       </View>
-    </Surface>
+    </Card>
   );
 
   if (loading) {
@@ -104,6 +104,21 @@ const TrendingScreen = () => {
           ]}
           style={styles.segmentedButtons}
         />
+        <FlatList
+          horizontal
+          data={categories}
+          keyExtractor={(item) => item.slug}
+          showsHorizontalScrollIndicator={false}
+          renderItem={({ item }) => (
+            <Chip
+              selected={selectedCategory === item.slug}
+              onPress={() => setSelectedCategory(item.slug)}
+              style={styles.categoryChip}
+            >
+              {item.name}
+            </Chip>
+          )}
+        />
       </View>
 
       <FlatList
@@ -145,6 +160,9 @@ const styles = StyleSheet.create({
   segmentedButtons: {
     marginBottom: 8,
   },
+  categoryChip: {
+    marginRight: 8,
+  },
   list: {
     padding: 8,
   },
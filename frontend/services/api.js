@@ -1,8 +1,22 @@
 import config from '../config';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform } from 'react-native';
 
 const API_URL = config.API_URL;
 
+// Sent with every call that starts a session, so the Devices list in
+// Settings can tell the user's sessions apart
+const deviceName = () => {
+  if (Platform.OS === 'ios') return Platform.isPad ? 'iPad' : 'iPhone';
+  if (Platform.OS === 'android') return Platform.constants?.Model || 'Android device';
+  return 'Web browser';
+};
+
+const DEVICE_HEADERS = {
+  'X-Device-Name': deviceName(),
+  'X-Device-Platform': Platform.OS,
+};
+
 // Helper function to get auth token
 const getAuthToken = async () => {
   const token = await AsyncStorage.getItem('token');
@@ -10,6 +24,59 @@ const getAuthToken = async () => {
   return token;
 };
 
+// Called when the refresh token is rejected and the user must sign in again
+let sessionExpiredHandler = null;
+export const onSessionExpired = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+// Exchange the stored refresh token for a new token pair. Refresh tokens are
+// single-use, so concurrent 401s share one in-flight request.
+let refreshPromise = null;
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = await AsyncStorage.getItem('refreshToken');
+      const response = refreshToken && await fetch(`${API_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify({ refreshToken }),
+      });
+
+      if (!response || !response.ok) {
+        await AsyncStorage.multiRemove(['token', 'refreshToken']);
+        if (sessionExpiredHandler) sessionExpiredHandler();
+        throw new Error('Session expired, please log in again');
+      }
+
+      const { token, refreshToken: nextRefreshToken } = await response.json();
+      await AsyncStorage.multiSet([['token', token], ['refreshToken', nextRefreshToken]]);
+      return token;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+// fetch() for authenticated calls: on a 401 the access token has most likely
+// expired, so refresh it once and replay the request
+const authFetch = async (url, options = {}) => {
+  const response = await fetch(url, options);
+  if (response.status !== 401) {
+    return response;
+  }
+
+  const token = await refreshSession();
+  return fetch(url, {
+    ...options,
+    headers: { ...options.headers, 'x-auth-token': token },
+  });
+};
+
 // Helper function to handle API responses
 const handleResponse = async (response) => {
   if (!response.ok) {
@@ -19,7 +86,11 @@ const handleResponse = async (response) => {
       statusText: response.statusText,
       error: errorData
     });
-    throw new Error(errorData.message || `HTTP error! status: ${response.status}`);
+    const error = new Error(errorData.message || `HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    // Per-field messages from 422 validation responses
+    error.fieldErrors = errorData.errors || {};
+    throw error;
   }
   const data = await response.json();
   console.log('API Success Response:', data);
@@ -35,6 +106,7 @@ export const authAPI = {
       const response = await fetch(`${API_URL}/auth/login`, {
         method: 'POST',
         headers: {
+          ...DEVICE_HEADERS,
           'Content-Type': 'application/json',
           'Accept': 'application/json'
         },
@@ -60,10 +132,24 @@ export const authAPI = {
     }
   },
 
+  verifyTwoFactorLogin: async (challengeToken, code) => {
+    const response = await fetch(`${API_URL}/auth/login/2fa`, {
+      method: 'POST',
+      headers: {
+        ...DEVICE_HEADERS,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify({ challengeToken, code }),
+    });
+    return handleResponse(response);
+  },
+
   register: async (userData) => {
     const response = await fetch(`${API_URL}/auth/register`, {
       method: 'POST',
       headers: {
+        ...DEVICE_HEADERS,
         'Content-Type': 'application/json',
         'Accept': 'application/json'
       },
@@ -72,6 +158,173 @@ export const authAPI = {
     return handleResponse(response);
   },
 
+  logout: async (refreshToken) => {
+    const response = await fetch(`${API_URL}/auth/logout`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify({ refreshToken }),
+    });
+    return handleResponse(response);
+  },
+
+  changePassword: async (currentPassword, newPassword) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/auth/change-password`, {
+      method: 'POST',
+      headers: {
+        ...DEVICE_HEADERS,
+        'x-auth-token': token,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify({ currentPassword, newPassword }),
+    });
+    return handleResponse(response);
+  },
+
+  forgotPassword: async (email) => {
+    const response = await fetch(`${API_URL}/auth/forgot-password`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify({ email }),
+    });
+    return handleResponse(response);
+  },
+
+  resetPassword: async (resetToken, newPassword) => {
+    const response = await fetch(`${API_URL}/auth/reset-password`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify({ token: resetToken, newPassword }),
+    });
+    return handleResponse(response);
+  },
+
+  deleteAccount: async (password) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/auth/me`, {
+      method: 'DELETE',
+      headers: {
+        'x-auth-token': token,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify({ password }),
+    });
+    return handleResponse(response);
+  },
+
+  cancelAccountDeletion: async () => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/auth/me/cancel-deletion`, {
+      method: 'POST',
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  resendVerification: async () => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/auth/verify/resend`, {
+      method: 'POST',
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  getLoginHistory: async (limit = 20) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/auth/login-history?limit=${limit}`, {
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  getSessions: async () => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/auth/sessions`, {
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  revokeSession: async (sessionId) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/auth/sessions/${sessionId}`, {
+      method: 'DELETE',
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  revokeOtherSessions: async () => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/auth/sessions`, {
+      method: 'DELETE',
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
   getCurrentUser: async () => {
     try {
       const token = await getAuthToken();
@@ -80,7 +333,7 @@ export const authAPI = {
       }
       
       console.log('Making getCurrentUser request with token');
-      const response = await fetch(`${API_URL}/auth/me`, {
+      const response = await authFetch(`${API_URL}/auth/me`, {
         headers: {
           'x-auth-token': token,
           'Accept': 'application/json'
@@ -117,7 +370,7 @@ export const authAPI = {
       console.log('Making request to:', `${API_URL}/auth/user/${userId}`);
       console.log('With token:', token ? 'Token exists' : 'No token');
       
-      const response = await fetch(`${API_URL}/auth/user/${userId}`, {
+      const response = await authFetch(`${API_URL}/auth/user/${userId}`, {
         headers: {
           'x-auth-token': token,
           'Accept': 'application/json'
@@ -150,14 +403,17 @@ export const authAPI = {
 
 // Pins API
 export const pinsAPI = {
-  getAllPins: async (page = 1, limit = 20) => {
+  // Every pin, newest first. `category` is a category slug; its
+  // subcategories are included.
+  getAllPins: async (category) => {
     const token = await getAuthToken();
     if (!token) {
       throw new Error('No authentication token found');
     }
     
-    const response = await fetch(
-      `${API_URL}/pins?page=${page}&limit=${limit}`,
+    const categoryQuery = category ? `?category=${encodeURIComponent(category)}` : '';
+    const response = await authFetch(
+      `${API_URL}/pins${categoryQuery}`,
       {
         headers: {
           'x-auth-token': token,
@@ -168,13 +424,61 @@ export const pinsAPI = {
     return handleResponse(response);
   },
 
+  getUserPins: async (userId) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/pins?user=${userId}`, {
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  // The caller's own pins, plus pins from the people and tags they follow
+  getHomeFeed: async (page = 1, limit = 20) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/pins/feed?page=${page}&limit=${limit}`, {
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  // Most engaged-with pins over `timeRange` ('day', 'week' or 'month'),
+  // optionally within a category slug
+  getTrendingPins: async (timeRange = 'week', category, page = 1, limit = 20) => {
+    const token = await getAuthToken();
+    const categoryQuery = category ? `&category=${encodeURIComponent(category)}` : '';
+    const response = await authFetch(
+      `${API_URL}/pins/trending?timeRange=${timeRange}&page=${page}&limit=${limit}${categoryQuery}`,
+      {
+        headers: {
+          ...(token && { 'x-auth-token': token }),
+          'Accept': 'application/json'
+        },
+      }
+    );
+    return handleResponse(response);
+  },
+
   getPinById: async (pinId) => {
     const token = await getAuthToken();
     if (!token) {
       throw new Error('No authentication token found');
     }
     
-    const response = await fetch(`${API_URL}/pins/${pinId}`, {
+    const response = await authFetch(`${API_URL}/pins/${pinId}`, {
       headers: {
         'x-auth-token': token,
         'Accept': 'application/json'
@@ -189,10 +493,11 @@ export const pinsAPI = {
       throw new Error('No authentication token found');
     }
     
-    const response = await fetch(`${API_URL}/pins`, {
+    const response = await authFetch(`${API_URL}/pins`, {
       method: 'POST',
       headers: {
         'x-auth-token': token,
+        'Content-Type': 'application/json',
         'Accept': 'application/json'
       },
       body: JSON.stringify(pinData),
@@ -206,10 +511,11 @@ export const pinsAPI = {
       throw new Error('No authentication token found');
     }
     
-    const response = await fetch(`${API_URL}/pins/${pinId}`, {
+    const response = await authFetch(`${API_URL}/pins/${pinId}`, {
       method: 'PUT',
       headers: {
         'x-auth-token': token,
+        'Content-Type': 'application/json',
         'Accept': 'application/json'
       },
       body: JSON.stringify(pinData),
@@ -223,7 +529,7 @@ export const pinsAPI = {
       throw new Error('No authentication token found');
     }
     
-    const response = await fetch(`${API_URL}/pins/${pinId}`, {
+    const response = await authFetch(`${API_URL}/pins/${pinId}`, {
       method: 'DELETE',
       headers: {
         'x-auth-token': token,
@@ -232,35 +538,32 @@ export const pinsAPI = {
     });
     return handleResponse(response);
   },
-};
 
-// Boards API
-export const boardsAPI = {
-  getAllBoards: async (page = 1, limit = 20) => {
+  // Both resolve to { liked, likeCount }
+  likePin: async (pinId) => {
     const token = await getAuthToken();
     if (!token) {
       throw new Error('No authentication token found');
     }
-    
-    const response = await fetch(
-      `${API_URL}/boards?page=${page}&limit=${limit}`,
-      {
-        headers: {
-          'x-auth-token': token,
-          'Accept': 'application/json'
-        },
-      }
-    );
+
+    const response = await authFetch(`${API_URL}/pins/${pinId}/like`, {
+      method: 'POST',
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
     return handleResponse(response);
   },
 
-  getBoardById: async (boardId) => {
+  unlikePin: async (pinId) => {
     const token = await getAuthToken();
     if (!token) {
       throw new Error('No authentication token found');
     }
-    
-    const response = await fetch(`${API_URL}/boards/${boardId}`, {
+
+    const response = await authFetch(`${API_URL}/pins/${pinId}/like`, {
+      method: 'DELETE',
       headers: {
         'x-auth-token': token,
         'Accept': 'application/json'
@@ -269,55 +572,818 @@ export const boardsAPI = {
     return handleResponse(response);
   },
 
-  createBoard: async (boardData) => {
+  // Both resolve to { saved, board, saveCount }
+  savePin: async (pinId, boardId) => {
     const token = await getAuthToken();
     if (!token) {
       throw new Error('No authentication token found');
     }
-    
-    const response = await fetch(`${API_URL}/boards`, {
+
+    const response = await authFetch(`${API_URL}/pins/${pinId}/save`, {
       method: 'POST',
       headers: {
         'x-auth-token': token,
+        'Content-Type': 'application/json',
         'Accept': 'application/json'
       },
-      body: JSON.stringify(boardData),
+      body: JSON.stringify({ boardId }),
     });
     return handleResponse(response);
   },
 
-  updateBoard: async (boardId, boardData) => {
+  unsavePin: async (pinId, boardId) => {
     const token = await getAuthToken();
     if (!token) {
       throw new Error('No authentication token found');
     }
-    
-    const response = await fetch(`${API_URL}/boards/${boardId}`, {
-      method: 'PUT',
+
+    const response = await authFetch(`${API_URL}/pins/${pinId}/save/${boardId}`, {
+      method: 'DELETE',
       headers: {
         'x-auth-token': token,
         'Accept': 'application/json'
       },
-      body: JSON.stringify(boardData),
     });
     return handleResponse(response);
   },
 
-  deleteBoard: async (boardId) => {
+  // The signed-in user's boards that already contain the pin
+  // Pins like this one, best match first
+  getRelatedPins: async (pinId, page = 1, limit = 20) => {
     const token = await getAuthToken();
-    if (!token) {
-      throw new Error('No authentication token found');
-    }
-    
-    const response = await fetch(`${API_URL}/boards/${boardId}`, {
-      method: 'DELETE',
+    const response = await authFetch(`${API_URL}/pins/${pinId}/related?page=${page}&limit=${limit}`, {
       headers: {
-        'x-auth-token': token,
+        ...(token && { 'x-auth-token': token }),
         'Accept': 'application/json'
       },
     });
     return handleResponse(response);
   },
+
+  // Stop showing a pin among related pins
+  hidePin: async (pinId) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/pins/${pinId}/hide`, {
+      method: 'POST',
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  getSavedBoards: async (pinId) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/pins/${pinId}/saved-boards`, {
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  getPinLikes: async (pinId, page = 1, limit = 20) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/pins/${pinId}/likes?page=${page}&limit=${limit}`, {
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+};
+
+// Comments API. Pages are fetched with the previous page's nextCursor.
+export const commentsAPI = {
+  getComments: async (pinId, cursor = null, limit = 20) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const query = cursor ? `?limit=${limit}&cursor=${cursor}` : `?limit=${limit}`;
+    const response = await authFetch(`${API_URL}/pins/${pinId}/comments${query}`, {
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  // Pass `parent` to reply to a comment
+  addComment: async (pinId, text, parent = null) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/pins/${pinId}/comments`, {
+      method: 'POST',
+      headers: {
+        'x-auth-token': token,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify(parent ? { text, parent } : { text }),
+    });
+    return handleResponse(response);
+  },
+
+  getReplies: async (pinId, commentId, cursor = null, limit = 20) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const query = cursor ? `?limit=${limit}&cursor=${cursor}` : `?limit=${limit}`;
+    const response = await authFetch(`${API_URL}/pins/${pinId}/comments/${commentId}/replies${query}`, {
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  // Both resolve to { reaction, reactionCounts }
+  react: async (pinId, commentId, type) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/pins/${pinId}/comments/${commentId}/reaction`, {
+      method: 'PUT',
+      headers: {
+        'x-auth-token': token,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify({ type }),
+    });
+    return handleResponse(response);
+  },
+
+  removeReaction: async (pinId, commentId) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/pins/${pinId}/comments/${commentId}/reaction`, {
+      method: 'DELETE',
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  updateComment: async (pinId, commentId, text) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/pins/${pinId}/comments/${commentId}`, {
+      method: 'PUT',
+      headers: {
+        'x-auth-token': token,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify({ text }),
+    });
+    return handleResponse(response);
+  },
+
+  deleteComment: async (pinId, commentId) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/pins/${pinId}/comments/${commentId}`, {
+      method: 'DELETE',
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+};
+
+// Boards API
+export const boardsAPI = {
+  getAllBoards: async (page = 1, limit = 20) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+    
+    const response = await authFetch(
+      `${API_URL}/boards?page=${page}&limit=${limit}`,
+      {
+        headers: {
+          'x-auth-token': token,
+          'Accept': 'application/json'
+        },
+      }
+    );
+    return handleResponse(response);
+  },
+
+  getUserBoards: async (userId) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/boards/user/${userId}`, {
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  getBoardById: async (boardId) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+    
+    const response = await authFetch(`${API_URL}/boards/${boardId}`, {
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  createBoard: async (boardData) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+    
+    const response = await authFetch(`${API_URL}/boards`, {
+      method: 'POST',
+      headers: {
+        'x-auth-token': token,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify(boardData),
+    });
+    return handleResponse(response);
+  },
+
+  updateBoard: async (boardId, boardData) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+    
+    const response = await authFetch(`${API_URL}/boards/${boardId}`, {
+      method: 'PUT',
+      headers: {
+        'x-auth-token': token,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify(boardData),
+    });
+    return handleResponse(response);
+  },
+
+  deleteBoard: async (boardId) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+    
+    const response = await authFetch(`${API_URL}/boards/${boardId}`, {
+      method: 'DELETE',
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+};
+
+// Users API
+export const usersAPI = {
+  getMe: async () => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/users/me`, {
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  // Only the fields passed in are changed
+  updateMe: async (profile) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/users/me`, {
+      method: 'PATCH',
+      headers: {
+        'x-auth-token': token,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify(profile),
+    });
+    return handleResponse(response);
+  },
+
+  follow: async (userId) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/users/${userId}/follow`, {
+      method: 'POST',
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  unfollow: async (userId) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/users/${userId}/follow`, {
+      method: 'DELETE',
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  getPrivacy: async () => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/users/me/privacy`, {
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  // Only the settings passed in are changed
+  updatePrivacy: async (privacy) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/users/me/privacy`, {
+      method: 'PATCH',
+      headers: {
+        'x-auth-token': token,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify(privacy),
+    });
+    return handleResponse(response);
+  },
+
+  getSettings: async () => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/users/me/settings`, {
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  // `changes` is { settings, updatedAt }; resolves to the merged settings
+  updateSettings: async (changes) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/users/me/settings`, {
+      method: 'PUT',
+      headers: {
+        'x-auth-token': token,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify(changes),
+    });
+    return handleResponse(response);
+  },
+
+  getFollowRequests: async (page = 1, limit = 20) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/users/me/follow-requests?page=${page}&limit=${limit}`, {
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  approveFollowRequest: async (userId) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/users/me/follow-requests/${userId}/approve`, {
+      method: 'POST',
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  declineFollowRequest: async (userId) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/users/me/follow-requests/${userId}`, {
+      method: 'DELETE',
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  block: async (userId) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/users/${userId}/block`, {
+      method: 'POST',
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  unblock: async (userId) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/users/${userId}/block`, {
+      method: 'DELETE',
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  mute: async (userId) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/users/${userId}/mute`, {
+      method: 'POST',
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  unmute: async (userId) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/users/${userId}/mute`, {
+      method: 'DELETE',
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  getBlockedUsers: async (page = 1, limit = 20) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/users/me/blocked?page=${page}&limit=${limit}`, {
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  getMutedUsers: async (page = 1, limit = 20) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/users/me/muted?page=${page}&limit=${limit}`, {
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  getLikedPins: async (userId, page = 1, limit = 20) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/users/${userId}/likes?page=${page}&limit=${limit}`, {
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  // `type` is 'followers' or 'following'
+  getConnections: async (userId, type, page = 1, limit = 20) => {
+    const token = await getAuthToken();
+    const response = await authFetch(`${API_URL}/users/${userId}/${type}?page=${page}&limit=${limit}`, {
+      headers: {
+        ...(token && { 'x-auth-token': token }),
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  // Usernames starting with `query`, for completing an @mention
+  autocompleteUsers: async (query, limit = 10) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/users/autocomplete?q=${encodeURIComponent(query)}&limit=${limit}`, {
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  getNotifications: async (page = 1, limit = 20) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/users/me/notifications?page=${page}&limit=${limit}`, {
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  getFollowedTags: async () => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/users/me/tags`, {
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  // Marks the given notifications as read, or all of them without `ids`
+  markNotificationsRead: async (ids) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/users/me/notifications/read`, {
+      method: 'POST',
+      headers: {
+        'x-auth-token': token,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: JSON.stringify(ids ? { ids } : {}),
+    });
+    return handleResponse(response);
+  },
+};
+
+// Categories API
+export const categoriesAPI = {
+  // The category tree: top-level categories, each with its subcategories
+  getCategories: async () => {
+    const response = await authFetch(`${API_URL}/categories`, {
+      headers: {
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+};
+
+// Tags API
+export const tagsAPI = {
+  // Usage counts for a tag and whether the caller follows it
+  getTag: async (tag) => {
+    const token = await getAuthToken();
+    const response = await authFetch(`${API_URL}/tags/${encodeURIComponent(tag)}`, {
+      headers: {
+        ...(token && { 'x-auth-token': token }),
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  getTagPins: async (tag, page = 1, limit = 20) => {
+    const token = await getAuthToken();
+    const response = await authFetch(`${API_URL}/tags/${encodeURIComponent(tag)}/pins?page=${page}&limit=${limit}`, {
+      headers: {
+        ...(token && { 'x-auth-token': token }),
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  getRelatedTags: async (tag, limit = 10) => {
+    const token = await getAuthToken();
+    const response = await authFetch(`${API_URL}/tags/${encodeURIComponent(tag)}/related?limit=${limit}`, {
+      headers: {
+        ...(token && { 'x-auth-token': token }),
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  followTag: async (tag) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/tags/${encodeURIComponent(tag)}/follow`, {
+      method: 'POST',
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+
+  unfollowTag: async (tag) => {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const response = await authFetch(`${API_URL}/tags/${encodeURIComponent(tag)}/follow`, {
+      method: 'DELETE',
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+    });
+    return handleResponse(response);
+  },
+};
+
+// Uploads API
+export const uploadsAPI = {
+  // Upload a picked image and resolve to its public URL. Images that are
+  // already hosted are passed through untouched.
+  uploadImage: async (uri) => {
+    if (!uri || /^https?:\/\//.test(uri)) {
+      return uri;
+    }
+
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found');
+    }
+
+    const form = new FormData();
+    if (Platform.OS === 'web') {
+      // The web picker hands back a blob: or data: URI
+      const blob = await (await fetch(uri)).blob();
+      form.append('image', blob, `upload.${blob.type.split('/')[1] || 'jpg'}`);
+    } else {
+      const name = uri.split('/').pop();
+      const extension = (name.split('.').pop() || 'jpg').toLowerCase();
+      const type = extension === 'jpg' ? 'image/jpeg' : `image/${extension}`;
+      form.append('image', { uri, name, type });
+    }
+
+    // No Content-Type: fetch adds the multipart boundary itself
+    const response = await authFetch(`${API_URL}/uploads`, {
+      method: 'POST',
+      headers: {
+        'x-auth-token': token,
+        'Accept': 'application/json'
+      },
+      body: form,
+    });
+    const { url } = await handleResponse(response);
+    return url;
+  },
 };
 
 // Feed API
@@ -328,7 +1394,7 @@ export const getFeed = async (page = 1, limit = 20) => {
       throw new Error('No authentication token found');
     }
 
-    const response = await fetch(`${config.API_URL}/pins?page=${page}&limit=${limit}`, {
+    const response = await authFetch(`${config.API_URL}/pins?page=${page}&limit=${limit}`, {
       headers: {
         'x-auth-token': token,
         'Accept': 'application/json',
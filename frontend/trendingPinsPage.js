@@ -11,7 +11,7 @@ const TrendingPinsPage = () => {
                 const response = await fetch('/api/trending');
                 if (!response.ok) throw new Error('Failed to fetch trending pins');
                 const data = await response.json();
-                setPins(data);
+                setPins(data.pins);
             } catch (err) {
                 setError(err.message);
             } finally {